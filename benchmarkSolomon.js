@@ -0,0 +1,195 @@
+import fs from "fs";
+import path from "path";
+import {
+  solveVrptw,
+  parseSolomonInstance,
+  buildEuclideanMatrix,
+  compareWithBestKnown,
+} from "./services/vrp/index.js";
+
+// Columns of the CSV report, in order
+const COLUMNS = [
+  "instance",
+  "vehicles",
+  "distance",
+  "bestVehicles",
+  "bestDistance",
+  "vehicleGap",
+  "distanceGap",
+  "lateness",
+  "unassigned",
+  "timeMs",
+];
+
+const USAGE = `Usage: node benchmarkSolomon.js <instance files or directories> [options]
+
+Options:
+  --format csv|json   Report format (default csv)
+  --out <file>        Write the report to a file instead of stdout
+  --no-local-search   Report the I1 construction only`;
+
+/**
+ * Read the command line arguments
+ *
+ * @param {Array} args - Arguments after the script name
+ * @returns {Object} {inputs, format, out, localSearch}
+ */
+function parseArguments(args) {
+  const options = { inputs: [], format: "csv", out: null, localSearch: true };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "--format") {
+      options.format = args[++i];
+    } else if (arg === "--out") {
+      options.out = args[++i];
+    } else if (arg === "--no-local-search") {
+      options.localSearch = false;
+    } else if (arg.startsWith("--")) {
+      throw new Error(`Unknown option ${arg}`);
+    } else {
+      options.inputs.push(arg);
+    }
+  }
+
+  if (!["csv", "json"].includes(options.format)) {
+    throw new Error(`Unknown format ${options.format}`);
+  }
+  return options;
+}
+
+/**
+ * Expand directories into the instance files they contain
+ *
+ * @param {Array} inputs - Files or directories
+ * @returns {Array} Instance file paths, sorted
+ */
+function findInstanceFiles(inputs) {
+  const files = [];
+  for (const input of inputs) {
+    if (fs.statSync(input).isDirectory()) {
+      for (const name of fs.readdirSync(input)) {
+        if (/\.txt$/i.test(name)) files.push(path.join(input, name));
+      }
+    } else {
+      files.push(input);
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * Solve one instance with Euclidean travel times and compare it with the
+ * best known solution
+ *
+ * @param {string} file - Instance file path
+ * @param {Object} options - {localSearch}
+ * @returns {Object} One report row
+ */
+function benchmarkInstance(file, options) {
+  const instance = parseSolomonInstance(fs.readFileSync(file, "utf8"));
+  const matrix = buildEuclideanMatrix(instance.problem);
+
+  const startTime = Date.now();
+  const result = solveVrptw(instance.problem, matrix, {
+    localSearch: options.localSearch,
+  });
+  const timeMs = Date.now() - startTime;
+
+  const gap = compareWithBestKnown(instance.name, result);
+  return {
+    instance: instance.name,
+    vehicles: result.vehiclesUsed,
+    distance: round(result.distance),
+    bestVehicles: gap ? gap.bestVehicles : null,
+    bestDistance: gap ? gap.bestDistance : null,
+    vehicleGap: gap ? gap.vehicleGap : null,
+    distanceGap: gap ? round(gap.distanceGap) : null,
+    lateness: round(result.lateness + result.overtime),
+    unassigned: result.unassigned.length,
+    timeMs,
+  };
+}
+
+/**
+ * Round to two decimals, as the best known solutions are published
+ *
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Format the report rows
+ *
+ * @param {Array} rows - Report rows
+ * @param {string} format - "csv" or "json"
+ * @returns {string} Report text
+ */
+function formatReport(rows, format) {
+  if (format === "json") {
+    return JSON.stringify(rows, null, 2) + "\n";
+  }
+
+  const lines = [COLUMNS.join(",")];
+  for (const row of rows) {
+    lines.push(COLUMNS.map((column) => row[column] ?? "").join(","));
+  }
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Run the benchmark over every instance given on the command line
+ */
+function benchmarkSolomon() {
+  let options;
+  try {
+    options = parseArguments(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const files = findInstanceFiles(options.inputs);
+  if (files.length === 0) {
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  // Progress goes to stderr so the report can be piped
+  const rows = [];
+  for (const file of files) {
+    const row = benchmarkInstance(file, options);
+    console.error(
+      `${row.instance}: ${row.vehicles} vehicles, ${row.distance} distance` +
+        (row.distanceGap !== null ? ` (gap ${row.distanceGap}%)` : "") +
+        ` in ${row.timeMs} ms`
+    );
+    rows.push(row);
+  }
+
+  const compared = rows.filter((row) => row.distanceGap !== null);
+  if (compared.length > 0) {
+    const average = (key) =>
+      compared.reduce((sum, row) => sum + row[key], 0) / compared.length;
+    console.error(
+      `Average over ${compared.length} instances: ` +
+        `${round(average("vehicleGap"))} extra vehicles, ` +
+        `${round(average("distanceGap"))}% distance gap`
+    );
+  }
+
+  const report = formatReport(rows, options.format);
+  if (options.out) {
+    fs.writeFileSync(options.out, report);
+    console.error(`Report written to ${options.out}`);
+  } else {
+    process.stdout.write(report);
+  }
+}
+
+benchmarkSolomon();
@@ -13,7 +13,11 @@ export default defineNuxtConfig({
   },
   runtimeConfig: {
     public: {
-      googleMapsApiKey: process.env.GOOGLE_MAPS_API_KEY || ''
+      googleMapsApiKey: process.env.GOOGLE_MAPS_API_KEY || '',
+      // Comma-separated .hgt/.tif URLs (e.g. served from public/dem/)
+      elevationDemFiles: process.env.ELEVATION_DEM_FILES || '',
+      // JSON/CSV time-of-day speed profiles (e.g. served from public/)
+      speedProfilesFile: process.env.SPEED_PROFILES_FILE || ''
     }
   },
   app: {
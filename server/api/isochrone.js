@@ -0,0 +1,67 @@
+/**
+ * GET|POST /api/isochrone
+ * Areas reachable from a coordinate within travel budgets
+ * OSRM has no isochrone service; the response is a GeoJSON FeatureCollection
+ * with one MultiPolygon per budget, smallest first, plus an OSRM-style code
+ *
+ * Parameters: coordinates ("lng,lat"), contours_minutes ("10,20,30") or
+ * contours_meters ("1000,2000") for distance budgets, cell_size in meters
+ * and profile
+ */
+
+import { computeIsochrone } from "../../services/routing/index.js";
+import {
+  SEATTLE_BOUNDS,
+  RoutingApiError,
+  defineRoutingHandler,
+  parseCoordinates,
+  parseNumberList,
+  parseInteger,
+  parseProfile,
+  getServerGraph,
+  snapPoints,
+} from "../utils/routingApi.js";
+
+// Limits that keep one request's search and tracing bounded
+const MAX_CONTOURS = 5;
+const MAX_MINUTES = 120;
+const MAX_METERS = 100000;
+
+export default defineRoutingHandler(async (params) => {
+  const [point] = parseCoordinates(params.coordinates, { max: 1 });
+  const hasMinutes = params.contours_minutes !== undefined;
+  const hasMeters = params.contours_meters !== undefined;
+  if (hasMinutes === hasMeters) {
+    throw new RoutingApiError(
+      "InvalidQuery",
+      "Give either contours_minutes or contours_meters"
+    );
+  }
+
+  const metric = hasMinutes ? "time" : "distance";
+  const budgets = hasMinutes
+    ? parseNumberList(params.contours_minutes, "contours_minutes", {
+        max: MAX_MINUTES,
+        maxCount: MAX_CONTOURS,
+      }).map((minutes) => minutes * 60)
+    : parseNumberList(params.contours_meters, "contours_meters", {
+        max: MAX_METERS,
+        maxCount: MAX_CONTOURS,
+      });
+  const cellSize = parseInteger(params.cell_size, "cell_size", {
+    min: 20,
+    max: 1000,
+    defaultValue: undefined,
+  });
+  const profile = parseProfile(params.profile);
+
+  const [snap] = snapPoints(await getServerGraph(profile), [point]);
+  const isochrones = await computeIsochrone(point, budgets, {
+    bounds: SEATTLE_BOUNDS,
+    metric,
+    profile,
+    cellSize,
+    snap,
+  });
+  return { code: "Ok", ...isochrones };
+});
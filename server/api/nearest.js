@@ -0,0 +1,52 @@
+/**
+ * GET|POST /api/nearest
+ * Snap a coordinate to the nearest road segments, like OSRM's /nearest
+ * service
+ *
+ * Parameters: coordinates ("lng,lat"), number of segments (default 1) and
+ * profile
+ */
+
+import { getSpatialIndex } from "../../services/graphCache.js";
+import { getWaypoint } from "../../services/routing/osrmResponse.js";
+import {
+  MAX_SNAP_DISTANCE,
+  RoutingApiError,
+  defineRoutingHandler,
+  parseCoordinates,
+  parseInteger,
+  parseProfile,
+  getServerGraph,
+} from "../utils/routingApi.js";
+
+// Most segments returned for one coordinate
+const MAX_NUMBER = 100;
+
+export default defineRoutingHandler(async (params) => {
+  const [point] = parseCoordinates(params.coordinates, { max: 1 });
+  const number = parseInteger(params.number, "number", {
+    min: 1,
+    max: MAX_NUMBER,
+    defaultValue: 1,
+  });
+  const profile = parseProfile(params.profile);
+
+  const graph = await getServerGraph(profile);
+  const snaps = getSpatialIndex(graph)
+    .kNearestSegments(point, number)
+    .filter((snap) => snap.distance <= MAX_SNAP_DISTANCE);
+  if (snaps.length === 0) {
+    throw new RoutingApiError(
+      "NoSegment",
+      "Could not find a matching segment for the coordinate"
+    );
+  }
+
+  return {
+    code: "Ok",
+    waypoints: snaps.map((snap) => ({
+      ...getWaypoint(snap),
+      nodes: [snap.fromNode.id, snap.toNode.id],
+    })),
+  };
+});
@@ -0,0 +1,155 @@
+/**
+ * GET|POST /api/route
+ * Route through the coordinates in order, like OSRM's /route service
+ *
+ * Parameters: coordinates ("lng,lat;lng,lat;..."), profile, metric,
+ * algorithm (any heuristic or search of calculateAStarPath; haversine by
+ * default, since landmark and hierarchy searches build their tables on
+ * first use), edge_based (true to obey turn restrictions with any
+ * algorithm), alternatives (true, false or a number; two coordinates only)
+ * and geometries ("polyline", "polyline6" or "geojson")
+ */
+
+import {
+  calculateAStarPath,
+  calculateAlternatives,
+} from "../../services/routing/index.js";
+import {
+  heuristics,
+  bidirectionalSearches,
+  hierarchySearches,
+  edgeBasedSearches,
+} from "../../services/routing/aStarRouting.js";
+import {
+  GEOMETRY_FORMATS,
+  getWaypoint,
+  joinRoutes,
+} from "../../services/routing/osrmResponse.js";
+import {
+  SEATTLE_BOUNDS,
+  RoutingApiError,
+  defineRoutingHandler,
+  parseCoordinates,
+  parseChoice,
+  parseInteger,
+  parseBoolean,
+  parseProfile,
+  parseMetric,
+  getServerGraph,
+  snapPoints,
+} from "../utils/routingApi.js";
+
+// Each leg is a separate search, so long trips are limited
+const MAX_COORDINATES = 25;
+const MAX_ALTERNATIVES = 3;
+
+const ALGORITHMS = [
+  ...Object.keys(heuristics),
+  ...Object.keys(bidirectionalSearches),
+  ...Object.keys(hierarchySearches),
+  ...Object.keys(edgeBasedSearches),
+];
+
+export default defineRoutingHandler(async (params) => {
+  const points = parseCoordinates(params.coordinates, {
+    min: 2,
+    max: MAX_COORDINATES,
+  });
+  const profile = parseProfile(params.profile);
+  const metric = parseMetric(params.metric);
+  const algorithm = parseChoice(
+    params.algorithm,
+    "algorithm",
+    ALGORITHMS,
+    "haversine"
+  );
+  const edgeBased =
+    parseBoolean(params.edge_based, "edge_based") ||
+    algorithm in edgeBasedSearches;
+  const geometries = parseChoice(
+    params.geometries,
+    "geometries",
+    GEOMETRY_FORMATS,
+    "polyline"
+  );
+  const alternatives = parseAlternatives(params.alternatives);
+  if (alternatives > 1 && points.length !== 2) {
+    throw new RoutingApiError(
+      "InvalidOptions",
+      "Alternatives are only available between two coordinates"
+    );
+  }
+  // The alternatives search runs on the node graph, without turn restrictions
+  if (alternatives > 1 && edgeBased) {
+    throw new RoutingApiError(
+      "InvalidOptions",
+      "Alternatives are not available for edge-based routes"
+    );
+  }
+
+  // Reject points far from every road before searching; the searches reuse
+  // the snaps
+  const snaps = snapPoints(await getServerGraph(profile), points);
+  const waypoints = snaps.map(getWaypoint);
+  const options = {
+    bounds: SEATTLE_BOUNDS,
+    heuristic: algorithm,
+    edgeBased,
+    metric,
+    profile,
+    geometries,
+    minPathLength: 1,
+    fallback: false,
+  };
+
+  // Searches that find no path answer with no routes; anything they throw
+  // is a server error
+  let routes = [];
+  if (alternatives > 1) {
+    const response = await calculateAlternatives(
+      points[0],
+      points[1],
+      alternatives,
+      { ...options, snaps }
+    );
+    routes = response.routes;
+  } else {
+    const legs = [];
+    for (let i = 0; i < points.length - 1; i++) {
+      const response = await calculateAStarPath(
+        points[i],
+        points[i + 1],
+        SEATTLE_BOUNDS,
+        { ...options, snaps: [snaps[i], snaps[i + 1]] }
+      );
+      if (response.routes.length === 0) break;
+      legs.push(response.routes[0]);
+    }
+    if (legs.length === points.length - 1) {
+      routes = [joinRoutes(legs, { geometries })];
+    }
+  }
+  if (routes.length === 0) {
+    throw new RoutingApiError("NoRoute", "Impossible route between points");
+  }
+
+  return { code: "Ok", routes, waypoints };
+});
+
+/**
+ * Parse the alternatives parameter
+ *
+ * @param {string|boolean|number} value - true, false or a number of routes
+ * @returns {number} Number of routes wanted, including the best one
+ */
+function parseAlternatives(value) {
+  if (value === true || value === "true") return MAX_ALTERNATIVES;
+  if (value === false || value === "false") return 1;
+  // OSRM counts alternatives in addition to the best route
+  const extra = parseInteger(value, "alternatives", {
+    min: 0,
+    max: MAX_ALTERNATIVES - 1,
+    defaultValue: 0,
+  });
+  return extra + 1;
+}
@@ -0,0 +1,98 @@
+/**
+ * GET|POST /api/table
+ * Travel durations and distances between coordinates, like OSRM's /table
+ * service
+ *
+ * Parameters: coordinates ("lng,lat;lng,lat;..."), sources and destinations
+ * (indexes such as "0;2", default all), annotations ("duration",
+ * "distance" or "duration,distance"), profile and metric
+ */
+
+import { computeMatrix } from "../../services/routing/index.js";
+import {
+  SEATTLE_BOUNDS,
+  RoutingApiError,
+  defineRoutingHandler,
+  parseCoordinates,
+  parseIndexes,
+  parseProfile,
+  parseMetric,
+  getServerGraph,
+  snapPoints,
+} from "../utils/routingApi.js";
+
+// Largest number of coordinates in one table
+const MAX_COORDINATES = 100;
+
+const ANNOTATIONS = ["duration", "distance"];
+
+export default defineRoutingHandler(async (params) => {
+  const points = parseCoordinates(params.coordinates, {
+    max: MAX_COORDINATES,
+  });
+  const sourceIndexes = parseIndexes(params.sources, points.length, "sources");
+  const destinationIndexes = parseIndexes(
+    params.destinations,
+    points.length,
+    "destinations"
+  );
+  const annotations = parseAnnotations(params.annotations);
+  const profile = parseProfile(params.profile);
+  const metric = parseMetric(params.metric);
+
+  // Reject points far from every road before searching; the matrix reuses
+  // the snaps
+  const snaps = snapPoints(await getServerGraph(profile), points);
+  const pick = (list, indexes) =>
+    indexes ? indexes.map((index) => list[index]) : list;
+
+  // With all coordinates on both sides the matrix shares its snaps
+  const sources = pick(points, sourceIndexes);
+  const destinations = pick(points, destinationIndexes);
+
+  let matrix;
+  try {
+    matrix = await computeMatrix(sources, destinations, {
+      bounds: SEATTLE_BOUNDS,
+      metric,
+      profile,
+      sourceSnaps: pick(snaps, sourceIndexes),
+      targetSnaps: pick(snaps, destinationIndexes),
+    });
+  } catch (error) {
+    console.warn("Could not compute table:", error);
+    throw new RoutingApiError("NoTable", "No table found");
+  }
+
+  const response = { code: "Ok" };
+  if (annotations.includes("duration")) response.durations = matrix.durations;
+  if (annotations.includes("distance")) response.distances = matrix.distances;
+  response.sources = matrix.sources;
+  response.destinations = matrix.destinations;
+  return response;
+});
+
+/**
+ * Parse the annotations parameter
+ *
+ * @param {string|Array} value - "duration", "distance" or both, comma
+ *   separated
+ * @returns {Array} Annotations to include, durations only by default
+ */
+function parseAnnotations(value) {
+  if (value === undefined || value === null || value === "") {
+    return ["duration"];
+  }
+  const items = typeof value === "string" ? value.split(",") : value;
+  if (
+    !Array.isArray(items) ||
+    items.length === 0 ||
+    items.some((item) => !ANNOTATIONS.includes(item))
+  ) {
+    throw new RoutingApiError(
+      "InvalidValue",
+      `annotations must be ${ANNOTATIONS.join(" and/or ")}`
+    );
+  }
+  return items;
+}
@@ -0,0 +1,11 @@
+/**
+ * Configure elevations and speed profiles for the routing API
+ * Loads the DEM files and speed profiles from the runtime config once, so
+ * server graphs get the same data as the map's
+ */
+
+import { configureRoutingData } from "../utils/routingApi.js";
+
+export default defineNitroPlugin(() => {
+  configureRoutingData(useRuntimeConfig().public);
+});
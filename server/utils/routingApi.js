@@ -0,0 +1,378 @@
+/**
+ * Shared helpers for the routing API handlers
+ * Requests take OSRM-style parameters, from the query string or a JSON body,
+ * and failures are answered with OSRM-style {code, message} bodies.
+ */
+
+import { join } from "node:path";
+import {
+  defineEventHandler,
+  getMethod,
+  getQuery,
+  readBody,
+  setResponseStatus,
+} from "h3";
+import { getSeattleGraph, getSpatialIndex } from "../../services/graphCache.js";
+import { snapToRoad } from "../../services/routing/graphUtils.js";
+import {
+  loadSpeedProfiles,
+  setSpeedProfiles,
+} from "../../services/routing/speedProfiles.js";
+import { setElevationProvider } from "../../services/elevationService.js";
+import { loadDemProvider } from "../../services/demProvider.js";
+import {
+  TRAVEL_PROFILES,
+  DEFAULT_PROFILE,
+} from "../../services/routing/osmRules.js";
+
+// Same area as the map, so the server loads the graph the app routes on
+export const SEATTLE_BOUNDS = {
+  north: 47.734145,
+  south: 47.491912,
+  east: -122.224433,
+  west: -122.459696,
+};
+
+// Points further than this from every road can't be snapped
+export const MAX_SNAP_DISTANCE = 1000;
+
+// Metrics a request can minimise; responses report durations and distances
+const METRICS = ["time", "distance"];
+
+// Settles once the DEM files and speed profiles have been configured
+let routingDataReady = Promise.resolve();
+
+/**
+ * Error answered with an OSRM-style body
+ * Codes follow OSRM: InvalidQuery, InvalidValue, InvalidOptions, NoSegment,
+ * NoRoute, NoTable and TooBig
+ */
+export class RoutingApiError extends Error {
+  /**
+   * @param {string} code - OSRM error code
+   * @param {string} message - Human-readable description
+   * @param {number} status - HTTP status code
+   */
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = "RoutingApiError";
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Define a handler that reads its parameters from the query string (GET) or
+ * JSON body (POST) and reports failures as {code, message}
+ *
+ * @param {Function} handler - Called with the parameters and the event;
+ *   returns the response body
+ * @returns {Function} Event handler
+ */
+export function defineRoutingHandler(handler) {
+  return defineEventHandler(async (event) => {
+    try {
+      const method = getMethod(event);
+      if (method !== "GET" && method !== "POST") {
+        throw new RoutingApiError(
+          "InvalidQuery",
+          `Method ${method} is not supported, use GET or POST`,
+          405
+        );
+      }
+      const params =
+        method === "POST" ? (await readBody(event)) || {} : getQuery(event);
+      if (typeof params !== "object" || Array.isArray(params)) {
+        throw new RoutingApiError(
+          "InvalidQuery",
+          "Request body must be a JSON object"
+        );
+      }
+      return await handler(params, event);
+    } catch (error) {
+      if (error instanceof RoutingApiError) {
+        setResponseStatus(event, error.status);
+        return { code: error.code, message: error.message };
+      }
+      console.error("Routing API request failed:", error);
+      setResponseStatus(event, 500);
+      return { code: "InternalError", message: error.message };
+    }
+  });
+}
+
+/**
+ * Parse OSRM coordinates: "lng,lat;lng,lat" or an array of [lng, lat]
+ *
+ * @param {string|Array} value - Coordinates parameter
+ * @param {Object} limits - {min} and {max} number of coordinates
+ * @returns {Array} Points {lat, lng}
+ */
+export function parseCoordinates(value, { min = 1, max = Infinity } = {}) {
+  if (value === undefined || value === null || value === "") {
+    throw new RoutingApiError("InvalidQuery", "coordinates are required");
+  }
+
+  const pairs =
+    typeof value === "string"
+      ? value.split(";").map((pair) => pair.split(","))
+      : value;
+  if (!Array.isArray(pairs)) {
+    throw new RoutingApiError("InvalidQuery", "coordinates must be a list");
+  }
+
+  const points = pairs.map((pair, index) => {
+    const [lng, lat] = Array.isArray(pair) ? pair.map(Number) : [];
+    if (
+      !Array.isArray(pair) ||
+      pair.length !== 2 ||
+      !Number.isFinite(lng) ||
+      !Number.isFinite(lat) ||
+      Math.abs(lng) > 180 ||
+      Math.abs(lat) > 90
+    ) {
+      throw new RoutingApiError(
+        "InvalidValue",
+        `Coordinate ${index} is not a valid longitude,latitude pair`
+      );
+    }
+    return { lat, lng };
+  });
+
+  if (points.length < min) {
+    throw new RoutingApiError(
+      "InvalidQuery",
+      `At least ${min} coordinate${min === 1 ? " is" : "s are"} required`
+    );
+  }
+  if (points.length > max) {
+    throw new RoutingApiError(
+      "TooBig",
+      `At most ${max} coordinate${max === 1 ? " is" : "s are"} allowed`
+    );
+  }
+  return points;
+}
+
+/**
+ * Parse a list of coordinate indexes such as "0;2", or "all"
+ *
+ * @param {string|Array} value - Indexes parameter
+ * @param {number} count - Number of coordinates
+ * @param {string} name - Parameter name for error messages
+ * @returns {Array|null} Indexes, or null for all coordinates
+ */
+export function parseIndexes(value, count, name) {
+  if (value === undefined || value === null || value === "all") return null;
+
+  const items = typeof value === "string" ? value.split(";") : value;
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new RoutingApiError("InvalidQuery", `${name} must be a list`);
+  }
+  return items.map((item) => {
+    const index = Number(item);
+    if (!Number.isInteger(index) || index < 0 || index >= count) {
+      throw new RoutingApiError(
+        "InvalidOptions",
+        `${name} index ${item} is out of range`
+      );
+    }
+    return index;
+  });
+}
+
+/**
+ * Parse a list of positive numbers such as "10,20,30"
+ *
+ * @param {string|Array|number} value - Numbers parameter
+ * @param {string} name - Parameter name for error messages
+ * @param {Object} limits - {max} value and {maxCount} of numbers
+ * @returns {Array} Numbers
+ */
+export function parseNumberList(value, name, { max, maxCount } = {}) {
+  const items =
+    typeof value === "string"
+      ? value.split(",")
+      : Array.isArray(value)
+      ? value
+      : [value];
+  const numbers = items.map(Number);
+  if (numbers.some((number) => !Number.isFinite(number) || number <= 0)) {
+    throw new RoutingApiError(
+      "InvalidValue",
+      `${name} must be positive numbers`
+    );
+  }
+  if (max !== undefined && numbers.some((number) => number > max)) {
+    throw new RoutingApiError("TooBig", `${name} must be at most ${max}`);
+  }
+  if (maxCount !== undefined && numbers.length > maxCount) {
+    throw new RoutingApiError(
+      "TooBig",
+      `At most ${maxCount} ${name} are allowed`
+    );
+  }
+  return numbers;
+}
+
+/**
+ * Parse a whole number in a range
+ *
+ * @param {string|number} value - Parameter value; the default if omitted
+ * @param {string} name - Parameter name for error messages
+ * @param {Object} range - {min}, {max} and {defaultValue}
+ * @returns {number} The number
+ */
+export function parseInteger(value, name, { min, max, defaultValue }) {
+  if (value === undefined || value === null || value === "") {
+    return defaultValue;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new RoutingApiError(
+      "InvalidValue",
+      `${name} must be a whole number from ${min} to ${max}`
+    );
+  }
+  return number;
+}
+
+/**
+ * Parse a "true"/"false" parameter
+ *
+ * @param {string|boolean} value - Parameter value; the default if omitted
+ * @param {string} name - Parameter name for error messages
+ * @param {boolean} defaultValue - Value when omitted
+ * @returns {boolean} The flag
+ */
+export function parseBoolean(value, name, defaultValue = false) {
+  if (value === undefined || value === null || value === "") {
+    return defaultValue;
+  }
+  if (value === true || value === "true") return true;
+  if (value === false || value === "false") return false;
+  throw new RoutingApiError("InvalidValue", `${name} must be true or false`);
+}
+
+/**
+ * Parse a parameter that must be one of a set of values
+ *
+ * @param {string} value - Parameter value; the default if omitted
+ * @param {string} name - Parameter name for error messages
+ * @param {Array} allowed - Allowed values
+ * @param {string} defaultValue - Value when omitted
+ * @returns {string} The value
+ */
+export function parseChoice(value, name, allowed, defaultValue) {
+  if (value === undefined || value === null || value === "") {
+    return defaultValue;
+  }
+  if (!allowed.includes(value)) {
+    throw new RoutingApiError(
+      "InvalidValue",
+      `${name} must be one of ${allowed.join(", ")}`
+    );
+  }
+  return value;
+}
+
+/**
+ * Parse the travel profile
+ *
+ * @param {string} value - Profile parameter
+ * @returns {string} Profile name
+ */
+export function parseProfile(value) {
+  return parseChoice(
+    value,
+    "profile",
+    Object.keys(TRAVEL_PROFILES),
+    DEFAULT_PROFILE
+  );
+}
+
+/**
+ * Parse the cost metric to minimise
+ *
+ * @param {string} value - Metric parameter
+ * @returns {string} "time" or "distance"
+ */
+export function parseMetric(value) {
+  return parseChoice(value, "metric", METRICS, "time");
+}
+
+/**
+ * Get the street graph held by the server for a travel profile
+ * The graph is loaded once per profile and kept in memory by graphCache
+ *
+ * @param {string} profile - Travel profile
+ * @returns {Promise<Array>} Graph of street nodes
+ */
+export async function getServerGraph(profile) {
+  // Graphs built before the DEM files load would get simulated elevations
+  await routingDataReady;
+  return getSeattleGraph(SEATTLE_BOUNDS, { profile });
+}
+
+/**
+ * Load the DEM files and speed profiles named in the runtime config
+ * Called once at startup by the routingData plugin. Files are paths under
+ * public/, as the app serves them, or http(s) URLs. Missing or broken files
+ * are logged and the defaults kept: open-elevation and free-flow speeds.
+ *
+ * @param {Object} config - {elevationDemFiles: comma-separated list,
+ *   speedProfilesFile}
+ * @returns {Promise} Settles when both have been tried
+ */
+export function configureRoutingData(config) {
+  const resolve = (file) =>
+    /^https?:\/\//.test(file) ? file : join(process.cwd(), "public", file);
+
+  const elevations = async () => {
+    const sources = (config.elevationDemFiles || "")
+      .split(",")
+      .map((file) => file.trim())
+      .filter(Boolean);
+    if (sources.length === 0) return;
+    try {
+      setElevationProvider(await loadDemProvider(sources.map(resolve)));
+    } catch (error) {
+      console.warn("Could not load DEM files, using open-elevation:", error);
+    }
+  };
+
+  const speedProfiles = async () => {
+    if (!config.speedProfilesFile) return;
+    try {
+      setSpeedProfiles(
+        await loadSpeedProfiles(resolve(config.speedProfilesFile))
+      );
+    } catch (error) {
+      console.warn("Could not load speed profiles:", error);
+    }
+  };
+
+  routingDataReady = Promise.all([elevations(), speedProfiles()]);
+  return routingDataReady;
+}
+
+/**
+ * Snap points onto the street graph, rejecting points far from every road
+ *
+ * @param {Array} graph - Graph of street nodes
+ * @param {Array} points - Points {lat, lng}
+ * @returns {Array} Snap results from snapToRoad
+ */
+export function snapPoints(graph, points) {
+  const spatialIndex = getSpatialIndex(graph);
+  return points.map((point, index) => {
+    const snap = snapToRoad(spatialIndex, point);
+    if (!snap || snap.distance > MAX_SNAP_DISTANCE) {
+      throw new RoutingApiError(
+        "NoSegment",
+        `Could not find a matching segment for coordinate ${index}`
+      );
+    }
+    return snap;
+  });
+}
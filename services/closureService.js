@@ -0,0 +1,390 @@
+/**
+ * Road closures and areas to avoid
+ * Closures are polygons, circles or explicit OSM way IDs. Searches ask for a
+ * cost modifier and skip (or, for closures with a penalty, charge extra for)
+ * the edges and grid cells they affect. The list is kept in sessionStorage so
+ * it survives reloads within the browser session.
+ */
+
+const STORAGE_KEY = "seattle-pathfinding:closures";
+const METERS_PER_DEGREE = 111320;
+
+// Active closures, loaded from sessionStorage on first use
+let closures = null;
+let nextId = 1;
+
+/**
+ * Add a closure
+ * Accepts a GeoJSON Polygon or MultiPolygon (geometry or Feature), a GeoJSON
+ * Point Feature with a radius property in meters, {type: "circle", center,
+ * radius} or {type: "ways", wayIds}. Options, or Feature properties, may set
+ * a label and a penalty: a cost multiplier instead of blocking outright.
+ *
+ * @param {Object} closure - Closure definition
+ * @param {Object} options - {label, penalty}
+ * @returns {Object} The stored closure, with its id
+ */
+export function addClosure(closure, options = {}) {
+  const properties = closure.type === "Feature" ? closure.properties || {} : {};
+  // Loading the stored closures first moves nextId past their ids
+  const list = getClosureList();
+  const stored = {
+    id: `closure-${nextId++}`,
+    label: options.label ?? properties.label ?? properties.name ?? null,
+    penalty: options.penalty ?? properties.penalty ?? null,
+    ...normaliseShape(closure),
+  };
+  if (stored.penalty !== null && !(stored.penalty >= 1)) {
+    throw new Error("Closure penalty must be a multiplier of at least 1");
+  }
+
+  list.push(stored);
+  saveClosures();
+  console.log(`Added ${stored.type} closure ${stored.id}`);
+  return stored;
+}
+
+/**
+ * Add every polygon and circle of a GeoJSON FeatureCollection
+ *
+ * @param {Object|string} geojson - FeatureCollection, Feature or geometry,
+ *   as an object or JSON text
+ * @param {Object} options - {label, penalty} for every feature, see addClosure
+ * @returns {Array} The stored closures
+ */
+export function addClosuresFromGeoJSON(geojson, options = {}) {
+  const data = typeof geojson === "string" ? JSON.parse(geojson) : geojson;
+  const features = data.type === "FeatureCollection" ? data.features : [data];
+  return features.map((feature) => addClosure(feature, options));
+}
+
+/**
+ * Remove a closure
+ *
+ * @param {string} id - Closure id
+ * @returns {boolean} True if a closure was removed
+ */
+export function removeClosure(id) {
+  const list = getClosureList();
+  const index = list.findIndex((closure) => closure.id === id);
+  if (index === -1) return false;
+
+  list.splice(index, 1);
+  saveClosures();
+  return true;
+}
+
+/**
+ * Remove every closure
+ */
+export function clearClosures() {
+  getClosureList().length = 0;
+  saveClosures();
+}
+
+/**
+ * List the active closures
+ *
+ * @returns {Array} Copies of the stored closures
+ */
+export function getClosures() {
+  return getClosureList().map((closure) => ({ ...closure }));
+}
+
+/**
+ * Get the cost modifier for street graph edges
+ *
+ * @returns {Function|null} (fromNode, connection, toNode) => multiplier
+ *   (Infinity for blocked edges), or null when no closure is active
+ */
+export function getClosureCostModifier() {
+  const active = getClosureList();
+  if (active.length === 0) return null;
+
+  return (fromNode, connection, toNode) =>
+    combineFactors(active, (closure) =>
+      affectsEdge(closure, fromNode, connection, toNode)
+    );
+}
+
+/**
+ * Get the cost modifier for points, used for grid cells
+ * Only area and circle closures apply; way closures have no area.
+ *
+ * @returns {Function|null} (point) => multiplier (Infinity if blocked), or
+ *   null when no area closure is active
+ */
+export function getClosurePointModifier() {
+  const active = getClosureList().filter((closure) => closure.type !== "ways");
+  if (active.length === 0) return null;
+
+  return (point) =>
+    combineFactors(active, (closure) => containsPoint(closure, point));
+}
+
+/**
+ * Load the closure list from sessionStorage on first use
+ *
+ * @returns {Array} The live closure list
+ */
+function getClosureList() {
+  if (closures) return closures;
+
+  closures = [];
+  try {
+    if (typeof sessionStorage !== "undefined") {
+      closures = JSON.parse(sessionStorage.getItem(STORAGE_KEY)) || [];
+    }
+  } catch (error) {
+    console.warn("Could not read stored closures:", error);
+  }
+
+  // Continue numbering after the stored ids
+  for (const closure of closures) {
+    const number = Number(String(closure.id).split("-").pop());
+    if (number >= nextId) nextId = number + 1;
+  }
+  return closures;
+}
+
+/**
+ * Write the closure list to sessionStorage
+ */
+function saveClosures() {
+  if (typeof sessionStorage === "undefined") return;
+  try {
+    sessionStorage.setItem(STORAGE_KEY, JSON.stringify(closures));
+  } catch (error) {
+    console.warn("Could not store closures:", error);
+  }
+}
+
+/**
+ * Convert a closure definition into its stored shape
+ *
+ * @param {Object} closure - Closure definition, see addClosure
+ * @returns {Object} {type: "area", polygons, bbox}, {type: "circle", center,
+ *   radius, bbox} or {type: "ways", wayIds}
+ */
+function normaliseShape(closure) {
+  if (closure.type === "ways") {
+    if (!Array.isArray(closure.wayIds) || closure.wayIds.length === 0) {
+      throw new Error("Way closure needs at least one way ID");
+    }
+    return { type: "ways", wayIds: closure.wayIds.map(String) };
+  }
+
+  if (closure.type === "circle") {
+    return createCircle(closure.center, closure.radius);
+  }
+
+  const geometry = closure.type === "Feature" ? closure.geometry : closure;
+  if (geometry?.type === "Point") {
+    const [lng, lat] = geometry.coordinates;
+    return createCircle({ lat, lng }, closure.properties?.radius);
+  }
+  if (geometry?.type === "Polygon" || geometry?.type === "MultiPolygon") {
+    const polygons =
+      geometry.type === "Polygon"
+        ? [geometry.coordinates]
+        : geometry.coordinates;
+    const points = polygons.flat(2);
+    return {
+      type: "area",
+      polygons,
+      bbox: {
+        south: Math.min(...points.map(([, lat]) => lat)),
+        north: Math.max(...points.map(([, lat]) => lat)),
+        west: Math.min(...points.map(([lng]) => lng)),
+        east: Math.max(...points.map(([lng]) => lng)),
+      },
+    };
+  }
+
+  throw new Error(`Unsupported closure: ${geometry?.type || closure.type}`);
+}
+
+/**
+ * Build a circle closure shape
+ *
+ * @param {Object} center - Circle centre {lat, lng}
+ * @param {number} radius - Radius in meters
+ * @returns {Object} {type: "circle", center, radius, bbox}
+ */
+function createCircle(center, radius) {
+  if (!center || !(radius > 0)) {
+    throw new Error("Circle closure needs a center and a positive radius");
+  }
+
+  const latRadius = radius / METERS_PER_DEGREE;
+  const lngRadius =
+    radius / (METERS_PER_DEGREE * Math.cos((center.lat * Math.PI) / 180));
+  return {
+    type: "circle",
+    center: { lat: center.lat, lng: center.lng },
+    radius,
+    bbox: {
+      south: center.lat - latRadius,
+      north: center.lat + latRadius,
+      west: center.lng - lngRadius,
+      east: center.lng + lngRadius,
+    },
+  };
+}
+
+/**
+ * Combine the closures that apply into one multiplier
+ *
+ * @param {Array} active - Closures to check
+ * @param {Function} applies - Whether a closure applies
+ * @returns {number} Infinity if any applicable closure blocks, else the
+ *   largest penalty (1 if none apply)
+ */
+function combineFactors(active, applies) {
+  let factor = 1;
+  for (const closure of active) {
+    if (!applies(closure)) continue;
+    if (closure.penalty === null) return Infinity;
+    factor = Math.max(factor, closure.penalty);
+  }
+  return factor;
+}
+
+/**
+ * Check whether a closure covers any part of an edge
+ *
+ * @param {Object} closure - Stored closure
+ * @param {Object} fromNode - Edge start {lat, lng}
+ * @param {Object} connection - Edge {wayId}
+ * @param {Object} toNode - Edge end {lat, lng}
+ * @returns {boolean} True if the edge is affected
+ */
+function affectsEdge(closure, fromNode, connection, toNode) {
+  if (closure.type === "ways") {
+    return (
+      connection.wayId !== undefined &&
+      closure.wayIds.includes(String(connection.wayId))
+    );
+  }
+
+  // Cheap rejection for edges well away from the closure
+  const { bbox } = closure;
+  if (
+    Math.max(fromNode.lat, toNode.lat) < bbox.south ||
+    Math.min(fromNode.lat, toNode.lat) > bbox.north ||
+    Math.max(fromNode.lng, toNode.lng) < bbox.west ||
+    Math.min(fromNode.lng, toNode.lng) > bbox.east
+  ) {
+    return false;
+  }
+
+  if (closure.type === "circle") {
+    return (
+      getSegmentDistance(closure.center, fromNode, toNode) <= closure.radius
+    );
+  }
+
+  if (containsPoint(closure, fromNode) || containsPoint(closure, toNode)) {
+    return true;
+  }
+  // An edge can cross an area without either end inside it
+  return closure.polygons.some((rings) =>
+    rings.some((ring) =>
+      ring.some((vertex, i) => {
+        const next = ring[(i + 1) % ring.length];
+        return segmentsIntersect(
+          fromNode,
+          toNode,
+          { lng: vertex[0], lat: vertex[1] },
+          { lng: next[0], lat: next[1] }
+        );
+      })
+    )
+  );
+}
+
+/**
+ * Check whether a point lies inside an area or circle closure
+ *
+ * @param {Object} closure - Stored area or circle closure
+ * @param {Object} point - {lat, lng}
+ * @returns {boolean} True if the point is covered
+ */
+function containsPoint(closure, point) {
+  const { bbox } = closure;
+  if (
+    point.lat < bbox.south ||
+    point.lat > bbox.north ||
+    point.lng < bbox.west ||
+    point.lng > bbox.east
+  ) {
+    return false;
+  }
+
+  if (closure.type === "circle") {
+    return getSegmentDistance(closure.center, point, point) <= closure.radius;
+  }
+
+  // Even-odd rule, so holes in polygons are left open
+  return closure.polygons.some((rings) => {
+    let inside = false;
+    for (const ring of rings) {
+      for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if (
+          yi > point.lat !== yj > point.lat &&
+          point.lng < ((xj - xi) * (point.lat - yi)) / (yj - yi) + xi
+        ) {
+          inside = !inside;
+        }
+      }
+    }
+    return inside;
+  });
+}
+
+/**
+ * Distance from a point to a segment, on a local flat projection
+ *
+ * @param {Object} point - {lat, lng}
+ * @param {Object} a - Segment start {lat, lng}
+ * @param {Object} b - Segment end {lat, lng}
+ * @returns {number} Distance in meters
+ */
+function getSegmentDistance(point, a, b) {
+  const scale = Math.cos((point.lat * Math.PI) / 180);
+  const ax = (a.lng - point.lng) * scale * METERS_PER_DEGREE;
+  const ay = (a.lat - point.lat) * METERS_PER_DEGREE;
+  const bx = (b.lng - point.lng) * scale * METERS_PER_DEGREE;
+  const by = (b.lat - point.lat) * METERS_PER_DEGREE;
+
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSquared = dx * dx + dy * dy;
+  const t =
+    lengthSquared === 0
+      ? 0
+      : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared));
+  return Math.hypot(ax + t * dx, ay + t * dy);
+}
+
+/**
+ * Check whether two segments cross
+ *
+ * @param {Object} p1 - First segment start {lat, lng}
+ * @param {Object} p2 - First segment end
+ * @param {Object} q1 - Second segment start
+ * @param {Object} q2 - Second segment end
+ * @returns {boolean} True if the segments intersect
+ */
+function segmentsIntersect(p1, p2, q1, q2) {
+  const cross = (o, a, b) =>
+    (a.lng - o.lng) * (b.lat - o.lat) - (a.lat - o.lat) * (b.lng - o.lng);
+
+  const d1 = cross(q1, q2, p1);
+  const d2 = cross(q1, q2, p2);
+  const d3 = cross(p1, p2, q1);
+  const d4 = cross(p1, p2, q2);
+  return d1 * d2 <= 0 && d3 * d4 <= 0 && !(d1 === 0 && d2 === 0);
+}
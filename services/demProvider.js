@@ -0,0 +1,454 @@
+/**
+ * Local DEM elevation provider
+ * Reads SRTM .hgt tiles and single-band GeoTIFF rasters and samples them with
+ * bilinear interpolation. Use with setElevationProvider from elevationService.
+ */
+
+// SRTM marks missing samples with this value
+const HGT_VOID = -32768;
+
+// TIFF tag ids
+const TIFF_TAGS = {
+  imageWidth: 256,
+  imageLength: 257,
+  bitsPerSample: 258,
+  compression: 259,
+  stripOffsets: 273,
+  samplesPerPixel: 277,
+  rowsPerStrip: 278,
+  stripByteCounts: 279,
+  tileWidth: 322,
+  tileLength: 323,
+  tileOffsets: 324,
+  sampleFormat: 339,
+  modelPixelScale: 33550,
+  modelTiepoint: 33922,
+  modelTransformation: 34264,
+  geoKeyDirectory: 34735,
+  gdalNoData: 42113,
+};
+
+// GeoTIFF keys
+const GT_MODEL_TYPE = 1024; // 1 = projected, 2 = geographic
+const GT_RASTER_TYPE = 1025; // 1 = pixel is area, 2 = pixel is point
+
+/**
+ * Load DEM files and create a provider that answers from them
+ *
+ * @param {Array<string|Blob|ArrayBuffer>} sources - .hgt or .tif files: paths
+ *   (Node), URLs (browser) or Blobs/Files
+ * @returns {Promise<Object>} Provider {name, getElevations}
+ */
+export async function loadDemProvider(sources) {
+  const rasters = [];
+  for (const source of sources) {
+    rasters.push(await loadDemRaster(source));
+  }
+  console.log(`Loaded ${rasters.length} DEM rasters`);
+  return createDemProvider(rasters);
+}
+
+/**
+ * Create an elevation provider from parsed rasters
+ * Each point is answered by the first raster that covers it
+ *
+ * @param {Array} rasters - Rasters from parseHgt or parseGeoTiff
+ * @returns {Object} Provider {name, getElevations}
+ */
+export function createDemProvider(rasters) {
+  return {
+    name: `dem:${rasters.map((raster) => raster.name).join(",")}`,
+    async getElevations(points) {
+      return points.map((point) => {
+        for (const raster of rasters) {
+          const elevation = sampleRaster(raster, point);
+          if (elevation !== null) return elevation;
+        }
+        return null;
+      });
+    },
+  };
+}
+
+/**
+ * Load a single DEM file
+ *
+ * @param {string|Blob|ArrayBuffer} source - File path, URL, Blob or buffer
+ * @returns {Promise<Object>} Parsed raster
+ */
+export async function loadDemRaster(source) {
+  const name =
+    typeof source === "string"
+      ? source.split(/[\\/]/).pop()
+      : source.name || "";
+  const buffer = await readSource(source);
+
+  if (/\.hgt$/i.test(name)) {
+    return parseHgt(buffer, name);
+  }
+  if (/\.tiff?$/i.test(name) || isTiff(buffer)) {
+    return parseGeoTiff(buffer, name);
+  }
+  throw new Error(`Unsupported DEM file: ${name || "buffer"}`);
+}
+
+/**
+ * Parse an SRTM .hgt tile
+ * Tiles are square grids of big-endian 16-bit samples covering one degree,
+ * named after their south-west corner (e.g. N47W123.hgt)
+ *
+ * @param {ArrayBuffer} buffer - File contents
+ * @param {string} name - File name, used for the tile position
+ * @returns {Object} Raster
+ */
+export function parseHgt(buffer, name) {
+  const match = /^([NS])(\d{1,2})([EW])(\d{1,3})/i.exec(name);
+  if (!match) {
+    throw new Error(`Can't tell the tile position from ${name}`);
+  }
+
+  const size = Math.sqrt(buffer.byteLength / 2);
+  if (!Number.isInteger(size) || size < 2) {
+    throw new Error(`${name} is not a square SRTM tile`);
+  }
+
+  const view = new DataView(buffer);
+  const data = new Int16Array(size * size);
+  for (let i = 0; i < data.length; i++) {
+    data[i] = view.getInt16(i * 2, false);
+  }
+
+  const south = Number(match[2]) * (match[1].toUpperCase() === "N" ? 1 : -1);
+  const west = Number(match[4]) * (match[3].toUpperCase() === "E" ? 1 : -1);
+
+  return {
+    name,
+    width: size,
+    height: size,
+    originLng: west,
+    originLat: south + 1,
+    xRes: 1 / (size - 1),
+    yRes: 1 / (size - 1),
+    noData: HGT_VOID,
+    data,
+  };
+}
+
+/**
+ * Parse a single-band, uncompressed GeoTIFF in geographic coordinates
+ * Supports strip and tile layouts and 8/16/32-bit integer or 32/64-bit float
+ * samples
+ *
+ * @param {ArrayBuffer} buffer - File contents
+ * @param {string} name - File name, used in messages
+ * @returns {Object} Raster
+ */
+export function parseGeoTiff(buffer, name = "") {
+  const view = new DataView(buffer);
+  const order = String.fromCharCode(view.getUint8(0), view.getUint8(1));
+  const little = order === "II";
+  if (!little && order !== "MM") {
+    throw new Error(`${name} is not a TIFF file`);
+  }
+
+  const magic = view.getUint16(2, little);
+  if (magic === 43) throw new Error("BigTIFF files are not supported");
+  if (magic !== 42) throw new Error(`${name} is not a TIFF file`);
+
+  const tags = readIfd(view, view.getUint32(4, little), little);
+  const tag = (id, fallback) => tags.get(id) ?? fallback;
+
+  const width = tag(TIFF_TAGS.imageWidth)[0];
+  const height = tag(TIFF_TAGS.imageLength)[0];
+  const bits = tag(TIFF_TAGS.bitsPerSample, [8])[0];
+  const format = tag(TIFF_TAGS.sampleFormat, [1])[0];
+
+  if (tag(TIFF_TAGS.samplesPerPixel, [1])[0] !== 1) {
+    throw new Error("Only single-band GeoTIFFs are supported");
+  }
+  if (tag(TIFF_TAGS.compression, [1])[0] !== 1) {
+    throw new Error("Only uncompressed GeoTIFFs are supported");
+  }
+
+  // Georeferencing from pixel scale + tiepoint, or an affine transformation
+  let xRes;
+  let yRes;
+  let left;
+  let top;
+  if (
+    tags.has(TIFF_TAGS.modelPixelScale) &&
+    tags.has(TIFF_TAGS.modelTiepoint)
+  ) {
+    const [scaleX, scaleY] = tags.get(TIFF_TAGS.modelPixelScale);
+    const [i, j, , x, y] = tags.get(TIFF_TAGS.modelTiepoint);
+    xRes = scaleX;
+    yRes = scaleY;
+    left = x - i * scaleX;
+    top = y + j * scaleY;
+  } else if (tags.has(TIFF_TAGS.modelTransformation)) {
+    const matrix = tags.get(TIFF_TAGS.modelTransformation);
+    if (matrix[1] !== 0 || matrix[4] !== 0) {
+      throw new Error("Rotated GeoTIFFs are not supported");
+    }
+    xRes = matrix[0];
+    yRes = -matrix[5];
+    left = matrix[3];
+    top = matrix[7];
+  } else {
+    throw new Error(`${name} has no georeferencing`);
+  }
+
+  const geoKeys = readGeoKeys(tags.get(TIFF_TAGS.geoKeyDirectory));
+  if (geoKeys.get(GT_MODEL_TYPE) === 1) {
+    throw new Error("GeoTIFF must use geographic (lat/lng) coordinates");
+  }
+
+  // Pixel-is-area rasters sample the centre of each pixel
+  const pixelIsPoint = geoKeys.get(GT_RASTER_TYPE) === 2;
+  const originLng = pixelIsPoint ? left : left + xRes / 2;
+  const originLat = pixelIsPoint ? top : top - yRes / 2;
+
+  const noDataText = tags.get(TIFF_TAGS.gdalNoData);
+  // Samples are stored as 32-bit floats, so compare against the same precision
+  const noData = noDataText ? Math.fround(parseFloat(noDataText)) : null;
+
+  const readSample = getSampleReader(view, bits, format, little);
+  const bytesPerSample = bits / 8;
+  const data = new Float32Array(width * height);
+
+  if (tags.has(TIFF_TAGS.tileOffsets)) {
+    const tileWidth = tag(TIFF_TAGS.tileWidth)[0];
+    const tileLength = tag(TIFF_TAGS.tileLength)[0];
+    const tilesAcross = Math.ceil(width / tileWidth);
+
+    tags.get(TIFF_TAGS.tileOffsets).forEach((offset, tile) => {
+      const tileX = (tile % tilesAcross) * tileWidth;
+      const tileY = Math.floor(tile / tilesAcross) * tileLength;
+      for (let row = 0; row < tileLength && tileY + row < height; row++) {
+        for (let col = 0; col < tileWidth && tileX + col < width; col++) {
+          const position = offset + (row * tileWidth + col) * bytesPerSample;
+          data[(tileY + row) * width + tileX + col] = readSample(position);
+        }
+      }
+    });
+  } else {
+    const rowsPerStrip = tag(TIFF_TAGS.rowsPerStrip, [height])[0];
+    tag(TIFF_TAGS.stripOffsets).forEach((offset, strip) => {
+      const firstRow = strip * rowsPerStrip;
+      const rows = Math.min(rowsPerStrip, height - firstRow);
+      for (let i = 0; i < rows * width; i++) {
+        data[firstRow * width + i] = readSample(offset + i * bytesPerSample);
+      }
+    });
+  }
+
+  return {
+    name,
+    width,
+    height,
+    originLng,
+    originLat,
+    xRes,
+    yRes,
+    noData,
+    data,
+  };
+}
+
+/**
+ * Sample a raster at a point with bilinear interpolation
+ * Missing samples are left out and the remaining weights renormalised
+ *
+ * @param {Object} raster - Raster from parseHgt or parseGeoTiff
+ * @param {Object} point - Point {lat, lng}
+ * @returns {number|null} Elevation in meters, or null outside the raster
+ */
+export function sampleRaster(raster, point) {
+  const { width, height, data } = raster;
+  let x = (point.lng - raster.originLng) / raster.xRes;
+  let y = (raster.originLat - point.lat) / raster.yRes;
+
+  // Allow the outer half pixel, which belongs to the edge samples
+  if (x < -0.5 || y < -0.5 || x > width - 0.5 || y > height - 0.5) {
+    return null;
+  }
+  x = Math.min(Math.max(x, 0), width - 1);
+  y = Math.min(Math.max(y, 0), height - 1);
+
+  const x0 = Math.min(Math.floor(x), Math.max(width - 2, 0));
+  const y0 = Math.min(Math.floor(y), Math.max(height - 2, 0));
+  const fx = x - x0;
+  const fy = y - y0;
+
+  let total = 0;
+  let weights = 0;
+  const corners = [
+    [x0, y0, (1 - fx) * (1 - fy)],
+    [x0 + 1, y0, fx * (1 - fy)],
+    [x0, y0 + 1, (1 - fx) * fy],
+    [x0 + 1, y0 + 1, fx * fy],
+  ];
+  for (const [cx, cy, weight] of corners) {
+    if (weight === 0 || cx >= width || cy >= height) continue;
+    const value = data[cy * width + cx];
+    if (value === raster.noData || Number.isNaN(value)) continue;
+    total += value * weight;
+    weights += weight;
+  }
+
+  return weights > 0 ? total / weights : null;
+}
+
+/**
+ * Read a DEM source into an ArrayBuffer
+ *
+ * @param {string|Blob|ArrayBuffer} source - File path, URL, Blob or buffer
+ * @returns {Promise<ArrayBuffer>} File contents
+ */
+async function readSource(source) {
+  if (source instanceof ArrayBuffer) return source;
+  if (typeof source !== "string") return source.arrayBuffer();
+
+  const isUrl = /^https?:\/\//.test(source);
+  if (!isUrl && typeof process !== "undefined" && process.versions?.node) {
+    const fs = await import("node:fs/promises");
+    const file = await fs.readFile(source);
+    return file.buffer.slice(file.byteOffset, file.byteOffset + file.length);
+  }
+
+  const response = await fetch(source);
+  if (!response.ok) {
+    throw new Error(`Could not load DEM ${source}: ${response.status}`);
+  }
+  return response.arrayBuffer();
+}
+
+function isTiff(buffer) {
+  const bytes = new Uint8Array(buffer, 0, Math.min(4, buffer.byteLength));
+  const order = String.fromCharCode(bytes[0], bytes[1]);
+  return order === "II" || order === "MM";
+}
+
+/**
+ * Read the first image file directory of a TIFF
+ *
+ * @param {DataView} view - File contents
+ * @param {number} offset - IFD offset
+ * @param {boolean} little - Little-endian byte order
+ * @returns {Map} Tag id -> array of values (string for ASCII tags)
+ */
+function readIfd(view, offset, little) {
+  const typeSizes = {
+    1: 1,
+    2: 1,
+    3: 2,
+    4: 4,
+    5: 8,
+    6: 1,
+    8: 2,
+    9: 4,
+    11: 4,
+    12: 8,
+  };
+  const tags = new Map();
+  const count = view.getUint16(offset, little);
+
+  for (let i = 0; i < count; i++) {
+    const entry = offset + 2 + i * 12;
+    const id = view.getUint16(entry, little);
+    const type = view.getUint16(entry + 2, little);
+    const length = view.getUint32(entry + 4, little);
+    const size = typeSizes[type];
+    if (!size) continue;
+
+    const start =
+      size * length > 4 ? view.getUint32(entry + 8, little) : entry + 8;
+    const values = [];
+    for (let v = 0; v < length; v++) {
+      const position = start + v * size;
+      switch (type) {
+        case 3:
+          values.push(view.getUint16(position, little));
+          break;
+        case 4:
+          values.push(view.getUint32(position, little));
+          break;
+        case 5:
+          values.push(
+            view.getUint32(position, little) /
+              view.getUint32(position + 4, little)
+          );
+          break;
+        case 8:
+          values.push(view.getInt16(position, little));
+          break;
+        case 9:
+          values.push(view.getInt32(position, little));
+          break;
+        case 11:
+          values.push(view.getFloat32(position, little));
+          break;
+        case 12:
+          values.push(view.getFloat64(position, little));
+          break;
+        case 6:
+          values.push(view.getInt8(position));
+          break;
+        default:
+          values.push(view.getUint8(position));
+      }
+    }
+
+    tags.set(
+      id,
+      type === 2 ? String.fromCharCode(...values).replace(/\0+$/, "") : values
+    );
+  }
+
+  return tags;
+}
+
+/**
+ * Decode the GeoKeyDirectory tag
+ *
+ * @param {Array} directory - GeoKeyDirectory values
+ * @returns {Map} Key id -> inline short value
+ */
+function readGeoKeys(directory) {
+  const keys = new Map();
+  if (!directory) return keys;
+
+  const count = directory[3];
+  for (let i = 0; i < count; i++) {
+    const [id, location, , value] = directory.slice(4 + i * 4, 8 + i * 4);
+    if (location === 0) keys.set(id, value);
+  }
+  return keys;
+}
+
+/**
+ * Get a function that reads one sample at a byte offset
+ *
+ * @param {DataView} view - File contents
+ * @param {number} bits - Bits per sample
+ * @param {number} format - TIFF SampleFormat: 1 unsigned, 2 signed, 3 float
+ * @param {boolean} little - Little-endian byte order
+ * @returns {Function} (offset) => sample
+ */
+function getSampleReader(view, bits, format, little) {
+  const key = `${format}:${bits}`;
+  const readers = {
+    "1:8": (offset) => view.getUint8(offset),
+    "2:8": (offset) => view.getInt8(offset),
+    "1:16": (offset) => view.getUint16(offset, little),
+    "2:16": (offset) => view.getInt16(offset, little),
+    "1:32": (offset) => view.getUint32(offset, little),
+    "2:32": (offset) => view.getInt32(offset, little),
+    "3:32": (offset) => view.getFloat32(offset, little),
+    "3:64": (offset) => view.getFloat64(offset, little),
+  };
+  if (!readers[key]) {
+    throw new Error(`Unsupported GeoTIFF sample type ${key}`);
+  }
+  return readers[key];
+}
@@ -1,67 +1,115 @@
 /**
  * Elevation data service
  * Provides functions to fetch and cache elevation data for geographic points
+ *
+ * Lookups go through an elevation provider: the open-elevation API by default,
+ * or local DEM rasters (see demProvider.js) set with setElevationProvider.
+ * Points the provider can't answer get a simulated elevation, and every
+ * result says whether it was measured or simulated.
  */
 
-// Simple in-memory cache for elevation data
+// Simple in-memory cache for elevation results
 const elevationCache = {};
 
-// Rate limiting parameters
+// Rate limiting parameters for the open-elevation API
 const MAX_REQUESTS_PER_MINUTE = 10;
+const MAX_POINTS_PER_REQUEST = 10;
 const requestTimestamps = [];
 
 /**
- * Get elevation data for a geographic point
- * Uses caching to minimize API calls for repeatedly accessed points
- *
- * @param {Object} point - Geographic point {lat, lng}
- * @returns {Promise<number>} - Elevation in meters
+ * Elevation provider backed by the open-elevation API
+ * Looks points up in requests of up to 10 points; points it can't look up
+ * (rate limited or failed requests) come back as null
  */
-export async function getElevation(point) {
-  // Round coordinates to reduce cache size while maintaining accuracy
-  const key = `${point.lat.toFixed(6)},${point.lng.toFixed(6)}`;
+export const openElevationProvider = {
+  name: "open-elevation",
+  async getElevations(points) {
+    const elevations = [];
+
+    for (let i = 0; i < points.length; i += MAX_POINTS_PER_REQUEST) {
+      const batch = points.slice(i, i + MAX_POINTS_PER_REQUEST);
+
+      if (!checkRateLimit()) {
+        console.warn("Open-elevation rate limit reached");
+        elevations.push(...points.slice(i).map(() => null));
+        break;
+      }
 
-  // Check cache first
-  if (elevationCache[key] !== undefined) {
-    return elevationCache[key];
-  }
+      try {
+        // Format locations string for the API and use CORS proxy
+        const corsProxy = "https://corsproxy.io/?";
+        const locationsStr = batch
+          .map((point) => `${point.lat},${point.lng}`)
+          .join("|");
+        const apiUrl = `https://api.open-elevation.com/api/v1/lookup?locations=${locationsStr}`;
+
+        const response = await fetch(corsProxy + encodeURIComponent(apiUrl));
+
+        if (!response.ok) {
+          throw new Error(`Elevation API error: ${response.status}`);
+        }
+
+        const data = await response.json();
+        if (!data || !data.results || data.results.length !== batch.length) {
+          throw new Error("Invalid batch elevation data format");
+        }
+
+        elevations.push(...data.results.map((result) => result.elevation));
+      } catch (error) {
+        console.error("Error fetching batch elevation:", error);
+        elevations.push(...batch.map(() => null));
+      }
+    }
 
-  // Apply rate limiting
-  if (!checkRateLimit()) {
-    console.warn("Rate limit exceeded, using simulated elevation data");
-    return getSimulatedElevation(point);
-  }
+    return elevations;
+  },
+};
 
-  try {
-    // Use a CORS proxy to bypass CORS restrictions
-    const corsProxy = "https://corsproxy.io/?";
-    const apiUrl = `https://api.open-elevation.com/api/v1/lookup?locations=${point.lat},${point.lng}`;
-    const response = await fetch(corsProxy + encodeURIComponent(apiUrl));
+// Provider used for new lookups
+let elevationProvider = openElevationProvider;
 
-    if (!response.ok) {
-      throw new Error(`Elevation API error: ${response.status}`);
-    }
+/**
+ * Select where elevations come from
+ * Clears the cache so earlier results from another provider aren't reused
+ *
+ * @param {Object} provider - {name, getElevations(points)} resolving to one
+ *   elevation in meters (or null if unknown) per point; the open-elevation
+ *   provider is used when omitted
+ */
+export function setElevationProvider(provider) {
+  elevationProvider = provider || openElevationProvider;
+  clearElevationCache();
+  console.log(`Using ${elevationProvider.name} elevation provider`);
+}
 
-    const data = await response.json();
-    if (data && data.results && data.results.length > 0) {
-      const elevation = data.results[0].elevation;
-      elevationCache[key] = elevation; // Cache the result
-      return elevation;
-    }
+/**
+ * Get the provider used for elevation lookups
+ *
+ * @returns {Object} Current elevation provider
+ */
+export function getElevationProvider() {
+  return elevationProvider;
+}
 
-    throw new Error("Invalid elevation data format");
-  } catch (error) {
-    console.error("Error fetching elevation:", error);
-    return getSimulatedElevation(point);
-  }
+/**
+ * Get elevation data for a geographic point
+ * Uses caching to minimize lookups for repeatedly accessed points
+ *
+ * @param {Object} point - Geographic point {lat, lng}
+ * @returns {Promise<Object>} - {elevation, measured, provider} - elevation in
+ *   meters; measured is false when the value is simulated
+ */
+export async function getElevation(point) {
+  const [result] = await getBatchElevation([point]);
+  return result;
 }
 
 /**
- * Get elevation data for multiple geographic points in a single request
+ * Get elevation data for multiple geographic points in a single lookup
  * More efficient than multiple individual requests
  *
  * @param {Array<Object>} points - Array of geographic points [{lat, lng}, ...]
- * @returns {Promise<Array<number>>} - Array of elevations in meters
+ * @returns {Promise<Array<Object>>} - {elevation, measured, provider} per point
  */
 export async function getBatchElevation(points) {
   if (!points || points.length === 0) {
@@ -74,7 +122,7 @@ export async function getBatchElevation(points) {
   const indexMap = {};
 
   points.forEach((point, index) => {
-    const key = `${point.lat.toFixed(6)},${point.lng.toFixed(6)}`;
+    const key = getCacheKey(point);
     if (elevationCache[key] !== undefined) {
       results[index] = elevationCache[key];
     } else {
@@ -88,68 +136,55 @@ export async function getBatchElevation(points) {
     return results;
   }
 
-  // If too many uncached points or rate limited, use simulated data
-  if (uncachedPoints.length > 10 || !checkRateLimit()) {
-    console.warn(
-      "Using simulated elevation data due to rate limits or batch size"
-    );
-    uncachedPoints.forEach((point, i) => {
-      const originalIndex = indexMap[i];
-      const key = `${point.lat.toFixed(6)},${point.lng.toFixed(6)}`;
-      const elevationValue = getSimulatedElevation(point);
-
-      elevationCache[key] = elevationValue;
-      results[originalIndex] = elevationValue;
-    });
-
-    return results;
-  }
-
+  let elevations = [];
   try {
-    // Format locations string for the API and use CORS proxy
-    const corsProxy = "https://corsproxy.io/?";
-    const locationsStr = uncachedPoints
-      .map((point) => `${point.lat},${point.lng}`)
-      .join("|");
-    const apiUrl = `https://api.open-elevation.com/api/v1/lookup?locations=${locationsStr}`;
-
-    const response = await fetch(corsProxy + encodeURIComponent(apiUrl));
-
-    if (!response.ok) {
-      throw new Error(`Elevation API error: ${response.status}`);
-    }
-
-    const data = await response.json();
-    if (data && data.results && data.results.length === uncachedPoints.length) {
-      // Process and cache results
-      data.results.forEach((result, i) => {
-        const originalIndex = indexMap[i];
-        const point = uncachedPoints[i];
-        const key = `${point.lat.toFixed(6)},${point.lng.toFixed(6)}`;
-
-        elevationCache[key] = result.elevation;
-        results[originalIndex] = result.elevation;
-      });
+    elevations = await elevationProvider.getElevations(uncachedPoints);
+  } catch (error) {
+    console.error(`Error in ${elevationProvider.name} provider:`, error);
+  }
 
-      return results;
+  // Fall back to simulated elevations where the provider had no answer
+  let simulatedCount = 0;
+  uncachedPoints.forEach((point, i) => {
+    const elevation = elevations[i];
+    let result;
+    if (Number.isFinite(elevation)) {
+      result = {
+        elevation,
+        measured: true,
+        provider: elevationProvider.name,
+      };
+    } else {
+      result = {
+        elevation: getSimulatedElevation(point),
+        measured: false,
+        provider: "simulated",
+      };
+      simulatedCount++;
     }
 
-    throw new Error("Invalid batch elevation data format");
-  } catch (error) {
-    console.error("Error fetching batch elevation:", error);
+    elevationCache[getCacheKey(point)] = result;
+    results[indexMap[i]] = result;
+  });
 
-    // Fall back to simulated elevations
-    uncachedPoints.forEach((point, i) => {
-      const originalIndex = indexMap[i];
-      const key = `${point.lat.toFixed(6)},${point.lng.toFixed(6)}`;
-      const elevationValue = getSimulatedElevation(point);
+  if (simulatedCount > 0) {
+    console.warn(
+      `Using simulated elevation data for ${simulatedCount} of ${uncachedPoints.length} points`
+    );
+  }
 
-      elevationCache[key] = elevationValue;
-      results[originalIndex] = elevationValue;
-    });
+  return results;
+}
 
-    return results;
-  }
+/**
+ * Cache key for a point
+ * Rounds coordinates to reduce cache size while maintaining accuracy
+ *
+ * @param {Object} point - Geographic point {lat, lng}
+ * @returns {string} Cache key
+ */
+function getCacheKey(point) {
+  return `${point.lat.toFixed(6)},${point.lng.toFixed(6)}`;
 }
 
 /**
@@ -229,9 +264,13 @@ export async function preloadElevationData(bounds, resolution = 5) {
     console.log(`Preloading elevation data for ${points.length} points`);
     // Use simulated data for preloading to avoid rate limits
     points.forEach((point) => {
-      const key = `${point.lat.toFixed(6)},${point.lng.toFixed(6)}`;
+      const key = getCacheKey(point);
       if (elevationCache[key] === undefined) {
-        elevationCache[key] = getSimulatedElevation(point);
+        elevationCache[key] = {
+          elevation: getSimulatedElevation(point),
+          measured: false,
+          provider: "simulated",
+        };
       }
     });
     console.log("Elevation data preloaded successfully (simulated)");
@@ -0,0 +1,249 @@
+/**
+ * Exporting map data as files
+ * Results are serialised in the browser and handed to the user as a
+ * download, without a round trip to a server.
+ */
+
+/**
+ * Let the user download text as a file
+ *
+ * @param {string} filename - Suggested file name, e.g. "isochrones.geojson"
+ * @param {string} content - File contents
+ * @param {string} mimeType - MIME type of the contents
+ */
+export function downloadFile(filename, content, mimeType = "text/plain") {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser a moment to start the download before freeing the data
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// File extension and MIME type of each route export format
+export const ROUTE_EXPORT_FORMATS = {
+  gpx: { extension: "gpx", mimeType: "application/gpx+xml" },
+  geojson: { extension: "geojson", mimeType: "application/geo+json" },
+  kml: { extension: "kml", mimeType: "application/vnd.google-earth.kml+xml" },
+};
+
+/**
+ * Let the user download computed routes in a GPS or GIS format
+ *
+ * @param {string} format - "gpx", "geojson" or "kml"
+ * @param {Array} routes - Routes {algorithm, label, color, path, distance,
+ *   duration, nodesExplored}; path is a list of points {lat, lng},
+ *   distance is in meters and duration in seconds
+ * @param {Array} waypoints - Selected points {lat, lng}, in visiting order
+ */
+export function exportRoutes(format, routes, waypoints = []) {
+  const { extension, mimeType } = ROUTE_EXPORT_FORMATS[format];
+  const serializers = {
+    gpx: routesToGPX,
+    geojson: (...args) => JSON.stringify(routesToGeoJSON(...args)),
+    kml: routesToKML,
+  };
+  downloadFile(
+    `route.${extension}`,
+    serializers[format](routes, waypoints),
+    mimeType
+  );
+}
+
+/**
+ * Write routes as a GeoJSON FeatureCollection
+ * Each route is a LineString feature and each waypoint a Point feature.
+ *
+ * @param {Array} routes - Routes as for exportRoutes
+ * @param {Array} waypoints - Points {lat, lng}
+ * @returns {Object} FeatureCollection
+ */
+export function routesToGeoJSON(routes, waypoints = []) {
+  return {
+    type: "FeatureCollection",
+    features: [
+      ...routes.map((route) => ({
+        type: "Feature",
+        properties: {
+          algorithm: route.algorithm,
+          name: route.label,
+          distance: route.distance,
+          duration: route.duration,
+          nodesExplored: route.nodesExplored ?? null,
+          stroke: route.color,
+        },
+        geometry: {
+          type: "LineString",
+          coordinates: route.path.map((point) => [point.lng, point.lat]),
+        },
+      })),
+      ...waypoints.map((point, index) => ({
+        type: "Feature",
+        properties: { name: getWaypointName(index) },
+        geometry: { type: "Point", coordinates: [point.lng, point.lat] },
+      })),
+    ],
+  };
+}
+
+/**
+ * Write routes as a GPX 1.1 document, one track per route
+ *
+ * @param {Array} routes - Routes as for exportRoutes
+ * @param {Array} waypoints - Points {lat, lng}
+ * @returns {string} GPX XML
+ */
+export function routesToGPX(routes, waypoints = []) {
+  const wpts = waypoints.map(
+    (point, index) =>
+      `  <wpt lat="${point.lat}" lon="${point.lng}">` +
+      `<name>${getWaypointName(index)}</name></wpt>`
+  );
+  const tracks = routes.map((route) =>
+    [
+      "  <trk>",
+      `    <name>${escapeXml(route.label)}</name>`,
+      `    <desc>${escapeXml(describeRoute(route))}</desc>`,
+      `    <type>${escapeXml(route.algorithm)}</type>`,
+      "    <trkseg>",
+      ...route.path.map(
+        (point) => `      <trkpt lat="${point.lat}" lon="${point.lng}"/>`
+      ),
+      "    </trkseg>",
+      "  </trk>",
+    ].join("\n")
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Seattle Pathfinding" xmlns="http://www.topografix.com/GPX/1/1">',
+    ...wpts,
+    ...tracks,
+    "</gpx>",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Write routes as a KML document, each line styled in its map color
+ *
+ * @param {Array} routes - Routes as for exportRoutes
+ * @param {Array} waypoints - Points {lat, lng}
+ * @returns {string} KML XML
+ */
+export function routesToKML(routes, waypoints = []) {
+  const styles = routes.map((route) =>
+    [
+      `    <Style id="${escapeXml(route.algorithm)}">`,
+      "      <LineStyle>",
+      `        <color>${toKmlColor(route.color)}</color>`,
+      "        <width>4</width>",
+      "      </LineStyle>",
+      "    </Style>",
+    ].join("\n")
+  );
+  const lines = routes.map((route) =>
+    [
+      "    <Placemark>",
+      `      <name>${escapeXml(route.label)}</name>`,
+      `      <description>${escapeXml(describeRoute(route))}</description>`,
+      `      <styleUrl>#${escapeXml(route.algorithm)}</styleUrl>`,
+      "      <LineString>",
+      "        <tessellate>1</tessellate>",
+      `        <coordinates>${route.path
+        .map((point) => `${point.lng},${point.lat}`)
+        .join(" ")}</coordinates>`,
+      "      </LineString>",
+      "    </Placemark>",
+    ].join("\n")
+  );
+  const points = waypoints.map((point, index) =>
+    [
+      "    <Placemark>",
+      `      <name>${getWaypointName(index)}</name>`,
+      `      <Point><coordinates>${point.lng},${point.lat}</coordinates></Point>`,
+      "    </Placemark>",
+    ].join("\n")
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    "  <Document>",
+    "    <name>Seattle Pathfinding routes</name>",
+    ...styles,
+    ...lines,
+    ...points,
+    "  </Document>",
+    "</kml>",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Name a waypoint as the map labels it
+ *
+ * @param {number} index - Waypoint index
+ * @returns {string} e.g. "Point 1"
+ */
+function getWaypointName(index) {
+  return `Point ${index + 1}`;
+}
+
+/**
+ * Summarise a route's length and search effort in one line
+ *
+ * @param {Object} route - Route as for exportRoutes
+ * @returns {string} e.g. "5.21 km, 12.4 min, 1,532 nodes explored"
+ */
+function describeRoute(route) {
+  const parts = [
+    `${(route.distance / 1000).toFixed(2)} km`,
+    `${(route.duration / 60).toFixed(1)} min`,
+  ];
+  if (route.nodesExplored !== null && route.nodesExplored !== undefined) {
+    parts.push(`${route.nodesExplored.toLocaleString()} nodes explored`);
+  }
+  return parts.join(", ");
+}
+
+// KML's own default line color, for colors that aren't CSS hex
+const DEFAULT_KML_COLOR = "ffffffff";
+
+/**
+ * Convert a CSS hex color to KML's opaque aabbggrr form
+ * Short "#rgb" colors are expanded; colors that aren't hex get the default.
+ *
+ * @param {string} color - Color such as "#EA4335" or "#f50"
+ * @returns {string} e.g. "ff3543ea"
+ */
+export function toKmlColor(color) {
+  const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(color).trim());
+  if (!match) return DEFAULT_KML_COLOR;
+
+  const digits = match[1].toLowerCase();
+  const hex =
+    digits.length === 3
+      ? digits.replace(/./g, (digit) => digit + digit)
+      : digits;
+  return `ff${hex.slice(4, 6)}${hex.slice(2, 4)}${hex.slice(0, 2)}`;
+}
+
+/**
+ * Escape text for an XML element or attribute
+ *
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
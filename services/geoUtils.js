@@ -26,30 +26,51 @@ export function calculateHaversineDistance(point1, point2) {
   return R * c; // Distance in meters
 }
 
+/**
+ * Calculate the initial compass bearing from one point to another
+ * 
+ * @param {Object} point1 - Start point {lat, lng}
+ * @param {Object} point2 - End point {lat, lng}
+ * @returns {number} Bearing in degrees clockwise from north (0-360)
+ */
+export function calculateBearing(point1, point2) {
+  const φ1 = (point1.lat * Math.PI) / 180;
+  const φ2 = (point2.lat * Math.PI) / 180;
+  const Δλ = ((point2.lng - point1.lng) * Math.PI) / 180;
+
+  const y = Math.sin(Δλ) * Math.cos(φ2);
+  const x =
+    Math.cos(φ1) * Math.sin(φ2) - Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ);
+
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+}
+
 /**
  * Encode an array of points into a Google Polyline Format string
  * This format allows efficient encoding of path data for APIs and storage
  * 
  * @param {Array} points - Array of {lat, lng} points to encode
+ * @param {number} precision - Decimal places kept (5, or 6 for polyline6)
  * @returns {string} Encoded polyline string
  */
-export function encodePolyline(points) {
+export function encodePolyline(points, precision = 5) {
+  const factor = 10 ** precision;
   let result = "";
   let lat = 0;
   let lng = 0;
 
   // Process each point
   for (const point of points) {
-    // Calculate difference from previous point (delta encoding)
-    const latDiff = Math.round((point.lat - lat) * 1e5);
-    const lngDiff = Math.round((point.lng - lng) * 1e5);
+    // Round first so rounding errors don't build up along the line
+    const pointLat = Math.round(point.lat * factor);
+    const pointLng = Math.round(point.lng * factor);
 
-    // Update reference points for next iteration
-    lat = point.lat;
-    lng = point.lng;
+    // Encode the difference from the previous point (delta encoding)
+    result += encodeNumber(pointLat - lat) + encodeNumber(pointLng - lng);
 
-    // Encode the differences and append to result
-    result += encodeNumber(latDiff) + encodeNumber(lngDiff);
+    // Update reference points for next iteration
+    lat = pointLat;
+    lng = pointLng;
   }
 
   return result;
@@ -82,9 +103,11 @@ function encodeNumber(num) {
  * Decode a Google Polyline Format string into an array of points
  * 
  * @param {string} encoded - Encoded polyline string
+ * @param {number} precision - Decimal places it was encoded with
  * @returns {Array} Array of {lat, lng} points
  */
-export function decodePolyline(encoded) {
+export function decodePolyline(encoded, precision = 5) {
+  const factor = 10 ** precision;
   const points = [];
   let index = 0;
   let lat = 0;
@@ -123,8 +146,8 @@ export function decodePolyline(encoded) {
 
     // Add the point to our array, converting back to decimal degrees
     points.push({
-      lat: lat * 1e-5,
-      lng: lng * 1e-5,
+      lat: lat / factor,
+      lng: lng / factor,
     });
   }
 
@@ -1,48 +1,204 @@
-import { fetchStreetData, buildStreetGraph } from "./routing/graphUtils.js";
+import {
+  fetchStreetData,
+  buildStreetGraph,
+  buildEdgeExpandedGraph,
+  annotateGraphElevation,
+  EXCLUDED_HIGHWAY_PATTERN,
+} from "./routing/graphUtils.js";
+import { buildSpatialIndex } from "./routing/spatialIndex.js";
+import { loadOsmFile } from "./routing/osmImport.js";
+import { DEFAULT_PROFILE } from "./routing/osmRules.js";
+import { getElevationProvider } from "./elevationService.js";
+import {
+  buildContractionHierarchy,
+  serializeContractionHierarchy,
+  deserializeContractionHierarchy,
+  matchesGraph,
+} from "./routing/contractionHierarchy.js";
+import {
+  buildLandmarkTables,
+  serializeLandmarkTables,
+  deserializeLandmarkTables,
+  tablesMatchGraph,
+} from "./routing/landmarks.js";
+import {
+  getGraphCacheKey,
+  loadGraphSnapshot,
+  saveGraphSnapshot,
+  deleteGraphSnapshots,
+  loadGraphDataSnapshot,
+  saveGraphDataSnapshot,
+} from "./graphStore.js";
 
-// Cache for the Seattle street graph
-let cachedGraph = null;
-let isLoading = false;
-let loadPromise = null;
+// Cache for the Seattle street graphs, keyed like their snapshots so each
+// set of bounds, profile and data source gets its own graph
+const cachedGraphs = new Map();
+const loadPromises = new Map();
+
+// Where each cached graph came from and when its data was fetched, by key
+const snapshotInfos = new Map();
+
+// Spatial indexes, built once per graph
+const spatialIndexes = new WeakMap();
+
+// Edge-expanded graphs, built once per graph and turn penalty table
+const edgeExpandedGraphs = new WeakMap();
+
+// Contraction hierarchies and landmark tables, built once per graph and
+// metric
+const graphData = new WeakMap();
+
+/**
+ * Expand the Seattle bounds for comprehensive coverage
+ *
+ * @param {Object} bounds - Geographic bounds of Seattle
+ * @returns {Object} Bounds padded by 0.2 degrees on each side
+ */
+function getExpandedBounds(bounds) {
+  return {
+    south: bounds.south - 0.2,
+    north: bounds.north + 0.2,
+    west: bounds.west - 0.2,
+    east: bounds.east + 0.2,
+  };
+}
+
+/**
+ * Describe the data source in the snapshot key
+ *
+ * @param {Object} options - getSeattleGraph options
+ * @returns {Promise<string>} Highway filter, plus profile, elevation
+ *   provider, file and speed table
+ */
+async function getSourceFilter(options = {}) {
+  let filter = EXCLUDED_HIGHWAY_PATTERN;
+  filter += `|profile:${options.profile || DEFAULT_PROFILE}`;
+  filter += `|elevation:${getElevationProvider().name}`;
+  if (options.osmFile) {
+    filter += `|file:${await describeOsmFile(options.osmFile)}`;
+  }
+  if (options.speedTable) {
+    filter += `|speeds:${JSON.stringify(options.speedTable)}`;
+  }
+  return filter;
+}
+
+/**
+ * Identify a local OSM file by name, size and modification time, so a new
+ * extract saved under the same name gets its own snapshot
+ *
+ * @param {string|Blob} osmFile - File path (Node) or Blob/File (browser)
+ * @returns {Promise<string>} e.g. "seattle.osm.pbf:1048576:1700000000000"
+ */
+async function describeOsmFile(osmFile) {
+  if (typeof osmFile === "string") {
+    const fs = await import("node:fs");
+    const stats = await fs.promises.stat(osmFile);
+    return `${osmFile}:${stats.size}:${Math.round(stats.mtimeMs)}`;
+  }
+  return `${osmFile.name || "blob"}:${osmFile.size}:${
+    osmFile.lastModified ?? ""
+  }`;
+}
 
 /**
  * Load and cache the Seattle street graph
+ * Checks memory first, then the persistent snapshot store, and only fetches
+ * from Overpass when neither has a graph for these bounds. Elevations that
+ * had to be simulated are looked up again whenever a snapshot is loaded.
  *
  * @param {Object} bounds - Geographic bounds of Seattle
+ * @param {Object} options - {refresh: true} skips the in-memory graph and
+ *   the persistent snapshot and reloads from the source;
+ *   {osmFile} builds the graph from a local OSM extract instead of Overpass;
+ *   {speedTable} overrides the km/h per highway class used for travel times;
+ *   {profile} selects the travel profile ("driving", "cycling", "walking")
  * @returns {Promise<Array>} Graph of street nodes
  */
-export async function getSeattleGraph(bounds) {
+export async function getSeattleGraph(bounds, options = {}) {
+  const profile = options.profile || DEFAULT_PROFILE;
+
+  // Use expanded bounds for comprehensive coverage
+  const expandedBounds = getExpandedBounds(bounds);
+  const cacheKey = getGraphCacheKey(
+    expandedBounds,
+    await getSourceFilter(options)
+  );
+
+  // A refresh replaces whatever is cached for this key
+  if (options.refresh) {
+    cachedGraphs.delete(cacheKey);
+    loadPromises.delete(cacheKey);
+    snapshotInfos.delete(cacheKey);
+  }
+
   // If we already have a cached graph, return it
-  if (cachedGraph) {
-    console.log("Using cached Seattle graph");
-    return cachedGraph;
+  if (cachedGraphs.has(cacheKey)) {
+    console.log(`Using cached Seattle graph (${profile})`);
+    return cachedGraphs.get(cacheKey);
   }
 
   // If already loading, return the existing promise
-  if (isLoading) {
+  if (loadPromises.has(cacheKey)) {
     console.log("Graph loading in progress, waiting...");
-    return loadPromise;
+    return loadPromises.get(cacheKey);
   }
 
   // Start loading
-  isLoading = true;
-  console.log("Initializing Seattle graph - first load");
+  console.log(`Initializing Seattle graph (${profile}) - first load`);
 
   // Define the full Seattle area
   const fullAreaStart = { lat: bounds.south, lng: bounds.west };
   const fullAreaEnd = { lat: bounds.north, lng: bounds.east };
 
-  // Use expanded bounds for comprehensive coverage
-  const expandedBounds = {
-    south: bounds.south - 0.2,
-    north: bounds.north + 0.2,
-    west: bounds.west - 0.2,
-    east: bounds.east + 0.2,
+  // Street data comes from a local OSM file when one is given
+  const fetchData = options.osmFile
+    ? () => loadOsmFile(options.osmFile, { bounds: expandedBounds })
+    : () => fetchStreetData(fullAreaStart, fullAreaEnd, expandedBounds);
+
+  // Measure elevations and store the graph. The default provider is rate
+  // limited, so large graphs keep some simulated elevations; nodes record
+  // which, and later loads measure only those again
+  const annotateAndSave = async (graph, source, fetchedAt) => {
+    await annotateGraphElevation(graph);
+    const createdAt = await saveGraphSnapshot(cacheKey, graph);
+    snapshotInfos.set(cacheKey, {
+      key: cacheKey,
+      profile,
+      source,
+      createdAt: createdAt || fetchedAt,
+      persisted: createdAt !== null,
+      elevationMeasured: getMeasuredElevationShare(graph),
+    });
+    return graph;
   };
 
-  // Create a promise to load the data
-  loadPromise = fetchStreetData(fullAreaStart, fullAreaEnd, expandedBounds)
-    .then((streetData) => {
+  // Look up the simulated elevations of a stored graph again, saving it
+  // only if some of them are measured now
+  const remeasureSnapshot = async (snapshot) => {
+    const { graph } = snapshot;
+    const before = getMeasuredElevationShare(graph);
+    if (before < 1) {
+      await annotateGraphElevation(graph, { simulatedOnly: true });
+    }
+    const elevationMeasured = getMeasuredElevationShare(graph);
+    const createdAt =
+      elevationMeasured > before
+        ? await saveGraphSnapshot(cacheKey, graph)
+        : null;
+    snapshotInfos.set(cacheKey, {
+      key: cacheKey,
+      profile,
+      source: "snapshot",
+      createdAt: createdAt || snapshot.createdAt,
+      persisted: true,
+      elevationMeasured,
+    });
+    return graph;
+  };
+
+  const loadFromSource = () =>
+    fetchData().then((streetData) => {
       console.log(
         `Fetched Seattle street data: ${
           streetData?.elements?.length || 0
@@ -57,26 +213,235 @@ export async function getSeattleGraph(bounds) {
         throw new Error("Insufficient Seattle street data");
       }
 
-      cachedGraph = buildStreetGraph(streetData);
-      console.log(`Built Seattle graph with ${cachedGraph?.length || 0} nodes`);
-      isLoading = false;
-      return cachedGraph;
+      const graph = buildStreetGraph(streetData, {
+        speedTable: options.speedTable,
+        profile,
+      });
+
+      // Elevations are fetched once here so searches can use edge grades
+      return annotateAndSave(
+        graph,
+        options.osmFile ? "file" : "network",
+        Date.now()
+      );
+    });
+
+  // Create a promise to load the data
+  const loadPromise = Promise.resolve(
+    options.refresh ? null : loadGraphSnapshot(cacheKey)
+  )
+    .then((snapshot) => {
+      if (snapshot) {
+        console.log(
+          `Loaded Seattle graph snapshot from ${new Date(
+            snapshot.createdAt
+          ).toISOString()}`
+        );
+        return remeasureSnapshot(snapshot);
+      }
+      return loadFromSource();
+    })
+    .then((graph) => {
+      cachedGraphs.set(cacheKey, graph);
+      console.log(`Built Seattle graph with ${graph?.length || 0} nodes`);
+      getSpatialIndex(graph);
+      loadPromises.delete(cacheKey);
+      return graph;
     })
     .catch((error) => {
       console.error("Error loading Seattle graph:", error);
-      isLoading = false;
+      loadPromises.delete(cacheKey);
       throw error;
     });
 
+  loadPromises.set(cacheKey, loadPromise);
   return loadPromise;
 }
 
+/**
+ * Share of a graph's node elevations that were measured, not simulated
+ *
+ * @param {Array} graph - Graph of street nodes
+ * @returns {number} Between 0 and 1; 1 for an empty graph
+ */
+function getMeasuredElevationShare(graph) {
+  if (graph.length === 0) return 1;
+  const measured = graph.filter((node) => node.elevationMeasured).length;
+  return measured / graph.length;
+}
+
+/**
+ * Get the spatial index for a graph, building it on first use
+ *
+ * @param {Array} graph - Graph of street nodes
+ * @returns {SpatialIndex} Index for nearest/k-nearest/radius queries and snapping
+ */
+export function getSpatialIndex(graph) {
+  if (!spatialIndexes.has(graph)) {
+    spatialIndexes.set(graph, buildSpatialIndex(graph));
+  }
+  return spatialIndexes.get(graph);
+}
+
+/**
+ * Get the edge-expanded graph for turn-aware routing, building it on first use
+ *
+ * @param {Array} graph - Graph of street nodes
+ * @param {Object} turnPenalties - Overrides for DEFAULT_TURN_PENALTIES
+ * @returns {Object} Edge-expanded graph from buildEdgeExpandedGraph
+ */
+export function getEdgeExpandedGraph(graph, turnPenalties) {
+  if (!edgeExpandedGraphs.has(graph)) {
+    edgeExpandedGraphs.set(graph, new Map());
+  }
+
+  const byPenalties = edgeExpandedGraphs.get(graph);
+  const key = JSON.stringify(turnPenalties || {});
+  if (!byPenalties.has(key)) {
+    byPenalties.set(key, buildEdgeExpandedGraph(graph, { turnPenalties }));
+  }
+  return byPenalties.get(key);
+}
+
+/**
+ * Get the contraction hierarchy for a graph
+ * Loads the hierarchy stored next to the graph snapshot when it was built
+ * from the same data, and otherwise builds and stores it
+ *
+ * @param {Array} graph - Graph of street nodes
+ * @param {string} metric - Cost metric ("distance", "time" or "elevation")
+ * @returns {Promise<Object>} Hierarchy from buildContractionHierarchy
+ */
+export function getContractionHierarchy(graph, metric = "distance") {
+  return getGraphData(graph, `hierarchy:${metric}`, {
+    build: () => buildContractionHierarchy(graph, { metric }),
+    serialize: serializeContractionHierarchy,
+    deserialize: (data) => {
+      const hierarchy = deserializeContractionHierarchy(data);
+      return matchesGraph(hierarchy, graph) ? hierarchy : null;
+    },
+  });
+}
+
+/**
+ * Get the ALT landmark tables for a graph
+ * Loads the tables stored next to the graph snapshot when they were built
+ * from the same data, and otherwise builds and stores them
+ *
+ * @param {Array} graph - Graph of street nodes
+ * @param {string} metric - Cost metric ("distance", "time" or "elevation")
+ * @returns {Promise<Object>} Tables from buildLandmarkTables
+ */
+export function getLandmarkTables(graph, metric = "distance") {
+  return getGraphData(graph, `landmarks:${metric}`, {
+    build: () => buildLandmarkTables(graph, { metric }),
+    serialize: serializeLandmarkTables,
+    deserialize: (data) => {
+      const tables = deserializeLandmarkTables(data);
+      return tablesMatchGraph(tables, graph) ? tables : null;
+    },
+  });
+}
+
+/**
+ * Get data derived from a graph, loading or building it once
+ *
+ * @param {Array} graph - Graph of street nodes
+ * @param {string} kind - What the data is, e.g. "hierarchy:distance"
+ * @param {Object} handlers - {build, serialize, deserialize}; deserialize
+ *   returns null when the stored data does not fit the graph
+ * @returns {Promise<Object>} The data
+ */
+function getGraphData(graph, kind, handlers) {
+  if (!graphData.has(graph)) {
+    graphData.set(graph, new Map());
+  }
+
+  const byKind = graphData.get(graph);
+  if (!byKind.has(kind)) {
+    const dataPromise = loadGraphData(graph, kind, handlers).catch((error) => {
+      byKind.delete(kind);
+      throw error;
+    });
+    byKind.set(kind, dataPromise);
+  }
+  return byKind.get(kind);
+}
+
+/**
+ * Load data stored next to the graph snapshot, or build and store it
+ *
+ * @param {Array} graph - Graph of street nodes
+ * @param {string} kind - What the data is
+ * @param {Object} handlers - {build, serialize, deserialize}
+ * @returns {Promise<Object>} The data
+ */
+async function loadGraphData(graph, kind, { build, serialize, deserialize }) {
+  // Only cached graphs have a snapshot to store the data next to
+  const key = [...cachedGraphs].find(([, cached]) => cached === graph)?.[0];
+  const info = key ? snapshotInfos.get(key) : null;
+
+  if (info) {
+    const data = await loadGraphDataSnapshot(info.key, kind, info.createdAt);
+    const result = data && deserialize(data);
+    if (result) {
+      console.log(`Loaded ${kind} from snapshot`);
+      return result;
+    }
+  }
+
+  const result = await build();
+  if (info?.persisted) {
+    await saveGraphDataSnapshot(
+      info.key,
+      kind,
+      info.createdAt,
+      serialize(result)
+    );
+  }
+  return result;
+}
+
+/**
+ * Report where a cached graph came from and when its data was fetched
+ *
+ * @param {string} profile - Travel profile of the graph
+ * @returns {Object|null} {key, profile, source: "network"|"file"|"snapshot",
+ *   createdAt, persisted, elevationMeasured} of the graph of that profile
+ *   loaded last, or null - persisted is false when the graph was not saved
+ *   and elevationMeasured is the share of measured node elevations
+ */
+export function getGraphSnapshotInfo(profile = DEFAULT_PROFILE) {
+  const infos = [...snapshotInfos.values()];
+  return infos.reverse().find((info) => info.profile === profile) || null;
+}
+
+/**
+ * Invalidate the persistent graph snapshot and the in-memory cache
+ * The next getSeattleGraph call re-downloads and rebuilds the graph
+ *
+ * @param {Object} bounds - Bounds whose snapshot to delete; deletes all if omitted
+ * @param {Object} options - Same source options as getSeattleGraph
+ * @returns {Promise<void>}
+ */
+export async function invalidateGraphCache(bounds, options = {}) {
+  const key = bounds
+    ? getGraphCacheKey(
+        getExpandedBounds(bounds),
+        await getSourceFilter(options)
+      )
+    : undefined;
+  await deleteGraphSnapshots(key);
+  clearCache();
+  console.log("Seattle graph snapshot invalidated");
+}
+
 /**
  * Clear the cached graph (useful for testing or when bounds change)
  */
 export function clearCache() {
-  cachedGraph = null;
-  isLoading = false;
-  loadPromise = null;
+  cachedGraphs.clear();
+  loadPromises.clear();
+  snapshotInfos.clear();
   console.log("Seattle graph cache cleared");
 }
@@ -0,0 +1,379 @@
+/**
+ * Persistent storage for built street graphs
+ * Snapshots are kept in IndexedDB in the browser and in a cache directory in
+ * Node, so the graph survives page reloads and test runs
+ */
+
+// Bump whenever the graph structure or serialization format changes
+export const GRAPH_SCHEMA_VERSION = 6;
+
+// Bump whenever the format of data stored next to a graph changes
+export const GRAPH_DATA_SCHEMA_VERSION = 1;
+
+// Data stored next to a graph, one entry per kind and metric
+const GRAPH_DATA_KINDS = ["hierarchy", "landmarks"];
+const GRAPH_DATA_METRICS = ["distance", "time", "elevation"];
+
+const DB_NAME = "seattle-pathfinding";
+const STORE_NAME = "graphSnapshots";
+const DEFAULT_CACHE_DIR = ".cache/graphs";
+
+let backendPromise = null;
+
+/**
+ * Build the cache key for a graph snapshot
+ *
+ * @param {Object} bounds - Geographic bounds the graph was fetched for
+ * @param {string} filter - Road filter used in the Overpass query
+ * @returns {string} Key identifying the snapshot
+ */
+export function getGraphCacheKey(bounds, filter) {
+  const box = [bounds.south, bounds.west, bounds.north, bounds.east]
+    .map((value) => Number(value).toFixed(6))
+    .join(",");
+  return `graph:v${GRAPH_SCHEMA_VERSION}:${box}:${hashString(filter)}`;
+}
+
+/**
+ * Load a graph snapshot from persistent storage
+ *
+ * @param {string} key - Snapshot key from getGraphCacheKey
+ * @returns {Promise<Object|null>} {graph, createdAt} or null if not stored
+ */
+export async function loadGraphSnapshot(key) {
+  try {
+    const backend = await getBackend();
+    const record = backend ? await backend.get(key) : null;
+
+    if (!record || record.version !== GRAPH_SCHEMA_VERSION) {
+      return null;
+    }
+
+    return {
+      graph: deserializeGraph(record.data),
+      createdAt: record.createdAt,
+    };
+  } catch (error) {
+    console.warn("Could not read graph snapshot:", error);
+    return null;
+  }
+}
+
+/**
+ * Save a graph snapshot to persistent storage
+ *
+ * @param {string} key - Snapshot key from getGraphCacheKey
+ * @param {Array} graph - Graph of street nodes
+ * @returns {Promise<number|null>} Snapshot timestamp, or null if not saved
+ */
+export async function saveGraphSnapshot(key, graph) {
+  try {
+    const backend = await getBackend();
+    if (!backend) return null;
+
+    const createdAt = Date.now();
+    await backend.set(key, {
+      version: GRAPH_SCHEMA_VERSION,
+      createdAt,
+      data: serializeGraph(graph),
+    });
+    return createdAt;
+  } catch (error) {
+    console.warn("Could not write graph snapshot:", error);
+    return null;
+  }
+}
+
+/**
+ * Load data derived from a graph, stored next to the graph snapshot
+ *
+ * @param {string} graphKey - Key of the graph snapshot it was built from
+ * @param {string} kind - What the data is, e.g. "hierarchy:distance"
+ * @param {number} graphCreatedAt - Timestamp of the graph it must match
+ * @returns {Promise<Object|null>} Stored data, or null if not stored or
+ *   built from an older graph
+ */
+export async function loadGraphDataSnapshot(graphKey, kind, graphCreatedAt) {
+  try {
+    const backend = await getBackend();
+    const record = backend
+      ? await backend.get(getGraphDataKey(graphKey, kind))
+      : null;
+
+    if (
+      !record ||
+      record.version !== GRAPH_DATA_SCHEMA_VERSION ||
+      record.graphCreatedAt !== graphCreatedAt
+    ) {
+      return null;
+    }
+    return record.data;
+  } catch (error) {
+    console.warn(`Could not read ${kind} snapshot:`, error);
+    return null;
+  }
+}
+
+/**
+ * Save data derived from a graph next to the graph snapshot
+ *
+ * @param {string} graphKey - Key of the graph snapshot it was built from
+ * @param {string} kind - What the data is, e.g. "hierarchy:distance"
+ * @param {number} graphCreatedAt - Timestamp of the graph it was built from
+ * @param {Object} data - Structured-clone and JSON friendly data
+ * @returns {Promise<boolean>} True if saved
+ */
+export async function saveGraphDataSnapshot(
+  graphKey,
+  kind,
+  graphCreatedAt,
+  data
+) {
+  try {
+    const backend = await getBackend();
+    if (!backend) return false;
+
+    await backend.set(getGraphDataKey(graphKey, kind), {
+      version: GRAPH_DATA_SCHEMA_VERSION,
+      graphCreatedAt,
+      data,
+    });
+    return true;
+  } catch (error) {
+    console.warn(`Could not write ${kind} snapshot:`, error);
+    return false;
+  }
+}
+
+/**
+ * Remove graph snapshots from persistent storage
+ * Data stored next to a graph (hierarchies, landmark tables) goes with it
+ *
+ * @param {string} key - Snapshot key to remove; removes all snapshots if omitted
+ * @returns {Promise<void>}
+ */
+export async function deleteGraphSnapshots(key) {
+  const backend = await getBackend();
+  if (!backend) return;
+
+  if (key) {
+    await backend.delete(key);
+    for (const kind of GRAPH_DATA_KINDS) {
+      for (const metric of GRAPH_DATA_METRICS) {
+        await backend.delete(getGraphDataKey(key, `${kind}:${metric}`));
+      }
+    }
+  } else {
+    await backend.clear();
+  }
+}
+
+/**
+ * Convert a graph to a compact, structured-clone and JSON friendly form
+ * Way attributes shared by many edges are stored once in a ways table, and
+ * turn restrictions as [nodeIndex, type, fromWay, toWay, restriction] rows
+ *
+ * @param {Array} graph - Graph of street nodes
+ * @returns {Object} Serialized graph
+ */
+export function serializeGraph(graph) {
+  const indexById = new Map(graph.map((node, index) => [node.id, index]));
+  const nodes = graph.map((node) => [
+    node.id,
+    node.lat,
+    node.lng,
+    node.elevation ?? null,
+    node.elevationMeasured ?? null,
+  ]);
+  const edges = [];
+  const ways = [];
+  const wayIndexes = new Map(); // Way id -> index in ways
+  const restrictions = [];
+
+  graph.forEach((node, index) => {
+    for (const r of node.restrictions || []) {
+      restrictions.push([index, r.type, r.fromWay, r.toWay, r.restriction]);
+    }
+
+    for (const connection of node.connections) {
+      const target = indexById.get(connection.nodeId);
+      if (target === undefined) continue;
+
+      const { nodeId, distance, duration, grade, ...attributes } = connection;
+      if (!wayIndexes.has(attributes.wayId)) {
+        wayIndexes.set(attributes.wayId, ways.length);
+        ways.push(attributes);
+      }
+      edges.push([
+        index,
+        target,
+        distance,
+        duration,
+        wayIndexes.get(attributes.wayId),
+        grade ?? null,
+      ]);
+    }
+  });
+
+  return { nodes, edges, ways, restrictions };
+}
+
+/**
+ * Rebuild a graph from its serialized form
+ * Reverse connections are not stored; they are rebuilt from the edges.
+ *
+ * @param {Object} data - Serialized graph from serializeGraph
+ * @returns {Array} Graph of street nodes
+ */
+export function deserializeGraph(data) {
+  const graph = data.nodes.map(([id, lat, lng, elevation, measured]) => {
+    const node = { id, lat, lng, connections: [], reverseConnections: [] };
+    if (elevation !== null && elevation !== undefined) {
+      node.elevation = elevation;
+      node.elevationMeasured = Boolean(measured);
+    }
+    return node;
+  });
+
+  for (const [from, to, distance, duration, wayIndex, grade] of data.edges) {
+    const connection = {
+      nodeId: graph[to].id,
+      distance,
+      duration,
+      ...data.ways[wayIndex],
+    };
+    if (grade !== null && grade !== undefined) connection.grade = grade;
+    graph[from].connections.push(connection);
+    graph[to].reverseConnections.push({ nodeId: graph[from].id, connection });
+  }
+
+  for (const [index, type, fromWay, toWay, restriction] of data.restrictions ||
+    []) {
+    const node = graph[index];
+    if (!node.restrictions) node.restrictions = [];
+    node.restrictions.push({ type, fromWay, toWay, restriction });
+  }
+
+  return graph;
+}
+
+/**
+ * Build the storage key for data stored next to a graph
+ *
+ * @param {string} graphKey - Key of the graph snapshot
+ * @param {string} kind - What the data is, e.g. "hierarchy:distance"
+ * @returns {string} Key identifying the data
+ */
+function getGraphDataKey(graphKey, kind) {
+  return `${graphKey}:${kind}`;
+}
+
+/**
+ * Pick the storage backend for the current environment
+ *
+ * @returns {Promise<Object|null>} Backend with get/set/delete/clear, or null
+ */
+function getBackend() {
+  if (!backendPromise) {
+    if (typeof indexedDB !== "undefined") {
+      backendPromise = Promise.resolve(createIndexedDbBackend());
+    } else if (typeof process !== "undefined" && process.versions?.node) {
+      backendPromise = createFileBackend(
+        process.env.GRAPH_CACHE_DIR || DEFAULT_CACHE_DIR
+      );
+    } else {
+      backendPromise = Promise.resolve(null);
+    }
+  }
+  return backendPromise;
+}
+
+/**
+ * IndexedDB storage for browsers
+ *
+ * @returns {Object} Backend with get/set/delete/clear
+ */
+function createIndexedDbBackend() {
+  let dbPromise = null;
+
+  const openDatabase = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(STORE_NAME);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  };
+
+  const run = async (mode, operation) => {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = operation(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  };
+
+  return {
+    get: (key) => run("readonly", (store) => store.get(key)),
+    set: (key, value) => run("readwrite", (store) => store.put(value, key)),
+    delete: (key) => run("readwrite", (store) => store.delete(key)),
+    clear: () => run("readwrite", (store) => store.clear()),
+  };
+}
+
+/**
+ * Cache directory storage for Node (tests and scripts)
+ *
+ * @param {string} directory - Directory holding one JSON file per snapshot
+ * @returns {Promise<Object>} Backend with get/set/delete/clear
+ */
+async function createFileBackend(directory) {
+  const fs = await import("node:fs/promises");
+  const path = await import("node:path");
+
+  const fileFor = (key) => path.join(directory, `${hashString(key)}.json`);
+
+  return {
+    async get(key) {
+      try {
+        const record = JSON.parse(await fs.readFile(fileFor(key), "utf8"));
+        return record.key === key ? record : null;
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+    async set(key, value) {
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(fileFor(key), JSON.stringify({ key, ...value }));
+    },
+    async delete(key) {
+      await fs.rm(fileFor(key), { force: true });
+    },
+    async clear() {
+      await fs.rm(directory, { recursive: true, force: true });
+    },
+  };
+}
+
+/**
+ * FNV-1a hash, used to keep keys and file names short
+ *
+ * @param {string} text - Text to hash
+ * @returns {string} Hex hash
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+}
@@ -137,3 +137,163 @@ export function addPolylineToMap(map, points, options = {}) {
     return null;
   }
 }
+
+/**
+ * Draw a road closure on a Leaflet map
+ * 
+ * @param {Object} map - Leaflet map instance
+ * @param {Object} closure - Closure from closureService (area or circle)
+ * @param {Object} options - Styling options for the shape
+ * @returns {Object|null} The created Leaflet layer, or null for way closures
+ */
+export function addClosureToMap(map, closure, options = {}) {
+  if (!L || !map) return null;
+
+  const style = {
+    color: options.color || "#DC2626", // Red outline
+    weight: options.weight || 2,
+    fillOpacity: options.fillOpacity !== undefined ? options.fillOpacity : 0.2,
+    dashArray: closure.penalty ? "6, 6" : undefined, // Dashed if only penalised
+  };
+
+  let layer = null;
+  if (closure.type === "circle") {
+    layer = L.circle([closure.center.lat, closure.center.lng], {
+      ...style,
+      radius: closure.radius,
+    });
+  } else if (closure.type === "area") {
+    // GeoJSON rings are [lng, lat]; Leaflet wants [lat, lng]
+    const latLngs = closure.polygons.map((rings) =>
+      rings.map((ring) => ring.map(([lng, lat]) => [lat, lng]))
+    );
+    layer = L.polygon(latLngs, style);
+  }
+
+  if (layer) {
+    if (closure.label) layer.bindTooltip(closure.label);
+    layer.addTo(map);
+  }
+  return layer;
+}
+
+/**
+ * Draw an isochrone band on a Leaflet map
+ * 
+ * @param {Object} map - Leaflet map instance
+ * @param {Object} feature - GeoJSON feature with a MultiPolygon geometry
+ * @param {Object} options - Styling options and a {label} for the tooltip
+ * @returns {Object|null} The created Leaflet polygon, or null on failure
+ */
+export function addIsochroneToMap(map, feature, options = {}) {
+  if (!L || !map) return null;
+
+  // GeoJSON rings are [lng, lat]; Leaflet wants [lat, lng]
+  const latLngs = feature.geometry.coordinates.map((rings) =>
+    rings.map((ring) => ring.map(([lng, lat]) => [lat, lng]))
+  );
+  if (latLngs.length === 0) return null;
+
+  const layer = L.polygon(latLngs, {
+    color: options.color || "#2563EB",
+    weight: options.weight || 1,
+    fillColor: options.color || "#2563EB",
+    fillOpacity: options.fillOpacity !== undefined ? options.fillOpacity : 0.25,
+  });
+
+  if (options.label) layer.bindTooltip(options.label, { sticky: true });
+  layer.addTo(map);
+  return layer;
+}
+
+/**
+ * Let the user draw a polygon or circle on the map
+ * Polygon: click to add corners, double-click to finish.
+ * Circle: click the centre, then click again at the edge.
+ * 
+ * @param {Object} map - Leaflet map instance
+ * @param {string} shape - "polygon" or "circle"
+ * @param {Function} onComplete - Called with a GeoJSON Polygon geometry or
+ *   {type: "circle", center, radius} when the shape is finished
+ * @returns {Function} Call to cancel drawing and remove the preview
+ */
+export function startShapeDrawing(map, shape, onComplete) {
+  if (!L || !map) return () => {};
+
+  const style = { color: "#DC2626", weight: 2, dashArray: "4, 4" };
+  const vertices = [];
+  let center = null;
+  let preview = null;
+
+  // Double-clicks finish polygons instead of zooming while drawing
+  const zoomWasEnabled = map.doubleClickZoom.enabled();
+  map.doubleClickZoom.disable();
+  map.getContainer().style.cursor = "crosshair";
+
+  function clearPreview() {
+    if (preview) preview.remove();
+    preview = null;
+  }
+
+  function stop() {
+    clearPreview();
+    map.off("click", handleClick);
+    map.off("dblclick", handleDoubleClick);
+    map.off("mousemove", handleMouseMove);
+    map.getContainer().style.cursor = "";
+    if (zoomWasEnabled) map.doubleClickZoom.enable();
+  }
+
+  function handleClick(event) {
+    if (shape === "circle") {
+      if (!center) {
+        center = event.latlng;
+        return;
+      }
+      const radius = center.distanceTo(event.latlng);
+      stop();
+      if (radius > 0) {
+        onComplete({
+          type: "circle",
+          center: { lat: center.lat, lng: center.lng },
+          radius,
+        });
+      }
+      return;
+    }
+
+    vertices.push(event.latlng);
+    clearPreview();
+    preview = L.polyline(vertices, style).addTo(map);
+  }
+
+  function handleDoubleClick() {
+    if (shape !== "polygon") return;
+
+    // The double-click's own clicks add the last corner twice
+    const corners = vertices.filter(
+      (vertex, i) => i === 0 || !vertex.equals(vertices[i - 1])
+    );
+    stop();
+    if (corners.length < 3) return;
+
+    const ring = corners.map((vertex) => [vertex.lng, vertex.lat]);
+    ring.push(ring[0]); // GeoJSON rings are closed
+    onComplete({ type: "Polygon", coordinates: [ring] });
+  }
+
+  function handleMouseMove(event) {
+    if (shape !== "circle" || !center) return;
+    clearPreview();
+    preview = L.circle(center, {
+      ...style,
+      radius: center.distanceTo(event.latlng),
+    }).addTo(map);
+  }
+
+  map.on("click", handleClick);
+  map.on("dblclick", handleDoubleClick);
+  map.on("mousemove", handleMouseMove);
+
+  return stop;
+}
@@ -2,38 +2,36 @@
  * A* algorithm implementation for path finding
  */
 
-import { getSeattleGraph } from "../graphCache.js";
 import {
-  findClosestNode,
-  heuristicDistance,
-  convertAStarToOSRMFormat,
+  getSeattleGraph,
+  getSpatialIndex,
+  getEdgeExpandedGraph,
+  getContractionHierarchy,
+  getLandmarkTables,
+} from "../graphCache.js";
+import {
+  snapToRoad,
+  insertVirtualNodes,
+  createEdgeBasedSearch,
 } from "./graphUtils.js";
+import { buildRouteResponse, getWaypoint } from "./osrmResponse.js";
 import { CustomPriorityQueue } from "./common.js";
 import { fallbackGridBasedAStar } from "./gridRouting.js";
 import { calculateHaversineDistance } from "../geoUtils.js";
-import { getElevation } from "../elevationService.js";
-
-// Seattle landmark nodes for the landmark-based heuristic
-const SEATTLE_LANDMARKS = [
-  // Existing landmarks
-  { id: "downtown", lat: 47.6062, lng: -122.3321 },
-  { id: "uw", lat: 47.6553, lng: -122.3035 },
-  { id: "spaceneedle", lat: 47.6205, lng: -122.3493 },
-  { id: "pikeplace", lat: 47.6097, lng: -122.342 },
-
-  // Add more strategically placed landmarks
-  { id: "capitolhill", lat: 47.6231, lng: -122.3145 },
-  { id: "greenlake", lat: 47.6803, lng: -122.3283 },
-  { id: "ballard", lat: 47.6668, lng: -122.3843 },
-  { id: "rainier", lat: 47.5661, lng: -122.2936 },
-  { id: "westseattle", lat: 47.5667, lng: -122.386 },
-  { id: "northgate", lat: 47.7065, lng: -122.3273 },
-  { id: "magnolia", lat: 47.6502, lng: -122.3999 },
-  { id: "sewardpark", lat: 47.5492, lng: -122.2649 },
-];
-
-// Cache for landmark distances
-let landmarkDistances = {};
+import {
+  getEdgeCost,
+  toMetricUnits,
+  MAX_SPEED_MPS,
+  CLIMB_COST_FACTOR,
+} from "./travelTime.js";
+import {
+  getSpeedProfiles,
+  getProfileClock,
+  getTimeDependentTravelTime,
+} from "./speedProfiles.js";
+import { getClosureCostModifier } from "../closureService.js";
+import { runContractionHierarchyQuery } from "./contractionHierarchy.js";
+import { createLandmarkHeuristic } from "./landmarks.js";
 
 // Available heuristic functions
 export const heuristics = {
@@ -95,127 +93,92 @@ export const heuristics = {
   },
 
   // Time-based heuristic - estimates travel time instead of distance
-  timeBased: function (nodeA, nodeB) {
-    if (!nodeA || !nodeB) {
-      console.error("Invalid nodes in timeBased heuristic:", { nodeA, nodeB });
-      return Infinity;
-    }
-
-    const distance = calculateHaversineDistance(
-      { lat: nodeA.lat, lng: nodeA.lng },
-      { lat: nodeB.lat, lng: nodeB.lng }
-    );
-
-    // Assume average travel speed of 30 km/h in city
-    const avgSpeedMps = (30 * 1000) / 3600; // 8.33 meters per second
-
-    // Adjust time estimate based on node properties if available
-    if (nodeA.tags) {
-      // Different speeds for different road types
-      if (nodeA.tags.highway === "motorway" || nodeA.tags.highway === "trunk") {
-        return distance / ((60 * 1000) / 3600); // 60 km/h for highways
-      } else if (
-        nodeA.tags.highway === "residential" ||
-        nodeA.tags.highway === "living_street"
-      ) {
-        return distance / ((20 * 1000) / 3600); // 20 km/h for residential roads
+  // Assumes the fastest possible road speed so it never overestimates
+  timeBased: Object.assign(
+    function (nodeA, nodeB) {
+      if (!nodeA || !nodeB) {
+        console.error("Invalid nodes in timeBased heuristic:", {
+          nodeA,
+          nodeB,
+        });
+        return Infinity;
       }
-    }
 
-    return distance / avgSpeedMps; // Return time in seconds
-  },
+      const distance = calculateHaversineDistance(
+        { lat: nodeA.lat, lng: nodeA.lng },
+        { lat: nodeB.lat, lng: nodeB.lng }
+      );
 
-  // Landmark-based heuristic - uses pre-selected landmarks for better distance estimates
+      return distance / MAX_SPEED_MPS; // Return time in seconds
+    },
+    { unit: "time" }
+  ),
+
+  // ALT heuristic - lower bounds from network distances to and from
+  // landmarks. Searches with the graph's landmark tables swap in
+  // createLandmarkHeuristic; without them this is the straight-line distance
   landmark: function (nodeA, nodeB) {
     if (!nodeA || !nodeB) {
       console.error("Invalid nodes in landmark heuristic:", { nodeA, nodeB });
       return Infinity;
     }
-
-    // Ensure landmark distances to target are initialized
-    if (Object.keys(landmarkDistances).length === 0) {
-      // Initialize landmark distances to the target node
-      for (const landmark of SEATTLE_LANDMARKS) {
-        landmarkDistances[landmark.id] = calculateHaversineDistance(
-          { lat: landmark.lat, lng: landmark.lng },
-          { lat: nodeB.lat, lng: nodeB.lng }
-        );
-      }
-      console.log("Initialized landmark distances to target");
-    }
-
-    // Standard direct distance as baseline
-    const directDistance = calculateHaversineDistance(
+    return calculateHaversineDistance(
       { lat: nodeA.lat, lng: nodeA.lng },
       { lat: nodeB.lat, lng: nodeB.lng }
     );
+  },
 
-    // Use triangle inequality to improve the estimate
-    let maxEstimate = directDistance;
+  // Elevation-aware heuristic - straight-line distance plus the net climb
+  // still needed to reach the goal. Edges next to a simulated elevation are
+  // flat, so the climb only counts when both elevations are measured.
+  // Under other metrics it falls back to the straight-line distance.
+  elevation: Object.assign(
+    function (nodeA, nodeB, metric) {
+      if (!nodeA || !nodeB) {
+        console.error("Invalid nodes in elevation heuristic:", {
+          nodeA,
+          nodeB,
+        });
+        return Infinity;
+      }
 
-    for (const landmark of SEATTLE_LANDMARKS) {
-      // Distance from current node to landmark
-      const distToLandmark = calculateHaversineDistance(
+      const distance = calculateHaversineDistance(
         { lat: nodeA.lat, lng: nodeA.lng },
-        { lat: landmark.lat, lng: landmark.lng }
+        { lat: nodeB.lat, lng: nodeB.lng }
       );
 
-      // Use triangle inequality: |d(A,T) - d(L,T)| <= d(A,L)
-      // So d(A,T) >= |d(L,T) - d(A,L)|
-      const estimate = Math.abs(
-        landmarkDistances[landmark.id] - distToLandmark
-      );
-
-      if (estimate > maxEstimate) {
-        maxEstimate = estimate;
-      }
-    }
-
-    return maxEstimate;
-  },
-
-  // Elevation-aware heuristic - adds penalties for climbing
-  elevation: async function (nodeA, nodeB) {
-    if (!nodeA || !nodeB) {
-      console.error("Invalid nodes in elevation heuristic:", { nodeA, nodeB });
-      return Infinity;
-    }
-
-    const baseDistance = calculateHaversineDistance(
-      { lat: nodeA.lat, lng: nodeA.lng },
-      { lat: nodeB.lat, lng: nodeB.lng }
-    );
-
-    try {
-      // Get real elevation data
-      const elevationA = await getElevation({ lat: nodeA.lat, lng: nodeA.lng });
-      const elevationB = await getElevation({ lat: nodeB.lat, lng: nodeB.lng });
-
-      // Calculate elevation difference
-      const elevationDiff = elevationB - elevationA;
-
-      // Penalize uphill movement (positive elevation change)
-      if (elevationDiff > 0) {
-        // Add 10% penalty per 100m of elevation gain
-        return baseDistance * (1 + elevationDiff / 1000);
+      if (
+        metric !== "elevation" ||
+        !nodeA.elevationMeasured ||
+        !nodeB.elevationMeasured
+      ) {
+        return distance;
       }
 
-      return baseDistance;
-    } catch (error) {
-      console.error("Error in elevation heuristic:", error);
+      const climb = Math.max(0, nodeB.elevation - nodeA.elevation);
+      return distance + CLIMB_COST_FACTOR * climb;
+    },
+    { metric: "elevation" }
+  ),
+};
 
-      // Fall back to the simulated elevation logic
-      const simulatedElevationA = nodeA.lat * 100;
-      const simulatedElevationB = nodeB.lat * 100;
-      const elevationDiff = (nodeB.lat - nodeA.lat) * 1000; // Rough approximation
+// Bidirectional search modes, selectable like heuristics, and the heuristic
+// each one uses for its potentials
+export const bidirectionalSearches = {
+  bidirectionalAStar: "haversine",
+  bidirectionalDijkstra: "dijkstra",
+};
 
-      if (elevationDiff > 0) {
-        return baseDistance * (1 + elevationDiff / 1000);
-      }
+// Contraction hierarchy queries, selectable like heuristics, and the
+// heuristic whose metric the hierarchy is built for
+export const hierarchySearches = {
+  contractionHierarchy: "haversine",
+};
 
-      return baseDistance;
-    }
-  },
+// Edge-based searches, selectable like heuristics, and the heuristic each
+// one uses on the edge-expanded graph
+export const edgeBasedSearches = {
+  edgeBasedAStar: "haversine",
 };
 
 /**
@@ -224,8 +187,21 @@ export const heuristics = {
  * @param {Object} start - Starting point {lat, lng}
  * @param {Object} end - Ending point {lat, lng}
  * @param {Object} bounds - Geographic bounds to constrain the search area
- * @param {Object} options - Optional parameters including heuristic method
- * @returns {Object} A* route data in standardized format
+ * @param {Object} options - Optional parameters including heuristic method,
+ *   metric and travel profile; {edgeBased: true}, or a heuristic named in
+ *   edgeBasedSearches, routes on the edge-expanded graph with turn
+ *   restrictions and {turnPenalties} overrides;
+ *   {departureTime} minimises arrival time with time-of-day speed profiles
+ *   ({speedProfiles} or the ones set with setSpeedProfiles); {bidirectional:
+ *   true}, or a heuristic named in bidirectionalSearches, searches from both
+ *   ends; {contractionHierarchy: true}, or a heuristic named in
+ *   hierarchySearches, queries the graph's contraction hierarchy;
+ *   {fallback: false} throws instead of falling back to the grid search when
+ *   the street search fails, and answers {code: "NoRoute", routes: []} when
+ *   it finds no path; {snaps} are the snapToRoad results for start and end,
+ *   when the caller has already snapped them onto the same graph;
+ *   {geometries} encodes the route geometry as in buildRouteResponse
+ * @returns {Object} OSRM route response from buildRouteResponse
  */
 export async function calculateAStarPath(
   start,
@@ -240,24 +216,51 @@ export async function calculateAStarPath(
     options,
   });
 
-  // Reset landmark distances cache when starting a new search
-  if (options.heuristic === "landmark") {
-    landmarkDistances = {};
-  }
-
   // Select heuristic function
   const heuristicName = options.heuristic || "haversine";
-  const heuristicFunc = heuristics[heuristicName] || heuristics.haversine;
+  let heuristicFunc =
+    heuristics[
+      bidirectionalSearches[heuristicName] ||
+        hierarchySearches[heuristicName] ||
+        edgeBasedSearches[heuristicName] ||
+        heuristicName
+    ] || heuristics.haversine;
+  const edgeBased = Boolean(
+    options.edgeBased || heuristicName in edgeBasedSearches
+  );
+
+  // Time-dependent searches always minimise arrival time. Otherwise time
+  // heuristics minimise travel time and the elevation heuristic the
+  // elevation cost, unless a metric is given
+  const metric =
+    (options.departureTime !== undefined && "time") ||
+    options.metric ||
+    heuristicFunc.metric ||
+    (heuristicFunc.unit === "time" ? "time" : "distance");
 
-  console.log(`Using ${heuristicName} heuristic`);
+  console.log(`Using ${heuristicName} heuristic, minimising ${metric}`);
 
   try {
-    // Step 1: Get the cached Seattle graph
-    const graph = await getSeattleGraph(bounds);
+    // Step 1: Get the cached Seattle graph for the travel profile
+    const graph = await getSeattleGraph(bounds, { profile: options.profile });
 
-    // Step 2: Find closest nodes to start and end points
-    const startNode = findClosestNode(graph, start);
-    const endNode = findClosestNode(graph, end);
+    // Step 2: Snap start and end points onto the nearest road segments
+    const spatialIndex = getSpatialIndex(graph);
+    const [startSnap, endSnap] = options.snaps || [
+      snapToRoad(spatialIndex, start),
+      snapToRoad(spatialIndex, end),
+    ];
+
+    if (!startSnap || !endSnap) {
+      throw new Error(
+        "Could not find suitable road nodes near the selected points"
+      );
+    }
+
+    const {
+      graph: searchGraph,
+      nodes: [startNode, endNode],
+    } = insertVirtualNodes(graph, [startSnap, endSnap]);
 
     console.log("Found nodes:", {
       startNode: startNode
@@ -277,13 +280,113 @@ export async function calculateAStarPath(
       );
     }
 
-    // Step 3: Run A* algorithm on the street graph with selected heuristic
-    const result = runAStarOnStreetGraph(
-      graph,
-      startNode,
-      endNode,
-      heuristicFunc
-    );
+    // The landmark heuristic uses the graph's ALT tables, which hold costs
+    // between graph nodes and so do not fit edge-based or time-dependent
+    // searches
+    if (
+      heuristicFunc === heuristics.landmark &&
+      !edgeBased &&
+      options.departureTime === undefined
+    ) {
+      heuristicFunc = createLandmarkHeuristic(
+        graph,
+        await getLandmarkTables(graph, metric),
+        [startNode, endNode].filter((node) => node.virtual)
+      );
+    }
+
+    // Step 3: Switch to the edge-based graph to apply turn restrictions and
+    // turn penalties
+    let search = { graph: searchGraph, startNode, endNode };
+    if (edgeBased) {
+      search = createEdgeBasedSearch(
+        getEdgeExpandedGraph(graph, options.turnPenalties),
+        searchGraph,
+        startNode,
+        endNode
+      );
+    }
+
+    // Steps are described from the connections along the path
+    const responseOptions = {
+      metric,
+      geometries: options.geometries,
+      waypoints: [startSnap, endSnap],
+      profile: options.profile,
+    };
+
+    // Without the grid fallback, finding no path is an answer, not an error
+    const noRoute = {
+      code: "NoRoute",
+      routes: [],
+      waypoints: [startSnap, endSnap].map(getWaypoint),
+    };
+
+    // Bidirectional search needs the node graph's reverse connections and a
+    // fixed cost per edge
+    const bidirectional =
+      (options.bidirectional || heuristicName in bidirectionalSearches) &&
+      !edgeBased &&
+      options.departureTime === undefined;
+
+    // The hierarchy's shortcuts were computed without closures, so routes
+    // that must avoid closures use the regular search
+    const closuresActive =
+      options.closures !== false && getClosureCostModifier() !== null;
+    const useHierarchy =
+      (options.contractionHierarchy || heuristicName in hierarchySearches) &&
+      !edgeBased &&
+      options.departureTime === undefined &&
+      !closuresActive;
+    if (useHierarchy) {
+      const hierarchy = await getContractionHierarchy(graph, metric);
+      const result = runContractionHierarchyQuery(
+        graph,
+        hierarchy,
+        startNode,
+        endNode
+      );
+      if (result.path.length >= (options.minPathLength || 3)) {
+        const formattedResult = buildRouteResponse(result, {
+          ...responseOptions,
+          graph: searchGraph,
+        });
+        formattedResult.routes[0].heuristic = heuristicName;
+        return formattedResult;
+      }
+      if (options.fallback === false) return noRoute;
+      throw new Error("Contraction hierarchy found a too-short path");
+    }
+
+    // Step 4: Run A* algorithm on the street graph with selected heuristic,
+    // time-dependent when a departure time is given
+    const result =
+      options.departureTime !== undefined
+        ? runTimeDependentAStar(
+            search.graph,
+            search.startNode,
+            search.endNode,
+            heuristicFunc,
+            {
+              departureTime: options.departureTime,
+              speedProfiles: options.speedProfiles,
+            }
+          )
+        : bidirectional
+        ? runBidirectionalAStar(
+            search.graph,
+            search.startNode,
+            search.endNode,
+            heuristicFunc,
+            { metric }
+          )
+        : runAStarOnStreetGraph(
+            search.graph,
+            search.startNode,
+            search.endNode,
+            heuristicFunc,
+            { metric }
+          );
     console.log(
       `A* result (${heuristicName}): ${result.path.length} points, ${result.nodesExplored} nodes explored`
     );
@@ -295,10 +398,14 @@ export async function calculateAStarPath(
       result.path.length >= (options.minPathLength || 3)
     ) {
       console.log(`Using A* result with ${heuristicName} heuristic`);
-      const formattedResult = convertAStarToOSRMFormat(result);
+      const formattedResult = buildRouteResponse(result, {
+        ...responseOptions,
+        graph: search.graph,
+      });
       formattedResult.routes[0].heuristic = heuristicName; // Add heuristic info
       return formattedResult;
     } else {
+      if (options.fallback === false) return noRoute;
       console.warn(
         `A* street search with ${heuristicName} heuristic produced insufficient path, falling back to grid`
       );
@@ -306,6 +413,7 @@ export async function calculateAStarPath(
     }
   } catch (error) {
     console.error(`Error in A* with ${heuristicName} heuristic:`, error);
+    if (options.fallback === false) throw error;
     console.log("Falling back to grid-based A*");
 
     const gridResult = await fallbackGridBasedAStar(start, end, bounds, {
@@ -313,7 +421,10 @@ export async function calculateAStarPath(
       heuristic: options.heuristic,
     });
 
-    return convertAStarToOSRMFormat(gridResult);
+    return buildRouteResponse(gridResult, {
+      geometries: options.geometries,
+      profile: options.profile,
+    });
   }
 }
 
@@ -324,14 +435,29 @@ export async function calculateAStarPath(
  * @param {Object} startNode - Starting node from the graph
  * @param {Object} endNode - Ending node from the graph
  * @param {Function} heuristicFunc - The heuristic function to use
- * @returns {Object} Path and metrics from the A* algorithm
+ * @param {Object} options - {metric: "distance"|"time"|"elevation"} - cost to
+ *   minimise; {closures: false} ignores road closures; {costModifier:
+ *   (fromNode, connection, toNode) => multiplier} scales edge costs, with
+ *   Infinity skipping the edge
+ * @returns {Object} Path and metrics from the A* algorithm, with the ids of
+ *   the path's nodes in nodeIds
  */
 export function runAStarOnStreetGraph(
   graph,
   startNode,
   endNode,
-  heuristicFunc = heuristics.haversine
+  heuristicFunc = heuristics.haversine,
+  options = {}
 ) {
+  const metric = options.metric || "distance";
+  const estimate = (node) =>
+    toMetricUnits(heuristicFunc(node, endNode, metric), heuristicFunc, metric);
+
+  // Closed edges are skipped and penalised ones cost more
+  const closureFactor =
+    options.closures === false ? null : getClosureCostModifier();
+  const costModifier = options.costModifier || null;
+
   // Create a map for faster node lookup by ID
   const nodeMap = {};
   for (const node of graph) {
@@ -345,12 +471,13 @@ export function runAStarOnStreetGraph(
   const openSet = new CustomPriorityQueue((a, b) => a.f - b.f);
   const closedSet = new Set();
   const cameFrom = {}; // Track path
+  const cameFromEdge = {}; // Connection used to reach each node
   const gScore = {}; // Cost from start to current node
   const fScore = {}; // Estimated total cost (g + heuristic)
 
   // Initialize with start node
   gScore[startNode.id] = 0;
-  fScore[startNode.id] = heuristicFunc(startNode, endNode);
+  fScore[startNode.id] = estimate(startNode);
   openSet.enqueue({ id: startNode.id, f: fScore[startNode.id] });
 
   // Track statistics
@@ -389,8 +516,13 @@ export function runAStarOnStreetGraph(
 
       // Build result with path, distance, and stats
       const pathNodes = [];
+      const nodeIds = [];
       let currentId = current.id;
 
+      // Sum edge lengths and travel times along the path
+      let distance = 0;
+      let duration = 0;
+
       // Reconstruct path using the cameFrom links
       while (currentId !== startNode.id) {
         const node = nodeMap[currentId];
@@ -399,21 +531,21 @@ export function runAStarOnStreetGraph(
           break;
         }
         pathNodes.unshift({ lat: node.lat, lng: node.lng });
+        nodeIds.unshift(currentId);
+        distance += cameFromEdge[currentId].distance;
+        duration += getEdgeCost(cameFromEdge[currentId], "time");
         currentId = cameFrom[currentId];
       }
 
       // Add starting node as the first point
       pathNodes.unshift({ lat: startNode.lat, lng: startNode.lng });
-
-      // Calculate path distance by summing distances between points
-      let distance = 0;
-      for (let i = 1; i < pathNodes.length; i++) {
-        distance += calculateHaversineDistance(pathNodes[i - 1], pathNodes[i]);
-      }
+      nodeIds.unshift(startNode.id);
 
       return {
         path: pathNodes,
+        nodeIds,
         distance: distance,
+        duration: duration,
         nodesExplored: nodesExplored,
         exploredNodesList: exploredNodes,
       };
@@ -436,21 +568,36 @@ export function runAStarOnStreetGraph(
         continue;
       }
 
+      let edgeCost = getEdgeCost(connection, metric);
+      if (closureFactor) {
+        const factor = closureFactor(currentNode, connection, neighborNode);
+        if (factor === Infinity) continue;
+        edgeCost *= factor;
+      }
+      if (costModifier) {
+        const factor = costModifier(currentNode, connection, neighborNode);
+        if (factor === Infinity) continue;
+        edgeCost *= factor;
+      }
+
       // Calculate new path score (g score)
-      const tentativeGScore = gScore[current.id] + connection.distance;
+      const tentativeGScore = gScore[current.id] + edgeCost;
 
       // If this path is better than any previous one to this neighbor
       if (!gScore[neighborId] || tentativeGScore < gScore[neighborId]) {
         // Record this path as best
         cameFrom[neighborId] = current.id;
+        cameFromEdge[neighborId] = connection;
         gScore[neighborId] = tentativeGScore;
 
         // Calculate f-score (g + heuristic)
-        const h = heuristicFunc(neighborNode, endNode);
+        const h = estimate(neighborNode);
         fScore[neighborId] = tentativeGScore + h;
 
-        // Add to open set if not there already
-        if (!openSet.toArray().some((item) => item.id === neighborId)) {
+        // Add to open set, or lower its priority if already queued
+        if (openSet.has(neighborId)) {
+          openSet.decreaseKey({ id: neighborId, f: fScore[neighborId] });
+        } else {
           openSet.enqueue({ id: neighborId, f: fScore[neighborId] });
         }
       }
@@ -468,3 +615,343 @@ export function runAStarOnStreetGraph(
     exploredNodesList: exploredNodes,
   };
 }
+
+/**
+ * Run bidirectional A* on a street graph
+ * A forward search from the start and a backward search from the end (over
+ * reverseConnections) run until they can no longer improve the best meeting
+ * point. Both use the balanced potential (h(v, end) - h(start, v)) / 2 and its
+ * negation, so they see the same reduced edge costs and the bidirectional
+ * Dijkstra stopping rule stays exact. The heuristic must be consistent;
+ * heuristics.dijkstra gives plain bidirectional Dijkstra.
+ *
+ * @param {Array} graph - Array of nodes with reverseConnections, from
+ *   buildStreetGraph or insertVirtualNodes
+ * @param {Object} startNode - Starting node from the graph
+ * @param {Object} endNode - Ending node from the graph
+ * @param {Function} heuristicFunc - Consistent heuristic function
+ * @param {Object} options - {metric}, {closures: false} and {costModifier}
+ *   as for runAStarOnStreetGraph
+ * @returns {Object} Path and metrics, with nodesExploredForward and
+ *   nodesExploredBackward
+ */
+export function runBidirectionalAStar(
+  graph,
+  startNode,
+  endNode,
+  heuristicFunc = heuristics.haversine,
+  options = {}
+) {
+  const metric = options.metric || "distance";
+  const closureFactor =
+    options.closures === false ? null : getClosureCostModifier();
+  const costModifier = options.costModifier || null;
+
+  const nodeMap = new Map();
+  for (const node of graph) {
+    if (!node.reverseConnections) {
+      throw new Error(
+        `Node ${node.id} has no reverse connections for a backward search`
+      );
+    }
+    nodeMap.set(node.id, node);
+  }
+
+  // Forward potential; the backward search uses its negation
+  const estimate = (from, to) =>
+    toMetricUnits(heuristicFunc(from, to, metric), heuristicFunc, metric);
+  const potentials = new Map();
+  const potential = (node) => {
+    if (!potentials.has(node.id)) {
+      potentials.set(
+        node.id,
+        (estimate(node, endNode) - estimate(startNode, node)) / 2
+      );
+    }
+    return potentials.get(node.id);
+  };
+
+  // Cost of an edge after closures and modifiers, Infinity if skipped
+  const getCost = (fromNode, connection, toNode) => {
+    let cost = getEdgeCost(connection, metric);
+    if (closureFactor) cost *= closureFactor(fromNode, connection, toNode);
+    if (costModifier) cost *= costModifier(fromNode, connection, toNode);
+    return cost;
+  };
+
+  const createSide = (origin, sign) => {
+    const side = {
+      sign, // 1 searches forward, -1 backward
+      distances: new Map([[origin.id, 0]]),
+      links: new Map(), // Node id -> {nodeId, connection} towards the origin
+      closed: new Set(),
+      openSet: new CustomPriorityQueue((a, b) => a.f - b.f),
+      nodesExplored: 0,
+    };
+    side.openSet.enqueue({ id: origin.id, f: sign * potential(origin) });
+    return side;
+  };
+  const forward = createSide(startNode, 1);
+  const backward = createSide(endNode, -1);
+
+  let best = startNode.id === endNode.id ? 0 : Infinity;
+  let meetingId = startNode.id === endNode.id ? startNode.id : null;
+  const exploredNodes = [];
+
+  while (!forward.openSet.isEmpty() && !backward.openSet.isEmpty()) {
+    // Nothing left in either queue can shorten the best path
+    if (forward.openSet.peek().f + backward.openSet.peek().f >= best) break;
+
+    // Expand the side with the smaller queue
+    const side =
+      forward.openSet.size <= backward.openSet.size ? forward : backward;
+    const other = side === forward ? backward : forward;
+
+    const current = side.openSet.dequeue();
+    const currentNode = nodeMap.get(current.id);
+    side.closed.add(current.id);
+    side.nodesExplored++;
+    exploredNodes.push({ lat: currentNode.lat, lng: currentNode.lng });
+
+    const distance = side.distances.get(current.id);
+    const edges =
+      side === forward
+        ? currentNode.connections.map((connection) => ({
+            nodeId: connection.nodeId,
+            connection,
+          }))
+        : currentNode.reverseConnections;
+
+    for (const { nodeId, connection } of edges) {
+      if (side.closed.has(nodeId)) continue;
+      const neighborNode = nodeMap.get(nodeId);
+      if (!neighborNode) continue;
+
+      const cost =
+        side === forward
+          ? getCost(currentNode, connection, neighborNode)
+          : getCost(neighborNode, connection, currentNode);
+      if (cost === Infinity) continue;
+
+      const tentative = distance + cost;
+      if (
+        side.distances.has(nodeId) &&
+        tentative >= side.distances.get(nodeId)
+      ) {
+        continue;
+      }
+
+      side.distances.set(nodeId, tentative);
+      side.links.set(nodeId, { nodeId: current.id, connection });
+      side.openSet.enqueue({
+        id: nodeId,
+        f: tentative + side.sign * potential(neighborNode),
+      });
+
+      // The other search has reached this node too: a candidate path
+      if (other.distances.has(nodeId)) {
+        const total = tentative + other.distances.get(nodeId);
+        if (total < best) {
+          best = total;
+          meetingId = nodeId;
+        }
+      }
+    }
+  }
+
+  const nodesExplored = forward.nodesExplored + backward.nodesExplored;
+  if (meetingId === null) {
+    console.warn(`No bidirectional path found after ${nodesExplored} nodes`);
+    return {
+      path: [],
+      distance: 0,
+      nodesExplored,
+      nodesExploredForward: forward.nodesExplored,
+      nodesExploredBackward: backward.nodesExplored,
+      exploredNodesList: exploredNodes,
+    };
+  }
+
+  // Walk back to the start, then on from the meeting node to the end
+  const nodeIds = [meetingId];
+  let distance = 0;
+  let duration = 0;
+  for (let id = meetingId; forward.links.has(id); ) {
+    const { nodeId, connection } = forward.links.get(id);
+    nodeIds.unshift(nodeId);
+    distance += connection.distance;
+    duration += getEdgeCost(connection, "time");
+    id = nodeId;
+  }
+  for (let id = meetingId; backward.links.has(id); ) {
+    const { nodeId, connection } = backward.links.get(id);
+    nodeIds.push(nodeId);
+    distance += connection.distance;
+    duration += getEdgeCost(connection, "time");
+    id = nodeId;
+  }
+
+  console.log(
+    `Bidirectional path found! Explored ${forward.nodesExplored} nodes ` +
+      `forward and ${backward.nodesExplored} backward`
+  );
+
+  return {
+    path: nodeIds.map((id) => {
+      const node = nodeMap.get(id);
+      return { lat: node.lat, lng: node.lng };
+    }),
+    nodeIds,
+    distance,
+    duration,
+    nodesExplored,
+    nodesExploredForward: forward.nodesExplored,
+    nodesExploredBackward: backward.nodesExplored,
+    exploredNodesList: exploredNodes,
+  };
+}
+
+/**
+ * Run time-dependent A* on a street graph
+ * Minimises arrival time: each edge costs its travel time at the moment it is
+ * entered, from the speed profiles. Profile travel times are FIFO, so the
+ * first time a node is settled is its earliest arrival.
+ *
+ * @param {Array} graph - Array of nodes from buildStreetGraph
+ * @param {Object} startNode - Starting node from the graph
+ * @param {Object} endNode - Ending node from the graph
+ * @param {Function} heuristicFunc - The heuristic function to use
+ * @param {Object} options - {departureTime: Date|number} and
+ *   {speedProfiles}, defaulting to the profiles set with setSpeedProfiles;
+ *   {closures: false} ignores road closures; closure penalties add a delay
+ *   of (penalty - 1) times the edge's static duration
+ * @returns {Object} Path, the ids of its nodes in nodeIds and metrics, with
+ *   departure and arrival as Dates
+ */
+export function runTimeDependentAStar(
+  graph,
+  startNode,
+  endNode,
+  heuristicFunc = heuristics.timeBased,
+  options = {}
+) {
+  const departureTime = options.departureTime ?? Date.now();
+  const profiles = options.speedProfiles ?? getSpeedProfiles();
+  const clock = getProfileClock(departureTime);
+  const estimate = (node) =>
+    toMetricUnits(heuristicFunc(node, endNode, "time"), heuristicFunc, "time");
+  const closureFactor =
+    options.closures === false ? null : getClosureCostModifier();
+
+  const nodeMap = {};
+  for (const node of graph) {
+    nodeMap[node.id] = node;
+  }
+
+  // Scores are arrival times in seconds since midnight of the departure day
+  const openSet = new CustomPriorityQueue((a, b) => a.f - b.f);
+  const closedSet = new Set();
+  const cameFrom = {};
+  const cameFromEdge = {};
+  const arrival = { [startNode.id]: clock.seconds };
+  openSet.enqueue({ id: startNode.id, f: clock.seconds + estimate(startNode) });
+
+  let nodesExplored = 0;
+  const exploredNodes = [];
+
+  while (!openSet.isEmpty()) {
+    const current = openSet.dequeue();
+    const currentNode = nodeMap[current.id];
+    if (!currentNode) continue;
+
+    nodesExplored++;
+    exploredNodes.push({ lat: currentNode.lat, lng: currentNode.lng });
+
+    if (current.id === endNode.id) {
+      const pathNodes = [];
+      const nodeIds = [];
+      let distance = 0;
+      let currentId = current.id;
+
+      while (currentId !== startNode.id) {
+        const node = nodeMap[currentId];
+        pathNodes.unshift({ lat: node.lat, lng: node.lng });
+        nodeIds.unshift(currentId);
+        distance += cameFromEdge[currentId].distance;
+        currentId = cameFrom[currentId];
+      }
+      pathNodes.unshift({ lat: startNode.lat, lng: startNode.lng });
+      nodeIds.unshift(startNode.id);
+
+      const duration = arrival[endNode.id] - clock.seconds;
+      const departure = new Date(departureTime);
+      console.log(
+        `Time-dependent A* found a ${Math.round(duration)}s route leaving ` +
+          `${departure
+            .toTimeString()
+            .slice(0, 5)}, ${nodesExplored} nodes explored`
+      );
+
+      return {
+        path: pathNodes,
+        nodeIds,
+        distance,
+        duration,
+        departure,
+        arrival: new Date(departure.getTime() + duration * 1000),
+        nodesExplored,
+        exploredNodesList: exploredNodes,
+      };
+    }
+
+    closedSet.add(current.id);
+
+    for (const connection of currentNode.connections) {
+      const neighborId = connection.nodeId;
+      if (closedSet.has(neighborId)) continue;
+
+      const neighborNode = nodeMap[neighborId];
+      if (!neighborNode) continue;
+
+      // Edge cost depends on when we enter it. A closure penalty adds a fixed
+      // delay scaled from the static duration: multiplying the profile time
+      // would let a later entry arrive earlier, breaking FIFO.
+      let travelTime = getTimeDependentTravelTime(
+        connection,
+        arrival[current.id],
+        clock.day,
+        profiles
+      );
+      if (closureFactor) {
+        const factor = closureFactor(currentNode, connection, neighborNode);
+        if (factor === Infinity) continue;
+        travelTime += (factor - 1) * (connection.duration ?? 0);
+      }
+      const tentativeArrival = arrival[current.id] + travelTime;
+
+      if (
+        arrival[neighborId] === undefined ||
+        tentativeArrival < arrival[neighborId]
+      ) {
+        cameFrom[neighborId] = current.id;
+        cameFromEdge[neighborId] = connection;
+        arrival[neighborId] = tentativeArrival;
+
+        const f = tentativeArrival + estimate(neighborNode);
+        if (openSet.has(neighborId)) {
+          openSet.decreaseKey({ id: neighborId, f });
+        } else {
+          openSet.enqueue({ id: neighborId, f });
+        }
+      }
+    }
+  }
+
+  console.warn(`No time-dependent path found after ${nodesExplored} nodes`);
+  return {
+    path: [],
+    distance: 0,
+    nodesExplored,
+    exploredNodesList: exploredNodes,
+  };
+}
@@ -0,0 +1,195 @@
+/**
+ * Alternative routes with the penalty method
+ * After each search the edges of the route found cost more, which pushes the
+ * next search onto other roads. A route is kept when it costs little more
+ * than the best route (stretch) and shares little of its length with the
+ * routes already kept (overlap).
+ */
+
+import { getSeattleGraph, getSpatialIndex } from "../graphCache.js";
+import { snapToRoad, insertVirtualNodes } from "./graphUtils.js";
+import {
+  buildRouteResponse,
+  getPathEdges,
+  getWaypoint,
+} from "./osrmResponse.js";
+import { heuristics, runAStarOnStreetGraph } from "./aStarRouting.js";
+import { getEdgeCost } from "./travelTime.js";
+
+// Limits for an alternative to count as a useful, different route
+export const DEFAULT_ALTERNATIVE_OPTIONS = {
+  maxStretch: 1.3, // At most 30% more expensive than the best route
+  maxOverlap: 0.7, // At most 70% of its length shared with any kept route
+  penaltyFactor: 1.4, // Cost multiplier for each time an edge was on a route
+};
+
+/**
+ * Calculate up to k meaningfully different routes between two points
+ *
+ * @param {Object} start - Starting point {lat, lng}
+ * @param {Object} end - Ending point {lat, lng}
+ * @param {number} k - Number of routes wanted, including the best one
+ * @param {Object} options - {bounds} of the street graph (required),
+ *   {heuristic}, {metric}, travel {profile}, {geometries} as in
+ *   buildRouteResponse, {snaps} as in calculateAStarPath and the limits of
+ *   findAlternativePaths
+ * @returns {Promise<Object>} OSRM route response whose routes are ordered
+ *   best first, empty when there is no path; each has stretch, overlap,
+ *   distanceDifference (meters) and durationDifference (seconds) relative
+ *   to the best route
+ */
+export async function calculateAlternatives(start, end, k = 3, options = {}) {
+  if (!options.bounds) {
+    throw new Error("calculateAlternatives needs the graph bounds");
+  }
+
+  const heuristicName = options.heuristic || "haversine";
+  const heuristicFunc = heuristics[heuristicName] || heuristics.haversine;
+  const metric =
+    options.metric ||
+    heuristicFunc.metric ||
+    (heuristicFunc.unit === "time" ? "time" : "distance");
+
+  console.log(`Finding up to ${k} alternative routes, minimising ${metric}`);
+
+  const graph = await getSeattleGraph(options.bounds, {
+    profile: options.profile,
+  });
+
+  // Snap both points onto the street graph
+  const spatialIndex = getSpatialIndex(graph);
+  const [startSnap, endSnap] = options.snaps || [
+    snapToRoad(spatialIndex, start),
+    snapToRoad(spatialIndex, end),
+  ];
+  if (!startSnap || !endSnap) {
+    throw new Error(
+      "Could not find suitable road nodes near the selected points"
+    );
+  }
+  const {
+    graph: searchGraph,
+    nodes: [startNode, endNode],
+  } = insertVirtualNodes(graph, [startSnap, endSnap]);
+
+  const paths = findAlternativePaths(searchGraph, startNode, endNode, k, {
+    ...options,
+    metric,
+    heuristicFunc,
+  });
+  console.log(`Found ${paths.length} alternative routes`);
+
+  const responseOptions = {
+    graph: searchGraph,
+    metric,
+    geometries: options.geometries,
+    waypoints: [startSnap, endSnap],
+    profile: options.profile,
+  };
+  const [best] = paths;
+  return {
+    code: "Ok",
+    routes: paths.map((result) => ({
+      ...buildRouteResponse(result, responseOptions).routes[0],
+      heuristic: heuristicName,
+      stretch: result.stretch,
+      overlap: result.overlap,
+      distanceDifference: result.distance - best.distance,
+      durationDifference: result.duration - best.duration,
+    })),
+    waypoints: [startSnap, endSnap].map(getWaypoint),
+  };
+}
+
+/**
+ * Find up to k different paths with the penalty method
+ *
+ * @param {Array} graph - Street graph
+ * @param {Object} startNode - Starting node
+ * @param {Object} endNode - Ending node
+ * @param {number} k - Number of paths wanted, including the best one
+ * @param {Object} options - {metric}, {heuristicFunc}, {maxStretch},
+ *   {maxOverlap}, {penaltyFactor} and {maxSearches} (default 4k)
+ * @returns {Array} A* results ordered best first, each with cost in the
+ *   metric, stretch (cost relative to the best path) and overlap (largest
+ *   share of its length on an earlier path)
+ */
+export function findAlternativePaths(graph, startNode, endNode, k, options) {
+  const settings = { ...DEFAULT_ALTERNATIVE_OPTIONS, ...options };
+  const metric = settings.metric || "distance";
+  const heuristicFunc = settings.heuristicFunc || heuristics.haversine;
+  const maxSearches = settings.maxSearches ?? k * 4;
+
+  // Cost multiplier per directed edge "fromId>toId"
+  const penalties = new Map();
+  const costModifier = (fromNode, connection) =>
+    penalties.get(`${fromNode.id}>${connection.nodeId}`) || 1;
+
+  const accepted = [];
+  for (let search = 0; search < maxSearches && accepted.length < k; search++) {
+    const result = runAStarOnStreetGraph(
+      graph,
+      startNode,
+      endNode,
+      heuristicFunc,
+      { metric, costModifier }
+    );
+    if (result.path.length === 0) break;
+
+    const edges = getPathEdges(graph, result.nodeIds, metric).flatMap(
+      (edge, i) =>
+        edge
+          ? [
+              {
+                key: `${result.nodeIds[i]}>${edge.connection.nodeId}`,
+                distance: edge.connection.distance,
+                cost: getEdgeCost(edge.connection, metric),
+              },
+            ]
+          : []
+    );
+    const cost = edges.reduce((sum, edge) => sum + edge.cost, 0);
+
+    if (accepted.length === 0) {
+      accepted.push({ ...result, edges, cost, stretch: 1, overlap: 0 });
+    } else {
+      const best = accepted[0];
+      const stretch = best.cost > 0 ? cost / best.cost : 1;
+      const overlap = Math.max(
+        ...accepted.map((other) => getOverlap(edges, other.edges))
+      );
+      if (stretch <= settings.maxStretch && overlap <= settings.maxOverlap) {
+        accepted.push({ ...result, edges, cost, stretch, overlap });
+      }
+    }
+
+    // Make this path's roads more expensive, kept or not, so the next
+    // search looks elsewhere
+    for (const edge of edges) {
+      penalties.set(
+        edge.key,
+        (penalties.get(edge.key) || 1) * settings.penaltyFactor
+      );
+    }
+  }
+
+  return accepted.map(({ edges, ...result }) => result);
+}
+
+/**
+ * Share of a path's length that lies on another path
+ *
+ * @param {Array} edges - Edges of the path
+ * @param {Array} otherEdges - Edges of the other path
+ * @returns {number} Shared length divided by the path's length (0 to 1)
+ */
+function getOverlap(edges, otherEdges) {
+  const otherKeys = new Set(otherEdges.map((edge) => edge.key));
+  let total = 0;
+  let shared = 0;
+  for (const edge of edges) {
+    total += edge.distance;
+    if (otherKeys.has(edge.key)) shared += edge.distance;
+  }
+  return total > 0 ? shared / total : 1;
+}
@@ -3,32 +3,178 @@
  */
 
 /**
- * Custom priority queue implementation for A* algorithm
+ * Indexed binary min-heap priority queue for A* and Dijkstra searches
+ *
+ * Every element is identified by a key (the node id by default), which lets the
+ * queue answer membership checks in O(1) and lower an element's priority in
+ * place (decrease-key) in O(log n). Ties are broken by insertion order so the
+ * expansion order matches a stable sort of the open set.
  */
 export class CustomPriorityQueue {
-  constructor(comparator) {
-    this.values = [];
-    this.comparator = comparator; // Function to compare items (f-scores)
+  /**
+   * @param {Function} comparator - Function to compare items (f-scores)
+   * @param {Function} keyOf - Function returning the unique key of an item
+   */
+  constructor(comparator, keyOf = (element) => element.id) {
+    this.heap = []; // Entries of {element, key, order}
+    this.positions = new Map(); // Key -> index in heap
+    this.comparator = comparator;
+    this.keyOf = keyOf;
+    this.insertions = 0; // Insertion counter used to break ties
   }
 
+  /**
+   * Add an element, or update its priority if the key is already queued
+   *
+   * @param {Object} element - Item to add
+   */
   enqueue(element) {
-    this.values.push(element);
-    this.sort(); // Resort the queue
+    const key = this.keyOf(element);
+    if (this.positions.has(key)) {
+      this.decreaseKey(element);
+      return;
+    }
+
+    const entry = { element, key, order: this.insertions++ };
+    this.heap.push(entry);
+    this.positions.set(key, this.heap.length - 1);
+    this.siftUp(this.heap.length - 1);
   }
 
+  /**
+   * Remove and return the element with the lowest priority
+   *
+   * @returns {Object|undefined} The lowest element, or undefined when empty
+   */
   dequeue() {
-    return this.values.shift(); // Remove and return first (lowest) element
+    if (this.heap.length === 0) return undefined;
+
+    const top = this.heap[0];
+    const last = this.heap.pop();
+    this.positions.delete(top.key);
+
+    if (this.heap.length > 0) {
+      this.heap[0] = last;
+      this.positions.set(last.key, 0);
+      this.siftDown(0);
+    }
+
+    return top.element;
+  }
+
+  /**
+   * Return the lowest element without removing it
+   *
+   * @returns {Object|undefined} The lowest element, or undefined when empty
+   */
+  peek() {
+    return this.heap.length > 0 ? this.heap[0].element : undefined;
   }
 
-  sort() {
-    this.values.sort(this.comparator);
+  /**
+   * Replace a queued element with an updated one
+   * Lowering the priority is the usual case, but a raised priority is moved
+   * down the heap too so the heap stays valid. The element keeps its
+   * original insertion order for tie-breaking.
+   *
+   * @param {Object} element - Updated item sharing the key of a queued item
+   */
+  decreaseKey(element) {
+    const key = this.keyOf(element);
+    const index = this.positions.get(key);
+    if (index === undefined) {
+      this.enqueue(element);
+      return;
+    }
+
+    this.heap[index].element = element;
+    this.siftUp(index);
+    // siftUp leaves the entry in place when its priority rose
+    this.siftDown(this.positions.get(key));
+  }
+
+  /**
+   * Check whether an element with the given key is queued
+   *
+   * @param {*} key - Element key
+   * @returns {boolean} True if the key is in the queue
+   */
+  has(key) {
+    return this.positions.has(key);
+  }
+
+  /**
+   * Get the queued element with the given key
+   *
+   * @param {*} key - Element key
+   * @returns {Object|undefined} The queued element
+   */
+  get(key) {
+    const index = this.positions.get(key);
+    return index === undefined ? undefined : this.heap[index].element;
+  }
+
+  get size() {
+    return this.heap.length;
   }
 
   isEmpty() {
-    return this.values.length === 0;
+    return this.heap.length === 0;
   }
 
   toArray() {
-    return [...this.values];
+    return this.heap
+      .slice()
+      .sort((a, b) => this.compareEntries(a, b))
+      .map((entry) => entry.element);
+  }
+
+  compareEntries(a, b) {
+    const result = this.comparator(a.element, b.element);
+    return result !== 0 ? result : a.order - b.order;
+  }
+
+  swap(i, j) {
+    const entryI = this.heap[i];
+    const entryJ = this.heap[j];
+    this.heap[i] = entryJ;
+    this.heap[j] = entryI;
+    this.positions.set(entryJ.key, i);
+    this.positions.set(entryI.key, j);
+  }
+
+  siftUp(index) {
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (this.compareEntries(this.heap[index], this.heap[parent]) >= 0) break;
+      this.swap(index, parent);
+      index = parent;
+    }
+  }
+
+  siftDown(index) {
+    const length = this.heap.length;
+    while (true) {
+      const left = 2 * index + 1;
+      const right = left + 1;
+      let smallest = index;
+
+      if (
+        left < length &&
+        this.compareEntries(this.heap[left], this.heap[smallest]) < 0
+      ) {
+        smallest = left;
+      }
+      if (
+        right < length &&
+        this.compareEntries(this.heap[right], this.heap[smallest]) < 0
+      ) {
+        smallest = right;
+      }
+      if (smallest === index) break;
+
+      this.swap(index, smallest);
+      index = smallest;
+    }
   }
 }
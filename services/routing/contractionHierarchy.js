@@ -0,0 +1,583 @@
+/**
+ * Contraction Hierarchies
+ * Preprocessing contracts the street graph node by node, cheapest first by
+ * edge difference, adding a shortcut around each contracted node wherever a
+ * local witness search finds no path that is as short without it. Queries are
+ * then a bidirectional Dijkstra that only climbs towards more important
+ * nodes, and settle a few hundred nodes instead of much of the city.
+ *
+ * Nodes are identified by their index in the graph array the hierarchy was
+ * built from, so a hierarchy only fits that exact graph (or a snapshot of it).
+ */
+
+import { CustomPriorityQueue } from "./common.js";
+import { getEdgeCost } from "./travelTime.js";
+
+// Witness searches give up after settling this many nodes; a missed witness
+// only costs an unnecessary shortcut, never a wrong route
+const SIMULATE_SETTLE_LIMIT = 50;
+const CONTRACT_SETTLE_LIMIT = 500;
+
+// Contracted nodes between pauses that let the page stay responsive
+const YIELD_INTERVAL = 2000;
+
+/**
+ * Build a contraction hierarchy for a street graph
+ *
+ * @param {Array} graph - Array of nodes from buildStreetGraph
+ * @param {Object} options - {metric: "distance"|"time"|"elevation"} - edge
+ *   cost the hierarchy answers for
+ * @returns {Promise<Object>} Hierarchy {metric, nodeIds, rank, up, down,
+ *   shortcutCount}; up holds each node's edges to more important nodes and
+ *   down the edges arriving from them, as offset/target/weight/middle arrays
+ */
+export async function buildContractionHierarchy(graph, options = {}) {
+  const metric = options.metric || "distance";
+  const n = graph.length;
+  const startTime = Date.now();
+  console.log(`Building contraction hierarchy (${metric}) for ${n} nodes`);
+
+  // Remaining graph: target/source index -> {weight, middle}, where middle
+  // is the contracted node a shortcut skips (-1 for original edges)
+  const indexById = new Map(graph.map((node, index) => [node.id, index]));
+  const outEdges = graph.map(() => new Map());
+  const inEdges = graph.map(() => new Map());
+  const addEdge = (from, to, weight, middle) => {
+    const existing = outEdges[from].get(to);
+    if (existing && existing.weight <= weight) return;
+    const edge = { weight, middle };
+    outEdges[from].set(to, edge);
+    inEdges[to].set(from, edge);
+  };
+
+  graph.forEach((node, from) => {
+    for (const connection of node.connections) {
+      const to = indexById.get(connection.nodeId);
+      const weight = getEdgeCost(connection, metric);
+      if (to === undefined || to === from || !Number.isFinite(weight)) {
+        continue;
+      }
+      addEdge(from, to, weight, -1);
+    }
+  });
+
+  /**
+   * Dijkstra from a node that avoids the node being contracted
+   *
+   * @param {number} source - Start of the witness search
+   * @param {number} excluded - Node being contracted
+   * @param {number} limit - Longest distance worth exploring
+   * @param {Set} targets - Nodes whose distances are wanted
+   * @param {number} settleLimit - Most nodes to settle
+   * @returns {Map} Node -> length of a path found to it
+   */
+  function witnessSearch(source, excluded, limit, targets, settleLimit) {
+    const distances = new Map([[source, 0]]);
+    const queue = new CustomPriorityQueue((a, b) => a.d - b.d);
+    queue.enqueue({ id: source, d: 0 });
+
+    let remaining = targets.size;
+    let settled = 0;
+    while (!queue.isEmpty() && remaining > 0 && settled < settleLimit) {
+      const { id, d } = queue.dequeue();
+      settled++;
+      if (targets.has(id)) remaining--;
+
+      for (const [next, edge] of outEdges[id]) {
+        if (next === excluded) continue;
+        const distance = d + edge.weight;
+        if (distance > limit) continue;
+        if (!distances.has(next) || distance < distances.get(next)) {
+          distances.set(next, distance);
+          queue.enqueue({ id: next, d: distance });
+        }
+      }
+    }
+    return distances;
+  }
+
+  /**
+   * Shortcuts needed to contract a node
+   *
+   * @param {number} node - Node to contract
+   * @param {number} settleLimit - Witness search limit
+   * @returns {Array} Shortcuts {from, to, weight}
+   */
+  function findShortcuts(node, settleLimit) {
+    const shortcuts = [];
+    const outgoing = [...outEdges[node]];
+    if (outgoing.length === 0) return shortcuts;
+    const longestOut = Math.max(...outgoing.map(([, edge]) => edge.weight));
+
+    for (const [from, inEdge] of inEdges[node]) {
+      const targets = new Set(
+        outgoing.map(([to]) => to).filter((to) => to !== from)
+      );
+      if (targets.size === 0) continue;
+
+      const distances = witnessSearch(
+        from,
+        node,
+        inEdge.weight + longestOut,
+        targets,
+        settleLimit
+      );
+      for (const [to, outEdge] of outgoing) {
+        if (to === from) continue;
+        const weight = inEdge.weight + outEdge.weight;
+        if (!(distances.get(to) <= weight)) {
+          shortcuts.push({ from, to, weight });
+        }
+      }
+    }
+    return shortcuts;
+  }
+
+  // Contract cheap nodes first: few shortcuts for the edges removed, and
+  // spread out so the hierarchy stays shallow. Weighting the edge difference
+  // twice keeps degrees low, which keeps witness searches short
+  const deletedNeighbours = new Int32Array(n);
+  const getPriority = (node) =>
+    2 *
+      (findShortcuts(node, SIMULATE_SETTLE_LIMIT).length -
+        inEdges[node].size -
+        outEdges[node].size) +
+    deletedNeighbours[node];
+
+  const queue = new CustomPriorityQueue((a, b) => a.priority - b.priority);
+  for (let node = 0; node < n; node++) {
+    queue.enqueue({ id: node, priority: getPriority(node) });
+  }
+
+  const rank = new Int32Array(n);
+  const up = new Array(n);
+  const down = new Array(n);
+  let contracted = 0;
+  let shortcutCount = 0;
+
+  while (!queue.isEmpty()) {
+    const { id: node } = queue.dequeue();
+
+    // Lazy update: priorities go stale as neighbours are contracted
+    const priority = getPriority(node);
+    if (!queue.isEmpty() && priority > queue.peek().priority) {
+      queue.enqueue({ id: node, priority });
+      continue;
+    }
+
+    const shortcuts = findShortcuts(node, CONTRACT_SETTLE_LIMIT);
+
+    // Every remaining neighbour is contracted later, so is more important
+    up[node] = [...outEdges[node]].map(([to, edge]) => [to, edge]);
+    down[node] = [...inEdges[node]].map(([from, edge]) => [from, edge]);
+    for (const [from] of inEdges[node]) {
+      outEdges[from].delete(node);
+      deletedNeighbours[from]++;
+    }
+    for (const [to] of outEdges[node]) {
+      inEdges[to].delete(node);
+      deletedNeighbours[to]++;
+    }
+    outEdges[node] = null;
+    inEdges[node] = null;
+
+    for (const { from, to, weight } of shortcuts) {
+      addEdge(from, to, weight, node);
+    }
+    shortcutCount += shortcuts.length;
+    rank[node] = contracted++;
+
+    if (contracted % YIELD_INTERVAL === 0) {
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+  }
+
+  console.log(
+    `Contraction hierarchy built in ${Date.now() - startTime} ms with ` +
+      `${shortcutCount} shortcuts`
+  );
+
+  return {
+    metric,
+    nodeIds: graph.map((node) => node.id),
+    rank,
+    up: packEdges(up),
+    down: packEdges(down),
+    shortcutCount,
+  };
+}
+
+/**
+ * Find the cheapest path with a contraction hierarchy
+ * Start and end may be virtual nodes from insertVirtualNodes; their edges
+ * onto the graph seed the two searches. Closures and costModifier are not
+ * supported, as the shortcuts were computed without them.
+ *
+ * @param {Array} graph - The graph the hierarchy was built from
+ * @param {Object} hierarchy - Hierarchy from buildContractionHierarchy
+ * @param {Object} startNode - Starting node, from the graph or virtual
+ * @param {Object} endNode - Ending node, from the graph or virtual (with
+ *   reverseConnections)
+ * @returns {Object} Path and metrics like runAStarOnStreetGraph, with
+ *   nodesExploredForward and nodesExploredBackward
+ */
+export function runContractionHierarchyQuery(
+  graph,
+  hierarchy,
+  startNode,
+  endNode
+) {
+  const { metric } = hierarchy;
+  const indexById = getIndexById(hierarchy);
+
+  // Graph nodes the searches start from, with the cost of reaching them
+  const sources = startNode.virtual
+    ? startNode.connections
+        .filter((connection) => indexById.has(connection.nodeId))
+        .map((connection) => ({
+          index: indexById.get(connection.nodeId),
+          cost: getEdgeCost(connection, metric),
+          connection,
+        }))
+    : [{ index: indexById.get(startNode.id), cost: 0 }];
+  const targets = endNode.virtual
+    ? endNode.reverseConnections
+        .filter(({ nodeId }) => indexById.has(nodeId))
+        .map(({ nodeId, connection }) => ({
+          index: indexById.get(nodeId),
+          cost: getEdgeCost(connection, metric),
+          connection,
+        }))
+    : [{ index: indexById.get(endNode.id), cost: 0 }];
+
+  // Both points on the same segment can be joined without the graph
+  let best = Infinity;
+  let meeting = null;
+  const direct =
+    startNode.id === endNode.id
+      ? null
+      : startNode.connections.find(
+          (connection) => connection.nodeId === endNode.id
+        );
+  if (startNode.id === endNode.id) {
+    best = 0;
+  } else if (direct) {
+    best = getEdgeCost(direct, metric);
+  }
+
+  const createSide = (seeds, edges) => {
+    const side = {
+      edges,
+      distances: new Map(),
+      links: new Map(), // Node -> {node, edge} towards the seed
+      seeds: new Map(), // Seed node -> seed entry
+      queue: new CustomPriorityQueue((a, b) => a.d - b.d),
+      nodesExplored: 0,
+      done: false,
+    };
+    for (const seed of seeds) {
+      if (seed.index === undefined) continue;
+      if (side.distances.has(seed.index)) {
+        if (side.distances.get(seed.index) <= seed.cost) continue;
+      }
+      side.distances.set(seed.index, seed.cost);
+      side.seeds.set(seed.index, seed);
+      side.queue.enqueue({ id: seed.index, d: seed.cost });
+    }
+    return side;
+  };
+  const forward = createSide(sources, hierarchy.up);
+  const backward = createSide(targets, hierarchy.down);
+
+  const exploredNodes = [];
+  while (!forward.done || !backward.done) {
+    // Alternate, skipping a side once nothing in its queue can help
+    for (const [side, other] of [
+      [forward, backward],
+      [backward, forward],
+    ]) {
+      if (side.done) continue;
+      if (side.queue.isEmpty() || side.queue.peek().d >= best) {
+        side.done = true;
+        continue;
+      }
+
+      const { id: node, d } = side.queue.dequeue();
+      side.nodesExplored++;
+      exploredNodes.push({ lat: graph[node].lat, lng: graph[node].lng });
+
+      if (other.distances.has(node)) {
+        const total = d + other.distances.get(node);
+        if (total < best) {
+          best = total;
+          meeting = node;
+        }
+      }
+
+      const { offsets, targets: ends, weights } = side.edges;
+      for (let e = offsets[node]; e < offsets[node + 1]; e++) {
+        const next = ends[e];
+        const distance = d + weights[e];
+        if (!side.distances.has(next) || distance < side.distances.get(next)) {
+          side.distances.set(next, distance);
+          side.links.set(next, { node, edge: e });
+          side.queue.enqueue({ id: next, d: distance });
+        }
+      }
+    }
+  }
+
+  const nodesExplored = forward.nodesExplored + backward.nodesExplored;
+  const stats = {
+    nodesExplored,
+    nodesExploredForward: forward.nodesExplored,
+    nodesExploredBackward: backward.nodesExplored,
+    exploredNodesList: exploredNodes,
+  };
+
+  if (best === Infinity) {
+    console.warn("No path found in the contraction hierarchy");
+    return { path: [], distance: 0, ...stats };
+  }
+
+  // Connections along the path, in order
+  const connections = [];
+  const nodeIds = [startNode.id];
+  if (meeting === null) {
+    // Same point, or the direct edge between two virtual nodes
+    if (direct) {
+      connections.push(direct);
+      nodeIds.push(endNode.id);
+    }
+  } else {
+    // Climb back from the meeting node to the start, then on to the end
+    const upward = [];
+    let node = meeting;
+    while (forward.links.has(node)) {
+      const { node: previous, edge } = forward.links.get(node);
+      upward.unshift([previous, node, hierarchy.up.middles[edge]]);
+      node = previous;
+    }
+    const firstIndex = node;
+    const downward = [];
+    node = meeting;
+    while (backward.links.has(node)) {
+      const { node: next, edge } = backward.links.get(node);
+      downward.push([node, next, hierarchy.down.middles[edge]]);
+      node = next;
+    }
+    const lastIndex = node;
+
+    const seed = forward.seeds.get(firstIndex);
+    if (seed.connection) connections.push(seed.connection);
+    const indexes = [firstIndex];
+    for (const [from, to, middle] of [...upward, ...downward]) {
+      unpackEdge(hierarchy, from, to, middle, indexes);
+    }
+    for (let i = 0; i < indexes.length - 1; i++) {
+      connections.push(
+        getCheapestConnection(graph[indexes[i]], graph[indexes[i + 1]], metric)
+      );
+    }
+    const target = backward.seeds.get(lastIndex);
+    if (target.connection) connections.push(target.connection);
+
+    if (!startNode.virtual) nodeIds.pop();
+    nodeIds.push(...indexes.map((index) => graph[index].id));
+    if (endNode.virtual) nodeIds.push(endNode.id);
+  }
+
+  const nodeMap = new Map([
+    [startNode.id, startNode],
+    [endNode.id, endNode],
+  ]);
+  console.log(
+    `Contraction hierarchy path found! Explored ${forward.nodesExplored} ` +
+      `nodes forward and ${backward.nodesExplored} backward`
+  );
+
+  return {
+    path: nodeIds.map((id) => {
+      const node = nodeMap.get(id) || graph[indexById.get(id)];
+      return { lat: node.lat, lng: node.lng };
+    }),
+    nodeIds,
+    distance: connections.reduce((sum, c) => sum + c.distance, 0),
+    duration: connections.reduce((sum, c) => sum + getEdgeCost(c, "time"), 0),
+    ...stats,
+  };
+}
+
+/**
+ * Convert a hierarchy to plain arrays for JSON or IndexedDB storage
+ *
+ * @param {Object} hierarchy - Hierarchy from buildContractionHierarchy
+ * @returns {Object} Serialized hierarchy
+ */
+export function serializeContractionHierarchy(hierarchy) {
+  const plain = (edges) => ({
+    offsets: Array.from(edges.offsets),
+    targets: Array.from(edges.targets),
+    weights: Array.from(edges.weights),
+    middles: Array.from(edges.middles),
+  });
+  return {
+    metric: hierarchy.metric,
+    nodeIds: hierarchy.nodeIds,
+    rank: Array.from(hierarchy.rank),
+    up: plain(hierarchy.up),
+    down: plain(hierarchy.down),
+    shortcutCount: hierarchy.shortcutCount,
+  };
+}
+
+/**
+ * Rebuild a hierarchy from its serialized form
+ *
+ * @param {Object} data - Serialized hierarchy
+ * @returns {Object} Hierarchy for runContractionHierarchyQuery
+ */
+export function deserializeContractionHierarchy(data) {
+  const typed = (edges) => ({
+    offsets: Int32Array.from(edges.offsets),
+    targets: Int32Array.from(edges.targets),
+    weights: Float64Array.from(edges.weights),
+    middles: Int32Array.from(edges.middles),
+  });
+  return {
+    metric: data.metric,
+    nodeIds: data.nodeIds,
+    rank: Int32Array.from(data.rank),
+    up: typed(data.up),
+    down: typed(data.down),
+    shortcutCount: data.shortcutCount,
+  };
+}
+
+/**
+ * Check that a hierarchy was built from this graph
+ *
+ * @param {Object} hierarchy - Hierarchy to check
+ * @param {Array} graph - Graph of street nodes
+ * @returns {boolean} True if the node ids match, in order
+ */
+export function matchesGraph(hierarchy, graph) {
+  return (
+    hierarchy.nodeIds.length === graph.length &&
+    graph.every((node, index) => node.id === hierarchy.nodeIds[index])
+  );
+}
+
+/**
+ * Pack per-node edge lists into offset/target/weight/middle arrays
+ *
+ * @param {Array} lists - Per node, [neighbour, {weight, middle}] pairs
+ * @returns {Object} {offsets, targets, weights, middles}
+ */
+function packEdges(lists) {
+  const offsets = new Int32Array(lists.length + 1);
+  lists.forEach((list, node) => {
+    offsets[node + 1] = offsets[node] + list.length;
+  });
+
+  const total = offsets[lists.length];
+  const targets = new Int32Array(total);
+  const weights = new Float64Array(total);
+  const middles = new Int32Array(total);
+  lists.forEach((list, node) => {
+    list.forEach(([neighbour, edge], i) => {
+      targets[offsets[node] + i] = neighbour;
+      weights[offsets[node] + i] = edge.weight;
+      middles[offsets[node] + i] = edge.middle;
+    });
+  });
+  return { offsets, targets, weights, middles };
+}
+
+/**
+ * Expand a hierarchy edge into the graph nodes it passes
+ * A shortcut from -> to around middle is the edge from -> middle (stored in
+ * middle's down list) followed by middle -> to (in middle's up list).
+ *
+ * @param {Object} hierarchy - Hierarchy
+ * @param {number} from - Edge tail
+ * @param {number} to - Edge head
+ * @param {number} middle - Contracted node the edge skips, or -1
+ * @param {Array} indexes - Path so far, ending at from; to is appended
+ */
+function unpackEdge(hierarchy, from, to, middle, indexes) {
+  if (middle === -1) {
+    indexes.push(to);
+    return;
+  }
+  unpackEdge(
+    hierarchy,
+    from,
+    middle,
+    findEdgeMiddle(hierarchy.down, middle, from),
+    indexes
+  );
+  unpackEdge(
+    hierarchy,
+    middle,
+    to,
+    findEdgeMiddle(hierarchy.up, middle, to),
+    indexes
+  );
+}
+
+/**
+ * Middle node of the edge between a node and one of its neighbours
+ *
+ * @param {Object} edges - Packed up or down edges
+ * @param {number} node - Node whose list to search
+ * @param {number} neighbour - Other end of the edge
+ * @returns {number} Middle node, or -1 for an original edge
+ */
+function findEdgeMiddle(edges, node, neighbour) {
+  for (let e = edges.offsets[node]; e < edges.offsets[node + 1]; e++) {
+    if (edges.targets[e] === neighbour) return edges.middles[e];
+  }
+  throw new Error(`Missing hierarchy edge between ${node} and ${neighbour}`);
+}
+
+/**
+ * Cheapest connection between two adjacent graph nodes
+ *
+ * @param {Object} from - Tail node
+ * @param {Object} to - Head node
+ * @param {string} metric - Cost metric
+ * @returns {Object} Connection
+ */
+function getCheapestConnection(from, to, metric) {
+  let cheapest = null;
+  for (const connection of from.connections) {
+    if (connection.nodeId !== to.id) continue;
+    if (
+      !cheapest ||
+      getEdgeCost(connection, metric) < getEdgeCost(cheapest, metric)
+    ) {
+      cheapest = connection;
+    }
+  }
+  return cheapest;
+}
+
+// Node id -> index maps, built once per hierarchy
+const indexMaps = new WeakMap();
+
+/**
+ * Map node ids to hierarchy indexes
+ *
+ * @param {Object} hierarchy - Hierarchy
+ * @returns {Map} Node id -> index
+ */
+function getIndexById(hierarchy) {
+  if (!indexMaps.has(hierarchy)) {
+    indexMaps.set(
+      hierarchy,
+      new Map(hierarchy.nodeIds.map((id, index) => [id, index]))
+    );
+  }
+  return indexMaps.get(hierarchy);
+}
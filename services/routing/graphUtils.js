@@ -2,17 +2,62 @@
  * Graph utilities for routing algorithms
  */
 
-import { calculateHaversineDistance, encodePolyline } from "../geoUtils.js";
+import { calculateHaversineDistance, calculateBearing } from "../geoUtils.js";
+import {
+  DEFAULT_SPEED_TABLE,
+  DEFAULT_TURN_PENALTIES,
+  getRoadSpeed,
+  getTravelTime,
+  getTurnPenalty,
+  getEdgeCost,
+} from "./travelTime.js";
+import {
+  DEFAULT_PROFILE,
+  isWayAccessible,
+  getWayDirections,
+  getTurnRestriction,
+} from "./osmRules.js";
+import { getBatchElevation } from "../elevationService.js";
+
+// Highway types excluded from the street graph (minor, non-drivable paths)
+export const EXCLUDED_HIGHWAY_PATTERN = "footway|path|track|service|steps";
+
+// Way tags copied onto every edge of the way; name, ref and junction let
+// route steps name streets and spot roundabouts
+export const EDGE_TAGS = [
+  "highway",
+  "maxspeed",
+  "name",
+  "ref",
+  "junction",
+  "lanes",
+  "surface",
+];
+
+// Points per getBatchElevation call when annotating a graph
+const ELEVATION_BATCH_SIZE = 1000;
 
 /**
  * Build a graph structure from OpenStreetMap data for use with A* algorithm
  *
+ * Each connection carries the way's id and tags (see EDGE_TAGS) along with its
+ * length in meters and its travel time in seconds
+ *
+ * Ways the travel profile may not use are skipped, and edges are only added
+ * in the directions the profile may travel them (see osmRules.js). Turn
+ * restriction relations are stored on their via nodes for the edge-based graph.
+ *
  * @param {Object} osmData - Raw OpenStreetMap data from Overpass API
+ * @param {Object} options - {speedTable, profile} - km/h per highway class and
+ *   travel profile ("driving", "cycling" or "walking")
  * @returns {Array} Array of nodes with their connections for pathfinding
  */
-export function buildStreetGraph(osmData) {
+export function buildStreetGraph(osmData, options = {}) {
+  const speedTable = options.speedTable || DEFAULT_SPEED_TABLE;
+  const profile = options.profile || DEFAULT_PROFILE;
   const nodes = {};
   const edges = [];
+  const relations = [];
 
   console.log(`Building graph from ${osmData.elements.length} OSM elements`);
 
@@ -33,6 +78,9 @@ export function buildStreetGraph(osmData) {
     ) {
       // Store ways (road segments)
       edges.push(element);
+    } else if (element.type === "relation" && element.members) {
+      // Store relations (turn restrictions)
+      relations.push(element);
     }
   }
 
@@ -42,8 +90,19 @@ export function buildStreetGraph(osmData) {
 
   // Step 2: Connect nodes based on ways (roads)
   for (const edge of edges) {
-    // Check if this is a one-way road
-    const isOneWay = edge.tags?.oneway === "yes";
+    // Skip roads the profile may not use
+    if (!isWayAccessible(edge.tags, profile)) continue;
+
+    // Directions this road may be travelled in
+    const { forward, backward } = getWayDirections(edge.tags, profile);
+    if (!forward && !backward) continue;
+
+    // Attributes shared by every edge of this way
+    const attributes = { wayId: edge.id };
+    for (const tag of EDGE_TAGS) {
+      if (edge.tags?.[tag] !== undefined) attributes[tag] = edge.tags[tag];
+    }
+    const speed = getRoadSpeed(edge.tags, speedTable);
 
     // Connect sequential nodes in the way
     for (let i = 0; i < edge.nodes.length - 1; i++) {
@@ -57,19 +116,170 @@ export function buildStreetGraph(osmData) {
           { lat: toNode.lat, lng: toNode.lng }
         );
 
+        const duration = getTravelTime(distance, speed);
+
         // Add forward connection
-        fromNode.connections.push({ nodeId: toNode.id, distance });
+        if (forward) {
+          fromNode.connections.push({
+            nodeId: toNode.id,
+            distance,
+            duration,
+            ...attributes,
+          });
+        }
 
         // Add reverse connection if not a one-way road
-        if (!isOneWay) {
-          toNode.connections.push({ nodeId: fromNode.id, distance });
+        if (backward) {
+          toNode.connections.push({
+            nodeId: fromNode.id,
+            distance,
+            duration,
+            ...attributes,
+          });
         }
       }
     }
   }
 
-  // Return only nodes that have connections (part of the road network)
-  return Object.values(nodes).filter((node) => node.connections.length > 0);
+  // Step 3: Attach turn restrictions to their via nodes
+  const restrictionCount = attachTurnRestrictions(nodes, relations, profile);
+  if (restrictionCount > 0) {
+    console.log(`Attached ${restrictionCount} turn restrictions`);
+  }
+
+  // Return only nodes on the road network, with the reverse adjacency
+  // backward searches walk. The end of a one-way street may have no
+  // connections of its own but is still a place to route to
+  const targetIds = new Set();
+  for (const node of Object.values(nodes)) {
+    for (const connection of node.connections) {
+      targetIds.add(connection.nodeId);
+    }
+  }
+  return addReverseConnections(
+    Object.values(nodes).filter(
+      (node) => node.connections.length > 0 || targetIds.has(node.id)
+    )
+  );
+}
+
+/**
+ * Give every node the list of edges that lead into it
+ * Each entry names the edge's tail node and points at the original
+ * connection, so a backward search sees the same costs as a forward one.
+ *
+ * @param {Array} graph - Array of nodes with connections
+ * @returns {Array} The same graph, with reverseConnections on every node
+ */
+export function addReverseConnections(graph) {
+  const nodeMap = new Map();
+  for (const node of graph) {
+    node.reverseConnections = [];
+    nodeMap.set(node.id, node);
+  }
+
+  for (const node of graph) {
+    for (const connection of node.connections) {
+      nodeMap
+        .get(connection.nodeId)
+        ?.reverseConnections.push({ nodeId: node.id, connection });
+    }
+  }
+  return graph;
+}
+
+/**
+ * Annotate a street graph with node elevations and edge grades
+ * Elevations are fetched in batches through getBatchElevation; each node
+ * records whether its elevation was measured or simulated and each
+ * connection gets its grade (rise over run, positive uphill). Edges with a
+ * simulated elevation at either end are treated as flat, so routing isn't
+ * steered by made-up hills.
+ *
+ * @param {Array} graph - Array of nodes from buildStreetGraph
+ * @param {Object} options - {simulatedOnly: true} looks up only the nodes
+ *   whose elevation is not measured yet, keeping the measured ones
+ * @returns {Promise<Array>} The same graph, annotated in place
+ */
+export async function annotateGraphElevation(graph, options = {}) {
+  const pending = options.simulatedOnly
+    ? graph.filter((node) => !node.elevationMeasured)
+    : graph;
+  console.log(`Fetching elevations for ${pending.length} nodes`);
+  let measuredCount = graph.length - pending.length;
+
+  for (let i = 0; i < pending.length; i += ELEVATION_BATCH_SIZE) {
+    const batch = pending.slice(i, i + ELEVATION_BATCH_SIZE);
+    const results = await getBatchElevation(
+      batch.map((node) => ({ lat: node.lat, lng: node.lng }))
+    );
+    batch.forEach((node, j) => {
+      node.elevation = results[j].elevation;
+      node.elevationMeasured = results[j].measured;
+      if (results[j].measured) measuredCount++;
+    });
+  }
+
+  if (measuredCount < graph.length) {
+    console.warn(
+      `Only ${measuredCount} of ${graph.length} node elevations are measured; the rest are simulated`
+    );
+  }
+
+  const nodeMap = new Map(graph.map((node) => [node.id, node]));
+  for (const node of graph) {
+    for (const connection of node.connections) {
+      const neighbor = nodeMap.get(connection.nodeId);
+      connection.grade =
+        neighbor &&
+        connection.distance > 0 &&
+        node.elevationMeasured &&
+        neighbor.elevationMeasured
+          ? (neighbor.elevation - node.elevation) / connection.distance
+          : 0;
+    }
+  }
+
+  return graph;
+}
+
+/**
+ * Attach OSM turn restriction relations to their via nodes
+ * Each via node gets a restrictions list of {type: "no"|"only", fromWay,
+ * toWay, restriction}. Restrictions with a via way are not supported and are
+ * skipped.
+ *
+ * @param {Object} nodes - Node id -> graph node
+ * @param {Array} relations - OSM relations
+ * @param {string} profile - Travel profile
+ * @returns {number} Number of restrictions attached
+ */
+function attachTurnRestrictions(nodes, relations, profile) {
+  let count = 0;
+
+  for (const relation of relations) {
+    const rule = getTurnRestriction(relation.tags, profile);
+    if (!rule) continue;
+
+    const member = (role, type) =>
+      relation.members.find((m) => m.role === role && m.type === type);
+    const from = member("from", "way");
+    const to = member("to", "way");
+    const via = member("via", "node");
+    if (!from || !to || !via || !nodes[via.ref]) continue;
+
+    const viaNode = nodes[via.ref];
+    if (!viaNode.restrictions) viaNode.restrictions = [];
+    viaNode.restrictions.push({
+      type: rule.type,
+      fromWay: from.ref,
+      toWay: to.ref,
+      restriction: rule.restriction,
+    });
+    count++;
+  }
+
+  return count;
 }
 
 /**
@@ -77,22 +287,31 @@ export function buildStreetGraph(osmData) {
  *
  * @param {Array} graph - Array of nodes from buildStreetGraph
  * @param {Object} point - Point to find closest node for {lat, lng}
+ * @param {SpatialIndex} spatialIndex - Optional index to avoid a full scan
  * @returns {Object} The closest node in the graph
  */
-export function findClosestNode(graph, point) {
+export function findClosestNode(graph, point, spatialIndex = null) {
   let closestNode = null;
   let closestDistance = Infinity;
 
-  // Find node with minimum distance to the point
-  for (const node of graph) {
-    const distance = calculateHaversineDistance(
-      { lat: node.lat, lng: node.lng },
-      point
-    );
+  if (spatialIndex) {
+    const nearest = spatialIndex.nearestNode(point);
+    if (nearest) {
+      closestNode = nearest.node;
+      closestDistance = nearest.distance;
+    }
+  } else {
+    // Find node with minimum distance to the point
+    for (const node of graph) {
+      const distance = calculateHaversineDistance(
+        { lat: node.lat, lng: node.lng },
+        point
+      );
 
-    if (distance < closestDistance) {
-      closestDistance = distance;
-      closestNode = node;
+      if (distance < closestDistance) {
+        closestDistance = distance;
+        closestNode = node;
+      }
     }
   }
 
@@ -105,40 +324,414 @@ export function findClosestNode(graph, point) {
 }
 
 /**
- * Convert A* result to OSRM format for consistency in the application
+ * Snap a point onto the nearest road segment of the graph
  *
- * @param {Object} aStarResult - Result from A* algorithm
- * @returns {Object} Result formatted to match OSRM response structure
+ * @param {SpatialIndex} spatialIndex - Index built for the graph
+ * @param {Object} point - Point to snap {lat, lng}
+ * @returns {Object|null} Snap result {location, fromNode, toNode, fraction, distance}
  */
-export function convertAStarToOSRMFormat(aStarResult) {
-  // Encode the path as a polyline
-  const polylinePoints = encodePolyline(aStarResult.path);
+export function snapToRoad(spatialIndex, point) {
+  const snap = spatialIndex.nearestSegment(point);
+
+  if (snap && snap.distance > 500) {
+    console.warn(`Closest road is ${snap.distance}m away from the point`);
+  }
+
+  return snap;
+}
+
+/**
+ * Create a copy of a connection that covers part of the original edge
+ *
+ * @param {Object} connection - Original connection
+ * @param {string|number} nodeId - Node the partial connection leads to
+ * @param {number} fraction - Share of the original edge (0-1)
+ * @returns {Object} Connection scaled to the partial edge
+ */
+export function splitConnection(connection, nodeId, fraction) {
+  const partial = {
+    ...connection,
+    nodeId,
+    distance: connection.distance * fraction,
+  };
+  if (connection.duration !== undefined) {
+    partial.duration = connection.duration * fraction;
+  }
+  return partial;
+}
+
+/**
+ * Split road segments virtually at snapped points
+ * Each snap becomes a temporary node connected to both ends of its segment,
+ * respecting the directions the segment can be travelled in. The graph itself
+ * is not modified; affected nodes are shallow-copied into the returned array.
+ * Reverse connections are kept up to date when the graph has them.
+ *
+ * @param {Array} graph - Array of nodes from buildStreetGraph
+ * @param {Array} snaps - Snap results from snapToRoad
+ * @returns {Object} {graph, nodes} - Augmented graph and one virtual node per snap
+ */
+export function insertVirtualNodes(graph, snaps) {
+  const extraConnections = new Map(); // Node id -> connections to virtual nodes
+  const addConnection = (nodeId, connection) => {
+    if (!extraConnections.has(nodeId)) extraConnections.set(nodeId, []);
+    extraConnections.get(nodeId).push(connection);
+  };
+
+  const findConnection = (from, to) =>
+    from.connections.find((connection) => connection.nodeId === to.id);
+
+  // Normalise each snap so the segment is keyed by its endpoints in id order
+  const placed = snaps.map((snap, index) => {
+    const swap = String(snap.fromNode.id) > String(snap.toNode.id);
+    const a = swap ? snap.toNode : snap.fromNode;
+    const b = swap ? snap.fromNode : snap.toNode;
+    const t = swap ? 1 - snap.fraction : snap.fraction;
+    const node = {
+      id: `virtual:${index}`,
+      lat: snap.location.lat,
+      lng: snap.location.lng,
+      connections: [],
+      virtual: true,
+    };
+
+    // Interpolate the elevation along the segment
+    if (a.elevation !== undefined && b.elevation !== undefined) {
+      node.elevation = a.elevation + (b.elevation - a.elevation) * t;
+    }
+
+    return { node, a, b, t };
+  });
+
+  for (const { node, a, b, t } of placed) {
+    const forward = findConnection(a, b);
+    const backward = findConnection(b, a);
+
+    if (forward) {
+      addConnection(a.id, splitConnection(forward, node.id, t));
+      node.connections.push(splitConnection(forward, b.id, 1 - t));
+    }
+    if (backward) {
+      addConnection(b.id, splitConnection(backward, node.id, 1 - t));
+      node.connections.push(splitConnection(backward, a.id, t));
+    }
+
+    // Connect virtual nodes that share the same segment directly
+    for (const other of placed) {
+      if (other.node === node || other.a !== a || other.b !== b) continue;
+      if (forward && other.t >= t) {
+        node.connections.push(
+          splitConnection(forward, other.node.id, other.t - t)
+        );
+      }
+      if (backward && other.t <= t) {
+        node.connections.push(
+          splitConnection(backward, other.node.id, t - other.t)
+        );
+      }
+    }
+  }
+
+  // Edges into and out of the virtual nodes, seen from their head node
+  const hasReverse = graph.length > 0 && graph[0].reverseConnections;
+  const extraReverse = new Map(); // Node id -> reverse connections
+  if (hasReverse) {
+    const addReverse = (fromId, connection) => {
+      if (!extraReverse.has(connection.nodeId)) {
+        extraReverse.set(connection.nodeId, []);
+      }
+      extraReverse.get(connection.nodeId).push({ nodeId: fromId, connection });
+    };
+    for (const [nodeId, connections] of extraConnections) {
+      connections.forEach((connection) => addReverse(nodeId, connection));
+    }
+    for (const { node } of placed) {
+      node.connections.forEach((connection) => addReverse(node.id, connection));
+    }
+  }
+
+  const augmentedGraph = graph.map((node) => {
+    if (!extraConnections.has(node.id) && !extraReverse.has(node.id)) {
+      return node;
+    }
+    const copy = {
+      ...node,
+      connections: [
+        ...node.connections,
+        ...(extraConnections.get(node.id) || []),
+      ],
+    };
+    if (hasReverse) {
+      copy.reverseConnections = [
+        ...node.reverseConnections,
+        ...(extraReverse.get(node.id) || []),
+      ];
+    }
+    return copy;
+  });
+  const virtualNodes = placed.map(({ node }) => node);
+  if (hasReverse) {
+    for (const node of virtualNodes) {
+      node.reverseConnections = extraReverse.get(node.id) || [];
+    }
+  }
 
-  // Build the OSRM-compatible response
   return {
-    routes: [
-      {
-        overview_polyline: {
-          points: polylinePoints,
-        },
-        legs: [
-          {
-            distance: {
-              text: `${(aStarResult.distance / 1000).toFixed(2)} km`,
-              value: aStarResult.distance,
-            },
-            duration: {
-              // Estimate duration based on distance (assuming average speed of 30 km/h)
-              text: `${Math.round(aStarResult.distance / 500)} mins`,
-              value: Math.round(aStarResult.distance / 500) * 60,
-            },
-          },
-        ],
-        // Include algorithm metrics for evaluation
-        nodesExplored: aStarResult.nodesExplored || 0,
-      },
-    ],
+    graph: augmentedGraph.concat(virtualNodes),
+    nodes: virtualNodes,
+  };
+}
+
+/**
+ * Id of the edge-based graph node for travelling along an edge
+ *
+ * @param {string|number} fromId - Tail node id
+ * @param {string|number} toId - Head node id
+ * @returns {string} Edge state id
+ */
+export function getEdgeStateId(fromId, toId) {
+  return `${fromId}>${toId}`;
+}
+
+/**
+ * Build an edge-expanded graph for turn-aware routing
+ * Every directed edge u->v of the street graph becomes a node "u>v" located at
+ * v, so heuristics work on it unchanged. Its connections are the turns that
+ * may be taken at v: turn restrictions are applied and each turn adds a
+ * penalty by its angle to the duration (see DEFAULT_TURN_PENALTIES).
+ *
+ * @param {Array} graph - Array of nodes from buildStreetGraph
+ * @param {Object} options - {turnPenalties} - Overrides for the penalty table
+ * @returns {Object} {source, states, stateById, statesByHead, turnPenalties}
+ */
+export function buildEdgeExpandedGraph(graph, options = {}) {
+  const turnPenalties = { ...DEFAULT_TURN_PENALTIES, ...options.turnPenalties };
+  const nodeMap = new Map(graph.map((node) => [node.id, node]));
+  const stateById = new Map();
+  const statesByHead = new Map(); // Node id -> states arriving at the node
+
+  for (const node of graph) {
+    for (const connection of node.connections) {
+      const id = getEdgeStateId(node.id, connection.nodeId);
+      if (stateById.has(id)) continue; // Parallel edge between the same nodes
+
+      const state = buildEdgeState(nodeMap, node, connection, turnPenalties);
+      if (!state) continue;
+
+      stateById.set(id, state);
+      if (!statesByHead.has(state.via)) statesByHead.set(state.via, []);
+      statesByHead.get(state.via).push(state);
+    }
+  }
+
+  console.log(`Built edge-expanded graph with ${stateById.size} edge states`);
+
+  return {
+    source: graph,
+    states: [...stateById.values()],
+    stateById,
+    statesByHead,
+    turnPenalties,
+  };
+}
+
+/**
+ * Prepare an edge-based search between two nodes of a search graph
+ * Reuses the edge-expanded graph of the base graph and only rebuilds the
+ * states affected by insertVirtualNodes. The start becomes a source node
+ * leading onto its outgoing edges and the end a sink reached by every allowed
+ * turn onto it, so the node-based searches find the best turn-aware route.
+ *
+ * @param {Object} expanded - Edge-expanded graph from buildEdgeExpandedGraph
+ * @param {Array} searchGraph - Base graph with virtual nodes inserted
+ * @param {Object} startNode - Start node of the search graph
+ * @param {Object} endNode - End node of the search graph
+ * @returns {Object} {graph, startNode, endNode} - Edge-based search inputs
+ */
+export function createEdgeBasedSearch(
+  expanded,
+  searchGraph,
+  startNode,
+  endNode
+) {
+  const base = expanded.source;
+  const nodeMap = new Map(searchGraph.map((node) => [node.id, node]));
+
+  // Nodes with connections that differ from the base graph; nodes past the
+  // end of the base graph are new (virtual) nodes
+  const changed = searchGraph.filter(
+    (node, index) => index >= base.length || node !== base[index]
+  );
+  const newNodeIds = new Set(searchGraph.slice(base.length).map((n) => n.id));
+
+  // Heads whose arriving states must be rebuilt: changed nodes and the nodes
+  // just before the end, whose turns onto the end lead to the sink
+  const heads = new Set(changed.map((node) => node.id));
+  for (const state of expanded.statesByHead.get(endNode.id) || []) {
+    heads.add(state.from);
+  }
+  for (const node of changed) {
+    if (node.connections.some((c) => c.nodeId === endNode.id)) {
+      heads.add(node.id);
+    }
+  }
+
+  // Edges whose states are rebuilt: base edges into those heads, and edges
+  // out of new nodes or into the heads from changed nodes
+  const edges = [];
+  for (const headId of heads) {
+    for (const state of expanded.statesByHead.get(headId) || []) {
+      const fromNode = nodeMap.get(state.from);
+      const connection = fromNode.connections.find((c) => c.nodeId === headId);
+      edges.push([fromNode, connection]);
+    }
+  }
+  for (const node of changed) {
+    for (const connection of node.connections) {
+      if (newNodeIds.has(node.id) || heads.has(connection.nodeId)) {
+        edges.push([node, connection]);
+      }
+    }
+  }
+
+  const rebuilt = new Map();
+  for (const [fromNode, connection] of edges) {
+    const id = getEdgeStateId(fromNode.id, connection.nodeId);
+    if (rebuilt.has(id)) continue;
+
+    const state = buildEdgeState(
+      nodeMap,
+      fromNode,
+      connection,
+      expanded.turnPenalties,
+      endNode.id
+    );
+    if (state) rebuilt.set(id, state);
+  }
+
+  const states = expanded.states.map((state) => rebuilt.get(state.id) || state);
+  for (const [id, state] of rebuilt) {
+    if (!expanded.stateById.has(id)) states.push(state);
+  }
+
+  // The route may leave the start in any direction without a turn penalty
+  const source = {
+    id: startNode.id,
+    lat: startNode.lat,
+    lng: startNode.lng,
+    elevation: startNode.elevation,
+    connections: startNode.connections.map((connection) => ({
+      ...connection,
+      nodeId:
+        connection.nodeId === endNode.id
+          ? endNode.id
+          : getEdgeStateId(startNode.id, connection.nodeId),
+    })),
+  };
+  const sink = {
+    id: endNode.id,
+    lat: endNode.lat,
+    lng: endNode.lng,
+    elevation: endNode.elevation,
+    connections: [],
   };
+  states.push(source, sink);
+
+  return { graph: states, startNode: source, endNode: sink };
+}
+
+/**
+ * Build the edge state for travelling along one edge
+ * Its connections are the allowed turns at the edge's head node
+ *
+ * @param {Map} nodeMap - Node id -> graph node
+ * @param {Object} fromNode - Tail node of the edge
+ * @param {Object} inConnection - The edge, a connection of fromNode
+ * @param {Object} turnPenalties - Turn penalty table
+ * @param {string|number} sinkId - Node whose arriving turns lead to the sink
+ * @returns {Object|null} Edge state {id, lat, lng, from, via, connections}
+ */
+function buildEdgeState(
+  nodeMap,
+  fromNode,
+  inConnection,
+  turnPenalties,
+  sinkId = null
+) {
+  const viaNode = nodeMap.get(inConnection.nodeId);
+  if (!viaNode) return null;
+
+  // Restrictions that start from the way we arrive on
+  const restrictions = (viaNode.restrictions || []).filter(
+    (r) => r.fromWay === inConnection.wayId
+  );
+  const onlyWays = restrictions
+    .filter((r) => r.type === "only")
+    .map((r) => r.toWay);
+
+  // Zero-length edges (virtual nodes on top of a node) have no heading
+  const hasHeading =
+    fromNode.lat !== viaNode.lat || fromNode.lng !== viaNode.lng;
+  const inBearing = calculateBearing(fromNode, viaNode);
+
+  const connections = [];
+  for (const out of viaNode.connections) {
+    const toNode = nodeMap.get(out.nodeId);
+    if (!toNode) continue;
+
+    const uTurn = out.nodeId === fromNode.id;
+    if (onlyWays.length > 0 && !onlyWays.includes(out.wayId)) continue;
+    if (
+      restrictions.some(
+        (r) =>
+          r.type === "no" &&
+          r.toWay === out.wayId &&
+          // no_u_turn from a way onto itself only forbids turning back
+          (r.toWay !== r.fromWay || uTurn)
+      )
+    ) {
+      continue;
+    }
+
+    let turnAngle = 0;
+    if (uTurn) {
+      turnAngle = 180;
+    } else if (hasHeading) {
+      turnAngle = getTurnAngle(inBearing, calculateBearing(viaNode, toNode));
+    }
+    const turnPenalty = getTurnPenalty(turnAngle, turnPenalties);
+    if (!Number.isFinite(turnPenalty)) continue;
+
+    connections.push({
+      ...out,
+      nodeId:
+        out.nodeId === sinkId ? sinkId : getEdgeStateId(viaNode.id, out.nodeId),
+      duration: getEdgeCost(out, "time") + turnPenalty,
+      turnPenalty,
+    });
+  }
+
+  return {
+    id: getEdgeStateId(fromNode.id, viaNode.id),
+    lat: viaNode.lat,
+    lng: viaNode.lng,
+    elevation: viaNode.elevation,
+    from: fromNode.id,
+    via: viaNode.id,
+    connections,
+  };
+}
+
+/**
+ * Signed change of heading between two bearings
+ *
+ * @param {number} inBearing - Heading arriving at the turn in degrees
+ * @param {number} outBearing - Heading leaving the turn in degrees
+ * @returns {number} Turn angle from -180 to 180, positive for right turns
+ */
+export function getTurnAngle(inBearing, outBearing) {
+  const angle = (((outBearing - inBearing) % 360) + 360) % 360;
+  return angle > 180 ? angle - 360 : angle;
 }
 
 /**
@@ -216,11 +809,14 @@ export async function fetchStreetData(start, end, bounds) {
     [out:json];
     (
       // Get all highways except minor ones
-      way[highway][highway!~"footway|path|track|service|steps"]
+      way[highway][highway!~"${EXCLUDED_HIGHWAY_PATTERN}"]
         (${bbox.south},${bbox.west},${bbox.north},${bbox.east});
-    );
+    )->.roads;
+    // Turn restrictions on those roads
+    rel(bw.roads)[type=restriction]->.restrictions;
+    (.roads; .restrictions;);
     out body;
-    >;  // Get all nodes referenced by ways
+    .roads >;  // Get all nodes referenced by ways
     out skel qt;
   `;
 
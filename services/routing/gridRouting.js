@@ -4,6 +4,7 @@
 
 import { calculateHaversineDistance } from "../geoUtils.js";
 import { CustomPriorityQueue } from "./common.js";
+import { getClosurePointModifier } from "../closureService.js";
 
 /**
  * Fallback grid-based A* algorithm when street data is insufficient
@@ -45,7 +46,10 @@ export async function fallbackGridBasedAStar(start, end, bounds, options) {
   console.log("Grid coordinates:", { startGrid, endGrid });
 
   // Step 3: Initialize A* algorithm data structures
-  const openSet = new CustomPriorityQueue((a, b) => a.f - b.f);
+  const openSet = new CustomPriorityQueue(
+    (a, b) => a.f - b.f,
+    (item) => item.key
+  );
   const closedSet = new Set();
   const cameFrom = {};
   const gScore = {};
@@ -55,6 +59,17 @@ export async function fallbackGridBasedAStar(start, end, bounds, options) {
   const startKey = `${startGrid.x},${startGrid.y}`;
   const endKey = `${endGrid.x},${endGrid.y}`;
 
+  // Cells whose centre lies in a closed area are skipped, penalised ones cost
+  // more. The start and end cells are always allowed.
+  const closureFactor = getClosurePointModifier();
+  const getCellCost = (cell, key) => {
+    if (!closureFactor || key === startKey || key === endKey) return 1;
+    return closureFactor({
+      lat: bounds.south + cell.y * latStep + latStep / 2,
+      lng: bounds.west + cell.x * lngStep + lngStep / 2,
+    });
+  };
+
   gScore[startKey] = 0;
   fScore[startKey] = heuristic(startGrid, endGrid);
 
@@ -132,8 +147,10 @@ export async function fallbackGridBasedAStar(start, end, bounds, options) {
       // Skip if already visited
       if (closedSet.has(neighborKey)) continue;
 
-      // Calculate tentative gScore (using uniform cost for simplicity)
-      const tentativeGScore = gScore[current.key] + 1;
+      // Calculate tentative gScore (uniform cost, scaled by closures)
+      const cellCost = getCellCost(neighbor, neighborKey);
+      if (cellCost === Infinity) continue;
+      const tentativeGScore = gScore[current.key] + cellCost;
 
       // If this path is better than any previous one
       if (!gScore[neighborKey] || tentativeGScore < gScore[neighborKey]) {
@@ -143,14 +160,17 @@ export async function fallbackGridBasedAStar(start, end, bounds, options) {
         fScore[neighborKey] =
           gScore[neighborKey] + heuristic(neighbor, endGrid);
 
-        // Add to open set if not there already
-        if (!openSet.toArray().some((item) => item.key === neighborKey)) {
-          openSet.enqueue({
-            key: neighborKey,
-            x: neighbor.x,
-            y: neighbor.y,
-            f: fScore[neighborKey],
-          });
+        // Add to open set, or lower its priority if already queued
+        const entry = {
+          key: neighborKey,
+          x: neighbor.x,
+          y: neighbor.y,
+          f: fScore[neighborKey],
+        };
+        if (openSet.has(neighborKey)) {
+          openSet.decreaseKey(entry);
+        } else {
+          openSet.enqueue(entry);
         }
       }
     }
@@ -8,13 +8,32 @@ import {
 } from "./osrmRouting.js";
 import { calculateAStarPath } from "./aStarRouting.js";
 import { calculateThirdRoute } from "./thirdRouting.js";
+import { calculateAlternatives } from "./alternatives.js";
+import { computeMatrix } from "./matrix.js";
+import { computeIsochrone } from "./isochrone.js";
+import { getInstructions } from "./instructions.js";
 import { fetchStreetData, buildStreetGraph } from "./graphUtils.js";
+import { loadOsmFile, buildStreetGraphFromFile } from "./osmImport.js";
+import {
+  parseSpeedProfiles,
+  loadSpeedProfiles,
+  setSpeedProfiles,
+} from "./speedProfiles.js";
 
 export {
   getOpenStreetMapDirections,
   calculateDirectLine,
   calculateAStarPath,
   calculateThirdRoute,
+  calculateAlternatives,
+  computeMatrix,
+  computeIsochrone,
+  getInstructions,
   fetchStreetData,
   buildStreetGraph,
+  loadOsmFile,
+  buildStreetGraphFromFile,
+  parseSpeedProfiles,
+  loadSpeedProfiles,
+  setSpeedProfiles,
 };
@@ -0,0 +1,155 @@
+/**
+ * Turn-by-turn instructions
+ * Words the steps of OSRM route legs as directions such as "Turn left onto
+ * Pike St in 300 m". Works the same for routes from OSRM and from
+ * buildRouteResponse, since both describe maneuvers the same way.
+ */
+
+// Compass points for the heading at departure, clockwise from north
+const COMPASS_POINTS = [
+  "north",
+  "northeast",
+  "east",
+  "southeast",
+  "south",
+  "southwest",
+  "west",
+  "northwest",
+];
+
+// Verbs for each maneuver modifier
+const TURN_PHRASES = {
+  "sharp left": "Make a sharp left",
+  left: "Turn left",
+  "slight left": "Bear left",
+  straight: "Continue straight",
+  "slight right": "Bear right",
+  right: "Turn right",
+  "sharp right": "Make a sharp right",
+  uturn: "Make a U-turn",
+};
+
+/**
+ * Build turn-by-turn instructions for a trip
+ *
+ * @param {Array} legs - OSRM legs with steps, in travel order; the arrival
+ *   of every leg but the last is a stop on the way
+ * @returns {Array} Instructions {text, type, modifier, location, distance}
+ *   - distance is how far in meters the maneuver is from the one before,
+ *   and location is {lat, lng}
+ */
+export function getInstructions(legs) {
+  const instructions = [];
+  let distance = 0; // Travelled since the last instruction
+
+  legs.forEach((leg, legIndex) => {
+    const last = legIndex === legs.length - 1;
+    leg.steps.forEach((step, stepIndex) => {
+      const { maneuver } = step;
+      // The roundabout instruction already names the exit
+      if (maneuver.type !== "exit roundabout") {
+        const next = leg.steps[stepIndex + 1];
+        const text = getInstructionText(step, next, last ? null : legIndex + 2);
+        instructions.push({
+          text:
+            maneuver.type === "depart"
+              ? text
+              : `${text}${formatApproach(distance)}`,
+          type: maneuver.type,
+          modifier: maneuver.modifier,
+          location: { lat: maneuver.location[1], lng: maneuver.location[0] },
+          distance,
+        });
+        distance = 0;
+      }
+      distance += step.distance;
+    });
+  });
+
+  return instructions;
+}
+
+/**
+ * Word one step as an instruction
+ *
+ * @param {Object} step - OSRM step
+ * @param {Object} next - Step after it, which names a roundabout's exit road
+ * @param {number|null} stop - Number of the stop the step arrives at, or
+ *   null at the destination
+ * @returns {string} Instruction text
+ */
+function getInstructionText(step, next, stop) {
+  const { type, modifier, bearing_after: bearing, exit } = step.maneuver;
+  const street = getStreetName(step);
+
+  switch (type) {
+    case "depart": {
+      const heading = `Head ${getCompassPoint(bearing)}`;
+      return street ? `${heading} on ${street}` : heading;
+    }
+    case "arrive":
+      return stop ? `Arrive at stop ${stop}` : "Arrive at your destination";
+    case "roundabout": {
+      if (!exit) return "Enter the roundabout";
+      const exitRoad = next ? getStreetName(next) : "";
+      const take = `At the roundabout, take the ${getOrdinal(exit)} exit`;
+      return exitRoad ? `${take} onto ${exitRoad}` : take;
+    }
+    case "new name":
+      return street ? `Continue onto ${street}` : "Continue straight";
+    case "continue":
+      return street && modifier !== "uturn"
+        ? `Continue on ${street}`
+        : TURN_PHRASES[modifier] || "Continue";
+    default: {
+      const phrase = TURN_PHRASES[modifier] || "Turn";
+      return street ? `${phrase} onto ${street}` : phrase;
+    }
+  }
+}
+
+/**
+ * Name the street of a step, with its route number when it has one
+ *
+ * @param {Object} step - OSRM step {name, ref}
+ * @returns {string} e.g. "Aurora Ave N (SR 99)", or "" for unnamed roads
+ */
+function getStreetName(step) {
+  if (step.name && step.ref) return `${step.name} (${step.ref})`;
+  return step.name || step.ref || "";
+}
+
+/**
+ * Name the compass point closest to a bearing
+ *
+ * @param {number} bearing - Bearing in degrees clockwise from north
+ * @returns {string} e.g. "northeast"
+ */
+function getCompassPoint(bearing) {
+  return COMPASS_POINTS[Math.round(bearing / 45) % COMPASS_POINTS.length];
+}
+
+/**
+ * Write a number as an ordinal
+ *
+ * @param {number} number - Positive whole number
+ * @returns {string} e.g. "1st", "2nd", "11th"
+ */
+function getOrdinal(number) {
+  const tens = number % 100;
+  if (tens >= 11 && tens <= 13) return `${number}th`;
+  return `${number}${{ 1: "st", 2: "nd", 3: "rd" }[number % 10] || "th"}`;
+}
+
+/**
+ * Say how far ahead a maneuver is
+ *
+ * @param {number} distance - Distance in meters
+ * @returns {string} e.g. " in 300 m" or " in 1.2 km", or "" when the
+ *   maneuver is right away
+ */
+function formatApproach(distance) {
+  const rounded = Math.round(distance / 10) * 10;
+  if (rounded >= 1000) return ` in ${(distance / 1000).toFixed(1)} km`;
+  return rounded > 0 ? ` in ${rounded} m` : "";
+}
@@ -0,0 +1,382 @@
+/**
+ * Isochrones: the area reachable from a point within travel budgets
+ * A bounded Dijkstra search finds the cost of reaching every node up to the
+ * largest budget. Points along each reached edge, including the reachable
+ * part of edges where the budget runs out, are rasterised onto a grid, and
+ * the cells within each budget are traced into GeoJSON polygons.
+ */
+
+import { getSeattleGraph, getSpatialIndex } from "../graphCache.js";
+import { snapToRoad, insertVirtualNodes } from "./graphUtils.js";
+import { CustomPriorityQueue } from "./common.js";
+import { getEdgeCost } from "./travelTime.js";
+import { getClosureCostModifier } from "../closureService.js";
+
+// Grid cell size in meters; smaller cells follow the roads more closely
+export const DEFAULT_CELL_SIZE = 100;
+
+// Meters per degree of latitude, and of longitude at the equator
+const METERS_PER_DEGREE_LAT = 110540;
+const METERS_PER_DEGREE_LNG = 111320;
+
+/**
+ * Compute the areas reachable from a point within each budget
+ *
+ * @param {Object} origin - Starting point {lat, lng}
+ * @param {Array} budgets - Budgets in seconds (or meters for the distance
+ *   metric), e.g. [600, 1200, 1800]
+ * @param {Object} options - {bounds} of the street graph (required),
+ *   {metric: "time"|"distance"} (default "time"), travel {profile},
+ *   {cellSize} in meters; {closures: false} ignores road closures; {snap}
+ *   is the snapToRoad result for the origin, when the caller has already
+ *   snapped it onto the same graph
+ * @returns {Promise<Object>} GeoJSON FeatureCollection with one MultiPolygon
+ *   feature per budget, smallest first, with properties {value, metric}
+ */
+export async function computeIsochrone(origin, budgets, options = {}) {
+  if (!options.bounds) {
+    throw new Error("computeIsochrone needs the graph bounds");
+  }
+  const limits = [...new Set(budgets)]
+    .filter((budget) => budget > 0)
+    .sort((a, b) => a - b);
+  if (limits.length === 0) {
+    throw new Error("computeIsochrone needs at least one positive budget");
+  }
+
+  const metric = options.metric || "time";
+  const cellSize = options.cellSize || DEFAULT_CELL_SIZE;
+  const maxBudget = limits[limits.length - 1];
+
+  const graph = await getSeattleGraph(options.bounds, {
+    profile: options.profile,
+  });
+  const snap = options.snap || snapToRoad(getSpatialIndex(graph), origin);
+  if (!snap) {
+    throw new Error("Could not find a road near the selected point");
+  }
+  const {
+    graph: searchGraph,
+    nodes: [startNode],
+  } = insertVirtualNodes(graph, [snap]);
+  const nodeMap = new Map(searchGraph.map((node) => [node.id, node]));
+
+  const edgeCost = getEdgeCostFunction(metric, options.closures);
+  const costs = runBoundedDijkstra(nodeMap, startNode, maxBudget, edgeCost);
+  console.log(`Isochrone search reached ${costs.size} nodes`);
+
+  const grid = rasteriseReach(nodeMap, costs, maxBudget, edgeCost, {
+    origin: snap.location,
+    cellSize,
+  });
+
+  return {
+    type: "FeatureCollection",
+    features: limits.map((budget) => ({
+      type: "Feature",
+      properties: { value: budget, metric },
+      geometry: {
+        type: "MultiPolygon",
+        coordinates: traceCells(grid, budget),
+      },
+    })),
+  };
+}
+
+/**
+ * Edge cost in the metric, with closures applied
+ *
+ * @param {string} metric - Cost metric
+ * @param {boolean} closures - false to ignore road closures
+ * @returns {Function} (fromNode, connection, toNode) => cost, Infinity if
+ *   the edge is closed
+ */
+function getEdgeCostFunction(metric, closures) {
+  const closureFactor = closures === false ? null : getClosureCostModifier();
+  return (fromNode, connection, toNode) =>
+    getEdgeCost(connection, metric) *
+    (closureFactor ? closureFactor(fromNode, connection, toNode) : 1);
+}
+
+/**
+ * Dijkstra from one node, stopping at a cost budget
+ *
+ * @param {Map} nodeMap - Node id to node of the search graph
+ * @param {Object} startNode - Node to start from
+ * @param {number} budget - Largest cost to explore
+ * @param {Function} edgeCost - Cost of an edge
+ * @returns {Map} Node id -> cost of reaching it, for nodes within the budget
+ */
+function runBoundedDijkstra(nodeMap, startNode, budget, edgeCost) {
+  const costs = new Map();
+  const tentative = new Map([[startNode.id, 0]]);
+  const openSet = new CustomPriorityQueue((a, b) => a.cost - b.cost);
+  openSet.enqueue({ id: startNode.id, cost: 0 });
+
+  while (!openSet.isEmpty()) {
+    const { id, cost } = openSet.dequeue();
+    costs.set(id, cost);
+
+    const node = nodeMap.get(id);
+    for (const connection of node.connections) {
+      if (costs.has(connection.nodeId)) continue;
+      const neighbor = nodeMap.get(connection.nodeId);
+      if (!neighbor) continue;
+
+      const next = cost + edgeCost(node, connection, neighbor);
+      if (next > budget) continue;
+      if (next < (tentative.get(connection.nodeId) ?? Infinity)) {
+        tentative.set(connection.nodeId, next);
+        openSet.enqueue({ id: connection.nodeId, cost: next });
+      }
+    }
+  }
+  return costs;
+}
+
+/**
+ * Rasterise reached roads onto a grid of cheapest costs
+ * Each edge is sampled twice per cell; a sample also covers the cells around
+ * it so the gaps between neighbouring streets are filled in
+ *
+ * @param {Map} nodeMap - Node id to node of the search graph
+ * @param {Map} costs - Node id -> cost from runBoundedDijkstra
+ * @param {number} budget - Largest budget
+ * @param {Function} edgeCost - Cost of an edge
+ * @param {Object} options - {origin: {lat, lng}} of the grid and {cellSize}
+ * @returns {Object} {cells: Map "x,y" -> cost, toLngLat(x, y)}
+ */
+function rasteriseReach(nodeMap, costs, budget, edgeCost, options) {
+  const { origin, cellSize } = options;
+  const metersPerDegreeLng =
+    METERS_PER_DEGREE_LNG * Math.cos((origin.lat * Math.PI) / 180);
+  const toCell = (lat, lng) => [
+    Math.floor(((lng - origin.lng) * metersPerDegreeLng) / cellSize),
+    Math.floor(((lat - origin.lat) * METERS_PER_DEGREE_LAT) / cellSize),
+  ];
+
+  const cells = new Map();
+  const mark = (lat, lng, cost) => {
+    const [x, y] = toCell(lat, lng);
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        const key = `${x + dx},${y + dy}`;
+        if (cost < (cells.get(key) ?? Infinity)) cells.set(key, cost);
+      }
+    }
+  };
+
+  for (const [id, cost] of costs) {
+    const node = nodeMap.get(id);
+    mark(node.lat, node.lng, cost);
+
+    for (const connection of node.connections) {
+      const neighbor = nodeMap.get(connection.nodeId);
+      if (!neighbor) continue;
+      const weight = edgeCost(node, connection, neighbor);
+      if (!Number.isFinite(weight)) continue;
+
+      // Walk along the edge until the budget runs out
+      const steps = Math.max(
+        1,
+        Math.ceil(connection.distance / (cellSize / 2))
+      );
+      for (let step = 1; step <= steps; step++) {
+        const fraction = step / steps;
+        const pointCost = cost + weight * fraction;
+        if (pointCost > budget) break;
+        mark(
+          node.lat + (neighbor.lat - node.lat) * fraction,
+          node.lng + (neighbor.lng - node.lng) * fraction,
+          pointCost
+        );
+      }
+    }
+  }
+
+  return {
+    cells,
+    toLngLat: (x, y) => [
+      origin.lng + (x * cellSize) / metersPerDegreeLng,
+      origin.lat + (y * cellSize) / METERS_PER_DEGREE_LAT,
+    ],
+  };
+}
+
+/**
+ * Trace the outline of the cells within a budget
+ * Cell sides facing outside the area are chained into rings with the area on
+ * their left, so outer rings run counterclockwise and holes clockwise as
+ * GeoJSON expects
+ *
+ * @param {Object} grid - Grid from rasteriseReach: {cells: Map "x,y" ->
+ *   cost, toLngLat(x, y)}
+ * @param {number} budget - Largest cost inside the area
+ * @returns {Array} MultiPolygon coordinates
+ */
+export function traceCells(grid, budget) {
+  const inside = (x, y) => (grid.cells.get(`${x},${y}`) ?? Infinity) <= budget;
+
+  // Boundary sides keyed by their start corner
+  const sides = new Map();
+  const addSide = (x1, y1, x2, y2) => {
+    const key = `${x1},${y1}`;
+    if (!sides.has(key)) sides.set(key, []);
+    sides.get(key).push({ from: [x1, y1], to: [x2, y2], used: false });
+  };
+  for (const [key, cost] of grid.cells) {
+    if (cost > budget) continue;
+    const [x, y] = key.split(",").map(Number);
+    if (!inside(x, y - 1)) addSide(x, y, x + 1, y);
+    if (!inside(x + 1, y)) addSide(x + 1, y, x + 1, y + 1);
+    if (!inside(x, y + 1)) addSide(x + 1, y + 1, x, y + 1);
+    if (!inside(x - 1, y)) addSide(x, y + 1, x, y);
+  }
+
+  const outers = [];
+  const holes = [];
+  for (const startSides of sides.values()) {
+    for (const start of startSides) {
+      if (start.used) continue;
+
+      const ring = [];
+      let side = start;
+      while (side && !side.used) {
+        side.used = true;
+        ring.push(side.from);
+        side = getNextSide(sides, side);
+      }
+
+      for (const loop of splitAtRepeatedCorners(ring)) {
+        const simplified = removeStraightCorners(loop);
+        (getSignedArea(simplified) > 0 ? outers : holes).push(simplified);
+      }
+    }
+  }
+
+  // Put each hole in the smallest outer ring around it, testing a point just
+  // inside the hole, to the right of its first side
+  const polygons = outers
+    .map((ring) => ({ ring, area: getSignedArea(ring), holes: [] }))
+    .sort((a, b) => a.area - b.area);
+  for (const hole of holes) {
+    const [[x1, y1], [x2, y2]] = hole;
+    const length = Math.abs(x2 - x1) + Math.abs(y2 - y1);
+    const point = [
+      (x1 + x2) / 2 + (0.25 * (y2 - y1)) / length,
+      (y1 + y2) / 2 - (0.25 * (x2 - x1)) / length,
+    ];
+    const polygon = polygons.find(({ ring }) => containsPoint(ring, point));
+    if (polygon) polygon.holes.push(hole);
+  }
+
+  const toCoordinates = (ring) => {
+    const coordinates = ring.map(([x, y]) => grid.toLngLat(x, y));
+    return [...coordinates, coordinates[0]];
+  };
+  return polygons.map(({ ring, holes: inner }) => [
+    toCoordinates(ring),
+    ...inner.map(toCoordinates),
+  ]);
+}
+
+/**
+ * Pick the side that continues a ring
+ * Where two cells touch only at a corner, turning left keeps them apart
+ *
+ * @param {Map} sides - Boundary sides keyed by start corner
+ * @param {Object} side - Side just followed
+ * @returns {Object|undefined} Next unused side
+ */
+function getNextSide(sides, side) {
+  const candidates = (sides.get(`${side.to[0]},${side.to[1]}`) || []).filter(
+    (next) => !next.used
+  );
+  if (candidates.length <= 1) return candidates[0];
+
+  const dx = side.to[0] - side.from[0];
+  const dy = side.to[1] - side.from[1];
+  return candidates.find(
+    (next) =>
+      dx * (next.to[1] - next.from[1]) - dy * (next.to[0] - next.from[0]) > 0
+  );
+}
+
+/**
+ * Split a ring that passes through a corner twice into simple rings
+ * Turning left keeps the area's cells apart, so two holes touching at a
+ * corner come out as one ring through that corner
+ *
+ * @param {Array} ring - Corners [x, y], not closed
+ * @returns {Array} Rings that visit each corner once
+ */
+function splitAtRepeatedCorners(ring) {
+  const loops = [];
+  const path = [];
+  const positions = new Map(); // Corner key -> index in path
+  for (const corner of ring) {
+    const key = `${corner[0]},${corner[1]}`;
+    if (positions.has(key)) {
+      // Close the loop that started at this corner
+      const loop = path.splice(positions.get(key));
+      for (const point of loop) positions.delete(`${point[0]},${point[1]}`);
+      loops.push(loop);
+    }
+    positions.set(key, path.length);
+    path.push(corner);
+  }
+  loops.push(path);
+  return loops;
+}
+
+/**
+ * Drop corners where a ring continues straight on
+ *
+ * @param {Array} ring - Corners [x, y], not closed
+ * @returns {Array} Corners where the ring turns
+ */
+function removeStraightCorners(ring) {
+  return ring.filter((point, i) => {
+    const previous = ring[(i + ring.length - 1) % ring.length];
+    const next = ring[(i + 1) % ring.length];
+    return (
+      (point[0] - previous[0]) * (next[1] - point[1]) !==
+      (point[1] - previous[1]) * (next[0] - point[0])
+    );
+  });
+}
+
+/**
+ * Signed area of a ring, positive when counterclockwise
+ *
+ * @param {Array} ring - Corners [x, y], not closed
+ * @returns {number} Area in grid cells
+ */
+function getSignedArea(ring) {
+  let area = 0;
+  for (let i = 0; i < ring.length; i++) {
+    const [x1, y1] = ring[i];
+    const [x2, y2] = ring[(i + 1) % ring.length];
+    area += x1 * y2 - x2 * y1;
+  }
+  return area / 2;
+}
+
+/**
+ * Ray-casting point in ring test
+ *
+ * @param {Array} ring - Corners [x, y], not closed
+ * @param {Array} point - Point [x, y]
+ * @returns {boolean} True if the point is inside the ring
+ */
+function containsPoint(ring, [px, py]) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > py !== yj > py && px < ((xj - xi) * (py - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
@@ -0,0 +1,414 @@
+/**
+ * ALT (A*, Landmarks, Triangle inequality) preprocessing
+ * A few landmarks are chosen on the street graph and the network distance
+ * from every node to and from each landmark is stored. By the triangle
+ * inequality d(L,b) - d(L,a) and d(a,L) - d(b,L) are both lower bounds on
+ * d(a,b), which is far tighter than the straight line once roads detour.
+ *
+ * Tables are indexed by position in the graph array, so they only fit the
+ * graph they were built from (or a snapshot of it).
+ */
+
+import { CustomPriorityQueue } from "./common.js";
+import { getEdgeCost } from "./travelTime.js";
+
+// Default number of landmarks; each one costs two distances per node
+export const DEFAULT_LANDMARK_COUNT = 8;
+
+/**
+ * Choose landmarks and compute their distance tables
+ *
+ * @param {Array} graph - Array of nodes from buildStreetGraph
+ * @param {Object} options - {metric: "distance"|"time"|"elevation"};
+ *   {count} of landmarks; {method: "avoid"|"farthest"} - "avoid" puts each
+ *   landmark where the current bounds are weakest, "farthest" as far as
+ *   possible from the landmarks already chosen
+ * @returns {Promise<Object>} Tables {metric, method, nodeCount, landmarks,
+ *   landmarkIds, forward, backward}; forward[i][v] is the cost from landmark i to node v
+ *   and backward[i][v] from v to the landmark (Infinity if unreachable)
+ */
+export async function buildLandmarkTables(graph, options = {}) {
+  const metric = options.metric || "distance";
+  const method = options.method || "avoid";
+  const count = Math.min(options.count ?? DEFAULT_LANDMARK_COUNT, graph.length);
+  const startTime = Date.now();
+  console.log(`Selecting ${count} landmarks (${method}, ${metric})`);
+
+  const { forwardEdges, backwardEdges } = buildAdjacency(graph, metric);
+
+  const tables = {
+    metric,
+    method,
+    nodeCount: graph.length,
+    landmarks: [], // Graph indexes of the landmarks
+    landmarkIds: [], // Node ids of the landmarks
+    forward: [],
+    backward: [],
+  };
+
+  // Roots for the avoid method, spread deterministically over the graph
+  let seed = 1;
+  const randomNode = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed % graph.length;
+  };
+
+  // Roots in tiny components can fail to give a landmark; try others
+  let failures = 0;
+  while (tables.landmarks.length < count && failures <= count) {
+    const landmark =
+      method === "farthest"
+        ? selectFarthest(tables, forwardEdges, randomNode)
+        : selectAvoid(tables, forwardEdges, randomNode());
+    if (landmark === null || tables.landmarks.includes(landmark)) {
+      failures++;
+      continue;
+    }
+
+    tables.landmarks.push(landmark);
+    tables.landmarkIds.push(graph[landmark].id);
+    tables.forward.push(runDijkstra(forwardEdges, landmark).distances);
+    tables.backward.push(runDijkstra(backwardEdges, landmark).distances);
+
+    // Let the page stay responsive between the full-graph searches
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  }
+
+  console.log(
+    `Computed ${tables.landmarks.length} landmark tables in ${
+      Date.now() - startTime
+    } ms`
+  );
+  return tables;
+}
+
+/**
+ * Create an ALT heuristic for a search on the tables' graph
+ * Virtual nodes from insertVirtualNodes are not in the tables; every path
+ * into or out of one passes a graph node of its segment, so the bound to or
+ * from those nodes is used instead.
+ *
+ * @param {Array} graph - The graph the tables were built from
+ * @param {Object} tables - Tables from buildLandmarkTables
+ * @param {Array} virtualNodes - Virtual nodes of the search, if any
+ * @returns {Function} Heuristic (nodeA, nodeB) => lower bound on the cost
+ *   from A to B in the tables' metric
+ */
+export function createLandmarkHeuristic(graph, tables, virtualNodes = []) {
+  const indexById = new Map(graph.map((node, index) => [node.id, index]));
+  const virtualById = new Map(virtualNodes.map((node) => [node.id, node]));
+  const landmarkCount = tables.landmarks.length;
+
+  /**
+   * Graph nodes standing in for a node
+   *
+   * @param {Object} node - Graph or virtual node
+   * @returns {Array|null} Graph indexes, or null if the node is unknown
+   */
+  const getIndexes = (node) => {
+    if (indexById.has(node.id)) return [indexById.get(node.id)];
+    if (!virtualById.has(node.id)) return null;
+
+    // Walk along the segment through neighbouring virtual nodes
+    const indexes = new Set();
+    const seen = new Set([node.id]);
+    const stack = [node];
+    while (stack.length > 0) {
+      const current = stack.pop();
+      const neighbourIds = [
+        ...current.connections.map((connection) => connection.nodeId),
+        ...(current.reverseConnections || []).map(({ nodeId }) => nodeId),
+      ];
+      for (const id of neighbourIds) {
+        if (seen.has(id)) continue;
+        seen.add(id);
+        if (indexById.has(id)) {
+          indexes.add(indexById.get(id));
+        } else if (virtualById.has(id)) {
+          stack.push(virtualById.get(id));
+        }
+      }
+    }
+    return [...indexes];
+  };
+
+  /**
+   * Largest landmark bound between two graph nodes
+   *
+   * @param {number} a - Graph index of the start
+   * @param {number} b - Graph index of the goal
+   * @returns {number} Lower bound on the cost from a to b
+   */
+  const bound = (a, b) => {
+    let best = 0;
+    for (let i = 0; i < landmarkCount; i++) {
+      const forward = tables.forward[i];
+      const backward = tables.backward[i];
+      const fromLandmark = forward[b] - forward[a];
+      const toLandmark = backward[a] - backward[b];
+      if (fromLandmark > best && Number.isFinite(fromLandmark)) {
+        best = fromLandmark;
+      }
+      if (toLandmark > best && Number.isFinite(toLandmark)) {
+        best = toLandmark;
+      }
+    }
+    return best;
+  };
+
+  // Most calls share a goal, so its stand-in nodes are kept
+  let lastGoal = null;
+  let goalIndexes = null;
+
+  const landmarkHeuristic = function (nodeA, nodeB) {
+    if (!nodeA || !nodeB) {
+      console.error("Invalid nodes in landmark heuristic:", { nodeA, nodeB });
+      return Infinity;
+    }
+
+    if (nodeB !== lastGoal) {
+      lastGoal = nodeB;
+      goalIndexes = getIndexes(nodeB);
+    }
+    const startIndexes = getIndexes(nodeA);
+    if (!startIndexes || !goalIndexes) return 0;
+
+    let estimate = Infinity;
+    for (const a of startIndexes) {
+      for (const b of goalIndexes) {
+        estimate = Math.min(estimate, bound(a, b));
+      }
+    }
+    return Number.isFinite(estimate) ? estimate : 0;
+  };
+
+  // Travel time tables give estimates in seconds
+  if (tables.metric === "time") landmarkHeuristic.unit = "time";
+  landmarkHeuristic.metric = tables.metric;
+  return landmarkHeuristic;
+}
+
+/**
+ * Convert tables to plain arrays for JSON or IndexedDB storage
+ * Unreachable nodes are stored as -1, as JSON has no Infinity
+ *
+ * @param {Object} tables - Tables from buildLandmarkTables
+ * @returns {Object} Serialized tables
+ */
+export function serializeLandmarkTables(tables) {
+  const plain = (distances) =>
+    Array.from(distances, (value) => (Number.isFinite(value) ? value : -1));
+  return {
+    ...tables,
+    forward: tables.forward.map(plain),
+    backward: tables.backward.map(plain),
+  };
+}
+
+/**
+ * Rebuild tables from their serialized form
+ *
+ * @param {Object} data - Serialized tables
+ * @returns {Object} Tables for createLandmarkHeuristic
+ */
+export function deserializeLandmarkTables(data) {
+  const typed = (distances) =>
+    Float64Array.from(distances, (value) => (value < 0 ? Infinity : value));
+  return {
+    ...data,
+    forward: data.forward.map(typed),
+    backward: data.backward.map(typed),
+  };
+}
+
+/**
+ * Check that tables were built from this graph
+ *
+ * @param {Object} tables - Tables to check
+ * @param {Array} graph - Graph of street nodes
+ * @returns {boolean} True if the node count and landmark nodes match
+ */
+export function tablesMatchGraph(tables, graph) {
+  return (
+    tables.nodeCount === graph.length &&
+    tables.landmarks.every(
+      (index, i) => graph[index]?.id === tables.landmarkIds[i]
+    )
+  );
+}
+
+/**
+ * Build forward and backward adjacency arrays with edge costs
+ *
+ * @param {Array} graph - Graph of street nodes
+ * @param {string} metric - Cost metric
+ * @returns {Object} {forwardEdges, backwardEdges}, each {offsets, targets,
+ *   weights}
+ */
+function buildAdjacency(graph, metric) {
+  const indexById = new Map(graph.map((node, index) => [node.id, index]));
+  const forward = graph.map(() => []);
+  const backward = graph.map(() => []);
+
+  graph.forEach((node, from) => {
+    for (const connection of node.connections) {
+      const to = indexById.get(connection.nodeId);
+      const weight = getEdgeCost(connection, metric);
+      if (to === undefined || !Number.isFinite(weight)) continue;
+      forward[from].push([to, weight]);
+      backward[to].push([from, weight]);
+    }
+  });
+
+  const pack = (lists) => {
+    const offsets = new Int32Array(lists.length + 1);
+    lists.forEach((list, node) => {
+      offsets[node + 1] = offsets[node] + list.length;
+    });
+    const targets = new Int32Array(offsets[lists.length]);
+    const weights = new Float64Array(offsets[lists.length]);
+    lists.forEach((list, node) => {
+      list.forEach(([target, weight], i) => {
+        targets[offsets[node] + i] = target;
+        weights[offsets[node] + i] = weight;
+      });
+    });
+    return { offsets, targets, weights };
+  };
+
+  return { forwardEdges: pack(forward), backwardEdges: pack(backward) };
+}
+
+/**
+ * Dijkstra over the whole graph from one node
+ *
+ * @param {Object} edges - Adjacency arrays from buildAdjacency
+ * @param {number} source - Graph index to start from
+ * @returns {Object} {distances, parents, order}; order lists the reached
+ *   nodes as they were settled
+ */
+function runDijkstra(edges, source) {
+  const nodeCount = edges.offsets.length - 1;
+  const distances = new Float64Array(nodeCount).fill(Infinity);
+  const parents = new Int32Array(nodeCount).fill(-1);
+  const order = [];
+
+  const queue = new CustomPriorityQueue((a, b) => a.d - b.d);
+  distances[source] = 0;
+  queue.enqueue({ id: source, d: 0 });
+
+  while (!queue.isEmpty()) {
+    const { id: node, d } = queue.dequeue();
+    order.push(node);
+
+    for (let e = edges.offsets[node]; e < edges.offsets[node + 1]; e++) {
+      const next = edges.targets[e];
+      const distance = d + edges.weights[e];
+      if (distance < distances[next]) {
+        distances[next] = distance;
+        parents[next] = node;
+        queue.enqueue({ id: next, d: distance });
+      }
+    }
+  }
+
+  return { distances, parents, order };
+}
+
+/**
+ * Farthest selection: the node whose nearest chosen landmark is farthest
+ * The first landmark is the farthest node from an arbitrary start.
+ *
+ * @param {Object} tables - Tables built so far
+ * @param {Object} forwardEdges - Forward adjacency arrays
+ * @param {Function} randomNode - Returns a graph index to start from
+ * @returns {number|null} Graph index of the next landmark
+ */
+function selectFarthest(tables, forwardEdges, randomNode) {
+  const sources =
+    tables.landmarks.length > 0
+      ? tables.forward
+      : [runDijkstra(forwardEdges, randomNode()).distances];
+
+  let farthest = null;
+  let farthestDistance = -1;
+  for (let node = 0; node < tables.nodeCount; node++) {
+    let nearest = Infinity;
+    for (const distances of sources) {
+      nearest = Math.min(nearest, distances[node]);
+    }
+    if (Number.isFinite(nearest) && nearest > farthestDistance) {
+      farthest = node;
+      farthestDistance = nearest;
+    }
+  }
+  return farthest;
+}
+
+/**
+ * Avoid selection (Goldberg and Werneck)
+ * Grows a shortest-path tree from a root and weighs each node by how much
+ * the current landmarks underestimate its distance from the root. The
+ * landmark is the leaf reached by following the heaviest subtrees, skipping
+ * subtrees that already contain a landmark.
+ *
+ * @param {Object} tables - Tables built so far
+ * @param {Object} forwardEdges - Forward adjacency arrays
+ * @param {number} root - Graph index of the tree root
+ * @returns {number|null} Graph index of the next landmark
+ */
+function selectAvoid(tables, forwardEdges, root) {
+  const { distances, parents, order } = runDijkstra(forwardEdges, root);
+  const isLandmark = new Set(tables.landmarks);
+
+  // Subtree sizes, children before parents
+  const sizes = new Float64Array(tables.nodeCount);
+  const covered = new Uint8Array(tables.nodeCount);
+  for (let i = order.length - 1; i >= 0; i--) {
+    const node = order[i];
+    if (isLandmark.has(node)) covered[node] = 1;
+
+    let lowerBound = 0;
+    tables.landmarks.forEach((_, l) => {
+      const fromLandmark = tables.forward[l][node] - tables.forward[l][root];
+      const toLandmark = tables.backward[l][root] - tables.backward[l][node];
+      if (Number.isFinite(fromLandmark)) {
+        lowerBound = Math.max(lowerBound, fromLandmark);
+      }
+      if (Number.isFinite(toLandmark)) {
+        lowerBound = Math.max(lowerBound, toLandmark);
+      }
+    });
+    sizes[node] = covered[node]
+      ? 0
+      : sizes[node] + distances[node] - lowerBound;
+
+    const parent = parents[node];
+    if (parent !== -1) {
+      if (covered[node]) covered[parent] = 1;
+      sizes[parent] += sizes[node];
+    }
+  }
+
+  // Children of each tree node, to walk down from the root
+  const children = new Map();
+  for (const node of order) {
+    const parent = parents[node];
+    if (parent === -1) continue;
+    if (!children.has(parent)) children.set(parent, []);
+    children.get(parent).push(node);
+  }
+
+  let node = root;
+  while (children.has(node)) {
+    let heaviest = null;
+    for (const child of children.get(node)) {
+      if (heaviest === null || sizes[child] > sizes[heaviest]) {
+        heaviest = child;
+      }
+    }
+    if (sizes[heaviest] <= 0) break;
+    node = heaviest;
+  }
+  return node === root || isLandmark.has(node) ? null : node;
+}
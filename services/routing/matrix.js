@@ -0,0 +1,149 @@
+/**
+ * Many-to-many travel matrices
+ * Every point is snapped onto the street graph once, then one Dijkstra search
+ * per source runs until all targets are settled. The response has the shape
+ * of OSRM's /table service so callers can switch between the two.
+ */
+
+import { getSeattleGraph, getSpatialIndex } from "../graphCache.js";
+import { snapToRoad, insertVirtualNodes } from "./graphUtils.js";
+import { CustomPriorityQueue } from "./common.js";
+import { getEdgeCost } from "./travelTime.js";
+import { getWaypoint } from "./osrmResponse.js";
+import { getClosureCostModifier } from "../closureService.js";
+
+/**
+ * Compute travel durations and distances from every source to every target
+ *
+ * @param {Array} sources - Points {lat, lng}
+ * @param {Array} targets - Points {lat, lng}; the sources when omitted
+ * @param {Object} options - {bounds} of the street graph (required),
+ *   {metric: "time"|"distance"|"elevation"} to minimise (default "time"),
+ *   travel {profile}; {closures: false} ignores road closures;
+ *   {sourceSnaps} and {targetSnaps} are snapToRoad results for the points,
+ *   when the caller has already snapped them onto the same graph
+ * @returns {Promise<Object>} OSRM table response {code, durations, distances,
+ *   sources, destinations} - durations in seconds and distances in meters,
+ *   indexed [source][target], with null where the target can't be reached;
+ *   unreachable holds the same information as booleans
+ */
+export async function computeMatrix(sources, targets = sources, options = {}) {
+  if (!options.bounds) {
+    throw new Error("computeMatrix needs the graph bounds");
+  }
+  const metric = options.metric || "time";
+
+  const graph = await getSeattleGraph(options.bounds, {
+    profile: options.profile,
+  });
+
+  // Snap every point once; a square matrix shares its virtual nodes
+  const shared = targets === sources;
+  const spatialIndex = getSpatialIndex(graph);
+  const snapAll = (points, given) =>
+    given || points.map((point) => snapToRoad(spatialIndex, point));
+  const sourceSnaps = snapAll(sources, options.sourceSnaps);
+  const snaps = shared
+    ? sourceSnaps
+    : [...sourceSnaps, ...snapAll(targets, options.targetSnaps)];
+  if (snaps.some((snap) => !snap)) {
+    throw new Error(
+      "Could not find suitable road nodes near the selected points"
+    );
+  }
+  const { graph: searchGraph, nodes } = insertVirtualNodes(graph, snaps);
+  const sourceNodes = nodes.slice(0, sources.length);
+  const targetNodes = shared ? sourceNodes : nodes.slice(sources.length);
+
+  const nodeMap = new Map(searchGraph.map((node) => [node.id, node]));
+  const durations = [];
+  const distances = [];
+  const unreachable = [];
+  for (const sourceNode of sourceNodes) {
+    const row = runOneToManyDijkstra(nodeMap, sourceNode, targetNodes, {
+      metric,
+      closures: options.closures,
+    });
+    durations.push(row.map((result) => (result ? result.duration : null)));
+    distances.push(row.map((result) => (result ? result.distance : null)));
+    unreachable.push(row.map((result) => result === null));
+  }
+
+  const waypoints = snaps.map(getWaypoint);
+  return {
+    code: "Ok",
+    durations,
+    distances,
+    unreachable,
+    sources: waypoints.slice(0, sources.length),
+    destinations: shared
+      ? waypoints.slice(0, sources.length)
+      : waypoints.slice(sources.length),
+  };
+}
+
+/**
+ * Dijkstra from one node until every target is settled
+ *
+ * @param {Map} nodeMap - Node id to node of the search graph
+ * @param {Object} sourceNode - Node to start from
+ * @param {Array} targetNodes - Nodes to reach
+ * @param {Object} options - {metric} to minimise; {closures: false} ignores
+ *   road closures
+ * @returns {Array} Per target, {cost, distance, duration} of the cheapest
+ *   path, or null if it can't be reached
+ */
+export function runOneToManyDijkstra(
+  nodeMap,
+  sourceNode,
+  targetNodes,
+  options = {}
+) {
+  const metric = options.metric || "time";
+  const closureFactor =
+    options.closures === false ? null : getClosureCostModifier();
+
+  // Cheapest known path to each node, with its length and travel time
+  const best = new Map([
+    [sourceNode.id, { cost: 0, distance: 0, duration: 0 }],
+  ]);
+  const settled = new Set();
+  const remaining = new Set(targetNodes.map((node) => node.id));
+
+  const openSet = new CustomPriorityQueue((a, b) => a.cost - b.cost);
+  openSet.enqueue({ id: sourceNode.id, cost: 0 });
+
+  while (!openSet.isEmpty() && remaining.size > 0) {
+    const { id } = openSet.dequeue();
+    settled.add(id);
+    remaining.delete(id);
+
+    const node = nodeMap.get(id);
+    const current = best.get(id);
+    for (const connection of node.connections) {
+      if (settled.has(connection.nodeId)) continue;
+      const neighbor = nodeMap.get(connection.nodeId);
+      if (!neighbor) continue;
+
+      const factor = closureFactor
+        ? closureFactor(node, connection, neighbor)
+        : 1;
+      if (factor === Infinity) continue;
+
+      const cost = current.cost + getEdgeCost(connection, metric) * factor;
+      const known = best.get(connection.nodeId);
+      if (known && known.cost <= cost) continue;
+
+      best.set(connection.nodeId, {
+        cost,
+        distance: current.distance + connection.distance,
+        duration: current.duration + getEdgeCost(connection, "time"),
+      });
+      openSet.enqueue({ id: connection.nodeId, cost });
+    }
+  }
+
+  return targetNodes.map((node) =>
+    settled.has(node.id) ? best.get(node.id) : null
+  );
+}
@@ -0,0 +1,722 @@
+/**
+ * Offline OpenStreetMap import
+ * Reads OSM XML, Overpass JSON dumps and .osm.pbf extracts into the same
+ * Overpass-style {elements: [...]} structure that buildStreetGraph consumes
+ */
+
+import { EXCLUDED_HIGHWAY_PATTERN, buildStreetGraph } from "./graphUtils.js";
+
+const excludedHighways = new RegExp(EXCLUDED_HIGHWAY_PATTERN);
+
+/**
+ * Check whether a way belongs in the street graph
+ * Mirrors the highway filter of the Overpass query in fetchStreetData
+ *
+ * @param {Object} tags - Way tags
+ * @returns {boolean} True if the way is a road we route on
+ */
+export function isRoutableWay(tags) {
+  return Boolean(tags?.highway) && !excludedHighways.test(tags.highway);
+}
+
+/**
+ * Load street data from a local OpenStreetMap file
+ * The file is read twice: first for the ways and turn restrictions, then
+ * for the coordinates of the nodes those ways use, so the nodes of
+ * everything else in the extract are never held in memory
+ *
+ * @param {string|Blob} source - File path (Node) or Blob/File (browser)
+ * @param {Object} options - {format: "xml"|"json"|"pbf", bounds} - format is
+ *   detected from the file name or content when omitted
+ * @returns {Promise<Object>} OSM data in Overpass JSON format
+ */
+export async function loadOsmFile(source, options = {}) {
+  const name = typeof source === "string" ? source : source.name || "";
+  const collector = createElementCollector(options.bounds);
+
+  const format =
+    options.format ||
+    detectFormatFromName(name) ||
+    detectFormatFromContent(await readFirstChunk(source));
+  const parsers = { pbf: parsePbf, json: parseOverpassJson, xml: parseOsmXml };
+  const parse = parsers[format];
+
+  console.log(`Importing OSM ${format} data from ${name || "blob"}`);
+
+  await parse(await openChunkStream(source), collector);
+  collector.startNodes();
+  await parse(await openChunkStream(source), collector);
+
+  const data = collector.finish();
+  console.log(`Imported ${data.elements.length} OSM elements from file`);
+  return data;
+}
+
+/**
+ * Build a street graph from a local OpenStreetMap file
+ *
+ * @param {string|Blob} source - File path (Node) or Blob/File (browser)
+ * @param {Object} options - Options passed to loadOsmFile, plus the
+ *   {profile} and {speedTable} passed to buildStreetGraph
+ * @returns {Promise<Array>} Array of nodes with their connections for pathfinding
+ */
+export async function buildStreetGraphFromFile(source, options = {}) {
+  return buildStreetGraph(await loadOsmFile(source, options), {
+    profile: options.profile,
+    speedTable: options.speedTable,
+  });
+}
+
+/**
+ * Collects parsed elements, applying the highway filter and keeping only
+ * the nodes referenced by routable ways and the turn restrictions on them
+ * Ways and relations are collected until startNodes is called; after that
+ * only the coordinates of nodes on the collected ways are kept.
+ *
+ * @param {Object} bounds - Optional bounds; ways without a node inside are dropped
+ * @returns {Object} Collector with addNode/addWay/addRelation/startNodes/finish
+ */
+function createElementCollector(bounds) {
+  const nodeCoords = new Map(); // Node id -> [lat, lon], for way nodes only
+  const ways = [];
+  const relations = [];
+  let wayNodes = null; // Ids of the nodes the ways use, once startNodes runs
+
+  const inBounds = (coords) =>
+    !bounds ||
+    (coords &&
+      coords[0] >= bounds.south &&
+      coords[0] <= bounds.north &&
+      coords[1] >= bounds.west &&
+      coords[1] <= bounds.east);
+
+  return {
+    // Whether the node pass has started; parsers may skip ways and relations
+    get readingNodes() {
+      return wayNodes !== null;
+    },
+    addNode(id, lat, lon) {
+      if (wayNodes?.has(id)) nodeCoords.set(id, [lat, lon]);
+    },
+    addWay(id, nodes, tags) {
+      if (!wayNodes && nodes.length > 1 && isRoutableWay(tags)) {
+        ways.push({ type: "way", id, nodes, tags });
+      }
+    },
+    addRelation(id, members, tags) {
+      if (!wayNodes && tags.type === "restriction") {
+        relations.push({ type: "relation", id, members, tags });
+      }
+    },
+    startNodes() {
+      wayNodes = new Set();
+      for (const way of ways) {
+        for (const id of way.nodes) wayNodes.add(id);
+      }
+    },
+    finish() {
+      const elements = [];
+      const usedNodes = new Set();
+      const usedWays = new Set();
+
+      for (const way of ways) {
+        if (bounds && !way.nodes.some((id) => inBounds(nodeCoords.get(id)))) {
+          continue;
+        }
+        elements.push(way);
+        usedWays.add(way.id);
+        way.nodes.forEach((id) => usedNodes.add(id));
+      }
+
+      // Keep restrictions whose ways are all in the graph
+      for (const relation of relations) {
+        const memberWays = relation.members.filter((m) => m.type === "way");
+        if (memberWays.every((m) => usedWays.has(m.ref))) {
+          elements.push(relation);
+        }
+      }
+
+      for (const id of usedNodes) {
+        const coords = nodeCoords.get(id);
+        if (coords) {
+          elements.push({ type: "node", id, lat: coords[0], lon: coords[1] });
+        }
+      }
+
+      return { elements };
+    },
+  };
+}
+
+/**
+ * Open a source as an async iterable of Uint8Array chunks
+ *
+ * @param {string|Blob} source - File path or Blob
+ * @returns {Promise<AsyncIterable<Uint8Array>>} Chunk stream
+ */
+async function openChunkStream(source) {
+  if (typeof source === "string") {
+    const fs = await import("node:fs");
+    return fs.createReadStream(source);
+  }
+
+  const reader = source.stream().getReader();
+  return {
+    async *[Symbol.asyncIterator]() {
+      try {
+        while (true) {
+          const { done, value } = await reader.read();
+          if (done) return;
+          yield value;
+        }
+      } finally {
+        // Stop reading when the consumer breaks off early
+        await reader.cancel();
+      }
+    },
+  };
+}
+
+/**
+ * Read the start of a source, for detecting its format
+ *
+ * @param {string|Blob} source - File path or Blob
+ * @returns {Promise<Uint8Array>} First chunk, empty for an empty file
+ */
+async function readFirstChunk(source) {
+  for await (const chunk of await openChunkStream(source)) {
+    return chunk;
+  }
+  return new Uint8Array(0);
+}
+
+function detectFormatFromName(name) {
+  if (/\.pbf$/i.test(name)) return "pbf";
+  if (/\.json$/i.test(name)) return "json";
+  if (/\.(osm|xml)$/i.test(name)) return "xml";
+  return null;
+}
+
+function detectFormatFromContent(chunk) {
+  const text = new TextDecoder().decode(chunk.subarray(0, 64)).trimStart();
+  if (text.startsWith("{")) return "json";
+  if (text.startsWith("<")) return "xml";
+  return "pbf";
+}
+
+/**
+ * Streaming Overpass JSON parser
+ * Scans the text for the objects of the top-level "elements" array and
+ * parses each one as soon as it is complete, so only the element being read
+ * is held as text
+ *
+ * @param {AsyncIterable<Uint8Array>} chunks - File contents
+ * @param {Object} collector - Element collector
+ */
+async function parseOverpassJson(chunks, collector) {
+  const decoder = new TextDecoder();
+  let text = "";
+  let position = 0; // Next character to scan
+  let depth = 0; // Open objects and arrays
+  let inString = false;
+  let escaped = false;
+  let keyStart = -1; // Start of the top-level string being read
+  let lastKey = null; // Last top-level string, the key of the next value
+  let inElements = false; // Inside the top-level elements array
+  let elementStart = -1; // Start of the element object being read
+
+  const scan = () => {
+    for (; position < text.length; position++) {
+      const char = text[position];
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === "\\") {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+          if (keyStart !== -1) {
+            lastKey = text.slice(keyStart + 1, position);
+            keyStart = -1;
+          }
+        }
+      } else if (char === '"') {
+        inString = true;
+        if (depth === 1) keyStart = position;
+      } else if (char === "{" || char === "[") {
+        depth++;
+        if (depth === 2) {
+          inElements = char === "[" && lastKey === "elements";
+        } else if (depth === 3 && inElements && char === "{") {
+          elementStart = position;
+        }
+      } else if (char === "}" || char === "]") {
+        depth--;
+        if (depth === 2 && elementStart !== -1) {
+          addJsonElement(
+            JSON.parse(text.slice(elementStart, position + 1)),
+            collector
+          );
+          elementStart = -1;
+        } else if (depth === 1) {
+          inElements = false;
+        }
+      }
+    }
+
+    // Drop the scanned text, keeping the element or key still being read
+    const keep = [elementStart, keyStart, position].find((index) => index >= 0);
+    text = text.slice(keep);
+    position -= keep;
+    if (elementStart !== -1) elementStart -= keep;
+    if (keyStart !== -1) keyStart -= keep;
+  };
+
+  for await (const chunk of chunks) {
+    text += decoder.decode(chunk, { stream: true });
+    scan();
+  }
+  text += decoder.decode();
+  scan();
+
+  if (depth !== 0 || inString) {
+    throw new Error("Truncated Overpass JSON file");
+  }
+}
+
+/**
+ * Pass one Overpass JSON element to the collector
+ *
+ * @param {Object} element - Parsed node, way or relation
+ * @param {Object} collector - Element collector
+ */
+function addJsonElement(element, collector) {
+  if (element.type === "node") {
+    collector.addNode(element.id, element.lat, element.lon);
+  } else if (element.type === "way") {
+    collector.addWay(element.id, element.nodes || [], element.tags || {});
+  } else if (element.type === "relation") {
+    collector.addRelation(
+      element.id,
+      element.members || [],
+      element.tags || {}
+    );
+  }
+}
+
+/**
+ * Streaming OSM XML parser
+ * Processes the file tag by tag so large extracts never need to be held as
+ * one string
+ *
+ * @param {AsyncIterable<Uint8Array>} chunks - File contents
+ * @param {Object} collector - Element collector
+ */
+async function parseOsmXml(chunks, collector) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let current = null; // Element being read: {type, id, lat, lon, nodes, members, tags}
+
+  const handleTag = (tag) => {
+    if (tag.startsWith("?") || tag.startsWith("!")) return;
+
+    if (tag.startsWith("/")) {
+      const name = tag.slice(1).trim();
+      if (current && name === current.type) finishElement();
+      return;
+    }
+
+    const selfClosing = tag.endsWith("/");
+    const body = selfClosing ? tag.slice(0, -1) : tag;
+    const nameEnd = body.search(/\s|$/);
+    const name = body.slice(0, nameEnd);
+    const attributes = parseXmlAttributes(body.slice(nameEnd));
+
+    if (name === "node" || name === "way" || name === "relation") {
+      current = {
+        type: name,
+        id: Number(attributes.id),
+        lat: Number(attributes.lat),
+        lon: Number(attributes.lon),
+        nodes: [],
+        members: [],
+        tags: {},
+      };
+      if (selfClosing) finishElement();
+    } else if (current && name === "nd") {
+      current.nodes.push(Number(attributes.ref));
+    } else if (current && name === "member") {
+      current.members.push({
+        type: attributes.type,
+        ref: Number(attributes.ref),
+        role: attributes.role || "",
+      });
+    } else if (current && name === "tag") {
+      current.tags[attributes.k] = attributes.v;
+    }
+  };
+
+  const finishElement = () => {
+    if (current.type === "node") {
+      collector.addNode(current.id, current.lat, current.lon);
+    } else if (current.type === "way") {
+      collector.addWay(current.id, current.nodes, current.tags);
+    } else if (current.type === "relation") {
+      collector.addRelation(current.id, current.members, current.tags);
+    }
+    current = null;
+  };
+
+  const drain = () => {
+    let start = buffer.indexOf("<");
+    while (start !== -1) {
+      const end = buffer.indexOf(">", start);
+      if (end === -1) break;
+      handleTag(buffer.slice(start + 1, end).trim());
+      start = buffer.indexOf("<", end);
+    }
+    buffer = start === -1 ? "" : buffer.slice(start);
+  };
+
+  for await (const chunk of chunks) {
+    buffer += decoder.decode(chunk, { stream: true });
+    drain();
+  }
+  buffer += decoder.decode();
+  drain();
+}
+
+function parseXmlAttributes(text) {
+  const attributes = {};
+  const pattern = /([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(text))) {
+    attributes[match[1]] = decodeXmlEntities(match[3] ?? match[4]);
+  }
+  return attributes;
+}
+
+function decodeXmlEntities(value) {
+  return value.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (_, e) => {
+    const named = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+    if (e[0] !== "#") return named[e.toLowerCase()];
+    return String.fromCodePoint(
+      e[1] === "x" || e[1] === "X"
+        ? parseInt(e.slice(2), 16)
+        : Number(e.slice(1))
+    );
+  });
+}
+
+/**
+ * Streaming .osm.pbf parser
+ * Reads one length-prefixed blob at a time and decodes the OSMData blocks
+ *
+ * @param {AsyncIterable<Uint8Array>} chunks - File contents
+ * @param {Object} collector - Element collector
+ */
+async function parsePbf(chunks, collector) {
+  // Growable buffer holding the bytes not yet consumed
+  let buffer = new Uint8Array(64 * 1024);
+  let length = 0;
+
+  const append = (chunk) => {
+    if (length + chunk.length > buffer.length) {
+      const grown = new Uint8Array(
+        Math.max(buffer.length * 2, length + chunk.length)
+      );
+      grown.set(buffer.subarray(0, length));
+      buffer = grown;
+    }
+    buffer.set(chunk, length);
+    length += chunk.length;
+  };
+
+  const processAvailableBlobs = async () => {
+    let offset = 0;
+    while (length - offset >= 4) {
+      const view = new DataView(buffer.buffer, buffer.byteOffset + offset, 4);
+      const headerLength = view.getUint32(0);
+      if (length - offset < 4 + headerLength) break;
+
+      const header = readBlobHeader(
+        buffer.subarray(offset + 4, offset + 4 + headerLength)
+      );
+      const blobStart = offset + 4 + headerLength;
+      if (length < blobStart + header.datasize) break;
+
+      if (header.type === "OSMData") {
+        const blob = buffer.subarray(blobStart, blobStart + header.datasize);
+        readPrimitiveBlock(await readBlobData(blob), collector);
+      }
+      offset = blobStart + header.datasize;
+    }
+
+    // Move the unconsumed tail to the front
+    buffer.copyWithin(0, offset, length);
+    length -= offset;
+  };
+
+  for await (const chunk of chunks) {
+    append(chunk);
+    await processAvailableBlobs();
+  }
+
+  if (length > 0) {
+    throw new Error("Truncated .osm.pbf file");
+  }
+}
+
+function readBlobHeader(bytes) {
+  const header = { type: "", datasize: 0 };
+  for (const field of readFields(bytes)) {
+    if (field.number === 1) header.type = new TextDecoder().decode(field.value);
+    if (field.number === 3) header.datasize = field.value;
+  }
+  return header;
+}
+
+async function readBlobData(bytes) {
+  for (const field of readFields(bytes)) {
+    if (field.number === 1) return field.value; // raw
+    if (field.number === 3) return inflate(field.value); // zlib_data
+  }
+  throw new Error("Unsupported .osm.pbf blob compression");
+}
+
+async function inflate(bytes) {
+  if (typeof process !== "undefined" && process.versions?.node) {
+    const zlib = await import("node:zlib");
+    return new Uint8Array(zlib.inflateSync(bytes));
+  }
+  const stream = new Blob([bytes])
+    .stream()
+    .pipeThrough(new DecompressionStream("deflate"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function readPrimitiveBlock(bytes, collector) {
+  const strings = [];
+  const groups = [];
+  let granularity = 100;
+  let latOffset = 0;
+  let lonOffset = 0;
+
+  for (const field of readFields(bytes)) {
+    if (field.number === 1) {
+      const decoder = new TextDecoder();
+      for (const entry of readFields(field.value)) {
+        if (entry.number === 1) strings.push(decoder.decode(entry.value));
+      }
+    } else if (field.number === 2) {
+      groups.push(field.value);
+    } else if (field.number === 17) {
+      granularity = field.value;
+    } else if (field.number === 19) {
+      latOffset = readInt64(bytes, field.offset);
+    } else if (field.number === 20) {
+      lonOffset = readInt64(bytes, field.offset);
+    }
+  }
+
+  const toDegrees = (offset, value) => 1e-9 * (offset + granularity * value);
+
+  // Each pass only needs the nodes, or the ways and relations
+  const readingNodes = collector.readingNodes;
+
+  for (const group of groups) {
+    for (const field of readFields(group)) {
+      if (field.number <= 2 !== readingNodes) continue;
+
+      if (field.number === 1) {
+        readPbfNode(field.value, (id, lat, lon) =>
+          collector.addNode(
+            id,
+            toDegrees(latOffset, lat),
+            toDegrees(lonOffset, lon)
+          )
+        );
+      } else if (field.number === 2) {
+        readDenseNodes(field.value, (id, lat, lon) =>
+          collector.addNode(
+            id,
+            toDegrees(latOffset, lat),
+            toDegrees(lonOffset, lon)
+          )
+        );
+      } else if (field.number === 3) {
+        readPbfWay(field.value, strings, collector);
+      } else if (field.number === 4) {
+        readPbfRelation(field.value, strings, collector);
+      }
+    }
+  }
+}
+
+function readPbfNode(bytes, addNode) {
+  let id = 0;
+  let lat = 0;
+  let lon = 0;
+  for (const field of readFields(bytes)) {
+    if (field.number === 1) id = zigzag(field.value);
+    if (field.number === 8) lat = zigzag(field.value);
+    if (field.number === 9) lon = zigzag(field.value);
+  }
+  addNode(id, lat, lon);
+}
+
+function readDenseNodes(bytes, addNode) {
+  let ids = [];
+  let lats = [];
+  let lons = [];
+  for (const field of readFields(bytes)) {
+    if (field.number === 1) ids = readPackedVarints(field.value).map(zigzag);
+    if (field.number === 8) lats = readPackedVarints(field.value).map(zigzag);
+    if (field.number === 9) lons = readPackedVarints(field.value).map(zigzag);
+  }
+
+  // Values are delta-coded
+  let id = 0;
+  let lat = 0;
+  let lon = 0;
+  for (let i = 0; i < ids.length; i++) {
+    id += ids[i];
+    lat += lats[i];
+    lon += lons[i];
+    addNode(id, lat, lon);
+  }
+}
+
+function readPbfWay(bytes, strings, collector) {
+  let id = 0;
+  let keys = [];
+  let values = [];
+  let refs = [];
+  for (const field of readFields(bytes)) {
+    if (field.number === 1) id = readInt64(bytes, field.offset);
+    if (field.number === 2) keys = readPackedVarints(field.value);
+    if (field.number === 3) values = readPackedVarints(field.value);
+    if (field.number === 8) refs = readPackedVarints(field.value).map(zigzag);
+  }
+
+  const tags = {};
+  keys.forEach((key, i) => {
+    tags[strings[key]] = strings[values[i]];
+  });
+
+  let ref = 0;
+  const nodes = refs.map((delta) => (ref += delta));
+  collector.addWay(id, nodes, tags);
+}
+
+function readPbfRelation(bytes, strings, collector) {
+  const memberTypes = ["node", "way", "relation"];
+  let id = 0;
+  let keys = [];
+  let values = [];
+  let roles = [];
+  let memberIds = [];
+  let types = [];
+  for (const field of readFields(bytes)) {
+    if (field.number === 1) id = readInt64(bytes, field.offset);
+    if (field.number === 2) keys = readPackedVarints(field.value);
+    if (field.number === 3) values = readPackedVarints(field.value);
+    if (field.number === 8) roles = readPackedVarints(field.value);
+    if (field.number === 9) {
+      memberIds = readPackedVarints(field.value).map(zigzag);
+    }
+    if (field.number === 10) types = readPackedVarints(field.value);
+  }
+
+  const tags = {};
+  keys.forEach((key, i) => {
+    tags[strings[key]] = strings[values[i]];
+  });
+
+  let ref = 0;
+  const members = memberIds.map((delta, i) => ({
+    type: memberTypes[types[i]],
+    ref: (ref += delta),
+    role: strings[roles[i]],
+  }));
+  collector.addRelation(id, members, tags);
+}
+
+/**
+ * Iterate over the fields of a protobuf message
+ * Varints are decoded with arithmetic so 64-bit OSM ids stay exact up to 2^53;
+ * their offset lets signed int64 fields be decoded again with readInt64
+ *
+ * @param {Uint8Array} bytes - Encoded message
+ * @returns {Generator<Object>} {number, value, offset} per field
+ */
+function* readFields(bytes) {
+  const cursor = { bytes, position: 0 };
+  while (cursor.position < bytes.length) {
+    const key = readVarint(cursor);
+    const number = Math.floor(key / 8);
+    const wireType = key % 8;
+
+    if (wireType === 0) {
+      const offset = cursor.position;
+      yield { number, value: readVarint(cursor), offset };
+    } else if (wireType === 2) {
+      const length = readVarint(cursor);
+      const value = bytes.subarray(cursor.position, cursor.position + length);
+      cursor.position += length;
+      yield { number, value };
+    } else if (wireType === 1) {
+      cursor.position += 8;
+    } else if (wireType === 5) {
+      cursor.position += 4;
+    } else {
+      throw new Error(`Unsupported protobuf wire type ${wireType}`);
+    }
+  }
+}
+
+function readVarint(cursor) {
+  let result = 0;
+  let multiplier = 1;
+  let byte;
+  do {
+    byte = cursor.bytes[cursor.position++];
+    result += (byte & 0x7f) * multiplier;
+    multiplier *= 128;
+  } while (byte >= 0x80);
+  return result;
+}
+
+/**
+ * Decode a varint as a protobuf int64
+ * Negative values take ten bytes and wrap around 2^64, which plain
+ * arithmetic cannot represent, so the bits are gathered with BigInt
+ *
+ * @param {Uint8Array} bytes - Encoded message
+ * @param {number} offset - Position of the varint
+ * @returns {number} Signed value
+ */
+function readInt64(bytes, offset) {
+  let result = 0n;
+  let shift = 0n;
+  let byte;
+  do {
+    byte = bytes[offset++];
+    result |= BigInt(byte & 0x7f) << shift;
+    shift += 7n;
+  } while (byte >= 0x80);
+  return Number(BigInt.asIntN(64, result));
+}
+
+function readPackedVarints(bytes) {
+  const values = [];
+  const cursor = { bytes, position: 0 };
+  while (cursor.position < bytes.length) {
+    values.push(readVarint(cursor));
+  }
+  return values;
+}
+
+function zigzag(value) {
+  return value % 2 === 1 ? -(value + 1) / 2 : value / 2;
+}
@@ -0,0 +1,156 @@
+/**
+ * OpenStreetMap access, directionality and turn restriction rules
+ * Decides, per travel profile, whether a way may be used at all, in which
+ * directions it may be travelled and which turn restrictions apply
+ */
+
+// Access tag values that permit travel
+const ALLOWED_ACCESS_VALUES = [
+  "yes",
+  "permissive",
+  "designated",
+  "destination",
+  "delivery",
+  "customers",
+];
+
+/**
+ * Travel profiles
+ * accessKeys are listed from least to most specific; the most specific tag
+ * present on a way decides access. onewayKeys are checked most specific first.
+ * vehicle names the mode in restriction:<vehicle> and except tags; profiles
+ * without a vehicle ignore turn restrictions.
+ */
+export const TRAVEL_PROFILES = {
+  driving: {
+    accessKeys: ["access", "vehicle", "motor_vehicle", "motorcar"],
+    onewayKeys: ["oneway"],
+    excludedHighways: [],
+    vehicle: "motorcar",
+  },
+  cycling: {
+    accessKeys: ["access", "vehicle", "bicycle"],
+    onewayKeys: ["oneway:bicycle", "oneway"],
+    excludedHighways: ["motorway", "motorway_link"],
+    vehicle: "bicycle",
+  },
+  walking: {
+    accessKeys: ["access", "foot"],
+    onewayKeys: ["oneway:foot"],
+    excludedHighways: ["motorway", "motorway_link"],
+    vehicle: null,
+  },
+};
+
+export const DEFAULT_PROFILE = "driving";
+
+// Ways that are one-way unless tagged otherwise
+const IMPLIED_ONEWAY_JUNCTIONS = ["roundabout", "circular"];
+const IMPLIED_ONEWAY_HIGHWAYS = ["motorway"];
+
+/**
+ * Look up a travel profile by name
+ *
+ * @param {string} profileName - "driving", "cycling" or "walking"
+ * @returns {Object} Profile definition
+ */
+export function getTravelProfile(profileName = DEFAULT_PROFILE) {
+  const profile = TRAVEL_PROFILES[profileName];
+  if (!profile) {
+    throw new Error(`Unknown travel profile: ${profileName}`);
+  }
+  return profile;
+}
+
+/**
+ * Check whether a way may be used by a travel profile
+ *
+ * @param {Object} tags - Way tags
+ * @param {string} profileName - Travel profile
+ * @returns {boolean} True if the profile may use the way
+ */
+export function isWayAccessible(tags = {}, profileName = DEFAULT_PROFILE) {
+  const profile = getTravelProfile(profileName);
+
+  // The most specific access tag wins (motorcar=yes overrides access=no)
+  let access = null;
+  for (const key of profile.accessKeys) {
+    if (tags[key] !== undefined) access = tags[key];
+  }
+
+  if (access !== null) {
+    return ALLOWED_ACCESS_VALUES.includes(access);
+  }
+
+  // Without an explicit tag, some road classes are closed to the profile
+  return !profile.excludedHighways.includes(tags.highway);
+}
+
+/**
+ * Get the directions a way can be travelled in by a travel profile
+ * Handles oneway=yes/true/1, oneway=-1/reverse, oneway=no/false/0, reversible
+ * and alternating ways, and the oneway implied by roundabouts and motorways.
+ *
+ * @param {Object} tags - Way tags
+ * @param {string} profileName - Travel profile
+ * @returns {Object} {forward, backward} - Allowed directions along the way's nodes
+ */
+export function getWayDirections(tags = {}, profileName = DEFAULT_PROFILE) {
+  const profile = getTravelProfile(profileName);
+
+  // Explicit tags, most specific first
+  for (const key of profile.onewayKeys) {
+    const value = tags[key];
+    if (value === undefined) continue;
+
+    if (value === "yes" || value === "true" || value === "1") {
+      return { forward: true, backward: false };
+    }
+    if (value === "-1" || value === "reverse") {
+      return { forward: false, backward: true };
+    }
+    if (value === "no" || value === "false" || value === "0") {
+      return { forward: true, backward: true };
+    }
+    if (value === "reversible" || value === "alternating") {
+      // Direction changes over time, so it can't be relied on
+      return { forward: false, backward: false };
+    }
+  }
+
+  // Implied oneway only applies to profiles that obey the general oneway tag
+  if (profile.onewayKeys.includes("oneway")) {
+    if (
+      IMPLIED_ONEWAY_JUNCTIONS.includes(tags.junction) ||
+      IMPLIED_ONEWAY_HIGHWAYS.includes(tags.highway)
+    ) {
+      return { forward: true, backward: false };
+    }
+  }
+
+  return { forward: true, backward: true };
+}
+
+/**
+ * Get the turn restriction a restriction relation imposes on a travel profile
+ *
+ * @param {Object} tags - Relation tags (type=restriction)
+ * @param {string} profileName - Travel profile
+ * @returns {Object|null} {type: "no"|"only", restriction} or null if the
+ *   relation doesn't apply to the profile
+ */
+export function getTurnRestriction(tags = {}, profileName = DEFAULT_PROFILE) {
+  const { vehicle } = getTravelProfile(profileName);
+  if (!vehicle || tags.type !== "restriction") return null;
+
+  // Vehicles listed in except are exempt
+  const exempt = (tags.except || "").split(";").map((value) => value.trim());
+  if (exempt.includes(vehicle)) return null;
+
+  const restriction = tags[`restriction:${vehicle}`] || tags.restriction;
+  if (!restriction) return null;
+
+  if (restriction.startsWith("no_")) return { type: "no", restriction };
+  if (restriction.startsWith("only_")) return { type: "only", restriction };
+  return null;
+}
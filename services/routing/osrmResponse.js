@@ -0,0 +1,495 @@
+/**
+ * OSRM-compatible route responses
+ * Builds the {code, routes, waypoints} shape of OSRM's /route service from
+ * a search result, so routes from the street graph and from OSRM itself can
+ * be read by the same code. Each leg is split into steps where the street
+ * name changes, and each step starts with a maneuver describing the turn.
+ */
+
+import {
+  calculateHaversineDistance,
+  calculateBearing,
+  encodePolyline,
+  decodePolyline,
+} from "../geoUtils.js";
+import {
+  DEFAULT_SPEED_TABLE,
+  getTravelTime,
+  getEdgeCost,
+} from "./travelTime.js";
+import { getTurnAngle } from "./graphUtils.js";
+import { DEFAULT_PROFILE } from "./osmRules.js";
+
+// Geometry encodings a response can use
+export const GEOMETRY_FORMATS = ["polyline", "polyline6", "geojson"];
+
+// Largest turn angle in degrees for each maneuver modifier; anything
+// sharper is a U-turn
+const MODIFIER_ANGLES = [
+  [15, "straight"],
+  [45, "slight"],
+  [120, ""],
+  [165, "sharp"],
+];
+
+// Junction tags of ways that form a roundabout
+const ROUNDABOUT_JUNCTIONS = ["roundabout", "circular"];
+
+// OSRM travel modes of the travel profiles
+const PROFILE_MODES = {
+  driving: "driving",
+  cycling: "cycling",
+  walking: "walking",
+};
+
+/**
+ * Build an OSRM route response from a search result
+ *
+ * @param {Object} result - Search result {path, distance, duration,
+ *   nodeIds, nodesExplored}; duration is estimated from the distance when
+ *   missing
+ * @param {Object} options - {graph} the search ran on, to look up the
+ *   street of each edge and the roundabout exits from nodeIds; {metric}
+ *   the search minimised;
+ *   {geometries}: "polyline" (default), "polyline6" or "geojson";
+ *   {waypoints}: snap results or points for the start and end; travel
+ *   {profile}
+ * @returns {Object} {code, routes, waypoints} with one route of one leg
+ */
+export function buildRouteResponse(result, options = {}) {
+  const path = result.path || [];
+  const edges =
+    options.graph && result.nodeIds
+      ? getPathEdges(options.graph, result.nodeIds, options.metric)
+      : [];
+  const leg = buildLeg(path, edges, result, options);
+
+  const route = {
+    geometry: encodeGeometry(path, options.geometries),
+    distance: leg.distance,
+    duration: leg.duration,
+    weight: leg.weight,
+    weight_name: getWeightName(options.metric),
+    legs: [leg],
+    // Search statistics for comparing algorithms
+    nodesExplored: result.nodesExplored || 0,
+  };
+
+  // Bidirectional searches report each side separately
+  if (result.nodesExploredForward !== undefined) {
+    route.nodesExploredForward = result.nodesExploredForward;
+    route.nodesExploredBackward = result.nodesExploredBackward;
+  }
+
+  const ends = options.waypoints || [path[0], path[path.length - 1]];
+  return {
+    code: "Ok",
+    routes: [route],
+    waypoints: ends.filter(Boolean).map(getWaypoint),
+  };
+}
+
+/**
+ * Join routes that follow each other into one route with a leg per route
+ *
+ * @param {Array} routes - Routes from buildRouteResponse, in travel order
+ * @param {Object} options - {geometries} the routes are encoded in
+ * @returns {Object} Route with the legs of every route
+ */
+export function joinRoutes(routes, options = {}) {
+  // Consecutive routes share their joining point
+  const path = routes
+    .map((route) => decodeGeometry(route.geometry, options.geometries))
+    .reduce((all, points) => all.concat(all.length ? points.slice(1) : points));
+
+  return {
+    geometry: encodeGeometry(path, options.geometries),
+    distance: sumOf(routes, "distance"),
+    duration: sumOf(routes, "duration"),
+    weight: sumOf(routes, "weight"),
+    weight_name: routes[0].weight_name,
+    legs: routes.flatMap((route) => route.legs),
+    nodesExplored: sumOf(routes, "nodesExplored"),
+  };
+}
+
+/**
+ * Encode points as an OSRM geometry
+ *
+ * @param {Array} points - Points {lat, lng}
+ * @param {string} geometries - "polyline" (default), "polyline6" or "geojson"
+ * @returns {string|Object} Encoded polyline or GeoJSON LineString
+ */
+export function encodeGeometry(points, geometries = "polyline") {
+  if (geometries === "geojson") {
+    return {
+      type: "LineString",
+      coordinates: points.map((point) => [point.lng, point.lat]),
+    };
+  }
+  return encodePolyline(points, geometries === "polyline6" ? 6 : 5);
+}
+
+/**
+ * Decode an OSRM geometry into points
+ *
+ * @param {string|Object} geometry - Encoded polyline or GeoJSON LineString
+ * @param {string} geometries - Encoding of the geometry
+ * @returns {Array} Points {lat, lng}
+ */
+export function decodeGeometry(geometry, geometries = "polyline") {
+  if (geometries === "geojson") {
+    return geometry.coordinates.map(([lng, lat]) => ({ lat, lng }));
+  }
+  return decodePolyline(geometry, geometries === "polyline6" ? 6 : 5);
+}
+
+/**
+ * Describe a snapped point like an OSRM waypoint
+ *
+ * @param {Object} snap - Snap result from snapToRoad, or a plain point
+ *   {lat, lng}
+ * @returns {Object} {location: [lng, lat], name, distance} - distance from
+ *   the original point to the road in meters
+ */
+export function getWaypoint(snap) {
+  if (!snap.fromNode) {
+    return { location: [snap.lng, snap.lat], name: "", distance: 0 };
+  }
+
+  const connection =
+    snap.fromNode.connections.find((c) => c.nodeId === snap.toNode.id) ||
+    snap.toNode.connections.find((c) => c.nodeId === snap.fromNode.id);
+  return {
+    location: [snap.location.lng, snap.location.lat],
+    name: connection?.name || "",
+    distance: snap.distance,
+  };
+}
+
+/**
+ * Classify a change of heading as an OSRM maneuver modifier
+ *
+ * @param {number} turnAngle - Turn angle from -180 to 180, positive for
+ *   right turns
+ * @returns {string} "straight", "slight right", "right", "sharp right",
+ *   "uturn" or the left equivalents
+ */
+export function getManeuverModifier(turnAngle) {
+  const angle = Math.abs(turnAngle);
+  const side = turnAngle > 0 ? "right" : "left";
+  for (const [maxAngle, modifier] of MODIFIER_ANGLES) {
+    if (angle > maxAngle) continue;
+    if (modifier === "straight") return modifier;
+    return modifier ? `${modifier} ${side}` : side;
+  }
+  return "uturn";
+}
+
+/**
+ * Find the connection used between each pair of consecutive path nodes
+ *
+ * @param {Array} graph - Graph the search ran on
+ * @param {Array} nodeIds - Node ids along the path
+ * @param {string} metric - Cost metric; the cheapest connection is taken
+ *   when two ways join the same nodes
+ * @returns {Array} Edge {connection, exits} per path segment, or null where
+ *   there is none; exits counts the ways leaving a roundabout at the end of
+ *   a roundabout edge
+ */
+export function getPathEdges(graph, nodeIds, metric = "distance") {
+  const nodeMap = new Map(graph.map((node) => [node.id, node]));
+  const edges = [];
+  for (let i = 0; i < nodeIds.length - 1; i++) {
+    let cheapest = null;
+    for (const connection of nodeMap.get(nodeIds[i])?.connections || []) {
+      if (connection.nodeId !== nodeIds[i + 1]) continue;
+      if (
+        !cheapest ||
+        getEdgeCost(connection, metric) < getEdgeCost(cheapest, metric)
+      ) {
+        cheapest = connection;
+      }
+    }
+
+    const exits = isRoundabout(cheapest)
+      ? (nodeMap.get(nodeIds[i + 1])?.connections || []).filter(
+          (connection) => !isRoundabout(connection)
+        ).length
+      : 0;
+    edges.push(cheapest && { connection: cheapest, exits });
+  }
+  return edges;
+}
+
+/**
+ * Check whether a connection runs around a roundabout
+ *
+ * @param {Object} connection - Graph connection, or null
+ * @returns {boolean} True for roundabout edges
+ */
+function isRoundabout(connection) {
+  return ROUNDABOUT_JUNCTIONS.includes(connection?.junction);
+}
+
+/**
+ * Build an OSRM leg along a path
+ * A new step starts where the street changes, on entering and leaving a
+ * roundabout, and at a U-turn back along the same street.
+ *
+ * @param {Array} path - Points {lat, lng}
+ * @param {Array} edges - Edge per path segment from getPathEdges, or empty
+ *   when the streets are unknown
+ * @param {Object} result - Search result with the leg's distance and duration
+ * @param {Object} options - {metric} and travel {profile}
+ * @returns {Object} Leg {distance, duration, weight, summary, steps}
+ */
+function buildLeg(path, edges, result, options) {
+  const segments = getSegments(path, edges, result, options.metric);
+  const mode = PROFILE_MODES[options.profile || DEFAULT_PROFILE] || "driving";
+
+  // One step per run of segments on the same street or roundabout
+  const steps = [];
+  let step = null;
+  let bearingBefore = 0;
+  let exitsPassed = 0; // Exits passed on the current roundabout
+  segments.forEach((segment, index) => {
+    const key = `${segment.name}|${segment.ref}`;
+    const previous = segments[index - 1];
+    let type = null;
+    if (!step) {
+      type = "depart";
+    } else if (segment.roundabout && !step.roundabout) {
+      type = "roundabout";
+      exitsPassed = 0;
+    } else if (step.roundabout && !segment.roundabout) {
+      type = "exit roundabout";
+      // Count the exit taken and say which way it leads from the entry
+      if (step.maneuver.type === "roundabout") {
+        step.maneuver.exit = exitsPassed + 1;
+        step.maneuver.modifier = getManeuverModifier(
+          getTurnAngle(
+            step.maneuver.bearing_before,
+            segment.bearing ?? bearingBefore
+          )
+        );
+      }
+    } else if (
+      !segment.roundabout &&
+      step.key !== key &&
+      segment.distance > 0
+    ) {
+      type = "turn";
+    } else if (isUTurn(previous, segment)) {
+      type = "continue";
+    } else if (segment.roundabout) {
+      // Still on the roundabout, past the exits where the last edge ended
+      exitsPassed += previous.exits;
+    }
+
+    if (type) {
+      step = {
+        key,
+        roundabout: segment.roundabout,
+        points: [segment.from],
+        distance: 0,
+        duration: 0,
+        weight: 0,
+        name: segment.name,
+        ref: segment.ref,
+        maneuver: getManeuver(
+          type,
+          segment.from,
+          bearingBefore,
+          segment.bearing ?? bearingBefore
+        ),
+      };
+      steps.push(step);
+    }
+    step.points.push(segment.to);
+    step.distance += segment.distance;
+    step.duration += segment.duration;
+    step.weight += segment.weight;
+    if (segment.bearing !== null) bearingBefore = segment.bearing;
+  });
+
+  // The final step only marks the arrival
+  const end = path[path.length - 1];
+  if (end) {
+    steps.push({
+      key: null,
+      points: [end, end],
+      distance: 0,
+      duration: 0,
+      weight: 0,
+      name: step?.name || "",
+      ref: step?.ref || "",
+      maneuver: getManeuver("arrive", end, bearingBefore, 0),
+    });
+  }
+
+  const osrmSteps = steps.map(({ key, roundabout, points, ref, ...rest }) => ({
+    ...rest,
+    ...(ref && { ref }),
+    geometry: encodeGeometry(points, options.geometries),
+    mode,
+  }));
+  return {
+    distance: sumOf(segments, "distance"),
+    duration: sumOf(segments, "duration"),
+    weight: sumOf(segments, "weight"),
+    summary: getSummary(osrmSteps),
+    steps: osrmSteps,
+  };
+}
+
+/**
+ * Measure each segment of a path
+ * Segment durations follow the edge travel times, scaled to the duration the
+ * search reported (time-dependent searches differ from the free-flow times)
+ *
+ * @param {Array} path - Points {lat, lng}
+ * @param {Array} edges - Edge per path segment from getPathEdges, may be
+ *   empty
+ * @param {Object} result - Search result {distance, duration}
+ * @param {string} metric - Metric the search minimised
+ * @returns {Array} Segments {from, to, distance, duration, weight, name,
+ *   ref, roundabout, exits, bearing}; bearing is null for zero-length
+ *   segments
+ */
+function getSegments(path, edges, result, metric = "time") {
+  const segments = [];
+  for (let i = 0; i < path.length - 1; i++) {
+    const from = path[i];
+    const to = path[i + 1];
+    const connection = edges[i]?.connection || null;
+    const distance =
+      connection?.distance ?? calculateHaversineDistance(from, to);
+    segments.push({
+      from,
+      to,
+      connection,
+      distance,
+      name: connection?.name || "",
+      ref: connection?.ref || "",
+      roundabout: isRoundabout(connection),
+      exits: edges[i]?.exits || 0,
+      bearing:
+        from.lat === to.lat && from.lng === to.lng
+          ? null
+          : calculateBearing(from, to),
+    });
+  }
+
+  // Edge travel times when every street is known, else shares of the length
+  const known = segments.every((segment) => segment.connection);
+  const times = segments.map((segment) =>
+    known
+      ? getEdgeCost(segment.connection, "time")
+      : getTravelTime(segment.distance, DEFAULT_SPEED_TABLE.default)
+  );
+  const estimated = times.reduce((sum, time) => sum + time, 0);
+  const scale =
+    result.duration !== undefined && estimated > 0
+      ? result.duration / estimated
+      : 1;
+
+  segments.forEach((segment, index) => {
+    segment.duration = times[index] * scale;
+    segment.weight =
+      metric === "distance"
+        ? segment.distance
+        : metric === "elevation" && segment.connection
+        ? getEdgeCost(segment.connection, "elevation")
+        : segment.duration;
+  });
+  return segments;
+}
+
+/**
+ * Check whether a segment turns back along the one before it
+ *
+ * @param {Object} previous - Segment before, or undefined
+ * @param {Object} segment - Segment
+ * @returns {boolean} True when the segment ends where the previous began
+ */
+function isUTurn(previous, segment) {
+  return (
+    Boolean(previous) &&
+    segment.distance > 0 &&
+    segment.to.lat === previous.from.lat &&
+    segment.to.lng === previous.from.lng
+  );
+}
+
+/**
+ * Build an OSRM maneuver
+ *
+ * @param {string} type - "depart", "turn", "continue", "roundabout",
+ *   "exit roundabout" or "arrive"
+ * @param {Object} location - Where the maneuver happens {lat, lng}
+ * @param {number} bearingBefore - Heading arriving, in degrees
+ * @param {number} bearingAfter - Heading leaving, in degrees
+ * @returns {Object} Maneuver {location, bearing_before, bearing_after, type,
+ *   modifier}
+ */
+function getManeuver(type, location, bearingBefore, bearingAfter) {
+  const maneuver = {
+    location: [location.lng, location.lat],
+    bearing_before: Math.round(bearingBefore) % 360,
+    bearing_after: Math.round(bearingAfter) % 360,
+    type,
+  };
+
+  if (type !== "depart" && type !== "arrive") {
+    maneuver.modifier = getManeuverModifier(
+      getTurnAngle(bearingBefore, bearingAfter)
+    );
+    // Carrying straight on where the street changes its name
+    if (type === "turn" && maneuver.modifier === "straight") {
+      maneuver.type = "new name";
+    }
+  }
+  return maneuver;
+}
+
+/**
+ * Name the main streets of a leg, as OSRM does
+ *
+ * @param {Array} steps - Steps of the leg
+ * @returns {string} Names of the two longest named steps, in travel order
+ */
+function getSummary(steps) {
+  const longest = steps
+    .map((step, index) => ({ name: step.name, distance: step.distance, index }))
+    .filter((step) => step.name)
+    .sort((a, b) => b.distance - a.distance)
+    .filter(
+      (step, index, named) =>
+        named.findIndex((other) => other.name === step.name) === index
+    )
+    .slice(0, 2)
+    .sort((a, b) => a.index - b.index);
+  return longest.map((step) => step.name).join(", ");
+}
+
+/**
+ * Name of the route weight for a search metric
+ *
+ * @param {string} metric - "time", "distance" or "elevation"
+ * @returns {string} OSRM weight_name
+ */
+function getWeightName(metric = "time") {
+  return metric === "time" ? "duration" : metric;
+}
+
+/**
+ * Add up a field over a list
+ *
+ * @param {Array} items - Objects with the field
+ * @param {string} key - Field name
+ * @returns {number} Sum
+ */
+function sumOf(items, key) {
+  return items.reduce((sum, item) => sum + item[key], 0);
+}
@@ -2,7 +2,7 @@
  * OpenStreetMap routing API functions
  */
 
-import { calculateHaversineDistance, encodePolyline } from "../geoUtils.js";
+import { buildRouteResponse } from "./osrmResponse.js";
 
 /**
  * Get directions from OpenStreetMap's OSRM API
@@ -10,9 +10,12 @@ import { calculateHaversineDistance, encodePolyline } from "../geoUtils.js";
  *
  * @param {Object} start - Starting point {lat, lng}
  * @param {Object} end - Ending point {lat, lng}
- * @returns {Object} Route data in standardized format
+ * @param {Object} options - {geometries}: "polyline" (default), "polyline6"
+ *   or "geojson"
+ * @returns {Object} OSRM route response with steps
  */
-export async function getOpenStreetMapDirections(start, end) {
+export async function getOpenStreetMapDirections(start, end, options = {}) {
+  const geometries = options.geometries || "polyline";
   try {
     // OSRM public API endpoint
     const osrmApiUrl = "https://router.project-osrm.org/route/v1/driving/";
@@ -21,8 +24,8 @@ export async function getOpenStreetMapDirections(start, end) {
     const startCoord = `${start.lng},${start.lat}`;
     const endCoord = `${end.lng},${end.lat}`;
 
-    // Build the query URL with parameters for full path and polyline geometry
-    const queryUrl = `${osrmApiUrl}${startCoord};${endCoord}?overview=full&geometries=polyline`;
+    // Build the query URL with parameters for full path, steps and geometry
+    const queryUrl = `${osrmApiUrl}${startCoord};${endCoord}?overview=full&steps=true&geometries=${geometries}`;
 
     console.log("Requesting route from OSRM:", queryUrl);
 
@@ -42,35 +45,12 @@ export async function getOpenStreetMapDirections(start, end) {
       throw new Error("No route found or invalid response from OSRM");
     }
 
-    // Extract route information
-    const route = data.routes[0];
-
-    // Convert OSRM response to match the expected format for consistency
-    return {
-      routes: [
-        {
-          overview_polyline: {
-            points: route.geometry, // Polyline string for the route
-          },
-          legs: [
-            {
-              distance: {
-                text: `${(route.distance / 1000).toFixed(2)} km`, // Human-readable distance
-                value: route.distance, // Distance in meters
-              },
-              duration: {
-                text: `${Math.round(route.duration / 60)} mins`, // Human-readable duration
-                value: route.duration, // Duration in seconds
-              },
-            },
-          ],
-        },
-      ],
-    };
+    // The response already has the shape every route source returns
+    return data;
   } catch (error) {
     console.error("Error getting directions from OSRM:", error);
     // Fall back to direct line calculation if OSRM fails
-    return calculateDirectLine(start, end);
+    return calculateDirectLine(start, end, options);
   }
 }
 
@@ -80,9 +60,11 @@ export async function getOpenStreetMapDirections(start, end) {
  *
  * @param {Object} start - Starting point {lat, lng}
  * @param {Object} end - Ending point {lat, lng}
- * @returns {Object} Route data in standardized format
+ * @param {Object} options - {geometries} as for getOpenStreetMapDirections
+ * @returns {Object} OSRM route response along the line, with travel time
+ *   estimated at the default road speed
  */
-export function calculateDirectLine(start, end) {
+export function calculateDirectLine(start, end, options = {}) {
   // Create a direct line between points and encode it as a polyline
   const steps = 10; // Number of intermediate points
   const latStep = (end.lat - start.lat) / steps;
@@ -103,32 +85,8 @@ export function calculateDirectLine(start, end) {
     points[i].lng += (Math.random() - 0.5) * 0.01;
   }
 
-  // Convert points to polyline format
-  const polyline = encodePolyline(points);
-
-  // Calculate approximate distance using Haversine formula
-  const distance = calculateHaversineDistance(start, end);
-
-  // Return route in standardized format
-  return {
-    routes: [
-      {
-        overview_polyline: {
-          points: polyline,
-        },
-        legs: [
-          {
-            distance: {
-              text: `${(distance / 1000).toFixed(2)} km`,
-              value: distance,
-            },
-            duration: {
-              text: `${Math.round(distance / 50)} mins`, // Estimate speed as 50m/min
-              value: Math.round(distance / 50) * 60,
-            },
-          },
-        ],
-      },
-    ],
-  };
+  return buildRouteResponse(
+    { path: points },
+    { geometries: options.geometries, waypoints: [start, end] }
+  );
 }
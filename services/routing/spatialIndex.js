@@ -0,0 +1,328 @@
+/**
+ * Spatial index for street graphs
+ * Buckets graph nodes and road segments into a uniform lat/lng grid so that
+ * nearest, k-nearest and radius lookups only touch nearby cells
+ */
+
+import { calculateHaversineDistance } from "../geoUtils.js";
+
+// Approximate meters per degree of latitude
+const METERS_PER_DEGREE = 111320;
+
+/**
+ * Uniform grid index over the nodes and segments of a street graph
+ */
+export class SpatialIndex {
+  /**
+   * @param {Array} graph - Array of nodes from buildStreetGraph
+   * @param {number} cellSize - Grid cell size in degrees (~200m by default)
+   */
+  constructor(graph, cellSize = 0.002) {
+    this.cellSize = cellSize;
+    this.nodeCells = new Map(); // Cell key -> nodes in the cell
+    this.segmentCells = new Map(); // Cell key -> segments crossing the cell
+    this.nodeCount = 0;
+    this.segmentCount = 0;
+
+    // Grid origin and reference latitude for the local projection
+    let south = Infinity;
+    let west = Infinity;
+    let north = -Infinity;
+    for (const node of graph) {
+      south = Math.min(south, node.lat);
+      north = Math.max(north, node.lat);
+      west = Math.min(west, node.lng);
+    }
+    this.south = Number.isFinite(south) ? south : 0;
+    this.west = Number.isFinite(west) ? west : 0;
+    this.cosLat = Math.cos(
+      ((Number.isFinite(south) ? (south + north) / 2 : 0) * Math.PI) / 180
+    );
+
+    // Smallest side of a cell in meters, used to bound ring searches
+    this.cellMeters =
+      cellSize * METERS_PER_DEGREE * Math.min(1, this.cosLat || 1);
+
+    const nodeMap = new Map(graph.map((node) => [node.id, node]));
+    const seenSegments = new Set();
+
+    for (const node of graph) {
+      this.addToCell(this.nodeCells, this.cellOf(node), node);
+      this.nodeCount++;
+
+      for (const connection of node.connections) {
+        const neighbor = nodeMap.get(connection.nodeId);
+        if (!neighbor) continue;
+
+        // Index each road segment once, regardless of direction
+        const segmentKey =
+          String(node.id) < String(neighbor.id)
+            ? `${node.id}|${neighbor.id}`
+            : `${neighbor.id}|${node.id}`;
+        if (seenSegments.has(segmentKey)) continue;
+        seenSegments.add(segmentKey);
+
+        const segment = { from: node, to: neighbor };
+        const a = this.cellOf(node);
+        const b = this.cellOf(neighbor);
+        for (let x = Math.min(a.x, b.x); x <= Math.max(a.x, b.x); x++) {
+          for (let y = Math.min(a.y, b.y); y <= Math.max(a.y, b.y); y++) {
+            this.addToCell(this.segmentCells, { x, y }, segment);
+          }
+        }
+        this.segmentCount++;
+      }
+    }
+
+    // Furthest ring a search may need to visit
+    let maxX = 0;
+    let maxY = 0;
+    for (const cells of [this.nodeCells, this.segmentCells]) {
+      for (const key of cells.keys()) {
+        const [x, y] = key.split(",").map(Number);
+        maxX = Math.max(maxX, x);
+        maxY = Math.max(maxY, y);
+      }
+    }
+    this.maxRing = Math.max(maxX, maxY) + 1;
+  }
+
+  /**
+   * Find the graph node closest to a point
+   *
+   * @param {Object} point - Query point {lat, lng}
+   * @returns {Object|null} {node, distance} or null if the index is empty
+   */
+  nearestNode(point) {
+    return this.kNearestNodes(point, 1)[0] || null;
+  }
+
+  /**
+   * Find the k graph nodes closest to a point
+   *
+   * @param {Object} point - Query point {lat, lng}
+   * @param {number} k - Number of nodes to return
+   * @returns {Array} Up to k {node, distance} entries sorted by distance
+   */
+  kNearestNodes(point, k) {
+    const results = [];
+    if (k <= 0) return results;
+
+    this.searchRings(point, this.nodeCells, (node) => {
+      const distance = calculateHaversineDistance(point, node);
+      if (
+        results.length < k ||
+        distance < results[results.length - 1].distance
+      ) {
+        results.push({ node, distance });
+        results.sort((a, b) => a.distance - b.distance);
+        if (results.length > k) results.pop();
+      }
+      return results.length < k
+        ? Infinity
+        : results[results.length - 1].distance;
+    });
+
+    return results;
+  }
+
+  /**
+   * Find all graph nodes within a radius of a point
+   *
+   * @param {Object} point - Query point {lat, lng}
+   * @param {number} radius - Search radius in meters
+   * @returns {Array} {node, distance} entries sorted by distance
+   */
+  nodesWithinRadius(point, radius) {
+    const results = [];
+    const latSpan = radius / METERS_PER_DEGREE;
+    const lngSpan = radius / (METERS_PER_DEGREE * (this.cosLat || 1));
+    const min = this.cellOf({
+      lat: point.lat - latSpan,
+      lng: point.lng - lngSpan,
+    });
+    const max = this.cellOf({
+      lat: point.lat + latSpan,
+      lng: point.lng + lngSpan,
+    });
+
+    for (let x = min.x; x <= max.x; x++) {
+      for (let y = min.y; y <= max.y; y++) {
+        for (const node of this.nodeCells.get(`${x},${y}`) || []) {
+          const distance = calculateHaversineDistance(point, node);
+          if (distance <= radius) {
+            results.push({ node, distance });
+          }
+        }
+      }
+    }
+
+    return results.sort((a, b) => a.distance - b.distance);
+  }
+
+  /**
+   * Find the road segment closest to a point and project the point onto it
+   *
+   * @param {Object} point - Query point {lat, lng}
+   * @returns {Object|null} Snap result {location, fromNode, toNode, fraction, distance}
+   */
+  nearestSegment(point) {
+    return this.kNearestSegments(point, 1)[0] || null;
+  }
+
+  /**
+   * Find the k road segments closest to a point and project the point onto
+   * each of them
+   *
+   * @param {Object} point - Query point {lat, lng}
+   * @param {number} k - Number of segments to return
+   * @returns {Array} Up to k snap results {location, fromNode, toNode,
+   *   fraction, distance} sorted by distance
+   */
+  kNearestSegments(point, k) {
+    const results = [];
+    if (k <= 0) return results;
+
+    // Long segments are listed in every cell they cross
+    const seen = new Set();
+    this.searchRings(point, this.segmentCells, (segment) => {
+      if (!seen.has(segment)) {
+        seen.add(segment);
+        const projection = this.projectOntoSegment(
+          point,
+          segment.from,
+          segment.to
+        );
+        if (
+          results.length < k ||
+          projection.distance < results[results.length - 1].distance
+        ) {
+          results.push({
+            location: projection.location,
+            fromNode: segment.from,
+            toNode: segment.to,
+            fraction: projection.fraction,
+            distance: projection.distance,
+          });
+          results.sort((a, b) => a.distance - b.distance);
+          if (results.length > k) results.pop();
+        }
+      }
+      return results.length < k
+        ? Infinity
+        : results[results.length - 1].distance;
+    });
+
+    return results;
+  }
+
+  /**
+   * Project a point onto the straight segment between two nodes
+   * Uses a local equirectangular projection, which is accurate at street scale
+   *
+   * @param {Object} point - Point to project {lat, lng}
+   * @param {Object} a - Segment start {lat, lng}
+   * @param {Object} b - Segment end {lat, lng}
+   * @returns {Object} {location, fraction, distance}
+   */
+  projectOntoSegment(point, a, b) {
+    const ax = (a.lng - point.lng) * this.cosLat;
+    const ay = a.lat - point.lat;
+    const bx = (b.lng - point.lng) * this.cosLat;
+    const by = b.lat - point.lat;
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSquared = dx * dx + dy * dy;
+
+    let fraction = 0;
+    if (lengthSquared > 0) {
+      fraction = Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared));
+    }
+
+    const location = {
+      lat: a.lat + (b.lat - a.lat) * fraction,
+      lng: a.lng + (b.lng - a.lng) * fraction,
+    };
+
+    return {
+      location,
+      fraction,
+      distance: calculateHaversineDistance(point, location),
+    };
+  }
+
+  /**
+   * Visit cells in growing square rings around a point
+   * The visitor returns the current pruning distance; the search stops once no
+   * unvisited cell can contain anything closer
+   *
+   * @param {Object} point - Query point {lat, lng}
+   * @param {Map} cells - Cell key -> items
+   * @param {Function} visit - Called per item, returns the pruning distance
+   */
+  searchRings(point, cells, visit) {
+    // An empty index would walk every ring out from its 0,0 origin
+    if (cells.size === 0) return;
+
+    const center = this.cellOf(point);
+    const lastRing = this.maxRing + Math.abs(center.x) + Math.abs(center.y);
+    let pruneDistance = Infinity;
+
+    const visitCell = (x, y) => {
+      for (const item of cells.get(`${x},${y}`) || []) {
+        pruneDistance = Math.min(pruneDistance, visit(item));
+      }
+    };
+
+    for (let ring = 0; ring <= lastRing; ring++) {
+      if (ring === 0) {
+        visitCell(center.x, center.y);
+      } else {
+        // Walk only the outline of the ring; inner cells were already visited
+        for (let x = center.x - ring; x <= center.x + ring; x++) {
+          visitCell(x, center.y - ring);
+          visitCell(x, center.y + ring);
+        }
+        for (let y = center.y - ring + 1; y <= center.y + ring - 1; y++) {
+          visitCell(center.x - ring, y);
+          visitCell(center.x + ring, y);
+        }
+      }
+
+      // Anything in later rings is at least ring * cellMeters away
+      if (pruneDistance <= ring * this.cellMeters) break;
+    }
+  }
+
+  cellOf(point) {
+    return {
+      x: Math.floor((point.lng - this.west) / this.cellSize),
+      y: Math.floor((point.lat - this.south) / this.cellSize),
+    };
+  }
+
+  addToCell(cells, cell, item) {
+    const key = `${cell.x},${cell.y}`;
+    const bucket = cells.get(key);
+    if (bucket) {
+      bucket.push(item);
+    } else {
+      cells.set(key, [item]);
+    }
+  }
+}
+
+/**
+ * Build a spatial index for a street graph
+ *
+ * @param {Array} graph - Array of nodes from buildStreetGraph
+ * @param {number} cellSize - Grid cell size in degrees
+ * @returns {SpatialIndex} Index over the graph's nodes and segments
+ */
+export function buildSpatialIndex(graph, cellSize) {
+  const index = new SpatialIndex(graph, cellSize);
+  console.log(
+    `Built spatial index with ${index.nodeCount} nodes and ${index.segmentCount} segments`
+  );
+  return index;
+}
@@ -0,0 +1,298 @@
+/**
+ * Time-of-day speed profiles
+ * Give each road class a speed for every 15-minute slot of a weekday and a
+ * weekend day, and work out edge travel times at the time the edge is entered.
+ *
+ * Travel times follow the Ichoua-Gendreau-Laporte model: when an edge spans
+ * a slot boundary, the rest of it is driven at the next slot's speed. Leaving
+ * later therefore never means arriving earlier (FIFO), which keeps
+ * label-setting searches exact.
+ */
+
+import { MAX_SPEED_KMH } from "./travelTime.js";
+
+export const SLOT_MINUTES = 15;
+export const SLOTS_PER_DAY = (24 * 60) / SLOT_MINUTES;
+
+const SECONDS_PER_SLOT = SLOT_MINUTES * 60;
+const SECONDS_PER_DAY = 24 * 60 * 60;
+const DAY_TYPES = ["weekday", "weekend"];
+
+// Profiles used when a search doesn't pass its own
+let activeProfiles = null;
+
+/**
+ * Parse speed profiles from JSON or CSV
+ *
+ * JSON: {unit: "factor"|"kmh", weekday: {<highway>: [96 values]},
+ * weekend: {...}}. CSV: a header "day,highway,slot,factor" (or ",kmh")
+ * followed by one row per slot; slot is an index (0-95) or a start time
+ * ("07:45"). Factors scale an edge's free-flow speed; km/h values replace it
+ * but never exceed it. A "default" road class covers classes not listed;
+ * missing slots run at free-flow speed.
+ *
+ * @param {string|Object} source - File contents or an already parsed JSON object
+ * @param {string} name - Name for logs and cache keys
+ * @returns {Object} Profiles {name, unit, weekday, weekend}
+ */
+export function parseSpeedProfiles(source, name = "speed-profiles") {
+  if (typeof source === "string" && !/^\s*[{[]/.test(source)) {
+    return parseSpeedProfilesCsv(source, name);
+  }
+
+  const data = typeof source === "string" ? JSON.parse(source) : source;
+  const unit = data.unit || "factor";
+  checkUnit(unit);
+
+  const profiles = { name, unit, weekday: {}, weekend: {} };
+  for (const dayType of DAY_TYPES) {
+    for (const [highway, values] of Object.entries(data[dayType] || {})) {
+      if (!Array.isArray(values) || values.length !== SLOTS_PER_DAY) {
+        throw new Error(
+          `Speed profile ${dayType}/${highway} needs ${SLOTS_PER_DAY} values`
+        );
+      }
+      profiles[dayType][highway] = values.map((value) =>
+        checkValue(value, `${dayType}/${highway}`)
+      );
+    }
+  }
+  return profiles;
+}
+
+/**
+ * Load speed profiles from a JSON or CSV file
+ *
+ * @param {string|Blob} source - File path (Node), URL or Blob
+ * @returns {Promise<Object>} Profiles from parseSpeedProfiles
+ */
+export async function loadSpeedProfiles(source) {
+  const name =
+    typeof source === "string"
+      ? source.split(/[\\/]/).pop()
+      : source.name || "speed-profiles";
+
+  let text;
+  if (typeof source !== "string") {
+    text = await source.text();
+  } else if (
+    !/^https?:\/\//.test(source) &&
+    typeof process !== "undefined" &&
+    process.versions?.node
+  ) {
+    const fs = await import("node:fs/promises");
+    text = await fs.readFile(source, "utf8");
+  } else {
+    const response = await fetch(source);
+    if (!response.ok) {
+      throw new Error(
+        `Could not load speed profiles ${source}: ${response.status}`
+      );
+    }
+    text = await response.text();
+  }
+
+  const profiles = parseSpeedProfiles(text, name);
+  console.log(`Loaded speed profiles from ${name}`);
+  return profiles;
+}
+
+/**
+ * Use speed profiles for time-dependent searches that don't pass their own
+ *
+ * @param {Object|null} profiles - Profiles from parseSpeedProfiles, or null
+ *   for constant free-flow speeds
+ */
+export function setSpeedProfiles(profiles) {
+  activeProfiles = profiles;
+}
+
+/**
+ * Get the speed profiles used by default
+ *
+ * @returns {Object|null} Profiles, or null if none are set
+ */
+export function getSpeedProfiles() {
+  return activeProfiles;
+}
+
+/**
+ * Turn a departure time into the clock the profiles use
+ *
+ * @param {Date|number} departureTime - Date or epoch milliseconds, in local time
+ * @returns {Object} {day, seconds} - day of the week (0 is Sunday) and
+ *   seconds since midnight
+ */
+export function getProfileClock(departureTime) {
+  const date = new Date(departureTime);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid departure time: ${departureTime}`);
+  }
+
+  return {
+    day: date.getDay(),
+    seconds:
+      date.getHours() * 3600 +
+      date.getMinutes() * 60 +
+      date.getSeconds() +
+      date.getMilliseconds() / 1000,
+  };
+}
+
+/**
+ * Travel time of an edge entered at a given time
+ * Turn penalties of edge-based graphs are added unchanged.
+ *
+ * @param {Object} connection - Graph connection {distance, duration, highway,
+ *   turnPenalty}
+ * @param {number} time - Entry time in seconds since midnight of the
+ *   departure day (may run past 24 h)
+ * @param {number} startDay - Day of the week of the departure (0 is Sunday)
+ * @param {Object|null} profiles - Profiles from parseSpeedProfiles
+ * @returns {number} Travel time in seconds
+ */
+export function getTimeDependentTravelTime(
+  connection,
+  time,
+  startDay,
+  profiles
+) {
+  const turnPenalty = connection.turnPenalty || 0;
+  const freeFlowTime = (connection.duration ?? 0) - turnPenalty;
+  if (!profiles || !(connection.distance > 0) || !(freeFlowTime > 0)) {
+    return connection.duration ?? 0;
+  }
+
+  const freeFlowKmh = (connection.distance / freeFlowTime) * 3.6;
+
+  // Drive slot by slot until the whole edge is covered
+  let remaining = connection.distance;
+  let clock = time + turnPenalty;
+  while (true) {
+    const speed =
+      getSlotSpeed(profiles, connection.highway, freeFlowKmh, clock, startDay) /
+      3.6;
+    const slotEnd =
+      (Math.floor(clock / SECONDS_PER_SLOT) + 1) * SECONDS_PER_SLOT;
+    const reachable = speed * (slotEnd - clock);
+
+    if (remaining <= reachable) {
+      return clock + remaining / speed - time;
+    }
+    remaining -= reachable;
+    clock = slotEnd;
+  }
+}
+
+/**
+ * Speed on a road during the slot containing a time
+ *
+ * @param {Object} profiles - Profiles from parseSpeedProfiles
+ * @param {string} highway - Road class
+ * @param {number} freeFlowKmh - Free-flow speed of the edge
+ * @param {number} time - Seconds since midnight of the departure day
+ * @param {number} startDay - Day of the week of the departure
+ * @returns {number} Speed in km/h
+ */
+function getSlotSpeed(profiles, highway, freeFlowKmh, time, startDay) {
+  const day = (startDay + Math.floor(time / SECONDS_PER_DAY)) % 7;
+  const dayType = day === 0 || day === 6 ? "weekend" : "weekday";
+  const slot = Math.floor((time % SECONDS_PER_DAY) / SECONDS_PER_SLOT);
+
+  const table = profiles[dayType];
+  const value = (table[highway] || table.default)?.[slot];
+  if (value === null || value === undefined) return freeFlowKmh;
+
+  const speed =
+    profiles.unit === "kmh"
+      ? Math.min(value, freeFlowKmh)
+      : freeFlowKmh * value;
+  return Math.min(speed, MAX_SPEED_KMH);
+}
+
+/**
+ * Parse the CSV form of speed profiles
+ *
+ * @param {string} text - CSV contents
+ * @param {string} name - Profile name
+ * @returns {Object} Profiles {name, unit, weekday, weekend}
+ */
+function parseSpeedProfilesCsv(text, name) {
+  const [header, ...rows] = text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"));
+
+  const columns = (header || "").split(",").map((column) => column.trim());
+  const unit = columns[3];
+  if (columns.length !== 4 || columns[0] !== "day") {
+    throw new Error("Speed profile CSV needs a day,highway,slot,<unit> header");
+  }
+  checkUnit(unit);
+
+  const profiles = { name, unit, weekday: {}, weekend: {} };
+  for (const row of rows) {
+    const [day, highway, slotText, valueText] = row
+      .split(",")
+      .map((cell) => cell.trim());
+    if (!DAY_TYPES.includes(day)) {
+      throw new Error(`Unknown day type in speed profile row: ${row}`);
+    }
+
+    const slot = parseSlot(slotText);
+    if (slot === null) {
+      throw new Error(`Invalid slot in speed profile row: ${row}`);
+    }
+
+    if (!profiles[day][highway]) {
+      profiles[day][highway] = new Array(SLOTS_PER_DAY).fill(null);
+    }
+    profiles[day][highway][slot] = checkValue(
+      Number(valueText),
+      `${day}/${highway}`
+    );
+  }
+  return profiles;
+}
+
+/**
+ * Read a slot as an index or a "HH:MM" start time
+ *
+ * @param {string} text - Slot cell
+ * @returns {number|null} Slot index, or null if invalid
+ */
+function parseSlot(text) {
+  const time = /^(\d{1,2}):(\d{2})$/.exec(text);
+  const slot = time
+    ? (Number(time[1]) * 60 + Number(time[2])) / SLOT_MINUTES
+    : Number(text);
+  return Number.isInteger(slot) && slot >= 0 && slot < SLOTS_PER_DAY
+    ? slot
+    : null;
+}
+
+/**
+ * Reject units other than "factor" and "kmh"
+ *
+ * @param {string} unit - Profile unit
+ */
+function checkUnit(unit) {
+  if (unit !== "factor" && unit !== "kmh") {
+    throw new Error(`Unknown speed profile unit: ${unit}`);
+  }
+}
+
+/**
+ * Reject speeds that would stop traffic; null means free flow
+ *
+ * @param {number|null} value - Factor or km/h
+ * @param {string} label - Where the value came from, for the error
+ * @returns {number|null} The value
+ */
+function checkValue(value, label) {
+  if (value === null) return null;
+  if (typeof value !== "number" || !(value > 0)) {
+    throw new Error(`Speed profile ${label} has a non-positive speed`);
+  }
+  return value;
+}
@@ -3,11 +3,15 @@
  * (Dijkstra-based, no heuristic)
  */
 
-import { getSeattleGraph } from "../graphCache.js";
-import { findClosestNode, convertAStarToOSRMFormat } from "./graphUtils.js";
+import { getSeattleGraph, getSpatialIndex } from "../graphCache.js";
+import { snapToRoad, insertVirtualNodes } from "./graphUtils.js";
+import { buildRouteResponse } from "./osrmResponse.js";
 import { CustomPriorityQueue } from "./common.js";
 import { fallbackGridBasedAStar } from "./gridRouting.js";
 import { calculateHaversineDistance } from "../geoUtils.js";
+import { getEdgeCost } from "./travelTime.js";
+import { getClosureCostModifier } from "../closureService.js";
+import { heuristics, runBidirectionalAStar } from "./aStarRouting.js";
 
 /**
  * Calculate a path between two points using a third route algorithm
@@ -16,8 +20,10 @@ import { calculateHaversineDistance } from "../geoUtils.js";
  * @param {Object} start - Starting point {lat, lng}
  * @param {Object} end - Ending point {lat, lng}
  * @param {Object} bounds - Geographic bounds to constrain the search area
- * @param {Object} options - Optional parameters
- * @returns {Object} Route data in standardized format
+ * @param {Object} options - Optional parameters including travel profile;
+ *   {bidirectional: true} runs bidirectional Dijkstra instead; {geometries}
+ *   encodes the route geometry as in buildRouteResponse
+ * @returns {Object} OSRM route response from buildRouteResponse
  */
 export async function calculateThirdRoute(
   start,
@@ -33,12 +39,24 @@ export async function calculateThirdRoute(
   });
 
   try {
-    // Step 1: Get the cached Seattle graph
-    const graph = await getSeattleGraph(bounds);
+    // Step 1: Get the cached Seattle graph for the travel profile
+    const graph = await getSeattleGraph(bounds, { profile: options.profile });
 
-    // Step 2: Find closest nodes to start and end points
-    const startNode = findClosestNode(graph, start);
-    const endNode = findClosestNode(graph, end);
+    // Step 2: Snap start and end points onto the nearest road segments
+    const spatialIndex = getSpatialIndex(graph);
+    const startSnap = snapToRoad(spatialIndex, start);
+    const endSnap = snapToRoad(spatialIndex, end);
+
+    if (!startSnap || !endSnap) {
+      throw new Error(
+        "Could not find suitable road nodes near the selected points"
+      );
+    }
+
+    const {
+      graph: searchGraph,
+      nodes: [startNode, endNode],
+    } = insertVirtualNodes(graph, [startSnap, endSnap]);
 
     console.log("Found nodes:", { startNode, endNode });
 
@@ -51,7 +69,14 @@ export async function calculateThirdRoute(
 
     // Step 3: Run Dijkstra's algorithm on the street graph
     try {
-      const result = runAStarOnStreetGraph3(graph, startNode, endNode);
+      const result = options.bidirectional
+        ? runBidirectionalAStar(
+            searchGraph,
+            startNode,
+            endNode,
+            heuristics.dijkstra
+          )
+        : runAStarOnStreetGraph3(searchGraph, startNode, endNode);
       console.log(
         `Third route result: ${result.path.length} points, ${result.nodesExplored} nodes explored`
       );
@@ -59,7 +84,13 @@ export async function calculateThirdRoute(
       // Check if we got a valid result
       if (result && result.path && result.path.length >= 3) {
         console.log("Using third route result with street data");
-        return convertAStarToOSRMFormat(result);
+        return buildRouteResponse(result, {
+          graph: searchGraph,
+          metric: "distance",
+          geometries: options.geometries,
+          waypoints: [startSnap, endSnap],
+          profile: options.profile,
+        });
       } else {
         console.warn(
           `Third route search failed: Path is too short (${
@@ -82,7 +113,10 @@ export async function calculateThirdRoute(
     const gridResult = await fallbackGridBasedAStar(start, end, bounds, {
       gridSize: Math.max(options.gridSize, 500),
     });
-    return convertAStarToOSRMFormat(gridResult);
+    return buildRouteResponse(gridResult, {
+      geometries: options.geometries,
+      profile: options.profile,
+    });
   }
 }
 
@@ -113,10 +147,14 @@ export function runAStarOnStreetGraph3(graph, startNode, endNode) {
     console.error(`End node ${endNode.id} not in node map!`);
   }
 
+  // Closed edges are skipped and penalised ones cost more
+  const closureFactor = getClosureCostModifier();
+
   // Initialize Dijkstra's data structures (no heuristic)
   const openSet = new CustomPriorityQueue((a, b) => a.g - b.g); // Use gScore only
   const closedSet = new Set();
   const cameFrom = {}; // Track path
+  const cameFromEdge = {}; // Connection used to reach each node
   const gScore = {}; // Cost from start to current node
 
   // Initialize with start node
@@ -163,7 +201,9 @@ export function runAStarOnStreetGraph3(graph, startNode, endNode) {
 
       // Build result with path, distance, and stats
       const pathNodes = [];
+      const nodeIds = [];
       let currentId = current.id;
+      let duration = 0; // Sum of edge travel times
 
       // Robust path reconstruction to handle potential issues
       try {
@@ -178,6 +218,8 @@ export function runAStarOnStreetGraph3(graph, startNode, endNode) {
             continue;
           }
           pathNodes.unshift({ lat: node.lat, lng: node.lng });
+          nodeIds.unshift(currentId);
+          duration += getEdgeCost(cameFromEdge[currentId], "time");
           currentId = cameFrom[currentId];
           if (!currentId && currentId !== startNode.id) {
             console.error("Path reconstruction broken: missing parent node");
@@ -190,6 +232,7 @@ export function runAStarOnStreetGraph3(graph, startNode, endNode) {
 
       // Always add starting node as the first point
       pathNodes.unshift({ lat: startNode.lat, lng: startNode.lng });
+      nodeIds.unshift(startNode.id);
 
       // If the path is too short, add the end point directly
       if (pathNodes.length < 2) {
@@ -204,7 +247,9 @@ export function runAStarOnStreetGraph3(graph, startNode, endNode) {
 
       return {
         path: pathNodes,
+        nodeIds,
         distance: distance,
+        duration: duration,
         nodesExplored: nodesExplored,
         exploredNodesList: exploredNodes,
       };
@@ -227,17 +272,27 @@ export function runAStarOnStreetGraph3(graph, startNode, endNode) {
         continue;
       }
 
+      let edgeCost = connection.distance;
+      if (closureFactor) {
+        const factor = closureFactor(currentNode, connection, neighborNode);
+        if (factor === Infinity) continue;
+        edgeCost *= factor;
+      }
+
       // Calculate new path score (g score)
-      const tentativeGScore = gScore[current.id] + connection.distance;
+      const tentativeGScore = gScore[current.id] + edgeCost;
 
       // If this path is better than any previous one to this neighbor
       if (!gScore[neighborId] || tentativeGScore < gScore[neighborId]) {
         // Record this path as best
         cameFrom[neighborId] = current.id;
+        cameFromEdge[neighborId] = connection;
         gScore[neighborId] = tentativeGScore;
 
-        // Add to open set if not there already
-        if (!openSet.toArray().some((item) => item.id === neighborId)) {
+        // Add to open set, or lower its priority if already queued
+        if (openSet.has(neighborId)) {
+          openSet.decreaseKey({ id: neighborId, g: gScore[neighborId] });
+        } else {
           openSet.enqueue({ id: neighborId, g: gScore[neighborId] });
         }
       }
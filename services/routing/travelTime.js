@@ -0,0 +1,169 @@
+/**
+ * Travel-time model for street graph edges
+ * Derives a free-flow speed for each road from its maxspeed tag or, when the
+ * tag is missing, from a configurable table of speeds per highway class
+ */
+
+// Default free-flow speeds in km/h per OSM highway class
+export const DEFAULT_SPEED_TABLE = {
+  motorway: 95,
+  motorway_link: 60,
+  trunk: 75,
+  trunk_link: 50,
+  primary: 50,
+  primary_link: 40,
+  secondary: 45,
+  secondary_link: 35,
+  tertiary: 40,
+  tertiary_link: 30,
+  unclassified: 30,
+  residential: 30,
+  living_street: 10,
+  road: 30,
+  default: 30,
+};
+
+// Ceiling for any edge speed in km/h. Capping speeds keeps time heuristics
+// (distance / top speed) admissible whatever the tags say
+export const MAX_SPEED_KMH = 120;
+export const MAX_SPEED_MPS = (MAX_SPEED_KMH * 1000) / 3600;
+
+// Default turn penalties in seconds for the edge-based graph. Turn angles
+// within straightAngle of straight on are free and turns beyond uTurnAngle
+// count as U-turns. Left turns cross oncoming traffic (right-hand traffic).
+// Set a penalty to Infinity to forbid that kind of turn.
+export const DEFAULT_TURN_PENALTIES = {
+  straight: 0,
+  right: 5,
+  left: 15,
+  uTurn: 60,
+  straightAngle: 30,
+  uTurnAngle: 150,
+};
+
+// Extra cost under the elevation metric for each meter climbed, in meters of
+// flat road
+export const CLIMB_COST_FACTOR = 10;
+
+/**
+ * Parse an OSM maxspeed tag into km/h
+ * Handles plain numbers (km/h), "mph" and "knots" units and lists of values
+ * ("50;30" takes the lowest). Symbolic values like "none" or "signals" return
+ * null so the highway class speed is used instead.
+ *
+ * @param {string} value - maxspeed tag value
+ * @returns {number|null} Speed in km/h, or null if it can't be interpreted
+ */
+export function parseMaxspeed(value) {
+  if (value === undefined || value === null) return null;
+
+  const speeds = String(value)
+    .split(";")
+    .map((part) => {
+      const match = part
+        .trim()
+        .match(/^(\d+(?:\.\d+)?)\s*(km\/h|kmh|mph|knots)?$/i);
+      if (!match) return null;
+
+      const speed = Number(match[1]);
+      const unit = (match[2] || "km/h").toLowerCase();
+      if (unit === "mph") return speed * 1.609344;
+      if (unit === "knots") return speed * 1.852;
+      return speed;
+    })
+    .filter((speed) => speed !== null && speed > 0);
+
+  return speeds.length > 0 ? Math.min(...speeds) : null;
+}
+
+/**
+ * Get the free-flow speed of a road
+ *
+ * @param {Object} tags - Way tags (highway, maxspeed)
+ * @param {Object} speedTable - km/h per highway class, with a "default" entry
+ * @returns {number} Speed in km/h
+ */
+export function getRoadSpeed(tags = {}, speedTable = DEFAULT_SPEED_TABLE) {
+  const tagged = parseMaxspeed(tags.maxspeed);
+  const speed =
+    tagged ??
+    speedTable[tags.highway] ??
+    speedTable.default ??
+    DEFAULT_SPEED_TABLE.default;
+
+  return Math.min(speed, MAX_SPEED_KMH);
+}
+
+/**
+ * Travel time along an edge
+ *
+ * @param {number} distance - Edge length in meters
+ * @param {number} speedKmh - Speed in km/h
+ * @returns {number} Travel time in seconds
+ */
+export function getTravelTime(distance, speedKmh) {
+  return distance / ((speedKmh * 1000) / 3600);
+}
+
+/**
+ * Get the penalty for turning by an angle
+ *
+ * @param {number} turnAngle - Change of heading in degrees (-180 to 180),
+ *   positive for right turns
+ * @param {Object} penalties - Turn penalty table, see DEFAULT_TURN_PENALTIES
+ * @returns {number} Penalty in seconds
+ */
+export function getTurnPenalty(turnAngle, penalties = DEFAULT_TURN_PENALTIES) {
+  const table = { ...DEFAULT_TURN_PENALTIES, ...penalties };
+  const angle = Math.abs(turnAngle);
+
+  if (angle <= table.straightAngle) return table.straight;
+  if (angle >= table.uTurnAngle) return table.uTurn;
+  return turnAngle > 0 ? table.right : table.left;
+}
+
+/**
+ * Get the cost of traversing an edge under a metric
+ * Turn penalties of edge-based graphs are already part of the duration; for
+ * the other metrics they count as the distance covered at the default speed.
+ * The elevation metric also charges CLIMB_COST_FACTOR per meter climbed.
+ *
+ * @param {Object} connection - Graph connection {distance, duration, turnPenalty, grade}
+ * @param {string} metric - "distance" (meters), "time" (seconds) or
+ *   "elevation" (meters plus climb penalty)
+ * @returns {number} Edge cost
+ */
+export function getEdgeCost(connection, metric = "distance") {
+  if (metric === "time") {
+    return (
+      connection.duration ??
+      getTravelTime(connection.distance, DEFAULT_SPEED_TABLE.default)
+    );
+  }
+
+  let cost = connection.distance;
+  if (connection.turnPenalty) {
+    cost +=
+      (connection.turnPenalty * DEFAULT_SPEED_TABLE.default * 1000) / 3600;
+  }
+  if (metric === "elevation" && connection.grade > 0) {
+    cost += CLIMB_COST_FACTOR * connection.grade * connection.distance;
+  }
+  return cost;
+}
+
+/**
+ * Convert a heuristic estimate into the units of the search metric
+ * Heuristics estimate meters unless they declare `unit = "time"` (seconds);
+ * the distance and elevation metrics are both in meters
+ *
+ * @param {number} estimate - Heuristic value
+ * @param {Function} heuristicFunc - Heuristic that produced the value
+ * @param {string} metric - Search metric, "distance", "time" or "elevation"
+ * @returns {number} Estimate in metric units
+ */
+export function toMetricUnits(estimate, heuristicFunc, metric = "distance") {
+  const inSeconds = heuristicFunc?.unit === "time";
+  if (inSeconds === (metric === "time")) return estimate;
+  return inSeconds ? estimate * MAX_SPEED_MPS : estimate / MAX_SPEED_MPS;
+}
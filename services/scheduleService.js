@@ -0,0 +1,96 @@
+/**
+ * Stop schedules for a planned route
+ * Turns leg travel times, time windows and service durations into the
+ * arrival, wait and departure time at each stop
+ */
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+/**
+ * Parse a clock time such as "08:30"
+ *
+ * @param {string} value - "HH:MM" or "HH:MM:SS"
+ * @returns {number|null} Seconds since midnight, or null if empty or invalid
+ */
+export function parseClockTime(value) {
+  const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec((value || "").trim());
+  if (!match) return null;
+
+  const [, hours, minutes, seconds = "0"] = match;
+  if (Number(hours) > 23 || Number(minutes) > 59 || Number(seconds) > 59) {
+    return null;
+  }
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+}
+
+/**
+ * Format seconds since midnight as a clock time
+ * Times past midnight wrap around and are marked "+1d"
+ *
+ * @param {number} seconds - Seconds since midnight
+ * @returns {string} "HH:MM", with "+Nd" for later days
+ */
+export function formatClockTime(seconds) {
+  const rounded = Math.round(seconds / 60) * 60;
+  const days = Math.floor(rounded / SECONDS_PER_DAY);
+  const time = rounded - days * SECONDS_PER_DAY;
+
+  const hours = String(Math.floor(time / 3600)).padStart(2, "0");
+  const minutes = String(Math.floor((time % 3600) / 60)).padStart(2, "0");
+  return `${hours}:${minutes}${days > 0 ? ` +${days}d` : ""}`;
+}
+
+/**
+ * Work out when the route reaches, waits at and leaves each stop
+ * The route leaves the first stop at the departure time. At later stops,
+ * arriving before the window opens means waiting; starting service after it
+ * closes misses the window.
+ *
+ * @param {Array} stops - Stops in route order {earliest, latest, serviceTime};
+ *   times in seconds since midnight (null if open), serviceTime in seconds
+ * @param {Array} legDurations - Travel time in seconds from each stop to the next
+ * @param {number} departure - Departure from the first stop, seconds since midnight
+ * @returns {Array} One entry per stop {arrival, wait, start, departure,
+ *   lateness, missed}; the first stop has no arrival
+ */
+export function buildStopTimeline(stops, legDurations, departure) {
+  const timeline = [];
+  let time = departure;
+
+  stops.forEach((stop, index) => {
+    if (index === 0) {
+      timeline.push({
+        arrival: null,
+        wait: 0,
+        start: departure,
+        departure,
+        lateness: 0,
+        missed: false,
+      });
+      return;
+    }
+
+    time += legDurations[index - 1] || 0;
+    const arrival = time;
+    const start =
+      stop.earliest !== null && stop.earliest !== undefined
+        ? Math.max(arrival, stop.earliest)
+        : arrival;
+    const lateness =
+      stop.latest !== null && stop.latest !== undefined
+        ? Math.max(0, start - stop.latest)
+        : 0;
+
+    time = start + (stop.serviceTime || 0);
+    timeline.push({
+      arrival,
+      wait: start - arrival,
+      start,
+      departure: time,
+      lateness,
+      missed: lateness > 0,
+    });
+  });
+
+  return timeline;
+}
@@ -0,0 +1,263 @@
+/**
+ * Multi-stop tour optimisation
+ * Builds a street-network cost matrix between the selected points and orders
+ * them as an open or closed travelling salesman tour
+ */
+
+import { computeMatrix } from "./routing/matrix.js";
+
+// Longest run of consecutive stops Or-opt tries to move
+const OR_OPT_MAX_SEGMENT = 3;
+
+/**
+ * Build the distance and travel time matrix between points on the street graph
+ * Each pair's path minimises the chosen metric; the matrix is not symmetric
+ * because of one-way streets. Unreachable pairs cost Infinity.
+ *
+ * @param {Array} points - Points {lat, lng}
+ * @param {Object} bounds - Geographic bounds of the street graph
+ * @param {Object} options - {metric: "distance"|"time"} to minimise and
+ *   travel {profile}
+ * @returns {Promise<Object>} {distances, durations, costs} - n x n matrices in
+ *   meters, seconds and the chosen metric
+ */
+export async function buildTourMatrix(points, bounds, options = {}) {
+  const metric = options.metric || "distance";
+  const table = await computeMatrix(points, points, {
+    bounds,
+    metric,
+    profile: options.profile,
+  });
+
+  const toCosts = (rows) =>
+    rows.map((row) => row.map((value) => (value === null ? Infinity : value)));
+  const distances = toCosts(table.distances);
+  const durations = toCosts(table.durations);
+
+  return {
+    distances,
+    durations,
+    costs: metric === "time" ? durations : distances,
+  };
+}
+
+/**
+ * Total cost of visiting stops in order
+ *
+ * @param {Array} order - Point indexes in visiting order
+ * @param {Array} costs - n x n cost matrix
+ * @param {boolean} closed - Whether the tour returns to its first stop
+ * @returns {number} Sum of the leg costs
+ */
+export function getTourCost(order, costs, closed = false) {
+  let total = 0;
+  for (let i = 0; i < order.length - 1; i++) {
+    total += costs[order[i]][order[i + 1]];
+  }
+  if (closed && order.length > 1) {
+    total += costs[order[order.length - 1]][order[0]];
+  }
+  return total;
+}
+
+/**
+ * Order stops by nearest neighbour, then improve with 2-opt and Or-opt
+ * The first point is always the start. With fixedEnd the last point is kept
+ * as the final stop of an open tour.
+ *
+ * @param {Array} costs - n x n cost matrix
+ * @param {Object} options - {closed: true} returns to the start;
+ *   {fixedEnd: true} ends an open tour at the last point
+ * @returns {Object} {order, cost} - Point indexes in visiting order and total cost
+ */
+export function solveTour(costs, options = {}) {
+  const n = costs.length;
+  const closed = Boolean(options.closed);
+  const fixedEnd = !closed && Boolean(options.fixedEnd) && n > 1;
+
+  // Stops between the fixed start and the (optional) fixed end can move
+  const firstFree = 1;
+  const lastFree = fixedEnd ? n - 2 : n - 1;
+
+  const order = nearestNeighbourTour(costs, fixedEnd);
+  let cost = getTourCost(order, costs, closed);
+
+  // Alternate both moves until neither finds an improvement
+  let improved = true;
+  while (improved) {
+    improved = false;
+
+    const twoOpt = improveTwoOpt(order, costs, closed, firstFree, lastFree);
+    if (twoOpt < cost) {
+      cost = twoOpt;
+      improved = true;
+    }
+
+    const orOpt = improveOrOpt(order, costs, closed, firstFree, lastFree);
+    if (orOpt < cost) {
+      cost = orOpt;
+      improved = true;
+    }
+  }
+
+  return { order, cost };
+}
+
+/**
+ * Build a tour by always driving to the cheapest unvisited stop
+ *
+ * @param {Array} costs - n x n cost matrix
+ * @param {boolean} fixedEnd - Keep the last point for the end of the tour
+ * @returns {Array} Point indexes in visiting order
+ */
+function nearestNeighbourTour(costs, fixedEnd) {
+  const n = costs.length;
+  const unvisited = new Set();
+  for (let i = 1; i < (fixedEnd ? n - 1 : n); i++) {
+    unvisited.add(i);
+  }
+
+  const order = [0];
+  while (unvisited.size > 0) {
+    const current = order[order.length - 1];
+    let next = null;
+    for (const candidate of unvisited) {
+      if (next === null || costs[current][candidate] < costs[current][next]) {
+        next = candidate;
+      }
+    }
+    order.push(next);
+    unvisited.delete(next);
+  }
+
+  if (fixedEnd) order.push(n - 1);
+  return order;
+}
+
+/**
+ * Reverse sections of the tour while that makes it cheaper
+ * Costs are recomputed in full because the matrix may be asymmetric, so a
+ * reversed section can change cost in either direction.
+ *
+ * @param {Array} order - Tour, improved in place
+ * @param {Array} costs - n x n cost matrix
+ * @param {boolean} closed - Whether the tour returns to its first stop
+ * @param {number} firstFree - First position that may move
+ * @param {number} lastFree - Last position that may move
+ * @returns {number} Cost of the improved tour
+ */
+function improveTwoOpt(order, costs, closed, firstFree, lastFree) {
+  let best = getTourCost(order, costs, closed);
+  let improved = true;
+
+  while (improved) {
+    improved = false;
+    for (let i = firstFree; i < lastFree; i++) {
+      for (let j = i + 1; j <= lastFree; j++) {
+        reverseSection(order, i, j);
+        const cost = getTourCost(order, costs, closed);
+        if (cost < best) {
+          best = cost;
+          improved = true;
+        } else {
+          reverseSection(order, i, j);
+        }
+      }
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Move runs of up to OR_OPT_MAX_SEGMENT stops to a cheaper place in the tour
+ *
+ * @param {Array} order - Tour, improved in place
+ * @param {Array} costs - n x n cost matrix
+ * @param {boolean} closed - Whether the tour returns to its first stop
+ * @param {number} firstFree - First position that may move
+ * @param {number} lastFree - Last position that may move
+ * @returns {number} Cost of the improved tour
+ */
+function improveOrOpt(order, costs, closed, firstFree, lastFree) {
+  let best = getTourCost(order, costs, closed);
+  let improved = true;
+
+  while (improved) {
+    improved = false;
+    for (let length = 1; length <= OR_OPT_MAX_SEGMENT; length++) {
+      for (let i = firstFree; i + length - 1 <= lastFree; i++) {
+        const segment = order.slice(i, i + length);
+        const rest = order.slice(0, i).concat(order.slice(i + length));
+
+        // Reinsert after the fixed start and before the fixed end
+        const lastInsert = lastFree - length + 1;
+        for (let k = firstFree; k <= lastInsert; k++) {
+          if (k === i) continue;
+          const candidate = rest.slice(0, k).concat(segment, rest.slice(k));
+          const cost = getTourCost(candidate, costs, closed);
+          if (cost < best) {
+            best = cost;
+            order.splice(0, order.length, ...candidate);
+            improved = true;
+            break;
+          }
+        }
+        if (improved) break;
+      }
+      if (improved) break;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Reverse the stops between two positions of a tour in place
+ *
+ * @param {Array} order - Tour
+ * @param {number} i - First position
+ * @param {number} j - Last position
+ */
+function reverseSection(order, i, j) {
+  while (i < j) {
+    [order[i], order[j]] = [order[j], order[i]];
+    i++;
+    j--;
+  }
+}
+
+/**
+ * Find the cheapest visiting order for the selected points
+ *
+ * @param {Array} points - Points {lat, lng}; the first is the start
+ * @param {Object} bounds - Geographic bounds of the street graph
+ * @param {Object} options - {closed, fixedEnd} tour shape, {metric} to
+ *   minimise and travel {profile}
+ * @returns {Promise<Object>} {order, points, metric, cost, clickOrderCost,
+ *   savings, distance, duration} - savings are against the click order
+ */
+export async function optimizeTour(points, bounds, options = {}) {
+  const metric = options.metric || "distance";
+  const matrix = await buildTourMatrix(points, bounds, options);
+  const { order, cost } = solveTour(matrix.costs, options);
+
+  const clickOrder = points.map((point, index) => index);
+  const clickOrderCost = getTourCost(clickOrder, matrix.costs, options.closed);
+
+  // Keep the click order if optimisation didn't help (or nothing is reachable)
+  const useOptimised = cost < clickOrderCost;
+  const finalOrder = useOptimised ? order : clickOrder;
+  const finalCost = useOptimised ? cost : clickOrderCost;
+
+  return {
+    order: finalOrder,
+    points: finalOrder.map((index) => points[index]),
+    metric,
+    cost: finalCost,
+    clickOrderCost,
+    savings: useOptimised ? clickOrderCost - cost : 0,
+    distance: getTourCost(finalOrder, matrix.distances, options.closed),
+    duration: getTourCost(finalOrder, matrix.durations, options.closed),
+  };
+}
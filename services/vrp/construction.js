@@ -0,0 +1,218 @@
+/**
+ * Solomon I1 insertion heuristic for the VRPTW
+ * Builds routes one vehicle at a time: each route is seeded with the farthest
+ * unrouted stop, then grows by inserting the stop that saves most compared
+ * with serving it from the depot on its own
+ * (Solomon 1987, "Algorithms for the vehicle routing and scheduling problems
+ * with time window constraints")
+ */
+
+import { getRouteCost, isRouteFeasible } from "./schedule.js";
+
+// Parameter sets tried by default; {mu, lambda, alpha1} as in Solomon's paper
+export const I1_PARAMETER_SETS = [
+  { mu: 1, lambda: 1, alpha1: 1 },
+  { mu: 1, lambda: 2, alpha1: 1 },
+  { mu: 1, lambda: 1, alpha1: 0 },
+  { mu: 1, lambda: 2, alpha1: 0 },
+];
+
+/**
+ * Build routes with the I1 insertion heuristic
+ * Windows, shifts and capacities are kept strictly; stops that no vehicle can
+ * take on time are returned as unrouted.
+ *
+ * @param {Object} problem - Problem from normaliseProblem
+ * @param {Object} matrix - {durations, distances} between matrix locations
+ * @param {Object} params - {mu, lambda, alpha1}; alpha2 is 1 - alpha1
+ * @returns {Object} {routes, unrouted} - stop indexes per vehicle and stop
+ *   indexes left over
+ */
+export function buildI1Routes(problem, matrix, params = I1_PARAMETER_SETS[0]) {
+  const { mu, lambda, alpha1 } = params;
+  const alpha2 = 1 - alpha1;
+  const { distances } = matrix;
+
+  const routes = problem.vehicles.map(() => []);
+  const unrouted = new Set(problem.stops.map((stop, index) => index));
+
+  for (
+    let vehicleIndex = 0;
+    vehicleIndex < problem.vehicles.length && unrouted.size > 0;
+    vehicleIndex++
+  ) {
+    const depot = problem.depots[problem.vehicles[vehicleIndex].depot].location;
+
+    // Seed with the farthest stop this vehicle can serve on its own
+    let seed = null;
+    for (const stopIndex of unrouted) {
+      const location = problem.stops[stopIndex].location;
+      if (
+        (seed === null ||
+          distances[depot][location] >
+            distances[depot][problem.stops[seed].location]) &&
+        isRouteFeasible(
+          getRouteCost(problem, matrix, vehicleIndex, [stopIndex])
+        )
+      ) {
+        seed = stopIndex;
+      }
+    }
+    if (seed === null) continue;
+
+    const route = [seed];
+    unrouted.delete(seed);
+
+    while (unrouted.size > 0) {
+      const current = getStartTimes(problem, matrix, vehicleIndex, route);
+      const locations = [depot, ...route.map((s) => problem.stops[s].location)];
+      locations.push(depot);
+
+      let best = null;
+      for (const stopIndex of unrouted) {
+        const u = problem.stops[stopIndex].location;
+
+        // c1: cheapest feasible place for the stop in this route
+        let bestPosition = null;
+        let bestC1 = Infinity;
+        for (let position = 0; position <= route.length; position++) {
+          const candidate = [
+            ...route.slice(0, position),
+            stopIndex,
+            ...route.slice(position),
+          ];
+          const times = getStartTimes(problem, matrix, vehicleIndex, candidate);
+          if (!times.feasible) continue;
+
+          const i = locations[position];
+          const j = locations[position + 1];
+          const detour =
+            distances[i][u] + distances[u][j] - mu * distances[i][j];
+          // How much later service at the next stop (or the return) begins
+          const pushForward =
+            times.starts[position + 1] - current.starts[position];
+          const c1 = alpha1 * detour + alpha2 * pushForward;
+
+          if (c1 < bestC1) {
+            bestC1 = c1;
+            bestPosition = position;
+          }
+        }
+        if (bestPosition === null) continue;
+
+        // c2: benefit of inserting rather than serving from the depot
+        const c2 = lambda * distances[depot][u] - bestC1;
+        if (best === null || c2 > best.c2) {
+          best = { stopIndex, position: bestPosition, c2 };
+        }
+      }
+
+      if (best === null) break;
+      route.splice(best.position, 0, best.stopIndex);
+      unrouted.delete(best.stopIndex);
+    }
+
+    routes[vehicleIndex] = route;
+  }
+
+  return { routes, unrouted: [...unrouted] };
+}
+
+/**
+ * Insert stops no vehicle could take on time where they add least lateness
+ * Capacity is still kept; stops that fit in no vehicle stay unassigned.
+ *
+ * @param {Object} problem - Problem from normaliseProblem
+ * @param {Object} matrix - {durations, distances} between matrix locations
+ * @param {Array} routes - Stop indexes per vehicle, changed in place
+ * @param {Array} stopIndexes - Stops to insert
+ * @returns {Array} Stops that could not be inserted
+ */
+export function insertLateStops(problem, matrix, routes, stopIndexes) {
+  const unassigned = [];
+
+  // Tightest deadlines first
+  const ordered = [...stopIndexes].sort(
+    (a, b) => problem.stops[a].latest - problem.stops[b].latest
+  );
+
+  for (const stopIndex of ordered) {
+    let best = null;
+
+    routes.forEach((route, vehicleIndex) => {
+      const before = getRouteCost(problem, matrix, vehicleIndex, route);
+      for (let position = 0; position <= route.length; position++) {
+        const candidate = [
+          ...route.slice(0, position),
+          stopIndex,
+          ...route.slice(position),
+        ];
+        const after = getRouteCost(problem, matrix, vehicleIndex, candidate);
+        if (after.overload > 0) continue;
+
+        const penalty = after.penalty - before.penalty;
+        const distance = after.distance - before.distance;
+        if (
+          best === null ||
+          penalty < best.penalty ||
+          (penalty === best.penalty && distance < best.distance)
+        ) {
+          best = { vehicleIndex, position, penalty, distance };
+        }
+      }
+    });
+
+    if (best === null) {
+      unassigned.push(stopIndex);
+    } else {
+      routes[best.vehicleIndex].splice(best.position, 0, stopIndex);
+    }
+  }
+
+  return unassigned;
+}
+
+/**
+ * Service start times along a route, ending with the return to the depot
+ *
+ * @param {Object} problem - Problem from normaliseProblem
+ * @param {Object} matrix - {durations, distances} between matrix locations
+ * @param {number} vehicleIndex - Vehicle driving the route
+ * @param {Array} stopIndexes - Stops in visiting order
+ * @returns {Object} {starts, feasible} - one start per stop plus the return
+ */
+function getStartTimes(problem, matrix, vehicleIndex, stopIndexes) {
+  const vehicle = problem.vehicles[vehicleIndex];
+  const depot = problem.depots[vehicle.depot].location;
+  const { durations } = matrix;
+
+  const starts = [];
+  let feasible = true;
+  let load = 0;
+  let location = depot;
+  let time = vehicle.shiftStart;
+  if (stopIndexes.length > 0) {
+    const first = problem.stops[stopIndexes[0]];
+    time = Math.max(time, first.earliest - durations[depot][first.location]);
+  }
+
+  for (const stopIndex of stopIndexes) {
+    const stop = problem.stops[stopIndex];
+    const start = Math.max(
+      time + durations[location][stop.location],
+      stop.earliest
+    );
+    if (start > stop.latest) feasible = false;
+
+    load += stop.demand;
+    starts.push(start);
+    time = start + stop.serviceTime;
+    location = stop.location;
+  }
+
+  const end = time + durations[location][depot];
+  starts.push(end);
+
+  if (end > vehicle.shiftEnd || load > vehicle.capacity) feasible = false;
+  return { starts, feasible };
+}
@@ -0,0 +1,126 @@
+/**
+ * Vehicle routing with time windows (VRPTW)
+ * Plans routes for several vehicles from their depots so every stop is served
+ * inside its time window, using Solomon I1 insertion and local search
+ */
+
+import { buildTourMatrix } from "../tourService.js";
+import { normaliseProblem, getProblemLocations } from "./problem.js";
+import {
+  evaluateRoute,
+  getRouteCost,
+  compareSolutions,
+  summariseSolution,
+} from "./schedule.js";
+import {
+  buildI1Routes,
+  insertLateStops,
+  I1_PARAMETER_SETS,
+} from "./construction.js";
+import { improveRoutes } from "./localSearch.js";
+import {
+  parseSolomonInstance,
+  buildEuclideanMatrix,
+  compareWithBestKnown,
+} from "./solomon.js";
+import { SOLOMON_BEST_KNOWN } from "./solomonBestKnown.js";
+
+/**
+ * Solve a VRPTW problem on a precomputed travel matrix
+ * Runs I1 with each parameter set, improves each result with local search
+ * and keeps the best: fewest unassigned stops, then least lateness, then
+ * fewest vehicles, then least distance.
+ *
+ * @param {Object} problem - {depots, vehicles, stops}, see normaliseProblem
+ * @param {Object} matrix - {durations, distances} - n x n matrices over
+ *   getProblemLocations(problem), in seconds and meters
+ * @param {Object} options - {parameterSets} overrides the I1 parameters;
+ *   {localSearch: false} skips improvement; {maxPasses} caps local search
+ * @returns {Object} Routes per vehicle with arrival, waiting and lateness at
+ *   each stop, unassigned stops, vehicles used and totals
+ */
+export function solveVrptw(problem, matrix, options = {}) {
+  const normalised = normaliseProblem(problem);
+  const parameterSets = options.parameterSets || I1_PARAMETER_SETS;
+
+  let best = null;
+  for (const params of parameterSets) {
+    const { routes, unrouted } = buildI1Routes(normalised, matrix, params);
+    const unassigned = insertLateStops(normalised, matrix, routes, unrouted);
+
+    if (options.localSearch !== false) {
+      improveRoutes(normalised, matrix, routes, {
+        maxPasses: options.maxPasses,
+      });
+    }
+
+    const candidate = {
+      routes,
+      unassigned,
+      cost: getSolutionCost(normalised, matrix, routes, unassigned),
+    };
+    if (best === null || compareSolutions(candidate.cost, best.cost) < 0) {
+      best = candidate;
+    }
+  }
+
+  return summariseSolution(normalised, matrix, best.routes, best.unassigned);
+}
+
+/**
+ * Solve a VRPTW problem with travel times from the street graph
+ *
+ * @param {Object} problem - {depots, vehicles, stops}; depots and stops
+ *   need {lat, lng}
+ * @param {Object} bounds - Geographic bounds of the street graph
+ * @param {Object} options - solveVrptw options plus travel {profile}
+ * @returns {Promise<Object>} Result of solveVrptw
+ */
+export async function solveVrptwOnStreetGraph(problem, bounds, options = {}) {
+  const matrix = await buildTourMatrix(getProblemLocations(problem), bounds, {
+    metric: "time",
+    profile: options.profile,
+  });
+  return solveVrptw(problem, matrix, options);
+}
+
+/**
+ * Totals used to compare solutions
+ *
+ * @param {Object} problem - Problem from normaliseProblem
+ * @param {Object} matrix - {durations, distances} between matrix locations
+ * @param {Array} routes - Stop indexes per vehicle
+ * @param {Array} unassigned - Stop indexes no vehicle could take
+ * @returns {Object} {unassigned, penalty, vehiclesUsed, distance} -
+ *   unassigned is the number of unassigned stops, penalty the lateness and
+ *   overtime of the routes
+ */
+export function getSolutionCost(problem, matrix, routes, unassigned) {
+  let penalty = 0;
+  let vehiclesUsed = 0;
+  let distance = 0;
+
+  routes.forEach((route, vehicleIndex) => {
+    if (route.length === 0) return;
+    const cost = getRouteCost(problem, matrix, vehicleIndex, route);
+    penalty += cost.penalty;
+    distance += cost.distance;
+    vehiclesUsed++;
+  });
+
+  return { unassigned: unassigned.length, penalty, vehiclesUsed, distance };
+}
+
+export {
+  normaliseProblem,
+  getProblemLocations,
+  evaluateRoute,
+  summariseSolution,
+  buildI1Routes,
+  I1_PARAMETER_SETS,
+  improveRoutes,
+  parseSolomonInstance,
+  buildEuclideanMatrix,
+  compareWithBestKnown,
+  SOLOMON_BEST_KNOWN,
+};
@@ -0,0 +1,146 @@
+/**
+ * Local search for VRPTW routes
+ * Relocate moves one stop to another place (in the same or another route);
+ * exchange swaps two stops between routes. A move is kept when it lowers
+ * lateness, then the number of vehicles, then distance.
+ */
+
+import { getRouteCost } from "./schedule.js";
+
+// Moves smaller than this are treated as no improvement
+const EPSILON = 1e-6;
+
+/**
+ * Improve routes with relocate and exchange moves until neither helps
+ *
+ * @param {Object} problem - Problem from normaliseProblem
+ * @param {Object} matrix - {durations, distances} between matrix locations
+ * @param {Array} routes - Stop indexes per vehicle, improved in place
+ * @param {Object} options - {maxPasses} caps the number of passes
+ * @returns {Array} The improved routes
+ */
+export function improveRoutes(problem, matrix, routes, options = {}) {
+  const maxPasses = options.maxPasses || 100;
+  const costs = routes.map((route, vehicleIndex) =>
+    getRouteCost(problem, matrix, vehicleIndex, route)
+  );
+
+  // Replace two routes if the move is an improvement
+  const tryMove = (a, routeA, b, routeB) => {
+    const costA = getRouteCost(problem, matrix, a, routeA);
+    const costB = b === a ? costA : getRouteCost(problem, matrix, b, routeB);
+    if (costA.overload > 0 || costB.overload > 0) return false;
+
+    const before = [costs[a], b === a ? null : costs[b]];
+    const after = [costA, b === a ? null : costB];
+    const used = [routes[a], b === a ? null : routes[b]];
+    const next = [routeA, b === a ? null : routeB];
+
+    let penalty = 0;
+    let vehicles = 0;
+    let distance = 0;
+    for (let k = 0; k < 2; k++) {
+      if (!before[k]) continue;
+      penalty += after[k].penalty - before[k].penalty;
+      distance += after[k].distance - before[k].distance;
+      vehicles += (next[k].length > 0) - (used[k].length > 0);
+    }
+
+    const better =
+      penalty < -EPSILON ||
+      (penalty <= EPSILON &&
+        (vehicles < 0 || (vehicles === 0 && distance < -EPSILON)));
+    if (!better) return false;
+
+    routes[a] = routeA;
+    costs[a] = costA;
+    if (b !== a) {
+      routes[b] = routeB;
+      costs[b] = costB;
+    }
+    return true;
+  };
+
+  for (let pass = 0; pass < maxPasses; pass++) {
+    const relocated = relocatePass(routes, tryMove);
+    const exchanged = exchangePass(routes, tryMove);
+    if (!relocated && !exchanged) break;
+  }
+
+  return routes;
+}
+
+/**
+ * Try moving every stop to every other position
+ *
+ * @param {Array} routes - Stop indexes per vehicle
+ * @param {Function} tryMove - Applies a move if it improves the solution
+ * @returns {boolean} True if any move was applied
+ */
+function relocatePass(routes, tryMove) {
+  let improved = false;
+
+  for (let a = 0; a < routes.length; a++) {
+    for (let i = 0; i < routes[a].length; i++) {
+      const stop = routes[a][i];
+      const without = [...routes[a].slice(0, i), ...routes[a].slice(i + 1)];
+
+      for (let b = 0; b < routes.length; b++) {
+        // Don't start a new route for a stop that is alone already
+        if (b !== a && routes[b].length === 0 && without.length === 0) {
+          continue;
+        }
+
+        const target = b === a ? without : routes[b];
+        let moved = false;
+        for (let j = 0; j <= target.length; j++) {
+          if (b === a && j === i) continue;
+          const inserted = [...target.slice(0, j), stop, ...target.slice(j)];
+          if (
+            b === a
+              ? tryMove(a, inserted, a, inserted)
+              : tryMove(a, without, b, inserted)
+          ) {
+            moved = true;
+            break;
+          }
+        }
+
+        if (moved) {
+          improved = true;
+          // The stop at i changed; look at the new one
+          i--;
+          break;
+        }
+      }
+    }
+  }
+
+  return improved;
+}
+
+/**
+ * Try swapping every pair of stops on different routes
+ *
+ * @param {Array} routes - Stop indexes per vehicle
+ * @param {Function} tryMove - Applies a move if it improves the solution
+ * @returns {boolean} True if any move was applied
+ */
+function exchangePass(routes, tryMove) {
+  let improved = false;
+
+  for (let a = 0; a < routes.length; a++) {
+    for (let b = a + 1; b < routes.length; b++) {
+      for (let i = 0; i < routes[a].length; i++) {
+        for (let j = 0; j < routes[b].length; j++) {
+          const routeA = [...routes[a]];
+          const routeB = [...routes[b]];
+          [routeA[i], routeB[j]] = [routeB[j], routeA[i]];
+          if (tryMove(a, routeA, b, routeB)) improved = true;
+        }
+      }
+    }
+  }
+
+  return improved;
+}
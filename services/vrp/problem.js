@@ -0,0 +1,93 @@
+/**
+ * VRPTW problem definition
+ * Validates depots, vehicles and stops and gives every depot and stop a row
+ * in the travel matrices: depots first, then stops, in the order given
+ */
+
+/**
+ * Normalise a VRPTW problem, filling in defaults
+ * Times are in seconds on one clock (e.g. since midnight); demand and
+ * capacity share one unit.
+ *
+ * @param {Object} problem - {depots: [{id, lat, lng}],
+ *   vehicles: [{id, depotId, capacity, shiftStart, shiftEnd}],
+ *   stops: [{id, lat, lng, demand, serviceTime, timeWindow: [earliest, latest]}]}
+ * @returns {Object} {depots, vehicles, stops} - vehicles refer to depots by
+ *   index and depots and stops carry their matrix row in location
+ */
+export function normaliseProblem(problem = {}) {
+  const depots = problem.depots || [];
+  const vehicles = problem.vehicles || [];
+  const stops = problem.stops || [];
+
+  if (depots.length === 0) {
+    throw new Error("VRPTW problem needs at least one depot");
+  }
+  if (vehicles.length === 0) {
+    throw new Error("VRPTW problem needs at least one vehicle");
+  }
+
+  const depotIndexes = new Map(
+    depots.map((depot, index) => [depot.id ?? index, index])
+  );
+
+  return {
+    depots: depots.map((depot, index) => ({
+      id: depot.id ?? index,
+      location: index,
+    })),
+
+    vehicles: vehicles.map((vehicle, index) => {
+      // Vehicles without a depot start from the first one
+      const depot =
+        vehicle.depotId === undefined ? 0 : depotIndexes.get(vehicle.depotId);
+      if (depot === undefined) {
+        throw new Error(
+          `Vehicle ${vehicle.id ?? index} uses unknown depot ${vehicle.depotId}`
+        );
+      }
+
+      const shiftStart = vehicle.shiftStart ?? 0;
+      const shiftEnd = vehicle.shiftEnd ?? Infinity;
+      if (shiftEnd < shiftStart) {
+        throw new Error(`Vehicle ${vehicle.id ?? index} ends before it starts`);
+      }
+
+      return {
+        id: vehicle.id ?? index,
+        depot,
+        capacity: vehicle.capacity ?? Infinity,
+        shiftStart,
+        shiftEnd,
+      };
+    }),
+
+    stops: stops.map((stop, index) => {
+      const [earliest = 0, latest = Infinity] = stop.timeWindow || [];
+      if (latest < earliest) {
+        throw new Error(`Stop ${stop.id ?? index} has an empty time window`);
+      }
+
+      return {
+        id: stop.id ?? index,
+        location: depots.length + index,
+        demand: stop.demand || 0,
+        serviceTime: stop.serviceTime || 0,
+        earliest,
+        latest,
+      };
+    }),
+  };
+}
+
+/**
+ * List the points of a problem in travel matrix order
+ *
+ * @param {Object} problem - Problem as given to normaliseProblem
+ * @returns {Array} Depot points followed by stop points {lat, lng}
+ */
+export function getProblemLocations(problem) {
+  return [...(problem.depots || []), ...(problem.stops || [])].map(
+    (location) => ({ lat: location.lat, lng: location.lng })
+  );
+}
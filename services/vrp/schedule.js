@@ -0,0 +1,227 @@
+/**
+ * Route schedules for the VRPTW solver
+ * Works out when a vehicle arrives at, waits at, serves and leaves each stop
+ */
+
+/**
+ * Work out the full schedule of one vehicle's route
+ * The vehicle leaves its depot at the start of its shift, or later if it
+ * would otherwise only wait at the first stop. Service starts when the stop's
+ * window opens; starting after it closes counts as lateness and returning to
+ * the depot after the shift ends counts as overtime.
+ *
+ * @param {Object} problem - Problem from normaliseProblem
+ * @param {Object} matrix - {durations, distances} between matrix locations
+ * @param {number} vehicleIndex - Vehicle driving the route
+ * @param {Array} stopIndexes - Stops in visiting order
+ * @returns {Object} Route schedule with per-stop visits and totals
+ */
+export function evaluateRoute(problem, matrix, vehicleIndex, stopIndexes) {
+  const vehicle = problem.vehicles[vehicleIndex];
+  const depot = problem.depots[vehicle.depot].location;
+
+  let start = vehicle.shiftStart;
+  if (stopIndexes.length > 0) {
+    const first = problem.stops[stopIndexes[0]];
+    start = Math.max(
+      start,
+      first.earliest - matrix.durations[depot][first.location]
+    );
+  }
+
+  const visits = [];
+  let location = depot;
+  let time = start;
+  let distance = 0;
+  let waiting = 0;
+  let lateness = 0;
+  let load = 0;
+
+  for (const stopIndex of stopIndexes) {
+    const stop = problem.stops[stopIndex];
+    const arrival = time + matrix.durations[location][stop.location];
+    const serviceStart = Math.max(arrival, stop.earliest);
+    const late = Math.max(0, serviceStart - stop.latest);
+
+    distance += matrix.distances[location][stop.location];
+    waiting += serviceStart - arrival;
+    lateness += late;
+    load += stop.demand;
+
+    visits.push({
+      stop: stopIndex,
+      arrival,
+      start: serviceStart,
+      waiting: serviceStart - arrival,
+      lateness: late,
+      departure: serviceStart + stop.serviceTime,
+      load,
+    });
+
+    time = serviceStart + stop.serviceTime;
+    location = stop.location;
+  }
+
+  // Return to the depot
+  const end = stopIndexes.length
+    ? time + matrix.durations[location][depot]
+    : start;
+  if (stopIndexes.length) distance += matrix.distances[location][depot];
+
+  return {
+    vehicle: vehicleIndex,
+    stops: stopIndexes,
+    visits,
+    start,
+    end,
+    distance,
+    duration: end - start,
+    waiting,
+    lateness,
+    overtime: end > vehicle.shiftEnd ? end - vehicle.shiftEnd : 0,
+    load,
+    overload: Math.max(0, load - vehicle.capacity),
+  };
+}
+
+/**
+ * Cost a route without building its schedule
+ * Same rules as evaluateRoute; used inside the search loops
+ *
+ * @param {Object} problem - Problem from normaliseProblem
+ * @param {Object} matrix - {durations, distances} between matrix locations
+ * @param {number} vehicleIndex - Vehicle driving the route
+ * @param {Array} stopIndexes - Stops in visiting order
+ * @returns {Object} {distance, penalty, overload} - penalty is lateness plus
+ *   overtime in seconds
+ */
+export function getRouteCost(problem, matrix, vehicleIndex, stopIndexes) {
+  if (stopIndexes.length === 0) {
+    return { distance: 0, penalty: 0, overload: 0 };
+  }
+
+  const vehicle = problem.vehicles[vehicleIndex];
+  const depot = problem.depots[vehicle.depot].location;
+  const { durations, distances } = matrix;
+
+  const first = problem.stops[stopIndexes[0]];
+  let time = Math.max(
+    vehicle.shiftStart,
+    first.earliest - durations[depot][first.location]
+  );
+  let location = depot;
+  let distance = 0;
+  let penalty = 0;
+  let load = 0;
+
+  for (const stopIndex of stopIndexes) {
+    const stop = problem.stops[stopIndex];
+    const serviceStart = Math.max(
+      time + durations[location][stop.location],
+      stop.earliest
+    );
+    if (serviceStart > stop.latest) penalty += serviceStart - stop.latest;
+
+    distance += distances[location][stop.location];
+    load += stop.demand;
+    time = serviceStart + stop.serviceTime;
+    location = stop.location;
+  }
+
+  const end = time + durations[location][depot];
+  distance += distances[location][depot];
+  if (end > vehicle.shiftEnd) penalty += end - vehicle.shiftEnd;
+
+  return {
+    distance,
+    penalty,
+    overload: Math.max(0, load - vehicle.capacity),
+  };
+}
+
+/**
+ * Check whether a route keeps every window, the shift and the capacity
+ *
+ * @param {Object} cost - Result of getRouteCost or evaluateRoute
+ * @returns {boolean} True if the route has no lateness, overtime or overload
+ */
+export function isRouteFeasible(cost) {
+  const penalty = cost.penalty ?? cost.lateness + cost.overtime;
+  return penalty === 0 && cost.overload === 0;
+}
+
+/**
+ * Compare two solutions: fewer unassigned stops first, then less lateness,
+ * then fewer vehicles, then less distance
+ *
+ * @param {Object} a - {unassigned, penalty, vehiclesUsed, distance}
+ * @param {Object} b - {unassigned, penalty, vehiclesUsed, distance}
+ * @returns {number} Negative if a is better, positive if b is better
+ */
+export function compareSolutions(a, b) {
+  const EPSILON = 1e-6;
+  if (a.unassigned !== b.unassigned) return a.unassigned - b.unassigned;
+  if (Math.abs(a.penalty - b.penalty) > EPSILON) return a.penalty - b.penalty;
+  if (a.vehiclesUsed !== b.vehiclesUsed) {
+    return a.vehiclesUsed - b.vehiclesUsed;
+  }
+  if (Math.abs(a.distance - b.distance) > EPSILON) {
+    return a.distance - b.distance;
+  }
+  return 0;
+}
+
+/**
+ * Build the solver result from the routes of every vehicle
+ *
+ * @param {Object} problem - Problem from normaliseProblem
+ * @param {Object} matrix - {durations, distances} between matrix locations
+ * @param {Array} routes - Stop indexes per vehicle, indexed like problem.vehicles
+ * @param {Array} unassigned - Stop indexes no vehicle could take
+ * @returns {Object} {routes, unassigned, vehiclesUsed, distance, duration,
+ *   waiting, lateness, overtime} - routes only lists vehicles that drive
+ */
+export function summariseSolution(problem, matrix, routes, unassigned = []) {
+  const schedules = routes
+    .map((stops, vehicleIndex) =>
+      evaluateRoute(problem, matrix, vehicleIndex, stops)
+    )
+    .filter((schedule) => schedule.stops.length > 0);
+
+  const total = (key) =>
+    schedules.reduce((sum, schedule) => sum + schedule[key], 0);
+
+  return {
+    routes: schedules.map((schedule) => {
+      const vehicle = problem.vehicles[schedule.vehicle];
+      return {
+        vehicleId: vehicle.id,
+        depotId: problem.depots[vehicle.depot].id,
+        stops: schedule.visits.map((visit) => ({
+          stopId: problem.stops[visit.stop].id,
+          arrival: visit.arrival,
+          start: visit.start,
+          waiting: visit.waiting,
+          lateness: visit.lateness,
+          departure: visit.departure,
+          load: visit.load,
+        })),
+        start: schedule.start,
+        end: schedule.end,
+        distance: schedule.distance,
+        duration: schedule.duration,
+        waiting: schedule.waiting,
+        lateness: schedule.lateness,
+        overtime: schedule.overtime,
+        load: schedule.load,
+      };
+    }),
+    unassigned: unassigned.map((stopIndex) => problem.stops[stopIndex].id),
+    vehiclesUsed: schedules.length,
+    distance: total("distance"),
+    duration: total("duration"),
+    waiting: total("waiting"),
+    lateness: total("lateness"),
+    overtime: total("overtime"),
+  };
+}
@@ -0,0 +1,122 @@
+/**
+ * Solomon VRPTW benchmark instances
+ * Reads the standard text format of the C1/C2/R1/R2/RC1/RC2 sets and builds
+ * their Euclidean travel matrices
+ */
+
+import { SOLOMON_BEST_KNOWN } from "./solomonBestKnown.js";
+
+/**
+ * Parse a Solomon instance
+ * The first customer row is the depot; its time window becomes every
+ * vehicle's shift. Coordinates are kept as {x, y}.
+ *
+ * @param {string} text - Instance file contents
+ * @returns {Object} {name, vehicleCount, capacity, problem} - problem is
+ *   ready for solveVrptw
+ */
+export function parseSolomonInstance(text) {
+  const lines = text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+  if (lines.length === 0) {
+    throw new Error("Empty Solomon instance");
+  }
+
+  const name = lines[0];
+  let vehicleCount = null;
+  let capacity = null;
+  const rows = [];
+
+  let section = null;
+  for (const line of lines.slice(1)) {
+    if (/^VEHICLE/i.test(line)) {
+      section = "vehicle";
+      continue;
+    }
+    if (/^CUSTOMER/i.test(line)) {
+      section = "customer";
+      continue;
+    }
+
+    // Skip column headings
+    const values = line.split(/\s+/).map(Number);
+    if (values.some(Number.isNaN)) continue;
+
+    if (section === "vehicle" && values.length === 2) {
+      [vehicleCount, capacity] = values;
+    } else if (section === "customer" && values.length === 7) {
+      rows.push(values);
+    }
+  }
+
+  if (vehicleCount === null) {
+    throw new Error(`Solomon instance ${name} has no vehicle section`);
+  }
+  if (rows.length === 0) {
+    throw new Error(`Solomon instance ${name} has no customers`);
+  }
+
+  const toLocation = ([id, x, y, demand, ready, due, service]) => ({
+    id,
+    x,
+    y,
+    demand,
+    serviceTime: service,
+    timeWindow: [ready, due],
+  });
+  const [depot, ...customers] = rows.map(toLocation);
+
+  return {
+    name,
+    vehicleCount,
+    capacity,
+    problem: {
+      depots: [{ id: depot.id, x: depot.x, y: depot.y }],
+      vehicles: Array.from({ length: vehicleCount }, (_, index) => ({
+        id: index + 1,
+        depotId: depot.id,
+        capacity,
+        shiftStart: depot.timeWindow[0],
+        shiftEnd: depot.timeWindow[1],
+      })),
+      stops: customers,
+    },
+  };
+}
+
+/**
+ * Build the travel matrix of an instance with {x, y} coordinates
+ * Travel time equals Euclidean distance, as in the benchmark.
+ *
+ * @param {Object} problem - Problem with {x, y} depots and stops
+ * @returns {Object} {durations, distances} in matrix location order
+ */
+export function buildEuclideanMatrix(problem) {
+  const locations = [...problem.depots, ...problem.stops];
+  const distances = locations.map((a) =>
+    locations.map((b) => Math.hypot(a.x - b.x, a.y - b.y))
+  );
+  return { durations: distances, distances };
+}
+
+/**
+ * Compare a result with the best known solution of an instance
+ *
+ * @param {string} name - Instance name, e.g. "R101"
+ * @param {Object} result - Result of solveVrptw
+ * @returns {Object|null} {bestVehicles, bestDistance, vehicleGap,
+ *   distanceGap} - distanceGap is in percent; null if the instance is unknown
+ */
+export function compareWithBestKnown(name, result) {
+  const best = SOLOMON_BEST_KNOWN[name.toUpperCase()];
+  if (!best) return null;
+
+  return {
+    bestVehicles: best.vehicles,
+    bestDistance: best.distance,
+    vehicleGap: result.vehiclesUsed - best.vehicles,
+    distanceGap: ((result.distance - best.distance) / best.distance) * 100,
+  };
+}
@@ -0,0 +1,76 @@
+/**
+ * Best known solutions of the 100-customer Solomon VRPTW instances
+ * Hierarchical objective: fewest vehicles first, then least total distance
+ * (Euclidean, unrounded). Values as published in SINTEF's VRPTW benchmark
+ * tables.
+ */
+
+export const SOLOMON_BEST_KNOWN = {
+  // Clustered customers, short horizon
+  C101: { vehicles: 10, distance: 828.94 },
+  C102: { vehicles: 10, distance: 828.94 },
+  C103: { vehicles: 10, distance: 828.06 },
+  C104: { vehicles: 10, distance: 824.78 },
+  C105: { vehicles: 10, distance: 828.94 },
+  C106: { vehicles: 10, distance: 828.94 },
+  C107: { vehicles: 10, distance: 828.94 },
+  C108: { vehicles: 10, distance: 828.94 },
+  C109: { vehicles: 10, distance: 828.94 },
+
+  // Clustered customers, long horizon
+  C201: { vehicles: 3, distance: 591.56 },
+  C202: { vehicles: 3, distance: 591.56 },
+  C203: { vehicles: 3, distance: 591.17 },
+  C204: { vehicles: 3, distance: 590.6 },
+  C205: { vehicles: 3, distance: 588.88 },
+  C206: { vehicles: 3, distance: 588.49 },
+  C207: { vehicles: 3, distance: 588.29 },
+  C208: { vehicles: 3, distance: 588.32 },
+
+  // Random customers, short horizon
+  R101: { vehicles: 19, distance: 1650.8 },
+  R102: { vehicles: 17, distance: 1486.12 },
+  R103: { vehicles: 13, distance: 1292.68 },
+  R104: { vehicles: 9, distance: 1007.31 },
+  R105: { vehicles: 14, distance: 1377.11 },
+  R106: { vehicles: 12, distance: 1252.03 },
+  R107: { vehicles: 10, distance: 1104.66 },
+  R108: { vehicles: 9, distance: 960.88 },
+  R109: { vehicles: 11, distance: 1194.73 },
+  R110: { vehicles: 10, distance: 1118.84 },
+  R111: { vehicles: 10, distance: 1096.72 },
+  R112: { vehicles: 9, distance: 982.14 },
+
+  // Random customers, long horizon
+  R201: { vehicles: 4, distance: 1252.37 },
+  R202: { vehicles: 3, distance: 1191.7 },
+  R203: { vehicles: 3, distance: 939.5 },
+  R204: { vehicles: 2, distance: 825.52 },
+  R205: { vehicles: 3, distance: 994.42 },
+  R206: { vehicles: 3, distance: 906.14 },
+  R207: { vehicles: 2, distance: 890.61 },
+  R208: { vehicles: 2, distance: 726.82 },
+  R209: { vehicles: 3, distance: 909.16 },
+  R210: { vehicles: 3, distance: 939.37 },
+  R211: { vehicles: 2, distance: 885.71 },
+
+  // Mixed random and clustered customers, short horizon
+  RC101: { vehicles: 14, distance: 1696.95 },
+  RC102: { vehicles: 12, distance: 1554.75 },
+  RC103: { vehicles: 11, distance: 1261.67 },
+  RC104: { vehicles: 10, distance: 1135.48 },
+  RC105: { vehicles: 13, distance: 1629.44 },
+  RC106: { vehicles: 11, distance: 1424.73 },
+  RC107: { vehicles: 11, distance: 1230.48 },
+  RC108: { vehicles: 10, distance: 1139.82 },
+
+  // Mixed random and clustered customers, long horizon
+  RC201: { vehicles: 4, distance: 1406.94 },
+  RC202: { vehicles: 3, distance: 1365.65 },
+  RC203: { vehicles: 3, distance: 1049.62 },
+  RC204: { vehicles: 3, distance: 798.46 },
+  RC205: { vehicles: 4, distance: 1297.65 },
+  RC206: { vehicles: 3, distance: 1146.32 },
+  RC207: { vehicles: 3, distance: 1061.14 },
+  RC208: { vehicles: 3, distance: 828.14 },
+};
@@ -0,0 +1,236 @@
+import fs from "fs";
+import { buildStreetGraph } from "./services/routing/graphUtils.js";
+import {
+  runAStarOnStreetGraph,
+  heuristics,
+} from "./services/routing/aStarRouting.js";
+import { findAlternativePaths } from "./services/routing/alternatives.js";
+import { getEdgeCost } from "./services/routing/travelTime.js";
+import { check, reportResults, quietly, createGridGraph } from "./testUtils.js";
+
+// A primary road with a residential street beside it, joined in the middle
+const FIXTURE_PATH = "./fixtures/rush-hour.json";
+const GRID_SIZE = 12;
+const PAIR_COUNT = 10;
+
+/**
+ * List a path's edges as the cheapest connection between each pair of
+ * consecutive nodes
+ *
+ * @param {Map} nodeMap - Node id to node
+ * @param {Array} nodeIds - Node ids along the path
+ * @param {string} metric - Cost metric
+ * @returns {Array} Edges {key, distance, cost}
+ */
+function listEdges(nodeMap, nodeIds, metric) {
+  return nodeIds.slice(1).map((to, i) => {
+    const from = nodeIds[i];
+    const costs = nodeMap
+      .get(from)
+      .connections.filter((connection) => connection.nodeId === to)
+      .map((connection) => ({
+        key: `${from}>${to}`,
+        distance: connection.distance,
+        cost: getEdgeCost(connection, metric),
+      }));
+    return costs.reduce((best, edge) => (edge.cost < best.cost ? edge : best));
+  });
+}
+
+/**
+ * Recompute stretch and overlap for each path from the graph
+ *
+ * @param {Map} nodeMap - Node id to node
+ * @param {Array} paths - Results of findAlternativePaths
+ * @param {string} metric - Cost metric
+ * @returns {Array} {cost, stretch, overlap} per path
+ */
+function measurePaths(nodeMap, paths, metric) {
+  const edgeLists = paths.map((path) =>
+    listEdges(nodeMap, path.nodeIds, metric)
+  );
+  const costs = edgeLists.map((edges) =>
+    edges.reduce((sum, edge) => sum + edge.cost, 0)
+  );
+  return edgeLists.map((edges, i) => {
+    const length = edges.reduce((sum, edge) => sum + edge.distance, 0);
+    const overlaps = edgeLists.slice(0, i).map((other) => {
+      const keys = new Set(other.map((edge) => edge.key));
+      const shared = edges
+        .filter((edge) => keys.has(edge.key))
+        .reduce((sum, edge) => sum + edge.distance, 0);
+      return shared / length;
+    });
+    return {
+      cost: costs[i],
+      stretch: costs[i] / costs[0],
+      overlap: Math.max(0, ...overlaps),
+    };
+  });
+}
+
+/**
+ * Pick seeded start and end pairs from a graph
+ *
+ * @param {Array} graph - Graph nodes
+ * @returns {Array} Pairs [startNode, endNode]
+ */
+function createPairs(graph) {
+  let seed = 11;
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+  return Array.from({ length: PAIR_COUNT }, () => [
+    graph[Math.floor(random() * graph.length)],
+    graph[Math.floor(random() * graph.length)],
+  ]);
+}
+
+/**
+ * Check alternative routes on a hand-made fixture, and that every route kept
+ * on a seeded grid keeps to the stretch and overlap limits
+ */
+async function testAlternatives() {
+  console.log("Starting alternative route tests...");
+  const fixture = await quietly(() =>
+    buildStreetGraph(JSON.parse(fs.readFileSync(FIXTURE_PATH, "utf8")))
+  );
+  const fixtureMap = new Map(fixture.map((node) => [node.id, node]));
+  const findOnFixture = (options) =>
+    quietly(() =>
+      findAlternativePaths(
+        fixture,
+        fixtureMap.get(1),
+        fixtureMap.get(3),
+        3,
+        options
+      )
+    );
+
+  // The residential street is about 44% longer than the primary road
+  console.log("\nTesting the fixture...");
+  const routeIds = (paths) => paths.map((path) => path.nodeIds);
+  check(
+    "the residential street is too long by default",
+    routeIds(await findOnFixture({})),
+    [[1, 2, 3]]
+  );
+  const relaxed = await findOnFixture({ maxStretch: 1.5 });
+  check("a looser stretch limit keeps it", routeIds(relaxed), [
+    [1, 2, 3],
+    [1, 4, 5, 6, 3],
+  ]);
+  check(
+    "stretch and overlap of the kept routes",
+    relaxed.map((path) => [Math.round(path.stretch * 1000), path.overlap]),
+    measurePaths(fixtureMap, relaxed, "distance").map((measured) => [
+      Math.round(measured.stretch * 1000),
+      measured.overlap,
+    ])
+  );
+  // Penalties send the search back to kept routes, which overlap them fully
+  check(
+    "kept routes are not repeated below full overlap",
+    routeIds(await findOnFixture({ maxStretch: 2, maxOverlap: 0.99 })),
+    [
+      [1, 2, 3],
+      [1, 4, 5, 6, 3],
+    ]
+  );
+  check(
+    "full overlap allowed repeats the best route",
+    routeIds(await findOnFixture({ maxStretch: 2, maxOverlap: 1 })),
+    [
+      [1, 2, 3],
+      [1, 2, 3],
+      [1, 4, 5, 6, 3],
+    ]
+  );
+  const island = {
+    id: 99,
+    lat: 47.61,
+    lng: -122.33,
+    connections: [],
+    reverseConnections: [],
+  };
+  check(
+    "no path",
+    await quietly(() =>
+      findAlternativePaths([...fixture, island], fixtureMap.get(1), island, 3)
+    ),
+    []
+  );
+
+  console.log(
+    `\nTesting ${PAIR_COUNT} seeded pairs on a ${GRID_SIZE}x${GRID_SIZE} grid...`
+  );
+  const grid = createGridGraph(GRID_SIZE);
+  const gridMap = new Map(grid.map((node) => [node.id, node]));
+  for (const [label, options] of [
+    ["default limits", {}],
+    ["tight limits", { maxStretch: 1.1, maxOverlap: 0.3 }],
+    ["by time", { metric: "time", maxStretch: 1.2 }],
+  ]) {
+    const settings = { maxStretch: 1.3, maxOverlap: 0.7, ...options };
+    const metric = settings.metric || "distance";
+    const notBest = [];
+    const misreported = [];
+    const outsideLimits = [];
+    const repeated = [];
+    let alternatives = 0;
+
+    for (const [index, [startNode, endNode]] of createPairs(grid).entries()) {
+      const paths = await quietly(() =>
+        findAlternativePaths(grid, startNode, endNode, 3, options)
+      );
+      const best = await quietly(() =>
+        runAStarOnStreetGraph(grid, startNode, endNode, heuristics.haversine, {
+          metric,
+        })
+      );
+      if (best.path.length === 0) {
+        if (paths.length > 0) notBest.push(index);
+        continue;
+      }
+      alternatives += paths.length - 1;
+
+      const measured = measurePaths(gridMap, paths, metric);
+      if (Math.abs(measured[0].cost - paths[0].cost) > 1e-6) {
+        notBest.push(index);
+      }
+      const bestCost = listEdges(gridMap, best.nodeIds, metric).reduce(
+        (sum, edge) => sum + edge.cost,
+        0
+      );
+      if (Math.abs(measured[0].cost - bestCost) > 1e-6) notBest.push(index);
+
+      paths.forEach((path, i) => {
+        if (
+          Math.abs(path.stretch - measured[i].stretch) > 1e-9 ||
+          Math.abs(path.overlap - measured[i].overlap) > 1e-9
+        ) {
+          misreported.push(index);
+        }
+        if (
+          measured[i].stretch > settings.maxStretch + 1e-9 ||
+          measured[i].overlap > settings.maxOverlap + 1e-9
+        ) {
+          outsideLimits.push(index);
+        }
+      });
+      const keys = paths.map((path) => path.nodeIds.join(","));
+      if (new Set(keys).size !== keys.length) repeated.push(index);
+    }
+
+    check(`${label}: the first route is the best`, notBest, []);
+    check(`${label}: reported stretch and overlap`, misreported, []);
+    check(`${label}: routes within the limits`, outsideLimits, []);
+    check(`${label}: routes differ`, repeated, []);
+    check(`${label}: some alternatives found`, alternatives > 0, true);
+  }
+
+  reportResults();
+}
+
+testAlternatives();
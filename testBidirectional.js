@@ -0,0 +1,206 @@
+import {
+  runAStarOnStreetGraph,
+  runBidirectionalAStar,
+  heuristics,
+} from "./services/routing/aStarRouting.js";
+import { addReverseConnections } from "./services/routing/graphUtils.js";
+import { getEdgeCost } from "./services/routing/travelTime.js";
+import { check, reportResults, quietly, createGridGraph } from "./testUtils.js";
+
+const GRID_SIZE = 15;
+const PAIR_COUNT = 40;
+
+// Allowance for float noise in summed edge costs
+const TOLERANCE = 1e-6;
+
+/**
+ * Pick seeded start and end pairs from a graph
+ *
+ * @param {Array} graph - Graph nodes
+ * @returns {Array} Pairs [startNode, endNode]
+ */
+function createPairs(graph) {
+  let seed = 7;
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+  return Array.from({ length: PAIR_COUNT }, () => [
+    graph[Math.floor(random() * graph.length)],
+    graph[Math.floor(random() * graph.length)],
+  ]);
+}
+
+/**
+ * Cost a path along the graph, or find that it leaves the graph's edges
+ *
+ * @param {Map} nodeMap - Node id to node
+ * @param {Array} nodeIds - Node ids along the path
+ * @param {string} metric - Cost metric
+ * @param {Function} costModifier - Edge cost multiplier, or null
+ * @returns {number} Path cost, or NaN when two nodes are not joined
+ */
+function getPathCost(nodeMap, nodeIds, metric, costModifier) {
+  let total = 0;
+  for (let i = 0; i < nodeIds.length - 1; i++) {
+    const from = nodeMap.get(nodeIds[i]);
+    const costs = from.connections
+      .filter((connection) => connection.nodeId === nodeIds[i + 1])
+      .map(
+        (connection) =>
+          getEdgeCost(connection, metric) *
+          (costModifier ? costModifier(from, connection) : 1)
+      );
+    if (costs.length === 0) return NaN;
+    total += Math.min(...costs);
+  }
+  return total;
+}
+
+/**
+ * Check that bidirectional A* finds paths as cheap as A* from one side, for
+ * each metric and heuristic, with closed and penalised edges
+ */
+async function testBidirectional() {
+  console.log("Starting bidirectional search tests...");
+  const graph = addReverseConnections(createGridGraph(GRID_SIZE));
+  const nodeMap = new Map(graph.map((node) => [node.id, node]));
+  const pairs = createPairs(graph);
+
+  // Every 7th node's outgoing streets are closed, every 5th costs double
+  const costModifier = (fromNode, connection) => {
+    if (fromNode.id % 7 === 0) return Infinity;
+    return connection.nodeId % 5 === 0 ? 2 : 1;
+  };
+
+  console.log(
+    `\nTesting ${PAIR_COUNT} seeded pairs on a ${GRID_SIZE}x${GRID_SIZE} grid...`
+  );
+  for (const [label, heuristicName, options] of [
+    ["distance, haversine", "haversine", { metric: "distance" }],
+    ["distance, no heuristic", "dijkstra", { metric: "distance" }],
+    ["time, time-based", "timeBased", { metric: "time" }],
+    ["time, haversine", "haversine", { metric: "time" }],
+    ["closed and penalised edges", "haversine", { costModifier }],
+  ]) {
+    const heuristicFunc = heuristics[heuristicName];
+    const metric = options.metric || "distance";
+    const mismatched = [];
+    const invalid = [];
+    const miscounted = [];
+    let found = 0;
+
+    for (const [index, [startNode, endNode]] of pairs.entries()) {
+      const [single, both] = await quietly(() => [
+        runAStarOnStreetGraph(
+          graph,
+          startNode,
+          endNode,
+          heuristicFunc,
+          options
+        ),
+        runBidirectionalAStar(
+          graph,
+          startNode,
+          endNode,
+          heuristicFunc,
+          options
+        ),
+      ]);
+      if (single.path.length === 0 || both.path.length === 0) {
+        if (single.path.length !== both.path.length) mismatched.push(index);
+        continue;
+      }
+      found++;
+
+      const ends =
+        both.nodeIds[0] === startNode.id &&
+        both.nodeIds[both.nodeIds.length - 1] === endNode.id;
+      const cost = getPathCost(
+        nodeMap,
+        both.nodeIds,
+        metric,
+        options.costModifier
+      );
+      if (!ends || Number.isNaN(cost)) invalid.push(index);
+      const singleCost = getPathCost(
+        nodeMap,
+        single.nodeIds,
+        metric,
+        options.costModifier
+      );
+      if (Math.abs(cost - singleCost) > TOLERANCE) mismatched.push(index);
+      if (
+        both.nodesExploredForward + both.nodesExploredBackward !==
+        both.nodesExplored
+      ) {
+        miscounted.push(index);
+      }
+    }
+
+    check(`${label}: same cost as one-sided A*`, mismatched, []);
+    check(`${label}: paths follow the graph end to end`, invalid, []);
+    check(`${label}: explored counts add up`, miscounted, []);
+    check(`${label}: some paths found`, found > 0, true);
+  }
+
+  // Two searches of about half the radius each
+  console.log("\nTesting explored nodes...");
+  let singleExplored = 0;
+  let bothExplored = 0;
+  for (const [startNode, endNode] of pairs) {
+    await quietly(() => {
+      singleExplored += runAStarOnStreetGraph(
+        graph,
+        startNode,
+        endNode,
+        heuristics.dijkstra
+      ).nodesExplored;
+      bothExplored += runBidirectionalAStar(
+        graph,
+        startNode,
+        endNode,
+        heuristics.dijkstra
+      ).nodesExplored;
+    });
+  }
+  check(
+    "bidirectional Dijkstra explores fewer nodes",
+    bothExplored < singleExplored,
+    true
+  );
+
+  console.log("\nTesting edge cases...");
+  const same = await quietly(() =>
+    runBidirectionalAStar(graph, graph[20], graph[20])
+  );
+  check("start is the end", [same.nodeIds, same.distance], [[graph[20].id], 0]);
+  const island = {
+    id: 0,
+    lat: 47.59,
+    lng: -122.34,
+    connections: [],
+    reverseConnections: [],
+  };
+  const unreachable = await quietly(() =>
+    runBidirectionalAStar([...graph, island], graph[0], island)
+  );
+  check("no path", unreachable.path, []);
+  let error = null;
+  try {
+    await quietly(() =>
+      runBidirectionalAStar(createGridGraph(3), graph[0], graph[1])
+    );
+  } catch (caught) {
+    error = caught.message;
+  }
+  check(
+    "graphs need reverse connections",
+    error,
+    "Node 1 has no reverse connections for a backward search"
+  );
+
+  reportResults();
+}
+
+testBidirectional();
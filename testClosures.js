@@ -0,0 +1,288 @@
+import {
+  addClosure,
+  addClosuresFromGeoJSON,
+  removeClosure,
+  clearClosures,
+  getClosures,
+  getClosureCostModifier,
+  getClosurePointModifier,
+} from "./services/closureService.js";
+import { check, reportResults, quietly } from "./testUtils.js";
+
+// A 200 m square block with a 100 m courtyard left open in the middle
+const BLOCK_WITH_COURTYARD = {
+  type: "Polygon",
+  coordinates: [
+    [
+      [-122.332, 47.6],
+      [-122.329, 47.6],
+      [-122.329, 47.602],
+      [-122.332, 47.602],
+      [-122.332, 47.6],
+    ],
+    [
+      [-122.3313, 47.6005],
+      [-122.3297, 47.6005],
+      [-122.3297, 47.6015],
+      [-122.3313, 47.6015],
+      [-122.3313, 47.6005],
+    ],
+  ],
+};
+
+// A triangle whose bounding box also covers open road to its north-west
+const TRIANGLE = {
+  type: "Polygon",
+  coordinates: [
+    [
+      [-122.34, 47.61],
+      [-122.336, 47.61],
+      [-122.336, 47.613],
+      [-122.34, 47.61],
+    ],
+  ],
+};
+
+/**
+ * Make a point
+ *
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {Object} {lat, lng}
+ */
+function at(lat, lng) {
+  return { lat, lng };
+}
+
+/**
+ * Get the cost multiplier the active closures give an edge
+ *
+ * @param {Object} from - Edge start {lat, lng}
+ * @param {Object} to - Edge end {lat, lng}
+ * @param {number} wayId - Way of the edge
+ * @returns {number|null} Multiplier, or null when no closure is active
+ */
+function getEdgeFactor(from, to, wayId = 1) {
+  const modifier = getClosureCostModifier();
+  return modifier ? modifier(from, { wayId }, to) : null;
+}
+
+/**
+ * Get the message of the error a function throws
+ *
+ * @param {Function} fn - Function expected to throw
+ * @returns {string|null} Error message, or null if nothing was thrown
+ */
+function getError(fn) {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Create a sessionStorage stand-in for Node
+ *
+ * @returns {Object} Storage with getItem and setItem
+ */
+function createSessionStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+  };
+}
+
+/**
+ * Check which edges and points area, circle and way closures affect, how
+ * penalties combine, and that closures survive a reload
+ */
+async function testClosures() {
+  console.log("Starting road closure tests...");
+  globalThis.sessionStorage = createSessionStorage();
+  check(
+    "no closures, no modifiers",
+    [
+      getEdgeFactor(at(47.6, -122.33), at(47.601, -122.33)),
+      getClosurePointModifier(),
+    ],
+    [null, null]
+  );
+
+  console.log("\nTesting areas...");
+  await quietly(() => addClosure(BLOCK_WITH_COURTYARD));
+  await quietly(() =>
+    addClosure({ type: "Feature", geometry: TRIANGLE, properties: {} })
+  );
+  for (const [label, from, to, factor] of [
+    [
+      "edge inside the block",
+      at(47.6002, -122.3318),
+      at(47.6002, -122.3292),
+      Infinity,
+    ],
+    [
+      "edge leaving the block",
+      at(47.6002, -122.3305),
+      at(47.599, -122.3305),
+      Infinity,
+    ],
+    [
+      "edge crossing a corner with both ends outside",
+      at(47.6015, -122.3325),
+      at(47.6025, -122.3305),
+      Infinity,
+    ],
+    [
+      "edge inside the courtyard",
+      at(47.6008, -122.331),
+      at(47.6012, -122.33),
+      1,
+    ],
+    [
+      "edge out of the courtyard",
+      at(47.601, -122.3305),
+      at(47.601, -122.3293),
+      Infinity,
+    ],
+    ["edge beside the block", at(47.599, -122.333), at(47.599, -122.328), 1],
+    [
+      "edge along a side's line, beyond the corner",
+      at(47.6, -122.335),
+      at(47.6, -122.333),
+      1,
+    ],
+    [
+      "edge in the triangle's box but outside it",
+      at(47.6125, -122.3395),
+      at(47.6128, -122.3385),
+      1,
+    ],
+    [
+      "edge through the triangle",
+      at(47.6105, -122.341),
+      at(47.6105, -122.335),
+      Infinity,
+    ],
+  ]) {
+    check(label, getEdgeFactor(from, to), factor);
+  }
+
+  // Grid cells ask about points
+  const pointFactor = getClosurePointModifier();
+  check(
+    "points in the block, the courtyard and outside",
+    [at(47.6002, -122.3318), at(47.601, -122.3305), at(47.599, -122.3305)].map(
+      pointFactor
+    ),
+    [Infinity, 1, 1]
+  );
+
+  console.log("\nTesting circles and ways...");
+  clearClosures();
+  await quietly(() =>
+    addClosuresFromGeoJSON(
+      JSON.stringify({
+        type: "FeatureCollection",
+        features: [
+          {
+            type: "Feature",
+            geometry: { type: "Point", coordinates: [-122.33, 47.6] },
+            properties: { radius: 50, label: "Street fair" },
+          },
+        ],
+      })
+    )
+  );
+  await quietly(() =>
+    addClosure({ type: "ways", wayIds: [42] }, { label: "Bridge" })
+  );
+  check(
+    "labels from options and feature properties",
+    getClosures().map((closure) => [closure.type, closure.label]),
+    [
+      ["circle", "Street fair"],
+      ["ways", "Bridge"],
+    ]
+  );
+  check(
+    "edge passing within the radius",
+    getEdgeFactor(at(47.6003, -122.331), at(47.6003, -122.329)),
+    Infinity
+  );
+  check(
+    "edge passing outside the radius",
+    getEdgeFactor(at(47.6006, -122.331), at(47.6006, -122.329)),
+    1
+  );
+  check(
+    "edge of a closed way anywhere",
+    getEdgeFactor(at(47.7, -122.4), at(47.701, -122.4), 42),
+    Infinity
+  );
+  check(
+    "way closures have no area",
+    getClosurePointModifier()(at(47.7, -122.4)),
+    1
+  );
+
+  // The worst penalty applies, and a block beats any penalty
+  console.log("\nTesting penalties...");
+  clearClosures();
+  const slow = await quietly(() =>
+    addClosure(
+      { type: "circle", center: at(47.6, -122.33), radius: 100 },
+      { penalty: 2 }
+    )
+  );
+  await quietly(() =>
+    addClosure(
+      { type: "circle", center: at(47.6, -122.33), radius: 50 },
+      { penalty: 5 }
+    )
+  );
+  const edge = [at(47.6, -122.3305), at(47.6, -122.3295)];
+  check("overlapping penalties", getEdgeFactor(...edge), 5);
+  await quietly(() => addClosure({ type: "ways", wayIds: ["7"] }));
+  check("a block wins over penalties", getEdgeFactor(...edge, 7), Infinity);
+  check(
+    "invalid closures",
+    [
+      getError(() => addClosure({ type: "ways", wayIds: [] })),
+      getError(() => addClosure({ type: "circle", center: at(47.6, -122.33) })),
+      getError(() => addClosure({ type: "LineString", coordinates: [] })),
+      getError(() => addClosure(TRIANGLE, { penalty: 0.5 })),
+    ],
+    [
+      "Way closure needs at least one way ID",
+      "Circle closure needs a center and a positive radius",
+      "Unsupported closure: LineString",
+      "Closure penalty must be a multiplier of at least 1",
+    ]
+  );
+
+  // A fresh copy of the module stands in for a page reload
+  console.log("\nTesting the session...");
+  check(
+    "remove a closure",
+    [removeClosure(slow.id), removeClosure(slow.id)],
+    [true, false]
+  );
+  const reloaded = await import("./services/closureService.js?reload");
+  check(
+    "closures survive a reload",
+    reloaded.getClosures().map((closure) => closure.id),
+    getClosures().map((closure) => closure.id)
+  );
+  // The stored closures are 6 and 7
+  const added = await quietly(() =>
+    reloaded.addClosure({ type: "ways", wayIds: [1] })
+  );
+  check("ids continue after the stored ones", added.id, "closure-8");
+
+  reportResults();
+}
+
+testClosures();
@@ -0,0 +1,139 @@
+import fs from "fs";
+import { buildStreetGraph } from "./services/routing/graphUtils.js";
+import { TRAVEL_PROFILES } from "./services/routing/osmRules.js";
+import {
+  runAStarOnStreetGraph,
+  runBidirectionalAStar,
+  heuristics,
+} from "./services/routing/aStarRouting.js";
+import {
+  buildContractionHierarchy,
+  runContractionHierarchyQuery,
+  serializeContractionHierarchy,
+  deserializeContractionHierarchy,
+} from "./services/routing/contractionHierarchy.js";
+import { check, reportResults, quietly } from "./testUtils.js";
+
+// The oneway/access cases, and a crossroads whose routes take several edges
+const FIXTURE_PATHS = [
+  "./fixtures/oneway-access.json",
+  "./fixtures/no-left-turn.json",
+];
+const METRICS = ["distance", "time"];
+
+/**
+ * Cost of a search result in a metric, rounded so float noise from adding
+ * the edges in another order doesn't count
+ *
+ * @param {Object} result - Search result with path, distance and duration
+ * @param {string} metric - "distance" or "time"
+ * @returns {number|null} Cost, or null when no path was found
+ */
+function getCost(result, metric) {
+  if (result.path.length === 0) return null;
+  const cost = metric === "time" ? result.duration : result.distance;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+/**
+ * Route between every ordered pair of nodes with A*, bidirectional A* and
+ * the hierarchy, before and after a serialisation round trip
+ *
+ * @param {Array} graph - Graph from buildStreetGraph
+ * @param {string} metric - Cost metric
+ * @returns {Promise<Object>} {pairs, costMismatches, pathMismatches}
+ */
+async function compareSearches(graph, metric) {
+  const hierarchy = await buildContractionHierarchy(graph, { metric });
+  const restored = deserializeContractionHierarchy(
+    JSON.parse(JSON.stringify(serializeContractionHierarchy(hierarchy)))
+  );
+
+  let pairs = 0;
+  const costMismatches = [];
+  const pathMismatches = [];
+  for (const startNode of graph) {
+    for (const endNode of graph) {
+      if (startNode === endNode) continue;
+      pairs++;
+
+      const options = { metric };
+      const costs = {
+        aStar: runAStarOnStreetGraph(
+          graph,
+          startNode,
+          endNode,
+          heuristics.haversine,
+          options
+        ),
+        bidirectional: runBidirectionalAStar(
+          graph,
+          startNode,
+          endNode,
+          heuristics.haversine,
+          options
+        ),
+        hierarchy: runContractionHierarchyQuery(
+          graph,
+          hierarchy,
+          startNode,
+          endNode
+        ),
+      };
+      const expected = getCost(costs.aStar, metric);
+      for (const [search, result] of Object.entries(costs)) {
+        if (getCost(result, metric) !== expected) {
+          costMismatches.push(`${search} ${startNode.id}->${endNode.id}`);
+        }
+      }
+
+      const restoredResult = runContractionHierarchyQuery(
+        graph,
+        restored,
+        startNode,
+        endNode
+      );
+      if (
+        JSON.stringify(restoredResult.nodeIds) !==
+        JSON.stringify(costs.hierarchy.nodeIds)
+      ) {
+        pathMismatches.push(`${startNode.id}->${endNode.id}`);
+      }
+    }
+  }
+  return { pairs, costMismatches, pathMismatches };
+}
+
+/**
+ * Check that contraction hierarchy queries cost the same as A* and
+ * bidirectional A* on the fixtures, for every profile and metric
+ */
+async function testContractionHierarchy() {
+  console.log("Starting contraction hierarchy tests...");
+
+  for (const path of FIXTURE_PATHS) {
+    const fixture = JSON.parse(fs.readFileSync(path, "utf8"));
+    for (const profile of Object.keys(TRAVEL_PROFILES)) {
+      console.log(`\nTesting ${path} with the ${profile} profile...`);
+      for (const metric of METRICS) {
+        const { pairs, costMismatches, pathMismatches } = await quietly(() =>
+          compareSearches(buildStreetGraph(fixture, { profile }), metric)
+        );
+        check(
+          `${metric}: searches agree on ${pairs} routes`,
+          costMismatches,
+          []
+        );
+        check(
+          `${metric}: restored hierarchy finds the same paths`,
+          pathMismatches,
+          []
+        );
+      }
+    }
+  }
+
+  reportResults();
+}
+
+testContractionHierarchy();
@@ -0,0 +1,156 @@
+import {
+  loadDemProvider,
+  loadDemRaster,
+  parseHgt,
+  sampleRaster,
+} from "./services/demProvider.js";
+import {
+  getBatchElevation,
+  setElevationProvider,
+} from "./services/elevationService.js";
+import { check, reportResults, quietly } from "./testUtils.js";
+
+// A 3x3 SRTM tile at half-degree spacing, north row first:
+//   100 200 300
+//   400 500 void
+//   700 800 900
+const HGT_PATH = "./fixtures/N47W123.hgt";
+
+// A 3x2 float32 GeoTIFF of 0.01 degree pixels from (47.62, -122.34), pixel
+// is area, nodata -9999; it lies inside the SRTM tile:
+//   10    20  30
+//   40 -9999  60
+const TIFF_PATH = "./fixtures/dem-small.tif";
+
+/**
+ * Sample a raster, rounding away floating point noise
+ *
+ * @param {Object} raster - Parsed raster
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {number|null} Elevation, or null where there is no sample
+ */
+function sample(raster, lat, lng) {
+  const elevation = sampleRaster(raster, { lat, lng });
+  return elevation === null ? null : Math.round(elevation * 1e6) / 1e6;
+}
+
+/**
+ * Get the message of the error a function throws
+ *
+ * @param {Function} fn - Function expected to throw
+ * @returns {string|null} Error message, or null if nothing was thrown
+ */
+function getError(fn) {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Check sampling of the fixture rasters at sample points, between them, at
+ * their edges and outside them, and the measured flag the elevation service
+ * gives their answers
+ */
+async function testDemProvider() {
+  console.log("Starting DEM provider tests...");
+
+  console.log("\nTesting SRTM tiles...");
+  const hgt = await loadDemRaster(HGT_PATH);
+  check(
+    "tile position from the file name",
+    [hgt.width, hgt.height, hgt.originLat, hgt.originLng, hgt.xRes],
+    [3, 3, 48, -123, 0.5]
+  );
+
+  // Samples sit on the cell corners, north-west first
+  check(
+    "cell corners",
+    [
+      sample(hgt, 48, -123),
+      sample(hgt, 48, -122),
+      sample(hgt, 47, -123),
+      sample(hgt, 47, -122),
+      sample(hgt, 47.5, -122.5),
+    ],
+    [100, 300, 700, 900, 500]
+  );
+  check("cell centre", sample(hgt, 47.75, -122.75), 300);
+  check("inside a cell", sample(hgt, 47.875, -122.75), 225);
+  check("void sample is left out", sample(hgt, 47.25, -122.25), 733.333333);
+  check("on the void sample", sample(hgt, 47.5, -122), null);
+  check("outer half cell", sample(hgt, 48.2, -123.2), 100);
+  check("outside the tile", sample(hgt, 48.3, -122.5), null);
+  check(
+    "unknown tile position",
+    getError(() => parseHgt(new ArrayBuffer(18), "dem.hgt")),
+    "Can't tell the tile position from dem.hgt"
+  );
+  check(
+    "tile that isn't square",
+    getError(() => parseHgt(new ArrayBuffer(20), "N47W123.hgt")),
+    "N47W123.hgt is not a square SRTM tile"
+  );
+
+  // Pixel-is-area samples sit on the pixel centres
+  console.log("\nTesting GeoTIFFs...");
+  const tiff = await loadDemRaster(TIFF_PATH);
+  check(
+    "georeferencing",
+    [tiff.width, tiff.height, tiff.noData].concat(
+      [tiff.originLat, tiff.originLng].map((value) => value.toFixed(6))
+    ),
+    [3, 2, -9999, "47.615000", "-122.335000"]
+  );
+  check(
+    "pixel centres",
+    [sample(tiff, 47.615, -122.335), sample(tiff, 47.605, -122.315)],
+    [10, 60]
+  );
+  check("nodata is left out", sample(tiff, 47.61, -122.33), 23.333333);
+  check(
+    "between pixel centres",
+    sample(tiff, 47.61, -122.32),
+    Math.round(((20 + 30 + 60) / 3) * 1e6) / 1e6
+  );
+  check("outer half pixel", sample(tiff, 47.619, -122.339), 10);
+  check("outside the raster", sample(tiff, 47.5, -122.33), null);
+
+  // The first raster covering a point answers; the rest is simulated
+  console.log("\nTesting the elevation provider...");
+  const provider = await quietly(() => loadDemProvider([TIFF_PATH, HGT_PATH]));
+  check("provider name", provider.name, "dem:dem-small.tif,N47W123.hgt");
+  await quietly(() => setElevationProvider(provider));
+  const points = [
+    { lat: 47.615, lng: -122.335 },
+    { lat: 47.75, lng: -122.75 },
+    { lat: 47.5, lng: -122 },
+    { lat: 40, lng: -100 },
+  ];
+  const results = await quietly(() => getBatchElevation(points));
+  check(
+    "measured inside a raster, simulated outside",
+    results.map((result) => [result.measured, result.provider]),
+    [
+      [true, provider.name],
+      [true, provider.name],
+      [false, "simulated"],
+      [false, "simulated"],
+    ]
+  );
+  check(
+    "measured elevations",
+    results
+      .slice(0, 2)
+      .map((result) => Math.round(result.elevation * 1e6) / 1e6),
+    [10, 300]
+  );
+  await quietly(() => setElevationProvider());
+
+  reportResults();
+}
+
+testDemProvider();
@@ -0,0 +1,144 @@
+import fs from "fs";
+import {
+  routesToGPX,
+  routesToKML,
+  routesToGeoJSON,
+  toKmlColor,
+} from "./services/exportService.js";
+import { check, reportResults } from "./testUtils.js";
+
+// An OSRM route and an A* route whose label needs escaping
+const FIXTURE_PATH = "./fixtures/export-routes.json";
+const ESCAPED_LABEL = "A* &lt;Haversine&gt; &amp; &quot;Tom&apos;s&quot; route";
+
+/**
+ * Find markup problems in an XML document: tags that don't close in order,
+ * and "<", ">" or "&" left unescaped in text
+ *
+ * @param {string} xml - XML text
+ * @returns {Array} Problems, empty for a well-formed document
+ */
+function findXmlProblems(xml) {
+  const problems = [];
+  const open = [];
+  const body = xml.replace(/^<\?xml[^>]*\?>/, "");
+  for (const [, closing, name, selfClosing] of body.matchAll(
+    /<(\/?)([\w:]+)(?:\s[^<>]*?)?(\/?)>/g
+  )) {
+    if (selfClosing) continue;
+    if (!closing) {
+      open.push(name);
+    } else if (open.pop() !== name) {
+      problems.push(`unexpected </${name}>`);
+    }
+  }
+  problems.push(...open.map((name) => `unclosed <${name}>`));
+
+  // Anything left after removing tags and entities is stray markup
+  const text = body
+    .replace(/<(\/?)([\w:]+)(?:\s[^<>]*?)?(\/?)>/g, "")
+    .replace(/&(amp|lt|gt|quot|apos);/g, "");
+  if (/[<>&]/.test(text)) problems.push("unescaped markup in text");
+  return problems;
+}
+
+/**
+ * Get the lines of a document that contain some text, trimmed
+ *
+ * @param {string} xml - XML text
+ * @param {string} text - Text to look for
+ * @returns {Array} Matching lines
+ */
+function findLines(xml, text) {
+  return xml
+    .split("\n")
+    .filter((line) => line.includes(text))
+    .map((line) => line.trim());
+}
+
+/**
+ * Check the GPX, KML and GeoJSON written for the fixture routes, and the
+ * conversion of route colors to KML
+ */
+function testExport() {
+  console.log("Starting route export tests...");
+  const { routes, waypoints } = JSON.parse(
+    fs.readFileSync(FIXTURE_PATH, "utf8")
+  );
+
+  console.log("\nTesting GPX...");
+  const gpx = routesToGPX(routes, waypoints);
+  check("GPX is well-formed", findXmlProblems(gpx), []);
+  check("GPX track names are escaped", findLines(gpx, "<name>A*"), [
+    `<name>${ESCAPED_LABEL}</name>`,
+  ]);
+  check("GPX track descriptions", findLines(gpx, "<desc>"), [
+    "<desc>1.52 km, 4.0 min</desc>",
+    "<desc>1.23 km, 5.0 min, 532 nodes explored</desc>",
+  ]);
+  check("GPX waypoints", findLines(gpx, "<wpt"), [
+    '<wpt lat="47.6101" lon="-122.3405"><name>Point 1</name></wpt>',
+    '<wpt lat="47.6232" lon="-122.3468"><name>Point 2</name></wpt>',
+  ]);
+  check("GPX track points", findLines(gpx, "<trkpt").length, 5);
+
+  console.log("\nTesting KML...");
+  const kml = routesToKML(routes, waypoints);
+  check("KML is well-formed", findXmlProblems(kml), []);
+  check("KML placemark names are escaped", findLines(kml, "<name>A*"), [
+    `<name>${ESCAPED_LABEL}</name>`,
+  ]);
+  check("KML line colors are aabbggrr", findLines(kml, "<color>"), [
+    "<color>fff48542</color>",
+    "<color>ff0055ff</color>",
+  ]);
+  check(
+    "KML coordinates are lng,lat",
+    findLines(kml, "<coordinates>")[1],
+    "<coordinates>-122.3405,47.6101 -122.3422,47.6131 -122.3468,47.6232</coordinates>"
+  );
+
+  console.log("\nTesting GeoJSON...");
+  const geojson = routesToGeoJSON(routes, waypoints);
+  check(
+    "one feature per route and waypoint",
+    geojson.features.map((feature) => feature.geometry.type),
+    ["LineString", "LineString", "Point", "Point"]
+  );
+  check("route properties", geojson.features[1].properties, {
+    algorithm: "haversine",
+    name: routes[1].label,
+    distance: 1234,
+    duration: 300,
+    nodesExplored: 532,
+    stroke: "#f50",
+  });
+  check(
+    "missing search effort is null",
+    geojson.features[0].properties.nodesExplored,
+    null
+  );
+  check("coordinates are [lng, lat]", geojson.features[2].geometry, {
+    type: "Point",
+    coordinates: [-122.3405, 47.6101],
+  });
+
+  // Short colors expand; anything that isn't hex gets KML's default white
+  console.log("\nTesting KML colors...");
+  for (const [color, expected] of [
+    ["#EA4335", "ff3543ea"],
+    ["#3f51b5", "ffb5513f"],
+    ["8bc34a", "ff4ac38b"],
+    ["#F50", "ff0055ff"],
+    ["red", "ffffffff"],
+    ["#12345", "ffffffff"],
+    ["rgb(255, 0, 0)", "ffffffff"],
+    [undefined, "ffffffff"],
+  ]) {
+    check(`color ${color}`, toKmlColor(color), expected);
+  }
+
+  reportResults();
+}
+
+testExport();
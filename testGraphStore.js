@@ -0,0 +1,171 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { buildStreetGraph } from "./services/routing/graphUtils.js";
+import {
+  GRAPH_SCHEMA_VERSION,
+  getGraphCacheKey,
+  serializeGraph,
+  deserializeGraph,
+  saveGraphSnapshot,
+  loadGraphSnapshot,
+  saveGraphDataSnapshot,
+  loadGraphDataSnapshot,
+  deleteGraphSnapshots,
+} from "./services/graphStore.js";
+import { check, reportResults, quietly } from "./testUtils.js";
+
+// A crossroads with a no-left-turn restriction
+const FIXTURE_PATH = "./fixtures/no-left-turn.json";
+
+const BOUNDS = { south: 47.6, west: -122.332, north: 47.603, east: -122.328 };
+const FILTER = '["highway"]';
+
+/**
+ * List a graph's nodes with their fields in a fixed order, so graphs built
+ * in different ways compare by content
+ *
+ * @param {Array} graph - Graph nodes
+ * @returns {Array} Node summaries
+ */
+function describeGraph(graph) {
+  return graph.map((node) => ({
+    id: node.id,
+    lat: node.lat,
+    lng: node.lng,
+    elevation: node.elevation,
+    elevationMeasured: node.elevationMeasured,
+    restrictions: node.restrictions,
+    connections: node.connections,
+    reverseConnections: node.reverseConnections.map(
+      ({ nodeId, connection }) => [nodeId, connection.nodeId, connection.wayId]
+    ),
+  }));
+}
+
+/**
+ * Build the fixture graph, with a measured and a simulated elevation and a
+ * graded edge
+ *
+ * @returns {Promise<Array>} Graph nodes
+ */
+async function createGraph() {
+  const graph = await quietly(() =>
+    buildStreetGraph(JSON.parse(fs.readFileSync(FIXTURE_PATH, "utf8")))
+  );
+  Object.assign(graph[0], { elevation: 52.5, elevationMeasured: true });
+  Object.assign(graph[1], { elevation: 50, elevationMeasured: false });
+  graph[0].connections[0].grade = -0.0225;
+  return graph;
+}
+
+/**
+ * Check a graph survives serialisation and storage unchanged, and the
+ * snapshot keys and data stored next to a graph
+ */
+async function testGraphStore() {
+  console.log("Starting graph store tests...");
+  const graph = await createGraph();
+
+  // Through JSON as the file backend stores it
+  console.log("\nTesting serialisation...");
+  const data = JSON.parse(JSON.stringify(serializeGraph(graph)));
+  check(
+    "round trip keeps nodes, edges, elevations and restrictions",
+    describeGraph(deserializeGraph(data)),
+    describeGraph(graph)
+  );
+  check(
+    "way attributes stored once per way",
+    data.ways.map((way) => [way.wayId, way.name]),
+    [
+      [10, "Main St"],
+      [11, "West St"],
+      [12, "Back St"],
+    ]
+  );
+  check("one row per edge", data.edges.length, 12);
+  check("restriction rows", data.restrictions, [
+    [1, "no", 10, 11, "no_left_turn"],
+  ]);
+  check(
+    "nodes without an elevation get none back",
+    "elevation" in deserializeGraph(data)[2],
+    false
+  );
+
+  // Edges leaving the graph are dropped, not pointed at a wrong node
+  const partial = serializeGraph(graph.slice(0, 2));
+  check(
+    "edges to nodes outside the graph",
+    partial.edges.map(([from, to]) => [from, to]),
+    [
+      [0, 1],
+      [1, 0],
+    ]
+  );
+
+  console.log("\nTesting cache keys...");
+  const key = getGraphCacheKey(BOUNDS, FILTER);
+  check(
+    "key names the schema and bounds",
+    key.startsWith(`graph:v${GRAPH_SCHEMA_VERSION}:47.600000,-122.332000,`),
+    true
+  );
+  check(
+    "same bounds and filter give the same key",
+    getGraphCacheKey({ ...BOUNDS }, FILTER),
+    key
+  );
+  check(
+    "another filter gives another key",
+    getGraphCacheKey(BOUNDS, '["highway"="primary"]') === key,
+    false
+  );
+
+  // Snapshots go to a scratch cache directory
+  console.log("\nTesting snapshots...");
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "graph-store-"));
+  process.env.GRAPH_CACHE_DIR = directory;
+  try {
+    check("missing snapshot", await loadGraphSnapshot(key), null);
+
+    const createdAt = await saveGraphSnapshot(key, graph);
+    const snapshot = await loadGraphSnapshot(key);
+    check(
+      "saved graph loads unchanged",
+      describeGraph(snapshot.graph),
+      describeGraph(graph)
+    );
+    check("snapshot time", snapshot.createdAt, createdAt);
+
+    const table = { costs: [1, 2, 3] };
+    await saveGraphDataSnapshot(key, "landmarks:time", createdAt, table);
+    check(
+      "data for the same graph",
+      await loadGraphDataSnapshot(key, "landmarks:time", createdAt),
+      table
+    );
+    check(
+      "data for an older graph",
+      await loadGraphDataSnapshot(key, "landmarks:time", createdAt - 1),
+      null
+    );
+
+    await deleteGraphSnapshots(key);
+    check(
+      "deleting a graph takes its data with it",
+      [
+        await loadGraphSnapshot(key),
+        await loadGraphDataSnapshot(key, "landmarks:time", createdAt),
+      ],
+      [null, null]
+    );
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+
+  reportResults();
+}
+
+testGraphStore();
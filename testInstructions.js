@@ -0,0 +1,169 @@
+import fs from "fs";
+import { getInstructions } from "./services/routing/instructions.js";
+import { check, reportResults } from "./testUtils.js";
+
+// A two-leg trip through a roundabout, with the instructions it should read
+const FIXTURE_PATH = "./fixtures/instruction-legs.json";
+
+/**
+ * Word a single step on its own
+ *
+ * @param {Object} maneuver - Maneuver of the step, without a location
+ * @param {Object} fields - Other step fields, such as name and distance
+ * @returns {string} Instruction text
+ */
+function getText(maneuver, fields = {}) {
+  const step = {
+    distance: 0,
+    ...fields,
+    maneuver: { location: [0, 0], ...maneuver },
+  };
+  return getInstructions([{ steps: [step] }])[0].text;
+}
+
+/**
+ * Word a turn that comes a given distance after the departure
+ *
+ * @param {number} distance - Meters from the departure to the turn
+ * @returns {string} Instruction text of the turn
+ */
+function getTurnText(distance) {
+  const steps = [
+    {
+      distance,
+      maneuver: { type: "depart", bearing_after: 0, location: [0, 0] },
+    },
+    {
+      distance: 0,
+      maneuver: { type: "turn", modifier: "left", location: [0, 0] },
+    },
+  ];
+  return getInstructions([{ steps }])[1].text;
+}
+
+/**
+ * Check the wording, distances and stops of instructions for a fixture trip
+ * and for single maneuvers
+ */
+function testInstructions() {
+  console.log("Starting turn-by-turn instruction tests...");
+
+  console.log("\nTesting a trip with a stop...");
+  const fixture = JSON.parse(fs.readFileSync(FIXTURE_PATH, "utf8"));
+  const instructions = getInstructions(fixture.legs);
+  check(
+    "instruction texts and distances",
+    instructions.map(({ text, distance }) => ({ text, distance })),
+    fixture.instructions
+  );
+  check(
+    "roundabout exit gets no instruction of its own",
+    instructions.map((instruction) => instruction.type),
+    [
+      "depart",
+      "turn",
+      "roundabout",
+      "arrive",
+      "depart",
+      "new name",
+      "continue",
+      "arrive",
+    ]
+  );
+  check("locations are {lat, lng}", instructions[1].location, {
+    lat: 47.6108,
+    lng: -122.3391,
+  });
+
+  // Ordinals, including the teens that break the last-digit rule
+  console.log("\nTesting roundabout exits...");
+  for (const [exit, ordinal] of [
+    [1, "1st"],
+    [2, "2nd"],
+    [3, "3rd"],
+    [4, "4th"],
+    [11, "11th"],
+    [12, "12th"],
+    [13, "13th"],
+    [21, "21st"],
+    [22, "22nd"],
+    [111, "111th"],
+  ]) {
+    check(
+      `exit ${exit}`,
+      getText({ type: "roundabout", exit }),
+      `At the roundabout, take the ${ordinal} exit`
+    );
+  }
+  check(
+    "roundabout without an exit",
+    getText({ type: "roundabout" }),
+    "Enter the roundabout"
+  );
+
+  // Bearings round to the nearest of eight compass points
+  console.log("\nTesting departure headings...");
+  for (const [bearing, point] of [
+    [0, "north"],
+    [22, "north"],
+    [23, "northeast"],
+    [90, "east"],
+    [200, "south"],
+    [337, "northwest"],
+    [350, "north"],
+  ]) {
+    check(
+      `bearing ${bearing}`,
+      getText({ type: "depart", bearing_after: bearing }),
+      `Head ${point}`
+    );
+  }
+
+  // Distances round to 10 m, and to 0.1 km from a kilometer up
+  console.log("\nTesting approach distances...");
+  for (const [distance, text] of [
+    [0, "Turn left"],
+    [4, "Turn left"],
+    [5, "Turn left in 10 m"],
+    [304, "Turn left in 300 m"],
+    [995, "Turn left in 1.0 km"],
+    [1234, "Turn left in 1.2 km"],
+  ]) {
+    check(`turn after ${distance} m`, getTurnText(distance), text);
+  }
+
+  // Street names, refs and modifiers
+  console.log("\nTesting maneuver wording...");
+  check(
+    "name with ref",
+    getText(
+      { type: "turn", modifier: "slight right" },
+      { name: "Aurora Ave N", ref: "SR 99" }
+    ),
+    "Bear right onto Aurora Ave N (SR 99)"
+  );
+  check(
+    "ref only",
+    getText({ type: "merge", modifier: "sharp left" }, { ref: "I 5" }),
+    "Make a sharp left onto I 5"
+  );
+  check(
+    "unnamed road",
+    getText({ type: "turn", modifier: "right" }),
+    "Turn right"
+  );
+  check(
+    "unknown modifier",
+    getText({ type: "turn" }, { name: "Pine St" }),
+    "Turn onto Pine St"
+  );
+  check(
+    "continue on a street",
+    getText({ type: "continue", modifier: "straight" }, { name: "Pine St" }),
+    "Continue on Pine St"
+  );
+
+  reportResults();
+}
+
+testInstructions();
@@ -0,0 +1,247 @@
+import fs from "fs";
+import { buildStreetGraph } from "./services/routing/graphUtils.js";
+import { computeIsochrone, traceCells } from "./services/routing/isochrone.js";
+import { check, reportResults, quietly, storeTestGraph } from "./testUtils.js";
+
+// A primary road with a residential street beside it, joined in the middle
+const FIXTURE_PATH = "./fixtures/rush-hour.json";
+const BOUNDS = { south: 47.6, west: -122.34, north: 47.603, east: -122.32 };
+
+const RANDOM_GRID_COUNT = 30;
+const RANDOM_GRID_SIZE = 8;
+
+/**
+ * Make a grid whose corners are their own coordinates
+ *
+ * @param {Array} rows - Strings top row first, "#" for a cell inside the
+ *   area, a digit for a cell of that cost, anything else for no cell
+ * @returns {Object} Grid as traceCells takes it
+ */
+function createGrid(rows) {
+  const cells = new Map();
+  rows.forEach((row, i) => {
+    const y = rows.length - 1 - i;
+    [...row].forEach((mark, x) => {
+      if (mark === "#") cells.set(`${x},${y}`, 0);
+      else if (/\d/.test(mark)) cells.set(`${x},${y}`, Number(mark));
+    });
+  });
+  return { cells, toLngLat: (x, y) => [x, y] };
+}
+
+/**
+ * Signed area of a closed ring, positive when counterclockwise
+ *
+ * @param {Array} ring - Positions, first repeated last
+ * @returns {number} Area
+ */
+function getSignedArea(ring) {
+  let area = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    area += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+  }
+  return area / 2;
+}
+
+/**
+ * Summarise a MultiPolygon as the signed area of each ring
+ *
+ * @param {Array} polygons - MultiPolygon coordinates
+ * @returns {Array} Per polygon, the signed areas of its outer ring and holes
+ */
+function describeAreas(polygons) {
+  return polygons.map((rings) => rings.map(getSignedArea));
+}
+
+/**
+ * Find rings that are not closed, have a side that isn't horizontal or
+ * vertical, or pass through a corner twice
+ *
+ * @param {Array} polygons - MultiPolygon coordinates
+ * @returns {number} Number of malformed rings
+ */
+function countMalformedRings(polygons) {
+  return polygons.flat().filter((ring) => {
+    const [first, last] = [ring[0], ring[ring.length - 1]];
+    if (ring.length < 5 || first[0] !== last[0] || first[1] !== last[1]) {
+      return true;
+    }
+    const corners = new Set(ring.slice(1).map(([x, y]) => `${x},${y}`));
+    return (
+      corners.size !== ring.length - 1 ||
+      ring.slice(1).some(([x, y], i) => x !== ring[i][0] && y !== ring[i][1])
+    );
+  }).length;
+}
+
+/**
+ * Generate seeded grids of scattered cells, with holes and cells touching
+ * only at a corner
+ *
+ * @returns {Array} Grids as traceCells takes them
+ */
+function createRandomGrids() {
+  let seed = 13;
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+  return Array.from({ length: RANDOM_GRID_COUNT }, () =>
+    createGrid(
+      Array.from({ length: RANDOM_GRID_SIZE }, () =>
+        Array.from({ length: RANDOM_GRID_SIZE }, () =>
+          random() < 0.6 ? "#" : "."
+        ).join("")
+      )
+    )
+  );
+}
+
+/**
+ * Check the rings traced around grid cells, and isochrones on a fixture
+ */
+async function testIsochrone() {
+  console.log("Starting isochrone tests...");
+
+  console.log("\nTesting ring orientation...");
+  check("one cell", traceCells(createGrid(["#"]), 0), [
+    [
+      [
+        [0, 0],
+        [1, 0],
+        [1, 1],
+        [0, 1],
+        [0, 0],
+      ],
+    ],
+  ]);
+  check(
+    "straight sides are one edge",
+    traceCells(createGrid(["###", "###"]), 0)[0][0].length,
+    5
+  );
+  check(
+    "outer rings counterclockwise, holes clockwise",
+    describeAreas(traceCells(createGrid(["###", "#.#", "###"]), 0)),
+    [[9, -1]]
+  );
+  check(
+    "only cells within the budget",
+    describeAreas(traceCells(createGrid(["123", "456"]), 4)),
+    [[4]]
+  );
+  check("nothing within the budget", traceCells(createGrid(["9"]), 4), []);
+
+  // Turning left keeps shapes that touch at a corner apart
+  console.log("\nTesting corners and nesting...");
+  check(
+    "cells touching at a corner",
+    describeAreas(traceCells(createGrid(["#.", ".#"]), 0)),
+    [[1], [1]]
+  );
+  check(
+    "holes touching at a corner",
+    describeAreas(traceCells(createGrid(["####", "#.##", "##.#", "####"]), 0)),
+    [[16, -1, -1]]
+  );
+  check(
+    "an island in a hole is its own polygon",
+    describeAreas(
+      traceCells(createGrid(["#####", "#...#", "#.#.#", "#...#", "#####"]), 0)
+    ).sort((a, b) => a[0] - b[0]),
+    [[1], [25, -9]]
+  );
+
+  // Each polygon's rings add up to its cells
+  console.log(`\nTesting ${RANDOM_GRID_COUNT} seeded grids...`);
+  const wrongArea = [];
+  const wrongOrientation = [];
+  let malformed = 0;
+  let holes = 0;
+  createRandomGrids().forEach((grid, index) => {
+    const polygons = traceCells(grid, 0);
+    const areas = describeAreas(polygons);
+    const total = areas.flat().reduce((sum, area) => sum + area, 0);
+    if (total !== grid.cells.size) wrongArea.push(index);
+    if (
+      areas.some(
+        ([outer, ...inner]) => outer <= 0 || inner.some((area) => area >= 0)
+      )
+    ) {
+      wrongOrientation.push(index);
+    }
+    malformed += countMalformedRings(polygons);
+    holes += areas.flat().filter((area) => area < 0).length;
+  });
+  check("rings enclose exactly the cells", wrongArea, []);
+  check("ring orientation", wrongOrientation, []);
+  check("rings are closed, axis-aligned and simple", malformed, 0);
+  check("some grids have holes", holes > 0, true);
+
+  console.log("\nTesting isochrones on the fixture...");
+  const fixture = await quietly(() =>
+    buildStreetGraph(JSON.parse(fs.readFileSync(FIXTURE_PATH, "utf8")))
+  );
+  for (const node of fixture) {
+    Object.assign(node, { elevation: 50, elevationMeasured: true });
+  }
+  const directory = await storeTestGraph(BOUNDS, fixture);
+  try {
+    const origin = { lat: 47.6, lng: -122.33 };
+    const isochrone = await quietly(() =>
+      computeIsochrone(origin, [120, 30, 30, -5], {
+        bounds: BOUNDS,
+        cellSize: 50,
+      })
+    );
+    check(
+      "one feature per budget, smallest first",
+      isochrone.features.map((feature) => feature.properties),
+      [
+        { value: 30, metric: "time" },
+        { value: 120, metric: "time" },
+      ]
+    );
+    const areas = isochrone.features.map((feature) =>
+      describeAreas(feature.geometry.coordinates)
+        .flat()
+        .reduce((sum, area) => sum + area, 0)
+    );
+    check(
+      "larger budgets reach further",
+      areas[0] > 0 && areas[1] > areas[0],
+      true
+    );
+    check(
+      "outer rings counterclockwise on the map",
+      isochrone.features.every((feature) =>
+        describeAreas(feature.geometry.coordinates).every(
+          ([outer, ...inner]) => outer > 0 && inner.every((area) => area < 0)
+        )
+      ),
+      true
+    );
+
+    const errors = [];
+    for (const [budgets, options] of [
+      [[60], {}],
+      [[0, -60], { bounds: BOUNDS }],
+    ]) {
+      try {
+        await computeIsochrone(origin, budgets, options);
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+    check("invalid requests", errors, [
+      "computeIsochrone needs the graph bounds",
+      "computeIsochrone needs at least one positive budget",
+    ]);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+
+  reportResults();
+}
+
+testIsochrone();
@@ -0,0 +1,224 @@
+import {
+  buildStreetGraph,
+  snapToRoad,
+  insertVirtualNodes,
+} from "./services/routing/graphUtils.js";
+import { buildSpatialIndex } from "./services/routing/spatialIndex.js";
+import { getEdgeCost } from "./services/routing/travelTime.js";
+import { CustomPriorityQueue } from "./services/routing/common.js";
+import {
+  buildLandmarkTables,
+  createLandmarkHeuristic,
+  serializeLandmarkTables,
+  deserializeLandmarkTables,
+} from "./services/routing/landmarks.js";
+import { check, reportResults, quietly } from "./testUtils.js";
+
+const GRID_SIZE = 10;
+const METRICS = ["distance", "time"];
+
+// Points between intersections, snapped to become virtual nodes
+const SNAP_POINTS = [
+  { lat: 47.6015, lng: -122.3347 },
+  { lat: 47.6052, lng: -122.3288 },
+  { lat: 47.6071, lng: -122.3321 },
+];
+
+// Allowance for float noise in summed edge costs
+const TOLERANCE = 1e-6;
+
+/**
+ * Build Overpass data for a street grid with jittered intersections, mixed
+ * road classes, one-way avenues and a detached road, so the tables have
+ * asymmetric costs and unreachable nodes
+ *
+ * @returns {Object} OSM data in Overpass JSON format
+ */
+function createGridData() {
+  let seed = 11;
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+  const nodeId = (row, column) => row * GRID_SIZE + column + 1;
+
+  const elements = [];
+  for (let row = 0; row < GRID_SIZE; row++) {
+    for (let column = 0; column < GRID_SIZE; column++) {
+      elements.push({
+        type: "node",
+        id: nodeId(row, column),
+        lat: 47.6 + row * 0.001 + random() * 0.0003,
+        lon: -122.337 + column * 0.0013 + random() * 0.0003,
+      });
+    }
+  }
+
+  let wayId = 1000;
+  for (let row = 0; row < GRID_SIZE; row++) {
+    for (let column = 0; column < GRID_SIZE; column++) {
+      // Streets run east-west, avenues north-south with every third one-way
+      if (column + 1 < GRID_SIZE) {
+        elements.push({
+          type: "way",
+          id: wayId++,
+          nodes: [nodeId(row, column), nodeId(row, column + 1)],
+          tags: { highway: row % 4 === 0 ? "primary" : "residential" },
+        });
+      }
+      if (row + 1 < GRID_SIZE && random() > 0.1) {
+        elements.push({
+          type: "way",
+          id: wayId++,
+          nodes: [nodeId(row, column), nodeId(row + 1, column)],
+          tags: {
+            highway: "secondary",
+            ...(column % 3 === 0 && { oneway: "yes" }),
+          },
+        });
+      }
+    }
+  }
+
+  const detached = GRID_SIZE * GRID_SIZE + 1;
+  elements.push(
+    { type: "node", id: detached, lat: 47.62, lon: -122.31 },
+    { type: "node", id: detached + 1, lat: 47.621, lon: -122.31 },
+    {
+      type: "way",
+      id: wayId,
+      nodes: [detached, detached + 1],
+      tags: { highway: "residential" },
+    }
+  );
+  return { elements };
+}
+
+/**
+ * Exact costs from one node to every node it can reach
+ *
+ * @param {Map} nodeMap - Node id -> node
+ * @param {Object} source - Start node
+ * @param {string} metric - Cost metric
+ * @returns {Map} Node id -> cost
+ */
+function runDijkstra(nodeMap, source, metric) {
+  const costs = new Map([[source.id, 0]]);
+  const queue = new CustomPriorityQueue((a, b) => a.f - b.f);
+  queue.enqueue({ id: source.id, f: 0 });
+  const settled = new Set();
+
+  while (!queue.isEmpty()) {
+    const { id, f } = queue.dequeue();
+    if (settled.has(id)) continue;
+    settled.add(id);
+    for (const connection of nodeMap.get(id).connections) {
+      const cost = f + getEdgeCost(connection, metric);
+      if (cost < (costs.get(connection.nodeId) ?? Infinity)) {
+        costs.set(connection.nodeId, cost);
+        queue.enqueue({ id: connection.nodeId, f: cost });
+      }
+    }
+  }
+  return costs;
+}
+
+/**
+ * Find the pairs of nodes whose estimate exceeds the exact cost
+ *
+ * @param {Array} graph - Graph to route on
+ * @param {Function} heuristic - Heuristic (nodeA, nodeB) => estimate
+ * @param {string} metric - Cost metric
+ * @param {Array} starts - Nodes to check from; every node when omitted
+ * @returns {Object} {pairs, overestimates} - pairs checked and "a->b" labels
+ */
+function findOverestimates(graph, heuristic, metric, starts = graph) {
+  const nodeMap = new Map(graph.map((node) => [node.id, node]));
+  let pairs = 0;
+  const overestimates = [];
+  for (const start of starts) {
+    const costs = runDijkstra(nodeMap, start, metric);
+    for (const [id, cost] of costs) {
+      pairs++;
+      if (heuristic(start, nodeMap.get(id)) > cost + TOLERANCE) {
+        overestimates.push(`${start.id}->${id}`);
+      }
+    }
+  }
+  return { pairs, overestimates };
+}
+
+/**
+ * Check that landmark bounds never exceed the exact route cost, with and
+ * without virtual nodes, and that tables survive serialisation
+ */
+async function testLandmarks() {
+  console.log("Starting landmark (ALT) tests...");
+
+  const graph = await quietly(() => buildStreetGraph(createGridData()));
+  const spatialIndex = await quietly(() => buildSpatialIndex(graph));
+
+  const snaps = SNAP_POINTS.map((point) => snapToRoad(spatialIndex, point));
+  const { graph: searchGraph, nodes: virtualNodes } = insertVirtualNodes(
+    graph,
+    snaps
+  );
+
+  for (const metric of METRICS) {
+    for (const method of ["avoid", "farthest"]) {
+      console.log(`\nTesting ${method} landmarks for ${metric}...`);
+      const tables = await quietly(() =>
+        buildLandmarkTables(graph, { metric, method })
+      );
+
+      const heuristic = createLandmarkHeuristic(graph, tables);
+      const plain = findOverestimates(graph, heuristic, metric);
+      check(
+        `bound is admissible on ${plain.pairs} node pairs`,
+        plain.overestimates,
+        []
+      );
+
+      // Routes from virtual nodes, and to them from every node
+      const virtualHeuristic = createLandmarkHeuristic(
+        graph,
+        tables,
+        virtualNodes
+      );
+      const virtual = findOverestimates(searchGraph, virtualHeuristic, metric);
+      check(
+        `bound is admissible with ${virtualNodes.length} virtual nodes`,
+        virtual.overestimates,
+        []
+      );
+
+      const restored = deserializeLandmarkTables(
+        JSON.parse(JSON.stringify(serializeLandmarkTables(tables)))
+      );
+      // Compared as text, since JSON would turn Infinity into null
+      const asText = (distances) => Array.from(distances, String);
+      check(
+        "tables round-trip through serialisation",
+        [
+          restored.landmarkIds,
+          restored.forward.map(asText),
+          restored.backward.map(asText),
+        ],
+        [
+          tables.landmarkIds,
+          tables.forward.map(asText),
+          tables.backward.map(asText),
+        ]
+      );
+      check(
+        "serialised tables keep unreachable nodes",
+        restored.forward.some((distances) => distances.includes(Infinity)),
+        true
+      );
+    }
+  }
+
+  reportResults();
+}
+
+testLandmarks();
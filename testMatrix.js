@@ -0,0 +1,239 @@
+import fs from "fs";
+import {
+  buildStreetGraph,
+  snapToRoad,
+  insertVirtualNodes,
+} from "./services/routing/graphUtils.js";
+import {
+  runAStarOnStreetGraph,
+  heuristics,
+} from "./services/routing/aStarRouting.js";
+import {
+  computeMatrix,
+  runOneToManyDijkstra,
+} from "./services/routing/matrix.js";
+import { getSeattleGraph, getSpatialIndex } from "./services/graphCache.js";
+import { addClosure, clearClosures } from "./services/closureService.js";
+import {
+  check,
+  reportResults,
+  quietly,
+  createGridGraph,
+  storeTestGraph,
+} from "./testUtils.js";
+
+// A primary road with a residential street beside it, joined in the middle
+const FIXTURE_PATH = "./fixtures/rush-hour.json";
+const BOUNDS = { south: 47.6, west: -122.34, north: 47.603, east: -122.32 };
+
+// Near the west end, on the primary road, and on the residential street
+const POINTS = [
+  { lat: 47.6001, lng: -122.3399 },
+  { lat: 47.5999, lng: -122.325 },
+  { lat: 47.6031, lng: -122.335 },
+];
+
+const GRID_SIZE = 12;
+const SOURCE_COUNT = 8;
+
+/**
+ * Round to the millimetre or millisecond, keeping nulls
+ *
+ * @param {number|null} value - Value
+ * @returns {number|null} Rounded value
+ */
+function round(value) {
+  return value === null ? null : Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Build the matrix cell by cell with one A* search per pair
+ *
+ * @param {Array} graph - Street graph
+ * @param {Array} sources - Points {lat, lng}
+ * @param {Array} targets - Points {lat, lng}
+ * @param {string} metric - Cost metric
+ * @returns {Promise<Object>} {durations, distances}, rounded
+ */
+async function searchEachPair(graph, sources, targets, metric) {
+  const spatialIndex = getSpatialIndex(graph);
+  const snaps = [...sources, ...targets].map((point) =>
+    snapToRoad(spatialIndex, point)
+  );
+  const { graph: searchGraph, nodes } = insertVirtualNodes(graph, snaps);
+  const targetNodes = nodes.slice(sources.length);
+
+  const durations = [];
+  const distances = [];
+  for (const sourceNode of nodes.slice(0, sources.length)) {
+    const results = await quietly(() =>
+      targetNodes.map((targetNode) =>
+        sourceNode === targetNode
+          ? { path: [sourceNode], distance: 0, duration: 0 }
+          : runAStarOnStreetGraph(
+              searchGraph,
+              sourceNode,
+              targetNode,
+              heuristics.dijkstra,
+              { metric }
+            )
+      )
+    );
+    durations.push(
+      results.map((result) =>
+        result.path.length ? round(result.duration || 0) : null
+      )
+    );
+    distances.push(
+      results.map((result) =>
+        result.path.length ? round(result.distance) : null
+      )
+    );
+  }
+  return { durations, distances };
+}
+
+/**
+ * Check matrices against a search per pair, on the fixture through
+ * computeMatrix and on a seeded grid with one-way streets
+ */
+async function testMatrix() {
+  console.log("Starting travel matrix tests...");
+  const fixture = await quietly(() =>
+    buildStreetGraph(JSON.parse(fs.readFileSync(FIXTURE_PATH, "utf8")))
+  );
+  for (const node of fixture) {
+    Object.assign(node, { elevation: 50, elevationMeasured: true });
+  }
+  const directory = await storeTestGraph(BOUNDS, fixture);
+
+  try {
+    const graph = await quietly(() => getSeattleGraph(BOUNDS));
+    const matrix = await quietly(() =>
+      computeMatrix(POINTS, undefined, { bounds: BOUNDS })
+    );
+
+    console.log("\nTesting a square matrix...");
+    check(
+      "one row per source and one column per target",
+      [matrix.code, matrix.durations.map((row) => row.length)],
+      ["Ok", [3, 3, 3]]
+    );
+    check(
+      "zero on the diagonal",
+      POINTS.map((_, i) => [matrix.durations[i][i], matrix.distances[i][i]]),
+      POINTS.map(() => [0, 0])
+    );
+    const expected = await searchEachPair(graph, POINTS, POINTS, "time");
+    check(
+      "durations match a search per pair",
+      matrix.durations.map((row) => row.map(round)),
+      expected.durations
+    );
+    check(
+      "distances follow the quickest paths",
+      matrix.distances.map((row) => row.map(round)),
+      expected.distances
+    );
+    check(
+      "waypoints for sources and destinations",
+      [matrix.sources.length, matrix.destinations],
+      [3, matrix.sources]
+    );
+
+    console.log("\nTesting other shapes and metrics...");
+    const oneToMany = await quietly(() =>
+      computeMatrix(POINTS.slice(0, 1), POINTS.slice(1), { bounds: BOUNDS })
+    );
+    check(
+      "separate targets give the same cells",
+      oneToMany.durations.map((row) => row.map(round)),
+      [expected.durations[0].slice(1)]
+    );
+    const byDistance = await quietly(() =>
+      computeMatrix(POINTS, undefined, { bounds: BOUNDS, metric: "distance" })
+    );
+    check(
+      "shortest distances",
+      byDistance.distances.map((row) => row.map(round)),
+      (await searchEachPair(graph, POINTS, POINTS, "distance")).distances
+    );
+
+    // With the primary road closed nothing reaches the point on it
+    await quietly(() => addClosure({ type: "ways", wayIds: [10] }));
+    const closed = await quietly(() =>
+      computeMatrix(POINTS, undefined, { bounds: BOUNDS })
+    );
+    const ignored = await quietly(() =>
+      computeMatrix(POINTS, undefined, { bounds: BOUNDS, closures: false })
+    );
+    clearClosures();
+    check(
+      "closed roads leave targets unreachable",
+      [
+        closed.unreachable[2][1],
+        closed.durations[2][1],
+        closed.distances[2][1],
+      ],
+      [true, null, null]
+    );
+    check(
+      "closures can be ignored",
+      ignored.durations.map((row) => row.map(round)),
+      expected.durations
+    );
+
+    let error = null;
+    try {
+      await computeMatrix(POINTS);
+    } catch (caught) {
+      error = caught.message;
+    }
+    check("bounds are required", error, "computeMatrix needs the graph bounds");
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+
+  // One-way streets mean some targets are reached by a detour; a detached
+  // node can't be reached at all
+  console.log(
+    `\nTesting one-to-many searches on a ${GRID_SIZE}x${GRID_SIZE} grid...`
+  );
+  const island = { id: 0, lat: 47.59, lng: -122.34, connections: [] };
+  const grid = [...createGridGraph(GRID_SIZE), island];
+  const nodeMap = new Map(grid.map((node) => [node.id, node]));
+  const mismatched = [];
+  let unreachable = 0;
+  for (let i = 0; i < SOURCE_COUNT; i++) {
+    const sourceNode = grid[(i * 37) % (grid.length - 1)];
+    const row = runOneToManyDijkstra(nodeMap, sourceNode, grid, {
+      metric: "distance",
+    });
+    const results = await quietly(() =>
+      grid.map((targetNode) =>
+        runAStarOnStreetGraph(
+          grid,
+          sourceNode,
+          targetNode,
+          heuristics.haversine
+        )
+      )
+    );
+    results.forEach((result, j) => {
+      const found = result.path.length > 0 || grid[j] === sourceNode;
+      if (!row[j]) unreachable++;
+      if (
+        found !== Boolean(row[j]) ||
+        (row[j] && Math.abs(row[j].cost - (result.distance || 0)) > 1e-6)
+      ) {
+        mismatched.push(`${sourceNode.id}>${grid[j].id}`);
+      }
+    });
+  }
+  check("every target as A* finds it", mismatched, []);
+  check("only the detached node is unreachable", unreachable, SOURCE_COUNT);
+
+  reportResults();
+}
+
+testMatrix();
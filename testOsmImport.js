@@ -0,0 +1,130 @@
+import fs from "fs";
+import { loadOsmFile } from "./services/routing/osmImport.js";
+import { check, reportResults, quietly } from "./testUtils.js";
+
+// The same small network as OSM XML, Overpass JSON and .osm.pbf: two streets
+// and a footway, a turn restriction on the streets, one on the footway and a
+// bus route. Node ids are above 2^32; the PBF block has negative coordinate
+// offsets, and its way refs and relation member ids step backwards.
+const FIXTURE_PATHS = {
+  xml: "./fixtures/osm-import.osm",
+  json: "./fixtures/osm-import.json",
+  pbf: "./fixtures/osm-import.osm.pbf",
+};
+
+const PINE_ST = {
+  type: "way",
+  id: 101,
+  nodes: [5000000001, 5000000002, 5000000004],
+  tags: { highway: "residential", name: "Pine St" },
+};
+const POST_AND_PIKE = {
+  type: "way",
+  id: 102,
+  nodes: [5000000003, 5000000002],
+  tags: { highway: "tertiary", name: "Post & Pike" },
+};
+const NO_LEFT_TURN = {
+  type: "relation",
+  id: 201,
+  members: [
+    { type: "way", ref: 101, role: "from" },
+    { type: "node", ref: 5000000002, role: "via" },
+    { type: "way", ref: 102, role: "to" },
+  ],
+  tags: { type: "restriction", restriction: "no_left_turn" },
+};
+
+/**
+ * Load a fixture with the import logging muted, rounding coordinates to the
+ * 1e-7 degree precision of OSM
+ *
+ * @param {string|Blob} source - File path or Blob
+ * @param {Object} options - Options passed to loadOsmFile
+ * @returns {Promise<Array>} Imported elements
+ */
+async function loadElements(source, options = {}) {
+  const { elements } = await quietly(() => loadOsmFile(source, options));
+  return elements.map((element) =>
+    element.type === "node"
+      ? {
+          ...element,
+          lat: Math.round(element.lat * 1e7) / 1e7,
+          lon: Math.round(element.lon * 1e7) / 1e7,
+        }
+      : element
+  );
+}
+
+/**
+ * Get the elements of one type
+ *
+ * @param {Array} elements - Imported elements
+ * @param {string} type - "node", "way" or "relation"
+ * @returns {Array} Matching elements
+ */
+function ofType(elements, type) {
+  return elements.filter((element) => element.type === type);
+}
+
+/**
+ * Check that every file format imports the fixture network to the same
+ * Overpass-style elements, and the bounds filter
+ */
+async function testOsmImport() {
+  console.log("Starting OSM import tests...");
+
+  for (const [format, path] of Object.entries(FIXTURE_PATHS)) {
+    console.log(`\nTesting ${format}...`);
+    const elements = await loadElements(path);
+
+    // The footway is not routable, so its restriction goes with it
+    check(`${format} routable ways and tags`, ofType(elements, "way"), [
+      PINE_ST,
+      POST_AND_PIKE,
+    ]);
+    check(`${format} turn restrictions`, ofType(elements, "relation"), [
+      NO_LEFT_TURN,
+    ]);
+
+    // Only the nodes the ways use, in the order the ways use them
+    check(`${format} node ids and coordinates`, ofType(elements, "node"), [
+      { type: "node", id: 5000000001, lat: 47.6062, lon: -122.3321 },
+      { type: "node", id: 5000000002, lat: 47.6072, lon: -122.3321 },
+      { type: "node", id: 5000000004, lat: 47.6082, lon: -122.3321 },
+      { type: "node", id: 5000000003, lat: 47.6072, lon: -122.3305 },
+    ]);
+  }
+
+  // Without a file name the format comes from the first bytes
+  console.log("\nTesting format detection...");
+  for (const [format, path] of Object.entries(FIXTURE_PATHS)) {
+    check(
+      `${format} from content`,
+      await loadElements(new Blob([fs.readFileSync(path)])),
+      await loadElements(path)
+    );
+  }
+
+  // Bounds around the south end of Pine St drop Post & Pike and with it
+  // the restriction that uses it
+  console.log("\nTesting bounds...");
+  const bounded = await loadElements(FIXTURE_PATHS.pbf, {
+    bounds: { south: 47.606, north: 47.607, west: -122.333, east: -122.332 },
+  });
+  check(
+    "ways with a node inside",
+    ofType(bounded, "way").map((way) => way.id),
+    [101]
+  );
+  check("restrictions on dropped ways", ofType(bounded, "relation"), []);
+  check(
+    "nodes of kept ways",
+    ofType(bounded, "node").map((node) => node.id),
+    [5000000001, 5000000002, 5000000004]
+  );
+
+  reportResults();
+}
+
+testOsmImport();
@@ -0,0 +1,85 @@
+import fs from "fs";
+import { buildStreetGraph } from "./services/routing/graphUtils.js";
+import { TRAVEL_PROFILES } from "./services/routing/osmRules.js";
+
+const FIXTURE_PATH = "./fixtures/oneway-access.json";
+
+/**
+ * Work out which directions a way was added to the graph in
+ *
+ * @param {Array} graph - Graph from buildStreetGraph
+ * @param {Object} way - OSM way with its node ids
+ * @returns {string} "forward", "backward", "both" or "none"
+ */
+function getGraphDirections(graph, way) {
+  const nodeMap = new Map(graph.map((node) => [node.id, node]));
+  const last = way.nodes.length - 1;
+
+  // Nodes without any usable connection are dropped from the graph
+  const hasEdge = (fromId, toId) =>
+    (nodeMap.get(fromId)?.connections || []).some(
+      (c) => c.wayId === way.id && c.nodeId === toId
+    );
+
+  const forward = hasEdge(way.nodes[0], way.nodes[1]);
+  const backward = hasEdge(way.nodes[last], way.nodes[last - 1]);
+
+  if (forward && backward) return "both";
+  if (forward) return "forward";
+  if (backward) return "backward";
+  return "none";
+}
+
+/**
+ * Build the fixture graph for every travel profile and compare each way's
+ * directions with the expected ones
+ */
+function testOsmRules() {
+  console.log("Starting OSM access and oneway tests...");
+
+  const fixture = JSON.parse(fs.readFileSync(FIXTURE_PATH, "utf8"));
+  const ways = new Map(
+    fixture.elements
+      .filter((element) => element.type === "way")
+      .map((way) => [way.id, way])
+  );
+  let failures = 0;
+
+  for (const profile of Object.keys(TRAVEL_PROFILES)) {
+    console.log(`\nTesting ${profile} profile...`);
+    const graph = buildStreetGraph(fixture, { profile });
+    const nodeIds = new Set(graph.map((node) => node.id));
+
+    for (const testCase of fixture.cases) {
+      const way = ways.get(testCase.wayId);
+      const actual = getGraphDirections(graph, way);
+      const expected = testCase.expected[profile];
+
+      if (actual === expected) {
+        console.log(`  ok   ${testCase.description}: ${actual}`);
+      } else {
+        failures++;
+        console.log(
+          `  FAIL ${testCase.description}: expected ${expected}, got ${actual}`
+        );
+      }
+
+      // Both ends of a usable way stay in the graph, even the end of a
+      // one-way way that nothing leaves from
+      const kept = way.nodes.filter((id) => nodeIds.has(id)).length;
+      const expectedKept = expected === "none" ? 0 : way.nodes.length;
+      if (kept !== expectedKept) {
+        failures++;
+        console.log(
+          `  FAIL ${testCase.description}: expected ${expectedKept} nodes ` +
+            `in the graph, got ${kept}`
+        );
+      }
+    }
+  }
+
+  console.log(failures === 0 ? "\nAll cases passed" : `\n${failures} failed`);
+  if (failures > 0) process.exitCode = 1;
+}
+
+testOsmRules();
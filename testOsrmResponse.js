@@ -0,0 +1,307 @@
+import fs from "fs";
+import { buildStreetGraph } from "./services/routing/graphUtils.js";
+import {
+  runAStarOnStreetGraph,
+  heuristics,
+} from "./services/routing/aStarRouting.js";
+import {
+  GEOMETRY_FORMATS,
+  buildRouteResponse,
+  joinRoutes,
+  encodeGeometry,
+  decodeGeometry,
+  getPathEdges,
+} from "./services/routing/osrmResponse.js";
+import { DEFAULT_SPEED_TABLE } from "./services/routing/travelTime.js";
+import { check, reportResults, quietly } from "./testUtils.js";
+
+// A primary road with a residential street beside it, joined in the middle
+const RUSH_HOUR_PATH = "./fixtures/rush-hour.json";
+// A four-arm roundabout entered from South St
+const ROUNDABOUT_PATH = "./fixtures/roundabout.json";
+
+/**
+ * Round a value to millimetres or milliseconds so float noise doesn't count
+ *
+ * @param {number} value - Value
+ * @returns {number} Rounded value
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Build a graph from a fixture
+ *
+ * @param {string} path - Fixture path
+ * @returns {Promise<Array>} Graph nodes
+ */
+function loadGraph(path) {
+  return quietly(() =>
+    buildStreetGraph(JSON.parse(fs.readFileSync(path, "utf8")))
+  );
+}
+
+/**
+ * Make a search result that follows given nodes, costed from their edges
+ *
+ * @param {Array} graph - Graph nodes
+ * @param {Array} nodeIds - Node ids along the path
+ * @returns {Object} Result {path, nodeIds, distance, duration}
+ */
+function followNodes(graph, nodeIds) {
+  const nodeMap = new Map(graph.map((node) => [node.id, node]));
+  const edges = getPathEdges(graph, nodeIds, "time");
+  return {
+    path: nodeIds.map((id) => ({
+      lat: nodeMap.get(id).lat,
+      lng: nodeMap.get(id).lng,
+    })),
+    nodeIds,
+    distance: edges.reduce((sum, edge) => sum + edge.connection.distance, 0),
+    duration: edges.reduce((sum, edge) => sum + edge.connection.duration, 0),
+  };
+}
+
+/**
+ * Summarise a leg's steps as [type, modifier, exit, name]
+ *
+ * @param {Object} leg - OSRM leg
+ * @returns {Array} One entry per step
+ */
+function describeSteps(leg) {
+  return leg.steps.map(({ maneuver, name }) => [
+    maneuver.type,
+    maneuver.modifier || null,
+    maneuver.exit || null,
+    name,
+  ]);
+}
+
+/**
+ * Check route responses built from search results: steps, roundabout exits,
+ * totals and geometries, and joining routes into legs
+ */
+async function testOsrmResponse() {
+  console.log("Starting route response tests...");
+  const rushHour = await loadGraph(RUSH_HOUR_PATH);
+  const roundabout = await loadGraph(ROUNDABOUT_PATH);
+
+  // Two ways between the same nodes: a short slow one and a long quick one
+  console.log("\nTesting path edges...");
+  const parallel = [
+    {
+      id: "a",
+      connections: [
+        { nodeId: "b", distance: 100, duration: 20, name: "Lane" },
+        { nodeId: "b", distance: 150, duration: 10, name: "Avenue" },
+      ],
+    },
+    { id: "b", connections: [] },
+  ];
+  check(
+    "cheapest connection in the metric",
+    ["distance", "time"].map(
+      (metric) => getPathEdges(parallel, ["a", "b"], metric)[0].connection.name
+    ),
+    ["Lane", "Avenue"]
+  );
+  check("no edge between two nodes", getPathEdges(parallel, ["b", "a"]), [
+    null,
+  ]);
+
+  console.log("\nTesting steps...");
+  const detour = followNodes(rushHour, [1, 2, 5, 6, 3]);
+  const response = buildRouteResponse(detour, {
+    graph: rushHour,
+    metric: "time",
+    waypoints: [detour.path[0], detour.path[4]],
+  });
+  const [route] = response.routes;
+  check("a step per street", describeSteps(route.legs[0]), [
+    ["depart", null, null, "Denny Way"],
+    ["turn", "left", null, "Dexter Ave"],
+    ["turn", "right", null, "John St"],
+    ["arrive", null, null, "John St"],
+  ]);
+  check(
+    "steps add up to the route",
+    [
+      round(route.legs[0].steps.reduce((sum, step) => sum + step.distance, 0)),
+      round(route.legs[0].steps.reduce((sum, step) => sum + step.duration, 0)),
+      route.weight_name,
+      round(route.weight),
+    ],
+    [
+      round(detour.distance),
+      round(detour.duration),
+      "duration",
+      round(detour.duration),
+    ]
+  );
+  check(
+    "totals and summary",
+    [
+      round(route.distance),
+      round(route.duration),
+      route.legs[0].summary,
+      response.waypoints.map((waypoint) => waypoint.location),
+    ],
+    [
+      round(detour.distance),
+      round(detour.duration),
+      "Denny Way, John St",
+      [
+        [-122.34, 47.6],
+        [-122.32, 47.6],
+      ],
+    ]
+  );
+  check(
+    "turning back along the same street",
+    describeSteps(
+      buildRouteResponse(followNodes(rushHour, [1, 2, 1]), { graph: rushHour })
+        .routes[0].legs[0]
+    ).map(([type, modifier]) => [type, modifier]),
+    [
+      ["depart", null],
+      ["continue", "uturn"],
+      ["arrive", null],
+    ]
+  );
+
+  // Exits are counted from the entry, passing an exit at each node
+  console.log("\nTesting roundabouts...");
+  for (const [target, exit, modifier, name] of [
+    [2, 1, "right", "East St"],
+    [3, 2, "straight", "North St"],
+    [4, 3, "left", "West St"],
+  ]) {
+    const result = await quietly(() => {
+      const nodeMap = new Map(roundabout.map((node) => [node.id, node]));
+      return runAStarOnStreetGraph(
+        roundabout,
+        nodeMap.get(1),
+        nodeMap.get(target),
+        heuristics.haversine,
+        { metric: "time" }
+      );
+    });
+    const leg = buildRouteResponse(result, { graph: roundabout }).routes[0]
+      .legs[0];
+    check(
+      `exit ${exit} to ${name}`,
+      [describeSteps(leg)[1], leg.steps[2].maneuver.type, leg.steps[2].name],
+      [["roundabout", modifier, exit, "Denny Circle"], "exit roundabout", name]
+    );
+  }
+  check(
+    "refs are kept on their steps",
+    buildRouteResponse(followNodes(roundabout, [1, 11, 12, 2]), {
+      graph: roundabout,
+    }).routes[0].legs[0].steps.map((step) => step.ref || null),
+    [null, null, "SR 2", "SR 2"]
+  );
+
+  // Without the graph the streets are unknown; times follow the lengths
+  console.log("\nTesting results without a graph...");
+  const bare = buildRouteResponse(
+    { ...detour, nodeIds: undefined, nodesExploredForward: 3 },
+    { metric: "distance" }
+  ).routes[0];
+  check(
+    "one unnamed step, scaled to the search's duration",
+    [
+      describeSteps(bare.legs[0]).map(([type]) => type),
+      round(bare.duration),
+      bare.weight_name,
+      round(bare.weight),
+      bare.nodesExploredForward,
+    ],
+    [
+      ["depart", "arrive"],
+      round(detour.duration),
+      "distance",
+      round(bare.distance),
+      3,
+    ]
+  );
+  const noDuration = buildRouteResponse({
+    path: detour.path.slice(0, 2),
+    distance: 500,
+  }).routes[0];
+  check(
+    "duration at the default speed when the search has none",
+    round(noDuration.duration),
+    round(noDuration.distance / (DEFAULT_SPEED_TABLE.default / 3.6))
+  );
+  check(
+    "no path",
+    buildRouteResponse({ path: [], distance: 0 }).routes[0].legs[0].steps,
+    []
+  );
+
+  console.log("\nTesting geometries and joined routes...");
+  const points = [
+    { lat: 47.6012346, lng: -122.3398764 },
+    { lat: 47.61, lng: -122.33 },
+  ];
+  check(
+    "geometries round trip at their precision",
+    GEOMETRY_FORMATS.map((format) =>
+      decodeGeometry(encodeGeometry(points, format), format).map(
+        ({ lat, lng }) => [lat, lng]
+      )
+    ),
+    [
+      [
+        [47.60123, -122.33988],
+        [47.61, -122.33],
+      ],
+      [
+        [47.601235, -122.339876],
+        [47.61, -122.33],
+      ],
+      [
+        [47.6012346, -122.3398764],
+        [47.61, -122.33],
+      ],
+    ]
+  );
+  for (const geometries of GEOMETRY_FORMATS) {
+    const legs = [
+      [1, 2],
+      [2, 5, 6],
+    ].map(
+      (nodeIds) =>
+        buildRouteResponse(
+          { ...followNodes(rushHour, nodeIds), nodesExplored: 4 },
+          { graph: rushHour, geometries }
+        ).routes[0]
+    );
+    const joined = joinRoutes(legs, { geometries });
+    check(
+      `joined ${geometries} route`,
+      [
+        decodeGeometry(joined.geometry, geometries).length,
+        joined.legs.length,
+        round(joined.distance),
+        round(joined.duration),
+        joined.nodesExplored,
+        joined.weight_name,
+      ],
+      [
+        4,
+        2,
+        round(legs[0].distance + legs[1].distance),
+        round(legs[0].duration + legs[1].duration),
+        8,
+        "duration",
+      ]
+    );
+  }
+
+  reportResults();
+}
+
+testOsrmResponse();
@@ -0,0 +1,265 @@
+import { CustomPriorityQueue } from "./services/routing/common.js";
+import {
+  runAStarOnStreetGraph,
+  heuristics,
+} from "./services/routing/aStarRouting.js";
+import { runAStarOnStreetGraph3 } from "./services/routing/thirdRouting.js";
+import { fallbackGridBasedAStar } from "./services/routing/gridRouting.js";
+import { check, reportResults, quietly, createGridGraph } from "./testUtils.js";
+
+const GRID_SIZE = 12;
+
+// Allowance for float noise in summed edge costs
+const TOLERANCE = 1e-6;
+
+// The sorted-array queue the searches used before decrease-key: a node that
+// was already queued kept the priority it was first queued with
+const LEGACY_METHODS = {
+  enqueue(element) {
+    this.values.push(element);
+    this.values.sort(this.comparator);
+  },
+  dequeue() {
+    return this.values.shift();
+  },
+  isEmpty() {
+    return this.values.length === 0;
+  },
+  has(key) {
+    return this.values.some((element) => this.keyOf(element) === key);
+  },
+  decreaseKey() {
+    this.staleUpdates++;
+  },
+};
+
+/**
+ * Create a queue ordered by f-score, keyed by id
+ *
+ * @returns {CustomPriorityQueue} Empty queue
+ */
+function createQueue() {
+  return new CustomPriorityQueue((a, b) => a.f - b.f);
+}
+
+/**
+ * Remove every element from a queue
+ *
+ * @param {CustomPriorityQueue} queue - Queue to drain
+ * @returns {Array} Element ids in dequeue order
+ */
+function drain(queue) {
+  const ids = [];
+  while (!queue.isEmpty()) ids.push(queue.dequeue().id);
+  return ids;
+}
+
+/**
+ * Run a search with the searches' queues swapped for the legacy queue
+ *
+ * @param {Function} fn - Search to run, possibly async
+ * @returns {Promise<Object>} {result, staleUpdates} - staleUpdates counts the
+ *   improved priorities the legacy queue ignored
+ */
+async function withLegacyQueue(fn) {
+  const prototype = CustomPriorityQueue.prototype;
+  const current = Object.fromEntries(
+    Object.keys(LEGACY_METHODS).map((name) => [name, prototype[name]])
+  );
+  const queues = [];
+  Object.assign(prototype, LEGACY_METHODS);
+  // Legacy state is created on first use, since the constructor is shared
+  Object.defineProperty(prototype, "values", {
+    configurable: true,
+    get() {
+      queues.push(this);
+      Object.defineProperty(this, "values", { value: [] });
+      this.staleUpdates = 0;
+      return this.values;
+    },
+  });
+  try {
+    const result = await quietly(fn);
+    const staleUpdates = queues.reduce(
+      (total, queue) => total + queue.staleUpdates,
+      0
+    );
+    return { result, staleUpdates };
+  } finally {
+    delete prototype.values;
+    Object.assign(prototype, current);
+  }
+}
+
+/**
+ * Sum the edge lengths along a path's node ids
+ *
+ * @param {Map} nodeMap - Node id -> node
+ * @param {Array} nodeIds - Node ids of the path
+ * @returns {number} Length in meters
+ */
+function getPathLength(nodeMap, nodeIds) {
+  let length = 0;
+  for (let i = 1; i < nodeIds.length; i++) {
+    length += Math.min(
+      ...nodeMap
+        .get(nodeIds[i - 1])
+        .connections.filter((c) => c.nodeId === nodeIds[i])
+        .map((c) => c.distance)
+    );
+  }
+  return length;
+}
+
+/**
+ * Run the street and grid searches with the current and legacy queues and
+ * compare how many nodes each expands and how long the routes are
+ */
+async function compareExpansionCounts() {
+  const graph = createGridGraph(GRID_SIZE);
+  const nodeMap = new Map(graph.map((node) => [node.id, node]));
+  const searches = {
+    aStar: (start, end) =>
+      runAStarOnStreetGraph(graph, start, end, heuristics.haversine),
+    dijkstra: (start, end) => runAStarOnStreetGraph3(graph, start, end),
+  };
+
+  let runs = 0;
+  let staleRuns = 0;
+  const countMismatches = [];
+  const longerRoutes = [];
+  for (const [name, search] of Object.entries(searches)) {
+    for (const start of graph.filter((node) => node.id % 7 === 1)) {
+      for (const end of graph.filter((node) => node.id % 11 === 0)) {
+        if (start === end) continue;
+        runs++;
+        const current = await quietly(() => search(start, end));
+        const legacy = await withLegacyQueue(() => search(start, end));
+        const label = `${name} ${start.id}->${end.id}`;
+
+        if (legacy.staleUpdates === 0) {
+          if (current.nodesExplored !== legacy.result.nodesExplored) {
+            countMismatches.push(label);
+          }
+        } else {
+          staleRuns++;
+        }
+        const length = getPathLength(nodeMap, current.nodeIds);
+        const legacyLength = getPathLength(nodeMap, legacy.result.nodeIds);
+        if (length > legacyLength + TOLERANCE) longerRoutes.push(label);
+      }
+    }
+  }
+
+  check(
+    `counts agree on the ${
+      runs - staleRuns
+    } of ${runs} routes without stale priorities`,
+    countMismatches,
+    []
+  );
+  check(
+    "grid has routes where the legacy queue kept a stale priority",
+    staleRuns > 0,
+    true
+  );
+  check("updated priorities never give a longer route", longerRoutes, []);
+
+  // Every grid step costs the same, so no queued priority ever improves
+  const bounds = { north: 47.61, south: 47.6, east: -122.33, west: -122.34 };
+  const gridSearch = () =>
+    fallbackGridBasedAStar(
+      { lat: 47.601, lng: -122.339 },
+      { lat: 47.608, lng: -122.332 },
+      bounds,
+      { gridSize: 100 }
+    );
+  const gridCurrent = await quietly(gridSearch);
+  const gridLegacy = await withLegacyQueue(gridSearch);
+  check(
+    "fallback grid search expands the same cells",
+    [gridCurrent.nodesExplored, gridCurrent.distance],
+    [gridLegacy.result.nodesExplored, gridLegacy.result.distance]
+  );
+}
+
+/**
+ * Check ordering, tie-breaking and priority updates of the search queue,
+ * and the searches' expansion counts against the legacy queue
+ */
+async function testPriorityQueue() {
+  console.log("Starting priority queue tests...");
+
+  // Ordering against a sort of pseudo-random priorities
+  const queue = createQueue();
+  const items = [];
+  let seed = 7;
+  for (let id = 0; id < 200; id++) {
+    seed = (seed * 16807) % 2147483647;
+    items.push({ id, f: seed % 50 });
+  }
+  items.forEach((item) => queue.enqueue(item));
+  const expected = items
+    .slice()
+    .sort((a, b) => a.f - b.f || a.id - b.id)
+    .map((item) => item.id);
+  check("dequeues in priority order", drain(queue), expected);
+  check("dequeue on an empty queue", queue.dequeue(), undefined);
+
+  // Equal priorities come out in insertion order
+  const ties = createQueue();
+  ["c", "a", "b"].forEach((id) => ties.enqueue({ id, f: 1 }));
+  check("ties leave in insertion order", drain(ties), ["c", "a", "b"]);
+
+  // Lowering a priority moves the element forward, keeping its tie order
+  const lowered = createQueue();
+  [
+    { id: "a", f: 5 },
+    { id: "b", f: 3 },
+    { id: "c", f: 4 },
+    { id: "d", f: 2 },
+  ].forEach((item) => lowered.enqueue(item));
+  lowered.decreaseKey({ id: "a", f: 2 });
+  check("decrease-key moves an element up", drain(lowered), [
+    "a",
+    "d",
+    "b",
+    "c",
+  ]);
+
+  // Raising a priority, directly or by enqueueing the key again, moves it back
+  const raised = createQueue();
+  ["a", "b", "c", "d", "e"].forEach((id, index) =>
+    raised.enqueue({ id, f: index })
+  );
+  raised.decreaseKey({ id: "a", f: 10 });
+  raised.enqueue({ id: "b", f: 3.5 });
+  check("raised priorities move down", drain(raised), [
+    "c",
+    "d",
+    "b",
+    "e",
+    "a",
+  ]);
+
+  // Membership and lookup follow updates and removals
+  const lookup = createQueue();
+  lookup.enqueue({ id: 1, f: 4 });
+  lookup.enqueue({ id: 2, f: 1 });
+  lookup.decreaseKey({ id: 1, f: 0 });
+  check("get returns the updated element", lookup.get(1), { id: 1, f: 0 });
+  check("size counts each key once", lookup.size, 2);
+  check("peek returns the lowest element", lookup.peek(), { id: 1, f: 0 });
+  lookup.dequeue();
+  check("has forgets dequeued keys", lookup.has(1), false);
+  check("has keeps queued keys", lookup.has(2), true);
+
+  // Improved priorities used to be ignored, so counts only change where a
+  // queued node was reached again by a shorter route
+  console.log("\nTesting expansion counts against the legacy queue...");
+  await compareExpansionCounts();
+
+  reportResults();
+}
+
+testPriorityQueue();
@@ -0,0 +1,300 @@
+import fs from "fs";
+import { createApp, toWebHandler } from "h3";
+import { buildStreetGraph } from "./services/routing/graphUtils.js";
+import {
+  RoutingApiError,
+  defineRoutingHandler,
+  parseCoordinates,
+  parseIndexes,
+  parseNumberList,
+  parseInteger,
+  parseBoolean,
+  parseChoice,
+  parseProfile,
+  parseMetric,
+  snapPoints,
+} from "./server/utils/routingApi.js";
+import { check, reportResults, quietly } from "./testUtils.js";
+
+// A primary road with a residential street beside it, joined in the middle
+const FIXTURE_PATH = "./fixtures/rush-hour.json";
+
+/**
+ * Get the code and message of the error a parser throws
+ *
+ * @param {Function} fn - Function expected to throw a RoutingApiError
+ * @returns {Array|null} [code, message], or null if nothing was thrown
+ */
+function getError(fn) {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error instanceof RoutingApiError
+      ? [error.code, error.message]
+      : ["not a RoutingApiError", error.message];
+  }
+}
+
+/**
+ * Send a request to a handler through h3
+ *
+ * @param {Function} handler - Handler from defineRoutingHandler
+ * @param {string} method - HTTP method
+ * @param {string} query - Query string, without "?"
+ * @param {string} body - Request body, for POST
+ * @returns {Promise<Array>} [status, parsed body]
+ */
+async function request(handler, method, query = "", body = undefined) {
+  const app = createApp();
+  app.use("/test", handler);
+  const response = await toWebHandler(app)(
+    new Request(`http://localhost/test?${query}`, {
+      method,
+      body,
+      headers: body ? { "content-type": "application/json" } : {},
+    })
+  );
+  return [response.status, await response.json()];
+}
+
+/**
+ * Check the request parameter parsers, snapping and how handlers answer
+ * failures
+ */
+async function testRoutingApi() {
+  console.log("Starting routing API tests...");
+
+  console.log("\nTesting coordinates...");
+  check(
+    "OSRM string, longitude first",
+    parseCoordinates("-122.33,47.6;-122.32,47.61"),
+    [
+      { lat: 47.6, lng: -122.33 },
+      { lat: 47.61, lng: -122.32 },
+    ]
+  );
+  check(
+    "JSON array of pairs",
+    parseCoordinates([
+      [-122.33, 47.6],
+      ["-122.32", "47.61"],
+    ]),
+    [
+      { lat: 47.6, lng: -122.33 },
+      { lat: 47.61, lng: -122.32 },
+    ]
+  );
+  check(
+    "invalid coordinates",
+    [
+      getError(() => parseCoordinates("")),
+      getError(() => parseCoordinates({ lng: 1, lat: 2 })),
+      getError(() => parseCoordinates("-122.33,47.6;-122.32")),
+      getError(() => parseCoordinates("-122.33,47.6;abc,47.6")),
+      getError(() => parseCoordinates("47.6,-122.33;47.61,-122.32")),
+      getError(() => parseCoordinates("1,2", { min: 2 })),
+      getError(() => parseCoordinates("1,2;3,4", { max: 1 })),
+    ],
+    [
+      ["InvalidQuery", "coordinates are required"],
+      ["InvalidQuery", "coordinates must be a list"],
+      ["InvalidValue", "Coordinate 1 is not a valid longitude,latitude pair"],
+      ["InvalidValue", "Coordinate 1 is not a valid longitude,latitude pair"],
+      ["InvalidValue", "Coordinate 0 is not a valid longitude,latitude pair"],
+      ["InvalidQuery", "At least 2 coordinates are required"],
+      ["TooBig", "At most 1 coordinate is allowed"],
+    ]
+  );
+
+  console.log("\nTesting lists...");
+  check(
+    "indexes",
+    [
+      parseIndexes("0;2", 3, "sources"),
+      parseIndexes([1], 3, "sources"),
+      parseIndexes("all", 3, "sources"),
+      parseIndexes(undefined, 3, "sources"),
+    ],
+    [[0, 2], [1], null, null]
+  );
+  check(
+    "invalid indexes",
+    [
+      getError(() => parseIndexes("0;3", 3, "sources")),
+      getError(() => parseIndexes("0;1.5", 3, "sources")),
+      getError(() => parseIndexes([], 3, "destinations")),
+    ],
+    [
+      ["InvalidOptions", "sources index 3 is out of range"],
+      ["InvalidOptions", "sources index 1.5 is out of range"],
+      ["InvalidQuery", "destinations must be a list"],
+    ]
+  );
+  check(
+    "numbers",
+    [
+      parseNumberList("300,600", "contours"),
+      parseNumberList(["300"], "contours"),
+      parseNumberList(900, "contours"),
+    ],
+    [[300, 600], [300], [900]]
+  );
+  check(
+    "invalid numbers",
+    [
+      getError(() => parseNumberList("300,0", "contours")),
+      getError(() => parseNumberList("300,x", "contours")),
+      getError(() => parseNumberList("300,5000", "contours", { max: 3600 })),
+      getError(() => parseNumberList("1,2,3", "contours", { maxCount: 2 })),
+    ],
+    [
+      ["InvalidValue", "contours must be positive numbers"],
+      ["InvalidValue", "contours must be positive numbers"],
+      ["TooBig", "contours must be at most 3600"],
+      ["TooBig", "At most 2 contours are allowed"],
+    ]
+  );
+
+  console.log("\nTesting single values...");
+  const range = { min: 1, max: 5, defaultValue: 1 };
+  check(
+    "whole numbers",
+    [
+      parseInteger("3", "number", range),
+      parseInteger(5, "number", range),
+      parseInteger("", "number", range),
+    ],
+    [3, 5, 1]
+  );
+  check(
+    "invalid whole numbers",
+    ["0", "6", "2.5", "two"].map((value) =>
+      getError(() => parseInteger(value, "number", range))
+    ),
+    ["0", "6", "2.5", "two"].map(() => [
+      "InvalidValue",
+      "number must be a whole number from 1 to 5",
+    ])
+  );
+  check(
+    "flags",
+    [
+      parseBoolean("true", "steps"),
+      parseBoolean(false, "steps", true),
+      parseBoolean(undefined, "steps", true),
+      getError(() => parseBoolean("yes", "steps")),
+    ],
+    [true, false, true, ["InvalidValue", "steps must be true or false"]]
+  );
+  check(
+    "choices",
+    [
+      parseChoice("b", "letter", ["a", "b"], "a"),
+      parseChoice(null, "letter", ["a", "b"], "a"),
+      getError(() => parseChoice("c", "letter", ["a", "b"], "a")),
+    ],
+    ["b", "a", ["InvalidValue", "letter must be one of a, b"]]
+  );
+  check(
+    "profiles and metrics",
+    [
+      parseProfile(undefined),
+      parseProfile("walking"),
+      parseMetric(undefined),
+      parseMetric("distance"),
+      getError(() => parseMetric("elevation")),
+    ],
+    [
+      "driving",
+      "walking",
+      "time",
+      "distance",
+      ["InvalidValue", "metric must be one of time, distance"],
+    ]
+  );
+
+  console.log("\nTesting snapping...");
+  const graph = await quietly(() =>
+    buildStreetGraph(JSON.parse(fs.readFileSync(FIXTURE_PATH, "utf8")))
+  );
+  const snaps = await quietly(() =>
+    snapPoints(graph, [
+      { lat: 47.6001, lng: -122.335 },
+      { lat: 47.6031, lng: -122.325 },
+    ])
+  );
+  check(
+    "points snap onto the nearest road",
+    snaps.map((snap) => [snap.fromNode.id, snap.toNode.id].sort()),
+    [
+      [1, 2],
+      [5, 6],
+    ]
+  );
+  check(
+    "points far from every road",
+    await quietly(() =>
+      getError(() =>
+        snapPoints(graph, [
+          { lat: 47.6, lng: -122.33 },
+          { lat: 47.62, lng: -122.33 },
+        ])
+      )
+    ),
+    ["NoSegment", "Could not find a matching segment for coordinate 1"]
+  );
+
+  // Parameters come from the query or a JSON body; failures become
+  // {code, message} with the error's status
+  console.log("\nTesting handlers...");
+  const echo = defineRoutingHandler(async (params) => {
+    if (params.fail === "api") {
+      throw new RoutingApiError("NoRoute", "Impossible route between points");
+    }
+    if (params.fail === "bug") throw new Error("Something broke");
+    return { code: "Ok", params };
+  });
+  check(
+    "GET parameters",
+    await request(echo, "GET", "metric=time&profile=walking"),
+    [200, { code: "Ok", params: { metric: "time", profile: "walking" } }]
+  );
+  check(
+    "POST body",
+    await request(echo, "POST", "", JSON.stringify({ coordinates: [[1, 2]] })),
+    [200, { code: "Ok", params: { coordinates: [[1, 2]] } }]
+  );
+  check(
+    "body that isn't an object",
+    await request(echo, "POST", "", "[1, 2]"),
+    [
+      400,
+      { code: "InvalidQuery", message: "Request body must be a JSON object" },
+    ]
+  );
+  check("other methods", await request(echo, "DELETE"), [
+    405,
+    {
+      code: "InvalidQuery",
+      message: "Method DELETE is not supported, use GET or POST",
+    },
+  ]);
+  check("API errors", await request(echo, "GET", "fail=api"), [
+    400,
+    { code: "NoRoute", message: "Impossible route between points" },
+  ]);
+  // The handler logs the unexpected error; keep it out of the output
+  const { error: logError } = console;
+  console.error = () => {};
+  const failed = await request(echo, "GET", "fail=bug");
+  console.error = logError;
+  check("anything else is a server error", failed, [
+    500,
+    { code: "InternalError", message: "Something broke" },
+  ]);
+
+  reportResults();
+}
+
+testRoutingApi();
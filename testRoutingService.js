@@ -27,10 +27,14 @@ async function testRoutingService() {
       console.log("\nTesting OSRM-based routing...");
       const osrmRoute = await getOpenStreetMapDirections(startPoint, endPoint);
       console.log("OSRM Route:");
-      console.log(`Distance: ${osrmRoute.routes[0].legs[0].distance.text}`);
-      console.log(`Duration: ${osrmRoute.routes[0].legs[0].duration.text}`);
       console.log(
-        `Polyline length: ${osrmRoute.routes[0].overview_polyline.points.length} chars`
+        `Distance: ${(osrmRoute.routes[0].distance / 1000).toFixed(2)} km`
+      );
+      console.log(
+        `Duration: ${Math.round(osrmRoute.routes[0].duration / 60)} mins`
+      );
+      console.log(
+        `Polyline length: ${osrmRoute.routes[0].geometry.length} chars`
       );
 
       // Test A* algorithm
@@ -42,18 +46,20 @@ async function testRoutingService() {
       );
       console.log("A* Result (in OSRM format):");
       console.log(aStarResult);
-      console.log(`Distance: ${aStarResult.routes[0].legs[0].distance.text}`);
-      console.log(`Duration: ${aStarResult.routes[0].legs[0].duration.text}`);
       console.log(
-        `Polyline length: ${aStarResult.routes[0].overview_polyline.points.length} chars`
+        `Distance: ${(aStarResult.routes[0].distance / 1000).toFixed(2)} km`
+      );
+      console.log(
+        `Duration: ${Math.round(aStarResult.routes[0].duration / 60)} mins`
+      );
+      console.log(
+        `Polyline length: ${aStarResult.routes[0].geometry.length} chars`
       );
       console.log(`Nodes Explored: ${aStarResult.routes[0].nodesExplored}`);
 
       // Decode the polyline to get the actual path points
       const { decodePolyline } = await import("./services/geoUtils.js");
-      const pathPoints = decodePolyline(
-        aStarResult.routes[0].overview_polyline.points
-      );
+      const pathPoints = decodePolyline(aStarResult.routes[0].geometry);
 
       console.log(`\nA* Path contains ${pathPoints.length} points:`);
       pathPoints.forEach((point, index) => {
@@ -98,7 +104,7 @@ async function showExploredNodes(exploredNodesList) {
     if (aStarResult.routes && aStarResult.routes[0]) {
       // Handle the result based on its format
       const { decodePolyline } = await import("./services/geoUtils.js");
-      const aStarPath = decodePolyline(aStarResult.routes[0].overview_polyline.points);
+      const aStarPath = decodePolyline(aStarResult.routes[0].geometry);
 
       console.log("A* Path points:", aStarPath.length);
     }
@@ -0,0 +1,116 @@
+import {
+  parseClockTime,
+  formatClockTime,
+  buildStopTimeline,
+} from "./services/scheduleService.js";
+import { check, reportResults } from "./testUtils.js";
+
+/**
+ * Check clock time parsing and formatting, and stop timelines with waits,
+ * missed windows and service times
+ */
+function testSchedule() {
+  console.log("Starting stop schedule tests...");
+
+  console.log("\nTesting clock times...");
+  for (const [value, seconds] of [
+    ["08:30", 8 * 3600 + 30 * 60],
+    ["8:30", 8 * 3600 + 30 * 60],
+    [" 23:59:59 ", 86399],
+    ["00:00", 0],
+    ["24:00", null],
+    ["12:60", null],
+    ["12:30:60", null],
+    ["8.30", null],
+    ["830", null],
+    ["", null],
+    [undefined, null],
+  ]) {
+    check(`parse ${JSON.stringify(value)}`, parseClockTime(value), seconds);
+  }
+
+  // Rounded to the minute; later days are marked
+  for (const [seconds, text] of [
+    [0, "00:00"],
+    [8 * 3600 + 29 * 60 + 29, "08:29"],
+    [8 * 3600 + 29 * 60 + 30, "08:30"],
+    [86399, "00:00 +1d"],
+    [86400 + 3600, "01:00 +1d"],
+    [2 * 86400 + 60, "00:01 +2d"],
+  ]) {
+    check(`format ${seconds}`, formatClockTime(seconds), text);
+  }
+
+  // Leave at 08:00; 20 min to a stop opening at 08:30, 15 min on to one
+  // closing at 08:45, and 10 min on to one with no window
+  console.log("\nTesting stop timelines...");
+  const departure = parseClockTime("08:00");
+  const stops = [
+    { earliest: parseClockTime("07:00"), latest: null, serviceTime: 600 },
+    { earliest: parseClockTime("08:30"), latest: null, serviceTime: 300 },
+    { earliest: null, latest: parseClockTime("08:45"), serviceTime: 600 },
+    { earliest: null, latest: null },
+  ];
+  const timeline = buildStopTimeline(stops, [1200, 900, 600], departure);
+  check("first stop is left at the departure time", timeline[0], {
+    arrival: null,
+    wait: 0,
+    start: departure,
+    departure,
+    lateness: 0,
+    missed: false,
+  });
+  check(
+    "early arrival waits for the window",
+    [timeline[1].arrival, timeline[1].wait, timeline[1].departure].map(
+      formatClockTime
+    ),
+    ["08:20", "00:10", "08:35"]
+  );
+  check(
+    "late arrival misses the window",
+    [
+      formatClockTime(timeline[2].arrival),
+      timeline[2].lateness,
+      timeline[2].missed,
+    ],
+    ["08:50", 300, true]
+  );
+  check(
+    "open stop without service",
+    [timeline[3].arrival, timeline[3].departure].map(formatClockTime),
+    ["09:10", "09:10"]
+  );
+  check(
+    "only late stops are missed",
+    timeline.map((entry) => entry.missed),
+    [false, false, true, false]
+  );
+
+  // Service starting exactly as the window closes is on time
+  check(
+    "start at the latest time",
+    buildStopTimeline(
+      [{}, { earliest: null, latest: 3600, serviceTime: 900 }],
+      [600],
+      3000
+    )[1].missed,
+    false
+  );
+  check(
+    "missing leg duration counts as no travel",
+    buildStopTimeline([{}, {}], [], 3600)[1].arrival,
+    3600
+  );
+  check(
+    "routes running past midnight",
+    formatClockTime(
+      buildStopTimeline([{}, {}], [7200], parseClockTime("23:30"))[1].arrival
+    ),
+    "01:30 +1d"
+  );
+
+  reportResults();
+}
+
+testSchedule();
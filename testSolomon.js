@@ -0,0 +1,122 @@
+import fs from "fs";
+import {
+  solveVrptw,
+  parseSolomonInstance,
+  buildEuclideanMatrix,
+  compareWithBestKnown,
+} from "./services/vrp/index.js";
+import { check, reportResults } from "./testUtils.js";
+
+// The first five customers of R101, under a name with no best known solution
+const INSTANCE_PATH = "./fixtures/solomon-small.txt";
+
+/**
+ * Get the message of the error a function throws
+ *
+ * @param {Function} fn - Function expected to throw
+ * @returns {string|null} Error message, or null if nothing was thrown
+ */
+function getError(fn) {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Check parsing of the bundled instance, the Euclidean matrix and the
+ * comparison with best known solutions
+ */
+function testSolomon() {
+  console.log("Starting Solomon benchmark tests...");
+  const text = fs.readFileSync(INSTANCE_PATH, "utf8");
+
+  // Headings are skipped, the vehicle section gives the fleet
+  console.log("\nTesting instance parsing...");
+  const { name, vehicleCount, capacity, problem } = parseSolomonInstance(text);
+  check(
+    "name and vehicle section",
+    [name, vehicleCount, capacity],
+    ["SMALL5", 3, 50]
+  );
+
+  // The depot row becomes the depot and every vehicle's shift
+  check("depot row", problem.depots, [{ id: 0, x: 35, y: 35 }]);
+  check("one vehicle per fleet member", problem.vehicles, [
+    { id: 1, depotId: 0, capacity: 50, shiftStart: 0, shiftEnd: 230 },
+    { id: 2, depotId: 0, capacity: 50, shiftStart: 0, shiftEnd: 230 },
+    { id: 3, depotId: 0, capacity: 50, shiftStart: 0, shiftEnd: 230 },
+  ]);
+  check(
+    "customer ids",
+    problem.stops.map((stop) => stop.id),
+    [1, 2, 3, 4, 5]
+  );
+  check("customer row", problem.stops[0], {
+    id: 1,
+    x: 41,
+    y: 49,
+    demand: 10,
+    serviceTime: 10,
+    timeWindow: [161, 171],
+  });
+
+  // Windows-style line endings parse the same
+  check(
+    "CRLF line endings",
+    parseSolomonInstance(text.replace(/\n/g, "\r\n")),
+    parseSolomonInstance(text)
+  );
+
+  check(
+    "empty file",
+    getError(() => parseSolomonInstance("\n \n")),
+    "Empty Solomon instance"
+  );
+  check(
+    "missing vehicle section",
+    getError(() => parseSolomonInstance(text.replace(/^VEHICLE$/m, ""))),
+    "Solomon instance SMALL5 has no vehicle section"
+  );
+  check(
+    "missing customers",
+    getError(() => parseSolomonInstance(text.split("CUSTOMER")[0])),
+    "Solomon instance SMALL5 has no customers"
+  );
+
+  // Travel time is the unrounded Euclidean distance, depot first
+  console.log("\nTesting the Euclidean matrix...");
+  const matrix = buildEuclideanMatrix(problem);
+  check(
+    "matrix size",
+    [matrix.distances.length, matrix.distances[0].length],
+    [6, 6]
+  );
+  check("depot to customer 1", matrix.distances[0][1], Math.hypot(6, 14));
+  check("durations equal distances", matrix.durations, matrix.distances);
+
+  console.log("\nTesting best known comparison...");
+  check(
+    "unknown instance",
+    compareWithBestKnown(name, solveVrptw(problem, matrix)),
+    null
+  );
+  const gaps = compareWithBestKnown("r101", {
+    vehiclesUsed: 20,
+    distance: 1650.8 * 1.05,
+  });
+  check(
+    "gaps against R101",
+    {
+      ...gaps,
+      distanceGap: Math.round(gaps.distanceGap * 1e6) / 1e6,
+    },
+    { bestVehicles: 19, bestDistance: 1650.8, vehicleGap: 1, distanceGap: 5 }
+  );
+
+  reportResults();
+}
+
+testSolomon();
@@ -0,0 +1,243 @@
+import { calculateHaversineDistance } from "./services/geoUtils.js";
+import { buildSpatialIndex } from "./services/routing/spatialIndex.js";
+import {
+  addReverseConnections,
+  insertVirtualNodes,
+  snapToRoad,
+} from "./services/routing/graphUtils.js";
+import { check, reportResults, quietly, createGridGraph } from "./testUtils.js";
+
+const GRID_SIZE = 10;
+const QUERY_COUNT = 200;
+// Default cells, and cells much smaller than a block so searches cross rings
+const CELL_SIZES = [0.002, 0.0003];
+
+/**
+ * Generate query points around the grid, some of them outside it
+ *
+ * @returns {Array} Points {lat, lng}
+ */
+function createQueryPoints() {
+  let seed = 11;
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+
+  const points = [];
+  for (let i = 0; i < QUERY_COUNT; i++) {
+    points.push({
+      lat: 47.598 + random() * 0.014,
+      lng: -122.343 + random() * 0.02,
+    });
+  }
+  return points;
+}
+
+/**
+ * List every road segment of a graph once, whichever way it runs
+ *
+ * @param {Array} graph - Graph nodes
+ * @returns {Array} Segments {from, to}
+ */
+function getSegments(graph) {
+  const nodeMap = new Map(graph.map((node) => [node.id, node]));
+  const segments = new Map();
+  for (const node of graph) {
+    for (const { nodeId } of node.connections) {
+      const key = [node.id, nodeId].sort((a, b) => a - b).join("|");
+      if (!segments.has(key)) {
+        segments.set(key, { from: node, to: nodeMap.get(nodeId) });
+      }
+    }
+  }
+  return [...segments.values()];
+}
+
+/**
+ * Compare index lookups with scanning every node and segment
+ *
+ * @param {Array} graph - Graph nodes
+ * @param {number} cellSize - Index cell size in degrees
+ * @returns {Promise<Object>} Query points where each lookup disagreed
+ */
+async function compareWithScans(graph, cellSize) {
+  const index = await quietly(() => buildSpatialIndex(graph, cellSize));
+  const segments = getSegments(graph);
+  const mismatches = { nearest: [], kNearest: [], radius: [], segment: [] };
+
+  for (const point of createQueryPoints()) {
+    const byDistance = graph
+      .map((node) => ({
+        id: node.id,
+        distance: calculateHaversineDistance(point, node),
+      }))
+      .sort((a, b) => a.distance - b.distance);
+    const ids = (entries) => entries.map((entry) => entry.node?.id ?? entry.id);
+
+    if (index.nearestNode(point).node.id !== byDistance[0].id) {
+      mismatches.nearest.push(point);
+    }
+    if (
+      ids(index.kNearestNodes(point, 5)).join() !==
+      ids(byDistance.slice(0, 5)).join()
+    ) {
+      mismatches.kNearest.push(point);
+    }
+    if (
+      ids(index.nodesWithinRadius(point, 150)).join() !==
+      ids(byDistance.filter((entry) => entry.distance <= 150)).join()
+    ) {
+      mismatches.radius.push(point);
+    }
+
+    const closest = Math.min(
+      ...segments.map(
+        ({ from, to }) => index.projectOntoSegment(point, from, to).distance
+      )
+    );
+    if (Math.abs(index.nearestSegment(point).distance - closest) > 1e-6) {
+      mismatches.segment.push(point);
+    }
+  }
+  return mismatches;
+}
+
+/**
+ * Build a street with a two-way block from node 1 to node 2 and a one-way
+ * block on to node 3
+ *
+ * @returns {Array} Graph nodes
+ */
+function createStreet() {
+  const edge = (nodeId) => ({ nodeId, distance: 100, duration: 10 });
+  return [
+    { id: 1, lat: 47.6, lng: -122.33, connections: [edge(2)] },
+    { id: 2, lat: 47.6009, lng: -122.33, connections: [edge(1), edge(3)] },
+    { id: 3, lat: 47.6018, lng: -122.33, connections: [] },
+  ];
+}
+
+/**
+ * Summarise a node's connections as "id:distance" strings
+ *
+ * @param {Object} node - Graph node
+ * @returns {Array} One entry per connection
+ */
+function describeConnections(node) {
+  return node.connections.map(
+    (connection) =>
+      `${connection.nodeId}:${Math.round(connection.distance * 1e6) / 1e6}`
+  );
+}
+
+/**
+ * Check index lookups against full scans, and snapping points onto roads
+ * and splitting the roads there
+ */
+async function testSpatialIndex() {
+  console.log("Starting spatial index tests...");
+  const graph = createGridGraph(GRID_SIZE);
+
+  for (const cellSize of CELL_SIZES) {
+    console.log(`\nTesting lookups with ${cellSize} degree cells...`);
+    const mismatches = await compareWithScans(graph, cellSize);
+    check("nearest node", mismatches.nearest, []);
+    check("5 nearest nodes in order", mismatches.kNearest, []);
+    check("nodes within 150 m", mismatches.radius, []);
+    check("nearest segment", mismatches.segment, []);
+  }
+
+  const index = await quietly(() => buildSpatialIndex([]));
+  check(
+    "empty index",
+    [
+      index.nearestNode({ lat: 47.6, lng: -122.33 }),
+      index.kNearestNodes({ lat: 47.6, lng: -122.33 }, 3),
+    ],
+    [null, []]
+  );
+
+  // A point 30 m up the first block and 7 m east of it
+  console.log("\nTesting snapping...");
+  const street = createStreet();
+  const streetIndex = await quietly(() => buildSpatialIndex(street));
+  const snap = snapToRoad(streetIndex, { lat: 47.60027, lng: -122.3299 });
+  check(
+    "snap onto the nearest block",
+    [snap.fromNode.id, snap.toNode.id, Math.round(snap.fraction * 1e6) / 1e6],
+    [1, 2, 0.3]
+  );
+  check("snapped location", snap.location, { lat: 47.60027, lng: -122.33 });
+  check("distance to the road", Math.round(snap.distance), 7);
+
+  // Snaps 30 m and 60 m up the two-way block, the second given from its
+  // other end, and one halfway along the one-way block
+  console.log("\nTesting virtual nodes...");
+  const snaps = [
+    snap,
+    {
+      location: { lat: 47.60054, lng: -122.33 },
+      fromNode: street[1],
+      toNode: street[0],
+      fraction: 0.4,
+      distance: 0,
+    },
+    {
+      location: { lat: 47.60135, lng: -122.33 },
+      fromNode: street[1],
+      toNode: street[2],
+      fraction: 0.5,
+      distance: 0,
+    },
+  ];
+  const split = insertVirtualNodes(street, snaps);
+  check(
+    "one virtual node per snap",
+    split.nodes.map((node) => node.id),
+    ["virtual:0", "virtual:1", "virtual:2"]
+  );
+  check(
+    "virtual nodes lead both ways on two-way roads, to each other forwards",
+    split.nodes.map(describeConnections),
+    [
+      ["2:70", "1:30", "virtual:1:30"],
+      ["2:40", "1:60", "virtual:0:30"],
+      ["3:50"],
+    ]
+  );
+  check(
+    "road ends lead to the virtual nodes they can reach",
+    split.graph.slice(0, 3).map(describeConnections),
+    [
+      ["2:100", "virtual:0:30", "virtual:1:60"],
+      ["1:100", "3:100", "virtual:0:70", "virtual:1:40", "virtual:2:50"],
+      [],
+    ]
+  );
+  check(
+    "the graph itself is unchanged",
+    street.map(describeConnections),
+    createStreet().map(describeConnections)
+  );
+
+  // Reverse connections mirror the new edges when the graph has them
+  const reversed = insertVirtualNodes(
+    addReverseConnections(createStreet()),
+    snaps
+  );
+  check(
+    "reverse connections into a road end",
+    reversed.graph[2].reverseConnections.map((entry) => entry.nodeId),
+    [2, "virtual:2"]
+  );
+  check(
+    "reverse connections into a virtual node",
+    reversed.nodes[0].reverseConnections.map((entry) => entry.nodeId),
+    [1, 2, "virtual:1"]
+  );
+
+  reportResults();
+}
+
+testSpatialIndex();
@@ -0,0 +1,303 @@
+import fs from "fs";
+import { buildStreetGraph } from "./services/routing/graphUtils.js";
+import {
+  runTimeDependentAStar,
+  heuristics,
+} from "./services/routing/aStarRouting.js";
+import {
+  SLOTS_PER_DAY,
+  parseSpeedProfiles,
+  loadSpeedProfiles,
+  getProfileClock,
+  getTimeDependentTravelTime,
+} from "./services/routing/speedProfiles.js";
+import { check, reportResults, quietly } from "./testUtils.js";
+
+// Primary roads at 0.3 of free flow 07:00-09:00 and 0.7 16:00-18:00 on
+// weekdays, everything at 0.9 at weekends
+const JSON_PATH = "./fixtures/speed-profiles.json";
+// Primary roads at 15 km/h 07:00-07:30 on weekdays, 20 km/h at weekend noon
+const CSV_PATH = "./fixtures/speed-profiles.csv";
+// A primary road with a residential street beside it
+const GRAPH_PATH = "./fixtures/rush-hour.json";
+
+// A kilometer of road at 36 km/h, so 100 s at free flow
+const EDGE = { distance: 1000, duration: 100, highway: "primary" };
+
+/**
+ * Local time on Monday 8 January 2024, or a later day of that week
+ *
+ * @param {number} hours - Hours
+ * @param {number} minutes - Minutes
+ * @param {number} day - Day of the month, 8 to 14
+ * @returns {Date} Departure time
+ */
+function at(hours, minutes, day = 8) {
+  return new Date(2024, 0, day, hours, minutes);
+}
+
+/**
+ * Round a time to microseconds so float noise doesn't count
+ *
+ * @param {number} seconds - Time in seconds
+ * @returns {number} Rounded time
+ */
+function roundTime(seconds) {
+  return Math.round(seconds * 1e6) / 1e6;
+}
+
+/**
+ * Travel time of an edge entered at a local time
+ *
+ * @param {Object} profiles - Speed profiles
+ * @param {Date} time - Entry time
+ * @param {Object} edge - Connection, the test edge by default
+ * @returns {number} Seconds, rounded to microseconds
+ */
+function getEdgeTime(profiles, time, edge = EDGE) {
+  const { day, seconds } = getProfileClock(time);
+  return roundTime(getTimeDependentTravelTime(edge, seconds, day, profiles));
+}
+
+/**
+ * Get the message of the error a function throws
+ *
+ * @param {Function} fn - Function expected to throw
+ * @returns {string|null} Error message, or null if nothing was thrown
+ */
+function getError(fn) {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Find the earliest arrival over every simple path, driving each edge at the
+ * time it is entered
+ *
+ * @param {Array} graph - Graph from buildStreetGraph
+ * @param {Object} startNode - Start node
+ * @param {Object} endNode - End node
+ * @param {Date} departureTime - Departure
+ * @param {Object} profiles - Speed profiles
+ * @returns {Object} {duration, nodeIds} of the earliest arrival
+ */
+function findEarliestArrival(
+  graph,
+  startNode,
+  endNode,
+  departureTime,
+  profiles
+) {
+  const nodeMap = new Map(graph.map((node) => [node.id, node]));
+  const { day, seconds } = getProfileClock(departureTime);
+  let best = { duration: Infinity, nodeIds: [] };
+
+  const visit = (node, time, nodeIds) => {
+    if (node.id === endNode.id) {
+      if (time - seconds < best.duration) {
+        best = { duration: time - seconds, nodeIds };
+      }
+      return;
+    }
+    for (const connection of node.connections) {
+      if (nodeIds.includes(connection.nodeId)) continue;
+      visit(
+        nodeMap.get(connection.nodeId),
+        time + getTimeDependentTravelTime(connection, time, day, profiles),
+        [...nodeIds, connection.nodeId]
+      );
+    }
+  };
+  visit(startNode, seconds, [startNode.id]);
+  return best;
+}
+
+/**
+ * Check the profile loaders, the slot lookup, the FIFO property of edge
+ * travel times and time-dependent A* against every path of a small graph
+ */
+async function testSpeedProfiles() {
+  console.log("Starting speed profile tests...");
+
+  console.log("\nTesting loaders...");
+  const profiles = await quietly(() => loadSpeedProfiles(JSON_PATH));
+  check(
+    "JSON profiles",
+    [profiles.name, profiles.unit, profiles.weekday.primary.length],
+    ["speed-profiles.json", "factor", SLOTS_PER_DAY]
+  );
+  check(
+    "JSON slots around 07:00",
+    profiles.weekday.primary.slice(27, 29),
+    [1, 0.3]
+  );
+
+  // Slots are indices or start times; unlisted slots run at free flow
+  const csvProfiles = await quietly(() => loadSpeedProfiles(CSV_PATH));
+  check(
+    "CSV profiles",
+    [csvProfiles.name, csvProfiles.unit, csvProfiles.weekday.primary.length],
+    ["speed-profiles.csv", "kmh", SLOTS_PER_DAY]
+  );
+  check(
+    "CSV slots by time and index",
+    csvProfiles.weekday.primary.slice(27, 31),
+    [null, 15, 15, null]
+  );
+  check("CSV weekend noon", csvProfiles.weekend.default[48], 20);
+  check(
+    "CRLF line endings",
+    parseSpeedProfiles(
+      fs.readFileSync(CSV_PATH, "utf8").replace(/\n/g, "\r\n"),
+      csvProfiles.name
+    ),
+    csvProfiles
+  );
+
+  check(
+    "profile without 96 values",
+    getError(() => parseSpeedProfiles({ weekday: { primary: [1, 1] } })),
+    "Speed profile weekday/primary needs 96 values"
+  );
+  check(
+    "unknown unit",
+    getError(() => parseSpeedProfiles({ unit: "mph" })),
+    "Unknown speed profile unit: mph"
+  );
+  check(
+    "CSV without a header",
+    getError(() => parseSpeedProfiles("weekday,primary,0,1")),
+    "Speed profile CSV needs a day,highway,slot,<unit> header"
+  );
+  check(
+    "slot that isn't on a boundary",
+    getError(() =>
+      parseSpeedProfiles("day,highway,slot,factor\nweekday,primary,07:10,1")
+    ),
+    "Invalid slot in speed profile row: weekday,primary,07:10,1"
+  );
+  check(
+    "speed that stops traffic",
+    getError(() =>
+      parseSpeedProfiles("day,highway,slot,factor\nweekend,primary,3,0")
+    ),
+    "Speed profile weekend/primary has a non-positive speed"
+  );
+
+  // 15-minute slots, with the rest of an edge driven at the next slot's speed
+  console.log("\nTesting slot lookup...");
+  check("clock of a departure", getProfileClock(at(7, 30)), {
+    day: 1,
+    seconds: 27000,
+  });
+  check(
+    "travel times through the day",
+    [at(6, 0), at(6, 59), at(7, 30), at(8, 59), at(16, 0), at(9, 0)].map(
+      (time) => getEdgeTime(profiles, time)
+    ),
+    // 06:59 covers 600 m before 07:00 and the last 400 m at 3 m/s; 08:59
+    // covers 180 m before 09:00 and the last 820 m at 10 m/s
+    [100, 60 + 400 / 3, 100 / 0.3, 60 + 82, 100 / 0.7, 100].map(roundTime)
+  );
+  check(
+    "weekend and unlisted road class",
+    [
+      getEdgeTime(profiles, at(8, 0, 13)),
+      getEdgeTime(profiles, at(8, 0), { ...EDGE, highway: "residential" }),
+    ],
+    [100 / 0.9, 100].map(roundTime)
+  );
+  // Sunday 23:59 covers 540 m at weekend speed, Monday 00:00 the rest
+  check(
+    "travel into the next day",
+    getEdgeTime(profiles, at(23, 59, 14)),
+    60 + 46
+  );
+  check(
+    "turn penalty added unchanged",
+    getEdgeTime(profiles, at(7, 30), {
+      ...EDGE,
+      duration: 110,
+      turnPenalty: 10,
+    }),
+    roundTime(10 + 100 / 0.3)
+  );
+  check(
+    "km/h never above free flow",
+    [at(7, 0), at(12, 0, 13), at(6, 0)].map((time) =>
+      getEdgeTime(csvProfiles, time)
+    ),
+    [240, 180, 100]
+  );
+  check("no profiles", getEdgeTime(null, at(7, 30)), 100);
+
+  // Leaving later never means arriving earlier, even across slot ends
+  console.log("\nTesting FIFO travel times...");
+  const overtaking = [];
+  let previousArrival = -Infinity;
+  for (let seconds = 0; seconds < 2 * 24 * 3600; seconds += 10) {
+    const arrival =
+      seconds + getTimeDependentTravelTime(EDGE, seconds, 0, profiles);
+    if (arrival < previousArrival) overtaking.push(seconds);
+    previousArrival = arrival;
+  }
+  check("later entries never arrive earlier", overtaking, []);
+
+  console.log("\nTesting time-dependent A*...");
+  const graph = await quietly(() =>
+    buildStreetGraph(JSON.parse(fs.readFileSync(GRAPH_PATH, "utf8")))
+  );
+  const nodeById = new Map(graph.map((node) => [node.id, node]));
+  const mismatches = [];
+  const lateArrivals = [];
+  const routes = new Set();
+  for (const [startId, endId] of [
+    [1, 3],
+    [3, 1],
+    [4, 3],
+  ]) {
+    const startNode = nodeById.get(startId);
+    const endNode = nodeById.get(endId);
+    let previous = -Infinity;
+    for (let minutes = 6 * 60 + 30; minutes <= 9 * 60 + 30; minutes += 5) {
+      const departureTime = at(Math.floor(minutes / 60), minutes % 60);
+      const result = await quietly(() =>
+        runTimeDependentAStar(graph, startNode, endNode, heuristics.timeBased, {
+          departureTime,
+          speedProfiles: profiles,
+        })
+      );
+      const best = findEarliestArrival(
+        graph,
+        startNode,
+        endNode,
+        departureTime,
+        profiles
+      );
+      if (Math.abs(result.duration - best.duration) > 1e-6) {
+        mismatches.push({ startId, endId, minutes, result, best });
+      }
+
+      const arrival = departureTime.getTime() / 1000 + result.duration;
+      if (arrival < previous) lateArrivals.push({ startId, endId, minutes });
+      previous = arrival;
+      routes.add(result.nodeIds.join("-"));
+    }
+  }
+  check("A* matches the earliest arrival over every path", mismatches, []);
+  check("leaving later never arrives earlier", lateArrivals, []);
+
+  // The primary road at free flow, the residential street in the rush
+  check("routes change with the traffic", [...routes].slice(0, 2), [
+    "1-2-3",
+    "1-4-5-6-3",
+  ]);
+
+  reportResults();
+}
+
+testSpeedProfiles();
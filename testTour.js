@@ -0,0 +1,219 @@
+import { getTourCost, solveTour } from "./services/tourService.js";
+import { check, reportResults } from "./testUtils.js";
+
+const INSTANCE_COUNT = 40;
+const STOP_COUNT = 7;
+// Longest run of stops Or-opt moves, as in tourService
+const MAX_MOVED_STOPS = 3;
+// 2-opt and Or-opt stop at a local optimum; allowance above the best order
+const MAX_GAP = 0.2;
+
+/**
+ * Build a cost matrix between points on a plane
+ *
+ * @param {Array} points - Points [x, y]
+ * @returns {Array} n x n Euclidean costs
+ */
+function getEuclideanCosts(points) {
+  return points.map(([x1, y1]) =>
+    points.map(([x2, y2]) => Math.hypot(x2 - x1, y2 - y1))
+  );
+}
+
+/**
+ * Generate seeded instances: points on a plane, and the same with a detour
+ * one way on some pairs as one-way streets give
+ *
+ * @returns {Array} Cost matrices
+ */
+function createInstances() {
+  let seed = 3;
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+
+  const instances = [];
+  for (let i = 0; i < INSTANCE_COUNT; i++) {
+    const points = Array.from({ length: STOP_COUNT }, () => [
+      random() * 100,
+      random() * 100,
+    ]);
+    const costs = getEuclideanCosts(points);
+    instances.push(costs);
+    instances.push(
+      costs.map((row) =>
+        row.map((cost) => (random() < 0.3 ? cost + random() * 40 : cost))
+      )
+    );
+  }
+  return instances;
+}
+
+/**
+ * Find the cheapest tour by trying every order of the free stops
+ *
+ * @param {Array} costs - n x n cost matrix
+ * @param {Object} options - {closed, fixedEnd} as for solveTour
+ * @returns {number} Cost of the best tour
+ */
+function findOptimalCost(costs, options = {}) {
+  const n = costs.length;
+  const fixedEnd = !options.closed && options.fixedEnd;
+  const free = [];
+  for (let i = 1; i < (fixedEnd ? n - 1 : n); i++) free.push(i);
+
+  let best = Infinity;
+  const permute = (order, remaining) => {
+    if (remaining.length === 0) {
+      const tour = fixedEnd ? [...order, n - 1] : order;
+      best = Math.min(best, getTourCost(tour, costs, options.closed));
+      return;
+    }
+    remaining.forEach((stop, i) =>
+      permute(
+        [...order, stop],
+        remaining.filter((_, j) => j !== i)
+      )
+    );
+  };
+  permute([0], free);
+  return best;
+}
+
+/**
+ * Find improvements to a tour that 2-opt or Or-opt should have made
+ *
+ * @param {Array} order - Tour
+ * @param {Array} costs - n x n cost matrix
+ * @param {Object} options - {closed, fixedEnd} as for solveTour
+ * @returns {Array} Improving moves, as "reverse i-j" or "move i+length to k"
+ */
+function findImprovingMoves(order, costs, options = {}) {
+  const cost = getTourCost(order, costs, options.closed);
+  const lastFree =
+    !options.closed && options.fixedEnd ? order.length - 2 : order.length - 1;
+  const improves = (tour) =>
+    getTourCost(tour, costs, options.closed) < cost - 1e-9;
+  const moves = [];
+
+  for (let i = 1; i < lastFree; i++) {
+    for (let j = i + 1; j <= lastFree; j++) {
+      const section = order.slice(i, j + 1).reverse();
+      if (improves([...order.slice(0, i), ...section, ...order.slice(j + 1)])) {
+        moves.push(`reverse ${i}-${j}`);
+      }
+    }
+  }
+
+  for (let length = 1; length <= MAX_MOVED_STOPS; length++) {
+    for (let i = 1; i + length - 1 <= lastFree; i++) {
+      const segment = order.slice(i, i + length);
+      const rest = [...order.slice(0, i), ...order.slice(i + length)];
+      for (let k = 1; k <= lastFree - length + 1; k++) {
+        if (improves([...rest.slice(0, k), ...segment, ...rest.slice(k)])) {
+          moves.push(`move ${i}+${length} to ${k}`);
+        }
+      }
+    }
+  }
+  return moves;
+}
+
+/**
+ * Check that a tour starts at the first point, visits every point once and
+ * keeps a fixed end last
+ *
+ * @param {Array} order - Tour
+ * @param {number} n - Number of points
+ * @param {boolean} fixedEnd - Whether the last point must end the tour
+ * @returns {boolean} True for a valid tour
+ */
+function isValidTour(order, n, fixedEnd) {
+  return (
+    order.length === n &&
+    new Set(order).size === n &&
+    order[0] === 0 &&
+    (!fixedEnd || order[n - 1] === n - 1)
+  );
+}
+
+/**
+ * Check tours for a hand-made line of stops and against every order on
+ * seeded instances
+ */
+function testTour() {
+  console.log("Starting tour optimisation tests...");
+
+  // Stops on a line at 0, 3, 1, 4 and 2, clicked in that zigzag order
+  console.log("\nTesting stops on a line...");
+  const line = getEuclideanCosts([0, 3, 1, 4, 2].map((x) => [x, 0]));
+  check(
+    "click order cost, open and closed",
+    [
+      getTourCost([0, 1, 2, 3, 4], line),
+      getTourCost([0, 1, 2, 3, 4], line, true),
+    ],
+    [3 + 2 + 3 + 2, 3 + 2 + 3 + 2 + 2]
+  );
+  check("open tour walks the line", solveTour(line), {
+    order: [0, 2, 4, 1, 3],
+    cost: 4,
+  });
+  check(
+    "closed tour goes out and back",
+    solveTour(line, { closed: true }).cost,
+    8
+  );
+  const fixedEnd = solveTour(line, { fixedEnd: true });
+  check(
+    "fixed end is visited last",
+    [fixedEnd.order[4], fixedEnd.cost],
+    [4, 6]
+  );
+  check(
+    "the zigzag has moves left, the solved tour none",
+    [
+      findImprovingMoves([0, 1, 2, 3, 4], line).length > 0,
+      findImprovingMoves(solveTour(line).order, line),
+    ],
+    [true, []]
+  );
+  check("single stop", solveTour([[0]]), { order: [0], cost: 0 });
+
+  // Asymmetric costs come from one-way streets
+  console.log(
+    `\nTesting ${INSTANCE_COUNT * 2} seeded instances of ${STOP_COUNT} stops...`
+  );
+  for (const [label, options] of [
+    ["open", {}],
+    ["closed", { closed: true }],
+    ["fixed end", { fixedEnd: true }],
+  ]) {
+    const invalid = [];
+    const improvable = [];
+    const farFromBest = [];
+    createInstances().forEach((costs, index) => {
+      const { order, cost } = solveTour(costs, options);
+      if (
+        !isValidTour(order, STOP_COUNT, options.fixedEnd) ||
+        Math.abs(getTourCost(order, costs, options.closed) - cost) > 1e-9
+      ) {
+        invalid.push(index);
+      }
+      if (findImprovingMoves(order, costs, options).length > 0) {
+        improvable.push(index);
+      }
+      if (cost > findOptimalCost(costs, options) * (1 + MAX_GAP)) {
+        farFromBest.push(index);
+      }
+    });
+    check(`${label} tours are valid and costed`, invalid, []);
+    check(`${label} tours have no 2-opt or Or-opt move left`, improvable, []);
+    check(`${label} tours are near the best order`, farFromBest, []);
+  }
+
+  reportResults();
+}
+
+testTour();
@@ -0,0 +1,231 @@
+import fs from "fs";
+import { buildStreetGraph } from "./services/routing/graphUtils.js";
+import {
+  runAStarOnStreetGraph,
+  heuristics,
+} from "./services/routing/aStarRouting.js";
+import {
+  CLIMB_COST_FACTOR,
+  MAX_SPEED_MPS,
+  parseMaxspeed,
+  getRoadSpeed,
+  getTravelTime,
+  getTurnPenalty,
+  getEdgeCost,
+  toMetricUnits,
+} from "./services/routing/travelTime.js";
+import { check, reportResults, quietly } from "./testUtils.js";
+
+// A primary road with a residential street beside it
+const FIXTURE_PATH = "./fixtures/rush-hour.json";
+
+/**
+ * Round a value to microunits so float noise doesn't count
+ *
+ * @param {number} value - Value
+ * @returns {number} Rounded value
+ */
+function round(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+/**
+ * Build the fixture graph with a speed limit on the primary road
+ *
+ * @param {string} maxspeed - maxspeed tag of the primary road
+ * @returns {Promise<Array>} Graph nodes
+ */
+async function createGraph(maxspeed) {
+  const data = JSON.parse(fs.readFileSync(FIXTURE_PATH, "utf8"));
+  const primary = data.elements.find((element) => element.id === 10);
+  primary.tags = { ...primary.tags, maxspeed, lanes: "2", surface: "asphalt" };
+  return quietly(() => buildStreetGraph(data));
+}
+
+/**
+ * Check speed limits and the speed table, edge costs per metric, turn
+ * penalties, and searches minimising distance or time
+ */
+async function testTravelTime() {
+  console.log("Starting travel time tests...");
+
+  // Units, lists and symbolic values
+  console.log("\nTesting maxspeed tags...");
+  for (const [value, speed] of [
+    ["50", 50],
+    ["50 km/h", 50],
+    ["30 mph", 30 * 1.609344],
+    ["10 knots", 18.52],
+    ["50;30", 30],
+    ["none", null],
+    ["signals", null],
+    ["0", null],
+    [undefined, null],
+  ]) {
+    check(`maxspeed ${value}`, parseMaxspeed(value), speed);
+  }
+
+  console.log("\nTesting road speeds...");
+  check("from the speed table", getRoadSpeed({ highway: "primary" }), 50);
+  check(
+    "maxspeed over the table",
+    getRoadSpeed({ highway: "primary", maxspeed: "25 mph" }),
+    25 * 1.609344
+  );
+  check(
+    "symbolic maxspeed falls back to the table",
+    getRoadSpeed({ highway: "primary", maxspeed: "none" }),
+    50
+  );
+  check("unknown class", getRoadSpeed({ highway: "busway" }), 30);
+  check(
+    "custom table and its default",
+    [
+      getRoadSpeed({ highway: "primary" }, { primary: 70, default: 20 }),
+      getRoadSpeed({ highway: "residential" }, { primary: 70, default: 20 }),
+    ],
+    [70, 20]
+  );
+  check(
+    "capped at the top speed",
+    getRoadSpeed({ highway: "motorway", maxspeed: "200" }),
+    120
+  );
+  check("100 m at 36 km/h", getTravelTime(100, 36), 10);
+
+  // Positive angles turn right; straight and U-turn bands are inclusive
+  console.log("\nTesting turn penalties...");
+  check(
+    "penalties by angle",
+    [0, 30, 31, -31, 90, -90, 149, 150, -180].map((angle) =>
+      getTurnPenalty(angle)
+    ),
+    [0, 0, 5, 15, 5, 15, 5, 60, 60]
+  );
+  check(
+    "overrides keep the other defaults",
+    [getTurnPenalty(-90, { left: Infinity }), getTurnPenalty(90, { left: 99 })],
+    [Infinity, 5]
+  );
+
+  console.log("\nTesting edge costs...");
+  const edge = { distance: 100, duration: 8, grade: 0.05 };
+  check(
+    "cost per metric",
+    [
+      getEdgeCost(edge, "distance"),
+      getEdgeCost(edge, "time"),
+      getEdgeCost(edge, "elevation"),
+    ],
+    [100, 8, 100 + CLIMB_COST_FACTOR * 0.05 * 100]
+  );
+  check(
+    "descents cost no more than flat road",
+    getEdgeCost({ ...edge, grade: -0.05 }, "elevation"),
+    100
+  );
+  check(
+    "time without a duration runs at the default speed",
+    getEdgeCost({ distance: 100 }, "time"),
+    12
+  );
+  // A 6 s turn is 50 m at the default 30 km/h
+  check(
+    "turn penalty as distance",
+    round(getEdgeCost({ distance: 100, duration: 14, turnPenalty: 6 })),
+    150
+  );
+  const timeHeuristic = Object.assign(() => 0, { unit: "time" });
+  check(
+    "heuristic units",
+    [
+      toMetricUnits(120, heuristics.haversine, "distance"),
+      toMetricUnits(120, heuristics.haversine, "time"),
+      toMetricUnits(3, timeHeuristic, "time"),
+      toMetricUnits(3, timeHeuristic, "elevation"),
+    ],
+    [120, 120 / MAX_SPEED_MPS, 3, 3 * MAX_SPEED_MPS]
+  );
+
+  // Edges keep their way's tags and a duration at its speed
+  console.log("\nTesting graph edges...");
+  const graph = await createGraph("10 mph");
+  const primaryEdge = graph[0].connections.find(
+    (connection) => connection.wayId === 10
+  );
+  check(
+    "edge tags",
+    {
+      highway: primaryEdge.highway,
+      maxspeed: primaryEdge.maxspeed,
+      name: primaryEdge.name,
+      lanes: primaryEdge.lanes,
+      surface: primaryEdge.surface,
+    },
+    {
+      highway: "primary",
+      maxspeed: "10 mph",
+      name: "Denny Way",
+      lanes: "2",
+      surface: "asphalt",
+    }
+  );
+  check(
+    "edge duration at the speed limit",
+    round(primaryEdge.duration),
+    round(getTravelTime(primaryEdge.distance, 16.09344))
+  );
+
+  // The slow primary road is shorter, the residential street quicker
+  console.log("\nTesting searches by metric...");
+  const nodeById = new Map(graph.map((node) => [node.id, node]));
+  const search = (metric) =>
+    quietly(() =>
+      runAStarOnStreetGraph(
+        graph,
+        nodeById.get(1),
+        nodeById.get(3),
+        heuristics.haversine,
+        { metric }
+      )
+    );
+  const shortest = await search("distance");
+  const quickest = await search("time");
+  check(
+    "routes by metric",
+    [shortest.nodeIds, quickest.nodeIds],
+    [
+      [1, 2, 3],
+      [1, 4, 5, 6, 3],
+    ]
+  );
+  check(
+    "durations are the sum of edge times",
+    [shortest, quickest].map((result) => round(result.duration)),
+    [shortest, quickest].map((result) =>
+      round(
+        result.nodeIds
+          .slice(1)
+          .reduce(
+            (total, id, i) =>
+              total +
+              nodeById
+                .get(result.nodeIds[i])
+                .connections.find((connection) => connection.nodeId === id)
+                .duration,
+            0
+          )
+      )
+    )
+  );
+  check(
+    "the quicker route is longer",
+    quickest.distance > shortest.distance &&
+      quickest.duration < shortest.duration,
+    true
+  );
+
+  reportResults();
+}
+
+testTravelTime();
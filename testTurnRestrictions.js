@@ -0,0 +1,84 @@
+import fs from "fs";
+import {
+  buildStreetGraph,
+  buildEdgeExpandedGraph,
+  createEdgeBasedSearch,
+} from "./services/routing/graphUtils.js";
+import {
+  runAStarOnStreetGraph,
+  heuristics,
+} from "./services/routing/aStarRouting.js";
+import { check, reportResults } from "./testUtils.js";
+
+const FIXTURE_PATH = "./fixtures/no-left-turn.json";
+
+/**
+ * List the street nodes a path passes through
+ * Edge states "u>v" of the edge-based graph stand for their head node v.
+ *
+ * @param {Array} nodeIds - Node ids of a search result
+ * @returns {Array} Street node ids
+ */
+function getStreetNodeIds(nodeIds) {
+  return nodeIds.map((id) => Number(String(id).split(">").pop()));
+}
+
+/**
+ * Route across the fixture crossroads with and without the edge-based graph
+ * and check that only the edge-based route obeys the no_left_turn relation
+ */
+function testTurnRestrictions() {
+  console.log("Starting turn restriction tests...");
+
+  const fixture = JSON.parse(fs.readFileSync(FIXTURE_PATH, "utf8"));
+  const { route } = fixture;
+  const graph = buildStreetGraph(fixture);
+  const nodeMap = new Map(graph.map((node) => [node.id, node]));
+  const startNode = nodeMap.get(route.from);
+  const endNode = nodeMap.get(route.to);
+
+  check(
+    "restriction is attached to its via node",
+    nodeMap.get(2).restrictions,
+    [{ type: "no", fromWay: 10, toWay: 11, restriction: "no_left_turn" }]
+  );
+
+  // The node-based search ignores restrictions and takes the short cut
+  const nodeBased = runAStarOnStreetGraph(
+    graph,
+    startNode,
+    endNode,
+    heuristics.haversine
+  );
+  check(
+    "node-based route takes the left turn",
+    getStreetNodeIds(nodeBased.nodeIds),
+    route.shortest
+  );
+
+  // The edge-based search goes round the block
+  const search = createEdgeBasedSearch(
+    buildEdgeExpandedGraph(graph),
+    graph,
+    startNode,
+    endNode
+  );
+  for (const metric of ["distance", "time"]) {
+    const edgeBased = runAStarOnStreetGraph(
+      search.graph,
+      search.startNode,
+      search.endNode,
+      heuristics.haversine,
+      { metric }
+    );
+    check(
+      `edge-based route by ${metric} obeys no_left_turn`,
+      getStreetNodeIds(edgeBased.nodeIds),
+      route.restricted
+    );
+  }
+
+  reportResults();
+}
+
+testTurnRestrictions();
@@ -0,0 +1,141 @@
+/**
+ * Helpers shared by the test scripts
+ * Each script reports its checks with check() and ends with reportResults(),
+ * which sets a failing exit code when any check failed.
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { calculateHaversineDistance } from "./services/geoUtils.js";
+import { EXCLUDED_HIGHWAY_PATTERN } from "./services/routing/graphUtils.js";
+import { DEFAULT_PROFILE } from "./services/routing/osmRules.js";
+import { getElevationProvider } from "./services/elevationService.js";
+import { getGraphCacheKey, saveGraphSnapshot } from "./services/graphStore.js";
+
+let failures = 0;
+
+/**
+ * Report one check
+ * Values are compared as JSON, so arrays and objects compare by content.
+ *
+ * @param {string} description - What is being checked
+ * @param {*} actual - Value produced
+ * @param {*} expected - Value wanted
+ */
+export function check(description, actual, expected) {
+  const actualText = JSON.stringify(actual);
+  const expectedText = JSON.stringify(expected);
+  if (actualText === expectedText) {
+    console.log(`  ok   ${description}`);
+  } else {
+    failures++;
+    console.log(
+      `  FAIL ${description}: expected ${expectedText}, got ${actualText}`
+    );
+  }
+}
+
+/**
+ * Print the outcome of every check so far
+ */
+export function reportResults() {
+  console.log(failures === 0 ? "\nAll cases passed" : `\n${failures} failed`);
+  if (failures > 0) process.exitCode = 1;
+}
+
+/**
+ * Run a function with the services' progress logging muted
+ *
+ * @param {Function} fn - Function to run, possibly async
+ * @returns {Promise<*>} Its result
+ */
+export async function quietly(fn) {
+  const { log, warn } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+    console.warn = warn;
+  }
+}
+
+/**
+ * Build a street grid with jittered intersections, missing blocks and
+ * one-way streets, so some nodes are first reached by a longer route
+ * The layout is seeded, so every run gets the same graph.
+ *
+ * @param {number} size - Intersections per side
+ * @returns {Array} Graph nodes with distance-only connections
+ */
+export function createGridGraph(size) {
+  let seed = 5;
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+
+  const nodes = [];
+  for (let row = 0; row < size; row++) {
+    for (let column = 0; column < size; column++) {
+      nodes.push({
+        id: row * size + column + 1,
+        lat: 47.6 + row * 0.001 + random() * 0.0003,
+        lng: -122.34 + column * 0.0015 + random() * 0.0003,
+        connections: [],
+      });
+    }
+  }
+
+  for (const node of nodes) {
+    const index = node.id - 1;
+    const column = index % size;
+    const neighbours = [
+      column + 1 < size && nodes[index + 1],
+      nodes[index + size],
+    ];
+    for (const neighbour of neighbours) {
+      if (!neighbour || random() < 0.1) continue;
+      // Streets are up to half as long again as the straight line
+      const distance =
+        calculateHaversineDistance(node, neighbour) * (1 + random() * 0.5);
+      node.connections.push({ nodeId: neighbour.id, distance });
+      if (random() > 0.1) {
+        neighbour.connections.push({ nodeId: node.id, distance });
+      }
+    }
+  }
+  return nodes;
+}
+
+/**
+ * Store a graph as the snapshot getSeattleGraph loads for some bounds, so
+ * services that load the Seattle graph run offline on a fixture
+ * Snapshots go to a scratch cache directory; every node should have a
+ * measured elevation, or loading looks the others up again.
+ *
+ * @param {Object} bounds - Bounds the services are called with
+ * @param {Array} graph - Graph to load for them
+ * @returns {Promise<string>} Cache directory, to remove when done
+ */
+export async function storeTestGraph(bounds, graph) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "test-graph-"));
+  process.env.GRAPH_CACHE_DIR = directory;
+
+  // Keyed as in getSeattleGraph: bounds padded by 0.2 degrees, then the
+  // highway filter, profile and elevation provider
+  const key = getGraphCacheKey(
+    {
+      south: bounds.south - 0.2,
+      north: bounds.north + 0.2,
+      west: bounds.west - 0.2,
+      east: bounds.east + 0.2,
+    },
+    `${EXCLUDED_HIGHWAY_PATTERN}|profile:${DEFAULT_PROFILE}` +
+      `|elevation:${getElevationProvider().name}`
+  );
+  await saveGraphSnapshot(key, graph);
+  return directory;
+}
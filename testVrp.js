@@ -0,0 +1,212 @@
+import {
+  solveVrptw,
+  normaliseProblem,
+  evaluateRoute,
+  buildI1Routes,
+  improveRoutes,
+  getSolutionCost,
+} from "./services/vrp/index.js";
+import { insertLateStops } from "./services/vrp/construction.js";
+import { compareSolutions } from "./services/vrp/schedule.js";
+import { check, reportResults } from "./testUtils.js";
+
+// Stops on a straight road through the depot at 0, at 1 m/s: L can't be
+// reached inside its window and H needs more room than any vehicle has
+const POSITIONS = { depot: 0, A: 10, B: 20, C: -10, E: -20, L: 50, H: 5 };
+const STOPS = [
+  { id: "A", demand: 1, timeWindow: [0, 100] },
+  { id: "B", demand: 1, timeWindow: [50, 100] },
+  { id: "C", demand: 1, timeWindow: [0, 30] },
+  { id: "E", demand: 1, timeWindow: [0, 1000] },
+  { id: "L", demand: 1, timeWindow: [0, 10] },
+  { id: "H", demand: 3, timeWindow: [0, 1000] },
+];
+
+/**
+ * Build the test problem with identical vehicles
+ *
+ * @param {number} vehicleCount - Number of vehicles
+ * @param {number} capacity - Capacity of each vehicle
+ * @returns {Object} Problem as given to solveVrptw
+ */
+function createProblem(vehicleCount, capacity) {
+  return {
+    depots: [{ id: "depot" }],
+    vehicles: Array.from({ length: vehicleCount }, (value, index) => ({
+      id: `v${index + 1}`,
+      capacity,
+    })),
+    stops: STOPS,
+  };
+}
+
+/**
+ * Travel matrix over the depot and stops, one meter and one second per unit
+ *
+ * @returns {Object} {durations, distances}
+ */
+function createMatrix() {
+  const positions = [
+    POSITIONS.depot,
+    ...STOPS.map((stop) => POSITIONS[stop.id]),
+  ];
+  const matrix = positions.map((from) =>
+    positions.map((to) => Math.abs(from - to))
+  );
+  return { durations: matrix, distances: matrix };
+}
+
+/**
+ * Name the stops of each route
+ *
+ * @param {Object} problem - Problem from normaliseProblem
+ * @param {Array} routes - Stop indexes per vehicle
+ * @returns {Array} Stop ids per vehicle
+ */
+function getStopIds(problem, routes) {
+  return routes.map((route) => route.map((index) => problem.stops[index].id));
+}
+
+/**
+ * Check construction, late insertion, local search and solution costs on a
+ * small instance whose lateness, waiting and vehicle counts are known
+ */
+function testVrp() {
+  console.log("Starting VRPTW solver tests...");
+  const matrix = createMatrix();
+
+  // Construction keeps every window and capacity and leaves L and H over
+  console.log("\nTesting I1 construction...");
+  const twoVehicles = normaliseProblem(createProblem(2, 2));
+  const i1 = buildI1Routes(twoVehicles, matrix);
+  check("I1 routes", getStopIds(twoVehicles, i1.routes), [
+    ["A", "B"],
+    ["C", "E"],
+  ]);
+  check("I1 leaves infeasible stops unrouted", i1.unrouted, [4, 5]);
+  const schedules = i1.routes.map((route, vehicleIndex) =>
+    evaluateRoute(twoVehicles, matrix, vehicleIndex, route)
+  );
+  check(
+    "I1 routes are on time and within capacity",
+    schedules.map(({ lateness, overtime, overload }) => [
+      lateness,
+      overtime,
+      overload,
+    ]),
+    [
+      [0, 0, 0],
+      [0, 0, 0],
+    ]
+  );
+  check(
+    "I1 routes wait for B's window",
+    schedules.map((schedule) => schedule.waiting),
+    [30, 0]
+  );
+
+  // Late stops go where they add least lateness, if any vehicle has room
+  console.log("\nTesting late stop insertion...");
+  const threeVehicles = normaliseProblem(createProblem(3, 2));
+  const { routes, unrouted } = buildI1Routes(threeVehicles, matrix);
+  const unassigned = insertLateStops(threeVehicles, matrix, routes, unrouted);
+  check(
+    "late stop L gets the spare vehicle",
+    getStopIds(threeVehicles, routes),
+    [["A", "B"], ["C", "E"], ["L"]]
+  );
+  check("stop too large for any vehicle stays unassigned", unassigned, [5]);
+  check(
+    "L is served 40 s late",
+    evaluateRoute(threeVehicles, matrix, 2, routes[2]).lateness,
+    40
+  );
+
+  // Merging every route is shorter, but only fits a larger vehicle
+  console.log("\nTesting local search capacity...");
+  for (const [capacity, expected] of [
+    [2, [["B", "A"], ["E"]]],
+    [3, [[], ["A", "B", "E"]]],
+  ]) {
+    const problem = normaliseProblem(createProblem(2, capacity));
+    const improved = improveRoutes(problem, matrix, [[0], [1, 3]]);
+    check(
+      `local search with capacity ${capacity}`,
+      getStopIds(problem, improved),
+      expected
+    );
+  }
+
+  // Unassigned stops make a solution worse than any lateness
+  console.log("\nTesting solution costs...");
+  const withUnassigned = getSolutionCost(threeVehicles, matrix, routes, [5]);
+  check("cost with an unassigned stop", withUnassigned, {
+    unassigned: 1,
+    penalty: 40,
+    vehiclesUsed: 3,
+    distance: 180,
+  });
+  const allAssigned = getSolutionCost(threeVehicles, matrix, routes, []);
+  check("cost with every stop assigned", allAssigned, {
+    unassigned: 0,
+    penalty: 40,
+    vehiclesUsed: 3,
+    distance: 180,
+  });
+  check(
+    "late solution beats one with unassigned stops",
+    compareSolutions(allAssigned, withUnassigned) < 0,
+    true
+  );
+
+  // With one small vehicle every solution leaves stops over, and the one
+  // that leaves fewest wins however far it drives
+  console.log("\nTesting a fleet too small for every stop...");
+  const oneVehicle = normaliseProblem(createProblem(1, 2));
+  const dropsFour = getSolutionCost(oneVehicle, matrix, [[0, 1]], [2, 3, 4, 5]);
+  const dropsFive = getSolutionCost(oneVehicle, matrix, [[2]], [0, 1, 3, 4, 5]);
+  check(
+    "fewer unassigned stops beat a shorter route",
+    [
+      compareSolutions(dropsFour, dropsFive) < 0,
+      compareSolutions(dropsFive, dropsFour) > 0,
+    ],
+    [true, true]
+  );
+  const smallFleet = solveVrptw(createProblem(1, 2), matrix);
+  check(
+    "solver serves as many stops as the vehicle holds",
+    [smallFleet.routes.length, smallFleet.unassigned.length],
+    [1, 4]
+  );
+
+  // The full solver moves B next to L, which is on the way
+  console.log("\nTesting the solver...");
+  const result = solveVrptw(createProblem(3, 2), matrix);
+  check(
+    "solver totals",
+    {
+      vehiclesUsed: result.vehiclesUsed,
+      distance: result.distance,
+      waiting: result.waiting,
+      lateness: result.lateness,
+      unassigned: result.unassigned,
+    },
+    {
+      vehiclesUsed: 3,
+      distance: 160,
+      waiting: 0,
+      lateness: 40,
+      unassigned: ["H"],
+    }
+  );
+  check(
+    "solver routes",
+    result.routes.map((route) => route.stops.map((stop) => stop.stopId)),
+    [["A"], ["C", "E"], ["L", "B"]]
+  );
+
+  reportResults();
+}
+
+testVrp();